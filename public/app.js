@@ -5,18 +5,122 @@ class BatmanCoordinator {
         this.isConnected = false;
         this.currentTab = 'overview';
         this.nodes = new Map();
+        this.enrollments = [];
         this.stats = {};
         this.charts = {};
         this.topology = null;
+        this.diagnostics = [];
+        this.clients = [];
+        this.diagnosticPath = null;
+        this.pendingDiagnostic = null;
+        this.nodeFilter = { group: '', site: '', tag: '', q: '' };
+        this.topologyFilter = '';
+        this.editingNode = null;
+        this.user = null;
         
         this.init();
     }
 
     async init() {
         this.setupEventListeners();
-        this.connectWebSocket();
         this.initializeCharts();
         this.showTab('overview');
+        await this.checkSession();
+    }
+
+    // Authentication
+    async checkSession() {
+        try {
+            const response = await fetch('/api/auth/session', { credentials: 'same-origin' });
+            if (!response.ok) {
+                this.showLogin();
+                return;
+            }
+
+            const data = await response.json();
+            this.setUser(data.user);
+            this.connectWebSocket();
+        } catch (error) {
+            console.error('Failed to check session:', error);
+            this.showLogin();
+        }
+    }
+
+    async login(username, password) {
+        const errorElement = document.getElementById('loginError');
+        errorElement.textContent = '';
+
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                errorElement.textContent = data.error || 'Login failed';
+                return;
+            }
+
+            document.getElementById('loginOverlay').style.display = 'none';
+            document.getElementById('loginPassword').value = '';
+            this.setUser(data.user);
+            this.connectWebSocket();
+        } catch (error) {
+            console.error('Login failed:', error);
+            errorElement.textContent = 'Login failed: ' + error.message;
+        }
+    }
+
+    async logout() {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST', credentials: 'same-origin' });
+        } catch (error) {
+            console.error('Logout failed:', error);
+        }
+
+        this.socket?.disconnect();
+        this.socket = null;
+        this.setUser(null);
+        this.showLogin();
+    }
+
+    showLogin() {
+        document.getElementById('loginOverlay').style.display = 'flex';
+        document.getElementById('loginUsername').focus();
+    }
+
+    setUser(user) {
+        this.user = user;
+
+        const userInfo = document.getElementById('userInfo');
+        if (!user) {
+            userInfo.style.display = 'none';
+            return;
+        }
+
+        document.getElementById('userName').textContent = user.username;
+        document.getElementById('userRole').textContent = user.role;
+        userInfo.style.display = 'flex';
+        document.querySelectorAll('.admin-only').forEach(element => {
+            element.style.display = this.hasRole('admin') ? '' : 'none';
+        });
+        document.querySelectorAll('.operator-only').forEach(element => {
+            element.style.display = this.hasRole('operator') ? '' : 'none';
+        });
+        this.updateNodesTable();
+        this.loadEnrollments();
+        this.loadChannels();
+        this.loadGateways();
+        this.loadDiagnostics();
+        this.loadClients();
+    }
+
+    hasRole(role) {
+        const levels = { viewer: 1, operator: 2, admin: 3 };
+        return !!this.user && (levels[this.user.role] || 0) >= levels[role];
     }
 
     // WebSocket Connection
@@ -24,6 +128,10 @@ class BatmanCoordinator {
         const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
         const host = window.location.host;
         
+        if (this.socket) {
+            this.socket.disconnect();
+        }
+        
         try {
             this.socket = io();
             
@@ -34,6 +142,23 @@ class BatmanCoordinator {
                 this.requestInitialData();
             });
 
+            this.socket.on('connect_error', (error) => {
+                if (error.message === 'Authentication required') {
+                    this.socket.disconnect();
+                    this.showLogin();
+                }
+            });
+
+            this.socket.on('node-action-result', (data) => {
+                if (!data.success) {
+                    this.showNotification(`Action ${data.action} on ${data.nodeId} failed: ${data.error}`, 'error');
+                }
+            });
+
+            this.socket.on('command-update', (command) => {
+                this.handleCommandUpdate(command);
+            });
+
             this.socket.on('disconnect', () => {
                 console.log('Disconnected from coordinator');
                 this.isConnected = false;
@@ -48,6 +173,31 @@ class BatmanCoordinator {
                 this.updateNodes(data);
             });
 
+            this.socket.on('enrollment-update', (data) => {
+                this.updateEnrollments(data);
+            });
+
+            this.socket.on('channel-update', (data) => {
+                this.updateChannels(data);
+            });
+
+            this.socket.on('gateways-update', (data) => {
+                this.updateGateways(data);
+            });
+
+            this.socket.on('diagnostics-update', (data) => {
+                this.handleDiagnosticUpdate(data);
+            });
+
+            this.socket.on('clients-update', (data) => {
+                this.updateClients(data);
+            });
+
+            this.socket.on('client-roam', (data) => {
+                const name = (move) => move.nodeId || move.originator;
+                this.addEvent('info', `Client ${data.mac} roamed from ${name(data.from)} to ${name(data.to)}`);
+            });
+
             this.socket.on('stats-update', (data) => {
                 this.updateStats(data);
             });
@@ -56,6 +206,10 @@ class BatmanCoordinator {
                 this.updateTopology(data);
             });
 
+            this.socket.on('topology-delta', (delta) => {
+                this.applyTopologyDelta(delta);
+            });
+
             this.socket.on('gateway-status', (data) => {
                 this.updateGatewayStatus(data);
             });
@@ -106,6 +260,68 @@ class BatmanCoordinator {
 
         document.getElementById('refreshNodes')?.addEventListener('click', () => {
             this.socket?.emit('request-nodes');
+            this.loadEnrollments();
+        });
+
+        // Inventory filters for the nodes table and bulk commands
+        ['Group', 'Site', 'Tag', 'Text'].forEach(field => {
+            document.getElementById(`nodeFilter${field}`)?.addEventListener('input', (e) => {
+                this.nodeFilter[field === 'Text' ? 'q' : field.toLowerCase()] = e.target.value;
+                this.updateNodesTable();
+            });
+        });
+
+        document.getElementById('bulkCommandForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendBulkCommand(document.getElementById('bulkCommandType').value);
+        });
+
+        document.getElementById('nodeEditForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveNodeMetadata();
+        });
+
+        document.getElementById('nodeEditCancel')?.addEventListener('click', () => {
+            this.editNode(null);
+        });
+
+        document.getElementById('topologyFilter')?.addEventListener('change', (e) => {
+            this.topologyFilter = e.target.value;
+            this.renderTopology();
+        });
+
+        document.getElementById('refreshClients')?.addEventListener('click', () => {
+            this.loadClients();
+        });
+
+        document.getElementById('createJoinToken')?.addEventListener('click', () => {
+            this.createJoinToken();
+        });
+
+        document.getElementById('surveyChannels')?.addEventListener('click', () => {
+            this.surveyChannels();
+        });
+
+        document.getElementById('diagnosticForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.runDiagnostic(
+                document.getElementById('diagnosticSource').value,
+                document.getElementById('diagnosticType').value,
+                document.getElementById('diagnosticTarget').value
+            );
+        });
+
+        // Login / logout
+        document.getElementById('loginForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login(
+                document.getElementById('loginUsername').value,
+                document.getElementById('loginPassword').value
+            );
+        });
+
+        document.getElementById('logoutButton')?.addEventListener('click', () => {
+            this.logout();
         });
 
         // Auto refresh
@@ -244,6 +460,21 @@ class BatmanCoordinator {
         if (interfaceNameElement) {
             interfaceNameElement.textContent = batmanData.interface || 'bat0';
         }
+
+        // Update hard interface health (radios and wired backhaul enslaved to bat0)
+        const hardInterfacesElement = document.getElementById('hardInterfaces');
+        if (hardInterfacesElement) {
+            const hardInterfaces = batmanData.hardInterfaces || [];
+            hardInterfacesElement.textContent = hardInterfaces.length > 0
+                ? hardInterfaces.map(h => `${h.name} (${h.health}, ${h.neighborCount} neighbors)`).join(', ')
+                : 'None';
+        }
+
+        // Update routing algorithm (BATMAN_IV: TQ metric, BATMAN_V: throughput metric)
+        const routingAlgorithmElement = document.getElementById('routingAlgorithm');
+        if (routingAlgorithmElement) {
+            routingAlgorithmElement.textContent = batmanData.algorithm || 'Unknown';
+        }
     }
 
     updateNetworkStatus(elementId, isOnline) {
@@ -272,7 +503,61 @@ class BatmanCoordinator {
         });
 
         this.updateNodesDisplay();
+        this.updateNodeFilters();
         this.updateNodesTable();
+        this.updateDiagnosticTargets();
+    }
+
+    // Group, site and tag choices from the inventory, for the nodes table and the topology
+    updateNodeFilters() {
+        const nodes = Array.from(this.nodes.values());
+        const values = (pick) => Array.from(new Set(nodes.flatMap(pick).filter(Boolean))).sort();
+        const choices = {
+            group: values(node => [node.group]),
+            site: values(node => [node.site]),
+            tag: values(node => node.tags || [])
+        };
+
+        const fill = (id, label, list) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const selected = select.value;
+            select.innerHTML = `<option value="">${label}</option>` +
+                list.map(value => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(value)}</option>`).join('');
+            select.value = list.includes(selected) ? selected : '';
+        };
+        fill('nodeFilterGroup', 'All groups', choices.group);
+        fill('nodeFilterSite', 'All sites', choices.site);
+        fill('nodeFilterTag', 'All tags', choices.tag);
+        this.nodeFilter.group = document.getElementById('nodeFilterGroup')?.value || '';
+        this.nodeFilter.site = document.getElementById('nodeFilterSite')?.value || '';
+        this.nodeFilter.tag = document.getElementById('nodeFilterTag')?.value || '';
+
+        // Topology filters use the NODE_ALERT_FILTER notation, e.g. "group:backbone"
+        const topology = Object.entries(choices).flatMap(([field, list]) => list.map(value => `${field}:${value}`));
+        const select = document.getElementById('topologyFilter');
+        if (select) {
+            select.innerHTML = '<option value="">All nodes</option>' +
+                topology.map(value => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(value)}</option>`).join('');
+            this.topologyFilter = topology.includes(this.topologyFilter) ? this.topologyFilter : '';
+            select.value = this.topologyFilter;
+        }
+    }
+
+    // Same rules as NodeInventory.matches on the coordinator
+    nodeMatches(node, filter) {
+        const same = (value, wanted) => String(value || '').toLowerCase() === String(wanted).toLowerCase();
+        if (filter.tag && !(node.tags || []).includes(filter.tag.toLowerCase())) return false;
+        if (filter.group && !same(node.group, filter.group)) return false;
+        if (filter.site && !same(node.site, filter.site)) return false;
+
+        const q = (filter.q || '').trim().toLowerCase();
+        if (q) {
+            const text = [node.id, node.name, node.hostname, node.address, node.location, node.notes,
+                ...(node.aliases || []).map(alias => alias.value)];
+            if (!text.some(value => String(value || '').toLowerCase().includes(q))) return false;
+        }
+        return true;
     }
 
     updateNodesDisplay() {
@@ -292,11 +577,17 @@ class BatmanCoordinator {
         if (!tbody) return;
 
         if (this.nodes.size === 0) {
-            tbody.innerHTML = '<tr><td colspan="7" class="no-data">No nodes detected</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="8" class="no-data">No nodes detected</td></tr>';
+            return;
+        }
+
+        const nodes = Array.from(this.nodes.values()).filter(node => this.nodeMatches(node, this.nodeFilter));
+        if (nodes.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" class="no-data">No nodes match the filter</td></tr>';
             return;
         }
 
-        const rows = Array.from(this.nodes.values()).map(node => {
+        const rows = nodes.map(node => {
             const lastSeen = node.lastSeen ? 
                 new Date(node.lastSeen).toLocaleString() : 'Never';
             
@@ -306,10 +597,47 @@ class BatmanCoordinator {
             const memory = node.stats?.memory?.usage ? 
                 `${Math.round(node.stats.memory.usage)}%` : '--';
 
+            // Viewers can watch the mesh but not act on nodes
+            const actions = this.hasRole('operator') ? `
+                        <div class="node-actions">
+                            <button class="btn btn-sm" onclick="coordinator.editNode('${node.id}')">
+                                Edit
+                            </button>
+                            <button class="btn btn-sm" onclick="coordinator.pingNode('${node.id}')">
+                                Ping
+                            </button>
+                            <button class="btn btn-sm" onclick="coordinator.sendNodeCommand('${node.id}', 'run_diagnostics')">
+                                Diagnose
+                            </button>
+                            <button class="btn btn-sm btn-warning" onclick="coordinator.sendNodeCommand('${node.id}', 'restart')">
+                                Restart
+                            </button>
+                            <button class="btn btn-sm btn-danger" onclick="coordinator.disconnectNode('${node.id}')">
+                                Disconnect
+                            </button>
+                        </div>` : '--';
+
+            // Every identifier the node was seen under, its own ID aside
+            const aliases = (node.aliases || []).filter(alias => alias.value !== node.id);
+            const aliasList = aliases.length ? `
+                        <div class="node-aliases" title="${this.escapeHtml(aliases.map(a => `${a.type} ${a.value} (${a.source || 'unknown'})`).join('\n'))}">
+                            ${aliases.map(a => `<span class="node-alias">${this.escapeHtml(a.value)}</span>`).join('')}
+                        </div>` : '';
+
+            const id = this.escapeHtml(node.id);
+            const name = node.name ? `<strong>${this.escapeHtml(node.name)}</strong><div class="node-id">${id}</div>` : id;
+            const tags = (node.tags || []).length ? `
+                        <div class="node-aliases">
+                            ${node.tags.map(tag => `<span class="node-tag">${this.escapeHtml(tag)}</span>`).join('')}
+                        </div>` : '';
+            const inventory = [node.group, node.site].filter(Boolean).map(value => this.escapeHtml(value)).join(' / ') || '--';
+            const details = [node.location, node.owner && `Owner: ${node.owner}`, node.notes].filter(Boolean).join('\n');
+
             return `
                 <tr>
-                    <td>${node.id}</td>
-                    <td>${node.address}</td>
+                    <td title="${this.escapeHtml(details)}">${name}${tags}${aliasList}</td>
+                    <td>${inventory}</td>
+                    <td>${this.escapeHtml(node.address || '--')}</td>
                     <td>
                         <div class="node-status">
                             <span class="status-dot ${node.status}"></span>
@@ -319,16 +647,144 @@ class BatmanCoordinator {
                     <td>${lastSeen}</td>
                     <td>${cpu}</td>
                     <td>${memory}</td>
+                    <td>${actions}</td>
+                </tr>
+            `;
+        });
+
+        tbody.innerHTML = rows.join('');
+    }
+
+    // Inventory metadata of one node; null closes the form
+    editNode(nodeId) {
+        const form = document.getElementById('nodeEditForm');
+        const node = nodeId ? this.nodes.get(nodeId) : null;
+        this.editingNode = node ? node.id : null;
+        if (!form) return;
+
+        form.style.display = node ? '' : 'none';
+        if (!node) return;
+
+        document.getElementById('nodeEditName').value = node.name || '';
+        document.getElementById('nodeEditTags').value = (node.tags || []).join(', ');
+        document.getElementById('nodeEditGroup').value = node.group || '';
+        document.getElementById('nodeEditSite').value = node.site || '';
+        document.getElementById('nodeEditOwner').value = node.owner || '';
+        document.getElementById('nodeEditLocation').value = node.location || '';
+        document.getElementById('nodeEditPosition').value = node.position ? `${node.position.latitude},${node.position.longitude}` : '';
+        document.getElementById('nodeEditNotes').value = node.notes || '';
+        document.getElementById('nodeEditName').focus();
+    }
+
+    async saveNodeMetadata() {
+        if (!this.editingNode) return;
+
+        const value = (id) => document.getElementById(id).value;
+        try {
+            const data = await this.apiRequest('PATCH', `/api/nodes/${encodeURIComponent(this.editingNode)}`, {
+                name: value('nodeEditName'),
+                tags: value('nodeEditTags'),
+                group: value('nodeEditGroup'),
+                site: value('nodeEditSite'),
+                owner: value('nodeEditOwner'),
+                location: value('nodeEditLocation'),
+                position: value('nodeEditPosition'),
+                notes: value('nodeEditNotes')
+            });
+            this.nodes.set(data.node.id, data.node);
+            this.editNode(null);
+            this.updateNodeFilters();
+            this.updateNodesTable();
+            this.showNotification(`Saved node ${this.escapeHtml(data.node.name || data.node.id)}`, 'success');
+        } catch (error) {
+            this.showNotification(`Failed to save node: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    // Queue a command on every node the table currently lists
+    async sendBulkCommand(type) {
+        const criteria = Object.fromEntries(Object.entries(this.nodeFilter).filter(([, value]) => value));
+        const filter = Object.keys(criteria).length ? criteria : 'all';
+        const count = Array.from(this.nodes.values())
+            .filter(node => node.id !== 'coordinator' && this.nodeMatches(node, this.nodeFilter)).length;
+        if (count === 0) {
+            this.showNotification('No nodes match the filter', 'warning');
+            return;
+        }
+        if (!confirm(`Send ${type} to ${count} node(s)?`)) return;
+
+        try {
+            const data = await this.apiRequest('POST', '/api/nodes/bulk/commands', { filter, type });
+            const skipped = data.skipped.length ? `, ${data.skipped.length} skipped` : '';
+            this.showNotification(`Queued ${type} for ${data.commands.length} node(s)${skipped}`, 'info');
+        } catch (error) {
+            this.showNotification(`Bulk command failed: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    // Node Enrollment
+    async loadEnrollments() {
+        try {
+            const response = await fetch('/api/enrollment', { credentials: 'same-origin' });
+            if (response.ok) {
+                this.updateEnrollments(await response.json());
+            }
+        } catch (error) {
+            console.error('Failed to load enrollments:', error);
+        }
+    }
+
+    updateEnrollments(enrollments) {
+        if (!Array.isArray(enrollments)) return;
+
+        this.enrollments = enrollments;
+        this.updateEnrollmentTable();
+    }
+
+    updateEnrollmentTable() {
+        const tbody = document.getElementById('enrollmentTableBody');
+        if (!tbody) return;
+
+        if (this.enrollments.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="no-data">No enrollment requests</td></tr>';
+            return;
+        }
+
+        // Pending requests first
+        const sorted = [...this.enrollments].sort((a, b) =>
+            (a.status === 'pending' ? 0 : 1) - (b.status === 'pending' ? 0 : 1));
+
+        const rows = sorted.map(enrollment => {
+            const dot = { approved: 'online', pending: 'warning', rejected: 'offline' }[enrollment.status];
+            const requested = enrollment.requestedAt ?
+                new Date(enrollment.requestedAt).toLocaleString() : '--';
+
+            let actions = '--';
+            if (this.hasRole('admin')) {
+                const approve = enrollment.status !== 'approved' ? `
+                            <button class="btn btn-sm" onclick="coordinator.decideEnrollment('${enrollment.nodeId}', 'approve')">
+                                Approve
+                            </button>` : '';
+                const reject = enrollment.status !== 'rejected' ? `
+                            <button class="btn btn-sm btn-danger" onclick="coordinator.decideEnrollment('${enrollment.nodeId}', 'reject')">
+                                ${enrollment.status === 'approved' ? 'Revoke' : 'Reject'}
+                            </button>` : '';
+                actions = `<div class="node-actions">${approve}${reject}</div>`;
+            }
+
+            return `
+                <tr>
+                    <td>${enrollment.nodeId}</td>
+                    <td>${this.escapeHtml(enrollment.hostname || '--')}</td>
+                    <td>${enrollment.remoteAddress || '--'}</td>
                     <td>
-                        <div class="node-actions">
-                            <button class="btn btn-sm" onclick="coordinator.pingNode('${node.id}')">
-                                Ping
-                            </button>
-                            <button class="btn btn-sm btn-danger" onclick="coordinator.disconnectNode('${node.id}')">
-                                Disconnect
-                            </button>
+                        <div class="node-status">
+                            <span class="status-dot ${dot}"></span>
+                            <span>${enrollment.status}</span>
                         </div>
                     </td>
+                    <td>${requested}</td>
+                    <td>${actions}</td>
                 </tr>
             `;
         });
@@ -336,6 +792,410 @@ class BatmanCoordinator {
         tbody.innerHTML = rows.join('');
     }
 
+    async decideEnrollment(nodeId, decision) {
+        if (decision === 'reject' && !confirm(`Reject node ${nodeId}? It will no longer be able to report to the coordinator.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/enrollment/${encodeURIComponent(nodeId)}/${decision}`, {
+                method: 'POST',
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || response.statusText);
+            }
+
+            this.showNotification(`Node ${nodeId} ${data.enrollment.status}`, 'success');
+        } catch (error) {
+            this.showNotification(`Failed to ${decision} node ${nodeId}: ${error.message}`, 'error');
+        }
+    }
+
+    async createJoinToken() {
+        const name = prompt('Name for the join token (e.g. the node it is meant for):');
+        if (name === null) return;
+
+        try {
+            const response = await fetch('/api/enrollment/tokens', {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name })
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || response.statusText);
+            }
+
+            const result = document.getElementById('joinTokenResult');
+            const expires = data.token.expiresAt ? new Date(data.token.expiresAt).toLocaleString() : 'never';
+            result.innerHTML = `
+                <p>Set this on the node as <code>JOIN_TOKEN</code>. It is shown only once, can be used once and expires ${expires}.</p>
+                <code class="token-value">${data.token.token}</code>
+            `;
+            result.style.display = 'block';
+        } catch (error) {
+            this.showNotification(`Failed to create join token: ${error.message}`, 'error');
+        }
+    }
+
+    // Mesh Clients
+    async loadClients() {
+        try {
+            const response = await fetch('/api/clients', { credentials: 'same-origin' });
+            if (response.ok) {
+                this.updateClients(await response.json());
+            }
+        } catch (error) {
+            console.error('Failed to load clients:', error);
+        }
+    }
+
+    updateClients(clients) {
+        if (!Array.isArray(clients)) return;
+        this.clients = clients;
+
+        const tbody = document.getElementById('clientsTableBody');
+        if (!tbody) return;
+
+        if (clients.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="no-data">No clients seen</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = clients.map(client => {
+            // Hostnames come from DHCP leases, which any device on the mesh can set
+            const mac = this.escapeHtml(client.mac);
+            const name = client.hostname ? `${this.escapeHtml(client.hostname)}<br><small>${mac}</small>` : mac;
+            const node = client.nodeName || client.nodeId
+                ? this.escapeHtml(client.nodeName || client.nodeId)
+                : `<small>${this.escapeHtml(client.originator)}</small>`;
+            const history = (client.history || [])
+                .map(move => `${new Date(move.at).toLocaleString()}: ${move.nodeId || move.originator}`).join('\n');
+            const status = client.active ? 'online' : 'offline';
+
+            return `
+                <tr>
+                    <td>${name}</td>
+                    <td>${this.escapeHtml(client.ip || '--')}</td>
+                    <td>${node}${client.wifi ? ' <i class="fas fa-wifi" title="Wireless client"></i>' : ''}</td>
+                    <td>
+                        <div class="node-status">
+                            <span class="status-dot ${status}"></span>
+                            <span>${client.active ? 'active' : 'gone'}</span>
+                        </div>
+                    </td>
+                    <td>${new Date(client.lastSeen).toLocaleString()}</td>
+                    <td title="${this.escapeHtml(history)}">${client.roams}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // Radio Channel
+    async loadChannels() {
+        try {
+            const response = await fetch('/api/channels', { credentials: 'same-origin' });
+            if (response.ok) {
+                this.updateChannels(await response.json());
+            }
+        } catch (error) {
+            console.error('Failed to load channel status:', error);
+        }
+    }
+
+    updateChannels(status) {
+        const container = document.getElementById('channelStatus');
+        if (!container || !status) return;
+
+        const items = [];
+        const pending = status.pendingChange;
+        if (pending) {
+            const cancel = this.hasRole('admin') ? `
+                        <button class="btn btn-sm btn-danger" onclick="coordinator.cancelChannelChange()">Cancel</button>` : '';
+            items.push(`
+                <div class="gateway-item">
+                    <div class="gateway-label"><i class="fas fa-clock"></i> Channel change</div>
+                    <div class="gateway-value">
+                        ${pending.fromFrequency} → ${pending.frequency} MHz at ${new Date(pending.switchAt).toLocaleTimeString()}${cancel}
+                    </div>
+                </div>
+            `);
+        }
+
+        for (const survey of status.surveys || []) {
+            const current = survey.channels.find(c => c.frequency === survey.currentFrequency);
+            const recommendation = survey.recommendation;
+            let advice = 'current channel is the best';
+            if (recommendation) {
+                const action = this.hasRole('admin') && !pending ? `
+                        <button class="btn btn-sm" onclick="coordinator.switchChannel(${survey.currentFrequency}, ${recommendation.frequency})">Switch</button>` : '';
+                advice = `channel ${recommendation.channel} scores ${recommendation.score}${action}`;
+            }
+            const details = survey.channels.map(c =>
+                `ch ${c.channel}: ${c.score} (busy ${c.busyPercent ?? '--'}%, noise ${c.noise ?? '--'} dBm, ${c.networks} networks)`).join('\n');
+
+            items.push(`
+                <div class="gateway-item" title="${details}">
+                    <div class="gateway-label"><i class="fas fa-wifi"></i> ${survey.interface}</div>
+                    <div class="gateway-value">
+                        <span class="interface-name">ch ${survey.currentChannel} (${current ? current.score : '--'})</span>
+                        ${advice}
+                    </div>
+                </div>
+            `);
+        }
+
+        container.innerHTML = items.length > 0 ? items.join('') : '<div class="no-data">No channel survey yet</div>';
+    }
+
+    async apiRequest(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || response.statusText);
+        }
+        return data;
+    }
+
+    async surveyChannels() {
+        try {
+            await this.apiRequest('POST', '/api/channels/survey');
+            this.showNotification('Channel survey complete', 'success');
+        } catch (error) {
+            this.showNotification(`Channel survey failed: ${error.message}`, 'error');
+        }
+    }
+
+    async switchChannel(fromFrequency, frequency) {
+        if (!confirm(`Move the whole mesh from ${fromFrequency} to ${frequency} MHz? Nodes that are offline now will be left behind.`)) {
+            return;
+        }
+
+        try {
+            const data = await this.apiRequest('POST', '/api/channels/switch', { fromFrequency, frequency });
+            this.showNotification(`Channel change scheduled for ${new Date(data.change.switchAt).toLocaleTimeString()}`, 'success');
+        } catch (error) {
+            this.showNotification(`Failed to schedule channel change: ${error.message}`, 'error');
+        }
+    }
+
+    async cancelChannelChange() {
+        try {
+            const data = await this.apiRequest('DELETE', '/api/channels/switch');
+            const notified = data.delivered > 0 ? ` (${data.delivered} node(s) had already been notified)` : '';
+            this.showNotification(`Channel change cancelled${notified}`, 'success');
+        } catch (error) {
+            this.showNotification(`Failed to cancel channel change: ${error.message}`, 'error');
+        }
+    }
+
+    // Gateways
+    async loadGateways() {
+        try {
+            const response = await fetch('/api/gateways', { credentials: 'same-origin' });
+            if (response.ok) {
+                this.updateGateways(await response.json());
+            }
+        } catch (error) {
+            console.error('Failed to load gateways:', error);
+        }
+    }
+
+    updateGateways(overview) {
+        const container = document.getElementById('gatewayList');
+        if (!container || !overview) return;
+
+        const admin = this.hasRole('admin');
+        const names = new Map(overview.gateways.map(g => [g.address, g.name]));
+        const items = overview.gateways.map(gateway => {
+            const metric = gateway.metric === 'throughput' ? `${gateway.throughputMbps} Mbit/s path`
+                : gateway.metric === 'tq' ? `TQ ${gateway.tq}/255` : 'local';
+            const demote = admin && gateway.nodeId ? `
+                        <button class="btn btn-sm btn-warning" onclick="coordinator.setGatewayMode('${gateway.nodeId}', 'client')">Demote</button>` : '';
+            const pool = gateway.dhcpPool ? `, DHCP ${gateway.dhcpPool.mode} ${gateway.dhcpPool.range}` : '';
+            return `
+                <div class="gateway-item" title="${gateway.address}, ${metric}${pool}">
+                    <div class="gateway-label"><i class="fas fa-globe"></i> ${gateway.name}</div>
+                    <div class="gateway-value">
+                        <span class="interface-name">${gateway.bandwidthDownMbps ?? '--'}/${gateway.bandwidthUpMbps ?? '--'} Mbit</span>
+                        <span class="count-badge" title="Nodes using this gateway">${gateway.clients.length}</span>${demote}
+                    </div>
+                </div>
+            `;
+        });
+
+        // Which gateway every client picked
+        for (const node of overview.nodes.filter(n => n.mode !== 'server')) {
+            const promote = admin && node.status !== 'offline' ? `
+                        <button class="btn btn-sm" onclick="coordinator.promoteGateway('${node.nodeId}')">Promote</button>` : '';
+            const selected = node.selected ? `→ ${names.get(node.selected) || node.selected}` : (node.mode === 'client' ? 'no gateway' : node.mode);
+            items.push(`
+                <div class="gateway-item">
+                    <div class="gateway-label"><i class="fas fa-server"></i> ${node.name}</div>
+                    <div class="gateway-value">${selected}${promote}</div>
+                </div>
+            `);
+        }
+
+        container.innerHTML = items.length > 0 ? items.join('') : '<div class="no-data">No gateways announced</div>';
+    }
+
+    promoteGateway(nodeId) {
+        const bandwidth = prompt('Advertised uplink bandwidth (download/upload, e.g. 50mbit/10mbit). Leave empty to use the node\'s configured value:');
+        if (bandwidth === null) return;
+
+        this.setGatewayMode(nodeId, 'server', bandwidth.trim() || undefined);
+    }
+
+    async setGatewayMode(nodeId, mode, bandwidth) {
+        try {
+            await this.apiRequest('PUT', `/api/gateways/${encodeURIComponent(nodeId)}`, { mode, bandwidth });
+            this.showNotification(nodeId === 'coordinator' ? `Gateway mode set to ${mode}` : `Gateway mode ${mode} sent to ${nodeId}`, 'success');
+            this.loadGateways();
+        } catch (error) {
+            this.showNotification(`Failed to change gateway mode: ${error.message}`, 'error');
+        }
+    }
+
+    // Mesh Diagnostics
+    async loadDiagnostics() {
+        try {
+            const response = await fetch('/api/diagnostics', { credentials: 'same-origin' });
+            if (response.ok) {
+                this.diagnostics = await response.json();
+                this.updateDiagnostics();
+            }
+        } catch (error) {
+            console.error('Failed to load diagnostics:', error);
+        }
+    }
+
+    handleDiagnosticUpdate(entry) {
+        if (!entry) return;
+
+        const index = this.diagnostics.findIndex(d => d.id === entry.id);
+        if (index >= 0) {
+            this.diagnostics[index] = entry;
+        } else {
+            this.diagnostics.unshift(entry);
+        }
+
+        if (['succeeded', 'failed'].includes(entry.status)) {
+            const detail = entry.error ? `: ${entry.error}` : '';
+            this.addEvent(entry.status === 'succeeded' ? 'info' : 'warning', `Diagnostic ${entry.type} to ${entry.target} from ${entry.nodeId} ${entry.status}${detail}`);
+            // Show the path of the run that was just started from here
+            if (entry.id === this.pendingDiagnostic && entry.result?.path) {
+                this.showDiagnosticPath(entry.id);
+            }
+        }
+        this.updateDiagnostics();
+    }
+
+    updateDiagnostics() {
+        const container = document.getElementById('diagnosticsList');
+        if (!container) return;
+
+        const items = this.diagnostics.map(entry => {
+            const selected = this.diagnosticPath && this.diagnosticPath.id === entry.id ? ' selected' : '';
+            const clickable = entry.result?.path ? ` clickable" onclick="coordinator.showDiagnosticPath('${entry.id}')` : '';
+            return `
+                <div class="gateway-item${selected}${clickable}" title="${this.formatDiagnosticDetails(entry)}">
+                    <div class="gateway-label"><i class="fas fa-stethoscope"></i> ${entry.type} ${entry.nodeId} → ${entry.target}</div>
+                    <div class="gateway-value">${this.formatDiagnosticSummary(entry)}</div>
+                </div>
+            `;
+        });
+
+        container.innerHTML = items.length > 0 ? items.join('') : '<div class="no-data">No diagnostics run yet</div>';
+    }
+
+    formatDiagnosticSummary(entry) {
+        if (entry.status === 'failed' || entry.status === 'expired' || entry.status === 'cancelled') {
+            return `<span class="status-badge off">${entry.status}</span> ${entry.error || ''}`;
+        }
+        if (entry.status !== 'succeeded') {
+            return `<span class="status-badge unknown">${entry.status}</span>`;
+        }
+
+        const result = entry.result;
+        const hops = result.path ? `, ${result.path.length - 1} hop(s)` : '';
+        if (result.ping) {
+            return `${result.ping.lossPercent}% loss, avg ${result.ping.avgMs ?? '--'} ms${hops}`;
+        }
+        if (result.throughput) {
+            return `${result.throughput.throughputMbps} Mbit/s${hops}`;
+        }
+        return `${result.hops.length} hop(s), ${result.hops[result.hops.length - 1]?.avgMs ?? '--'} ms`;
+    }
+
+    // Per-hop latency for the tooltip
+    formatDiagnosticDetails(entry) {
+        const hops = entry.result?.hops;
+        if (!hops) {
+            return `Requested by ${entry.requestedBy || 'unknown'} at ${new Date(entry.requestedAt).toLocaleTimeString()}`;
+        }
+        return hops.map(hop => `${hop.hop}: ${hop.address || '*'} ${hop.avgMs ?? '--'} ms`).join('\n');
+    }
+
+    // Sources are the coordinator and registered nodes, targets every originator in the topology
+    updateDiagnosticTargets() {
+        const source = document.getElementById('diagnosticSource');
+        const target = document.getElementById('diagnosticTarget');
+        if (!source || !target) return;
+
+        const selectedSource = source.value;
+        const selectedTarget = target.value;
+        const nodes = Array.from(this.nodes.values()).filter(n => n.id !== 'coordinator');
+        source.innerHTML = '<option value="coordinator">Coordinator</option>' +
+            nodes.map(node => `<option value="${node.id}">${this.escapeHtml(node.name || node.id)}</option>`).join('');
+
+        const originators = (this.topology?.nodes || [])
+            .map(node => ({ mac: node.originator || (/^([0-9a-f]{2}:){5}[0-9a-f]{2}$/.test(node.id) ? node.id : null), name: node.name }))
+            .filter(node => node.mac);
+        target.innerHTML = originators.map(node =>
+            `<option value="${node.mac}">${node.name && node.name !== node.mac ? `${this.escapeHtml(node.name)} (${node.mac})` : node.mac}</option>`).join('');
+
+        source.value = selectedSource || 'coordinator';
+        if (originators.some(node => node.mac === selectedTarget)) {
+            target.value = selectedTarget;
+        }
+    }
+
+    async runDiagnostic(nodeId, type, target) {
+        if (!target) {
+            this.showNotification('Pick a target originator first', 'warning');
+            return;
+        }
+
+        try {
+            const data = await this.apiRequest('POST', '/api/diagnostics', { nodeId, type, target });
+            this.pendingDiagnostic = data.diagnostic.id;
+            this.showNotification(`Diagnostic ${type} to ${target} started`, 'info');
+        } catch (error) {
+            this.showNotification(`Failed to start diagnostic: ${error.message}`, 'error');
+        }
+    }
+
+    showDiagnosticPath(id) {
+        const entry = this.diagnostics.find(d => d.id === id);
+        const selected = this.diagnosticPath && this.diagnosticPath.id === id;
+        this.diagnosticPath = !selected && entry?.result?.path ? { id, path: entry.result.path } : null;
+
+        this.updateDiagnostics();
+        this.renderTopology();
+    }
+
     // Stats Management
     updateStats(stats) {
         if (!stats) return;
@@ -484,8 +1344,60 @@ class BatmanCoordinator {
     updateTopology(data) {
         if (!data) return;
 
+        // Nodes keep their place in the graph across refreshes
+        const previous = new Map((this.topology?.nodes || []).map(node => [node.id, node]));
+        data.nodes.forEach(node => {
+            const old = previous.get(node.id);
+            if (old) Object.assign(node, { x: old.x, y: old.y });
+        });
+
         this.topology = data;
         this.renderTopology();
+        this.updateDiagnosticTargets();
+    }
+
+    // Patch the graph with what changed; a missed version means a full reload
+    applyTopologyDelta(delta) {
+        if (!this.topology || this.topology.version !== delta.previousVersion) {
+            this.socket?.emit('request-topology');
+            return;
+        }
+
+        const asymmetric = new Set(this.topology.links.filter(link => link.asymmetric).map(link => link.id));
+        const patch = (list, part) => {
+            const kept = list.filter(entry => !part.remove.includes(entry.id));
+            part.upsert.forEach(entry => {
+                const existing = kept.find(e => e.id === entry.id);
+                if (existing) Object.assign(existing, entry);
+                else kept.push(entry);
+            });
+            return kept;
+        };
+        this.topology.nodes = patch(this.topology.nodes, delta.nodes);
+        this.topology.links = patch(this.topology.links, delta.links);
+        this.topology.version = delta.version;
+        this.topology.metadata = delta.metadata;
+
+        delta.links.upsert.filter(link => link.asymmetric && !asymmetric.has(link.id)).forEach(link => {
+            this.addEvent('warning', `Asymmetric link ${this.topologyName(link.source)} ↔ ${this.topologyName(link.target)}`);
+        });
+
+        this.renderTopology();
+        this.updateDiagnosticTargets();
+    }
+
+    topologyName(id) {
+        const node = this.topology?.nodes.find(n => n.id === id);
+        return node ? node.name || node.id : id;
+    }
+
+    // "TQ 230/255 via wlan1" for one direction of a link
+    formatLinkDirection(half) {
+        const via = half.interface ? ` via ${half.interface}` : half.source === 'alfred' ? ' (batadv-vis)' : '';
+        let text = `No link metric${via}`;
+        if (half.metric === 'throughput') text = `${half.throughputMbps.toFixed(1)} Mbit/s${via}`;
+        if (half.metric === 'tq') text = `TQ ${half.tq}/255${via}`;
+        return half.station ? `${text}, ${this.formatStation(half.station)}` : text;
     }
 
     renderTopology() {
@@ -506,24 +1418,68 @@ class BatmanCoordinator {
         const width = parseInt(svg.style('width'));
         const height = parseInt(svg.style('height'));
 
+        // Links are copied, the simulation swaps their ids for node objects
+        const links = this.topology.links.map(link => ({ ...link }));
+
+        // Nodes outside the selected group, site or tag are dimmed with their links
+        const [filterField, ...filterValue] = this.topologyFilter.split(':');
+        const highlighted = (d) => !this.topologyFilter || d.type === 'coordinator' ||
+            this.nodeMatches(d, { [filterField]: filterValue.join(':') });
+        const linkHighlighted = (d) => [d.source, d.target].every(end =>
+            highlighted(typeof end === 'object' ? end : this.topology.nodes.find(n => n.id === end) || {}));
+
         // Create force simulation
         const simulation = d3.forceSimulation(this.topology.nodes)
-            .force('link', d3.forceLink(this.topology.links)
+            .force('link', d3.forceLink(links)
                 .id(d => d.id)
                 .distance(100))
             .force('charge', d3.forceManyBody().strength(-300))
             .force('center', d3.forceCenter(width / 2, height / 2));
 
+        // Placed nodes only settle in the changes
+        if (this.topology.nodes.every(n => n.x !== undefined)) {
+            simulation.alpha(0.1);
+        }
+
         // Add links
         const link = svg.append('g')
             .selectAll('line')
-            .data(this.topology.links)
+            .data(links)
             .enter().append('line')
             .attr('stroke', d => {
+                if (d.weak) return '#e74c3c';
                 const quality = parseFloat(d.quality) || 0;
                 return quality > 0.8 ? '#27ae60' : '#f39c12';
             })
-            .attr('stroke-width', 2);
+            .attr('stroke-width', 2)
+            .attr('stroke-opacity', d => linkHighlighted(d) ? 1 : 0.15)
+            .attr('stroke-dasharray', d => d.weak ? '6 4' : d.asymmetric ? '12 3 2 3' : d.type === 'vis' ? '2 3' : null);
+
+        // Selected diagnostic run: consecutive hops of its path, matched by originator MAC
+        const byOriginator = (mac) => this.topology.nodes.find(n => n.id === mac || n.originator === mac);
+        const pathSegments = [];
+        const path = this.diagnosticPath ? this.diagnosticPath.path.map(byOriginator) : [];
+        for (let i = 1; i < path.length; i++) {
+            if (path[i - 1] && path[i]) {
+                pathSegments.push({ source: path[i - 1], target: path[i] });
+            }
+        }
+
+        const pathLine = svg.append('g')
+            .selectAll('line')
+            .data(pathSegments)
+            .enter().append('line')
+            .attr('stroke', '#8e44ad')
+            .attr('stroke-opacity', 0.6)
+            .attr('stroke-width', 8)
+            .attr('stroke-linecap', 'round');
+
+        link.append('title')
+            .text(d => {
+                const lines = [[d.forward, d.source, d.target], [d.reverse, d.target, d.source]].map(([half, from, to]) =>
+                    `${this.topologyName(from.id)} → ${this.topologyName(to.id)}: ${half ? this.formatLinkDirection(half) : 'not heard'}`);
+                return d.asymmetric ? [...lines, 'Asymmetric link'].join('\n') : lines.join('\n');
+            });
 
         // Add nodes
         const node = svg.append('g')
@@ -534,18 +1490,26 @@ class BatmanCoordinator {
             .attr('fill', d => d.type === 'coordinator' ? '#3498db' : '#27ae60')
             .attr('stroke', '#fff')
             .attr('stroke-width', 2)
+            .attr('opacity', d => highlighted(d) ? 1 : 0.25)
             .call(d3.drag()
                 .on('start', dragstarted)
                 .on('drag', dragged)
                 .on('end', dragended));
 
+        // Details published over alfred, when the node runs a recent enough version
+        node.append('title')
+            .text(d => [d.name || d.hostname || d.id, d.role, d.version && `v${d.version}`, d.originator,
+                [d.group, d.site].filter(Boolean).join(' / '), (d.tags || []).join(', ')]
+                .filter(Boolean).join('\n'));
+
         // Add labels
         const label = svg.append('g')
             .selectAll('text')
             .data(this.topology.nodes)
             .enter().append('text')
-            .text(d => d.id)
+            .text(d => d.name || d.id)
             .style('font-size', '12px')
+            .style('opacity', d => highlighted(d) ? 1 : 0.25)
             .style('text-anchor', 'middle')
             .attr('dy', -15);
 
@@ -557,6 +1521,12 @@ class BatmanCoordinator {
                 .attr('x2', d => d.target.x)
                 .attr('y2', d => d.target.y);
 
+            pathLine
+                .attr('x1', d => d.source.x)
+                .attr('y1', d => d.source.y)
+                .attr('x2', d => d.target.x)
+                .attr('y2', d => d.target.y);
+
             node
                 .attr('cx', d => d.x)
                 .attr('cy', d => d.y);
@@ -585,6 +1555,17 @@ class BatmanCoordinator {
         }
     }
 
+    // Radio metrics of a topology link (from iw station dump)
+    formatStation(station) {
+        const parts = [];
+        const signal = station.signalAvg ?? station.signal;
+        if (signal !== null) parts.push(`Signal ${signal} dBm`);
+        if (station.txBitrate !== null) parts.push(`TX ${station.txBitrate} Mbit/s`);
+        if (station.rxBitrate !== null) parts.push(`RX ${station.rxBitrate} Mbit/s`);
+        if (station.txRetries !== null) parts.push(`${station.txRetries} retries, ${station.txFailed ?? 0} failed`);
+        return `${parts.join(', ')} (${station.quality})`;
+    }
+
     // Node Actions
     pingNode(nodeId) {
         if (!this.isConnected) return;
@@ -610,6 +1591,30 @@ class BatmanCoordinator {
         }
     }
 
+    sendNodeCommand(nodeId, action) {
+        if (!this.isConnected) return;
+
+        if (action === 'restart' && !confirm(`Restart node ${nodeId}?`)) {
+            return;
+        }
+
+        this.socket.emit('node-action', {
+            nodeId: nodeId,
+            action: action
+        });
+
+        this.showNotification(`Queued ${action} for node ${nodeId}, it runs on the next heartbeat`, 'info');
+    }
+
+    handleCommandUpdate(command) {
+        if (!command || !['succeeded', 'failed', 'expired'].includes(command.status)) return;
+
+        const type = command.status === 'succeeded' ? 'success' : 'error';
+        const detail = command.error ? `: ${command.error}` : '';
+        this.showNotification(`Command ${command.type} on ${command.nodeId} ${command.status}${detail}`, type);
+        this.addEvent(command.status === 'succeeded' ? 'info' : 'warning', `Command ${command.type} on ${command.nodeId} ${command.status}`);
+    }
+
     // Utility Functions
     formatUptime(seconds) {
         const days = Math.floor(seconds / 86400);
@@ -645,6 +1650,13 @@ class BatmanCoordinator {
         }
     }
 
+    // Text reported by nodes, clients or operators, before it goes into innerHTML
+    escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
     showNotification(message, type = 'info') {
         // Create notification element
         const notification = document.createElement('div');
@@ -7,11 +7,31 @@ require('dotenv').config();
 
 const logger = require('./utils/logger');
 const NetworkManager = require('./services/NetworkManager');
+const WirelessManager = require('./services/WirelessManager');
+const ChannelSurvey = require('./services/ChannelSurvey');
 const ZeroTierManager = require('./services/ZeroTierManager');
 const SecurityManager = require('./services/SecurityManager');
 const StatsCollector = require('./services/StatsCollector');
 const WebSocketHandler = require('./services/WebSocketHandler');
 const DHCPManager = require('./services/DHCPManager');
+const UplinkManager = require('./services/UplinkManager');
+const MeshDiagnostics = require('./services/MeshDiagnostics');
+const ClientTracker = require('./services/ClientTracker');
+const TopologyBuilder = require('./services/TopologyBuilder');
+const NodeIdentity = require('./services/NodeIdentity');
+const NodeInventory = require('./services/NodeInventory');
+const NodeRegistry = require('./services/NodeRegistry');
+const AuthManager = require('./services/AuthManager');
+const NodeEnrollment = require('./services/NodeEnrollment');
+const CommandQueue = require('./services/CommandQueue');
+const NodeChannel = require('./services/NodeChannel');
+const { getDefaultRunner } = require('./runner');
+const sealedPayload = require('./utils/sealedPayload');
+
+// Fields a node may report about itself on registration
+const NODE_INFO_FIELDS = ['hostname', 'platform', 'arch', 'uptime', 'loadavg', 'cpu', 'memory', 'network'];
+const NODE_STATUSES = ['online', 'offline', 'warning', 'error'];
+const BULK_COMMAND_TYPES = ['restart', 'run_diagnostics', 'update_config'];
 
 class Coordinator {
     constructor() {
@@ -20,19 +40,37 @@ class Coordinator {
         this.io = socketIo(this.server);
         
         this.networkManager = new NetworkManager();
+        this.wirelessManager = new WirelessManager({ networkManager: this.networkManager });
+        this.channelSurvey = new ChannelSurvey();
+        this.channelChange = null;
         this.zeroTierManager = new ZeroTierManager();
         this.dhcpManager = new DHCPManager();
         this.securityManager = new SecurityManager({
             batmanInterface: 'bat0',
-            meshInterface: process.env.MESH_INTERFACE || 'wlan1',
+            meshInterface: this.networkManager.meshInterface,
             ethernetInterface: process.env.ETHERNET_INTERFACE || 'eth1',
             disableSystemHardening: process.env.DISABLE_SYSTEM_HARDENING === 'true',
             isCoordinator: true // Coordinator needs NAT for internet sharing
         });
         this.statsCollector = new StatsCollector();
         this.wsHandler = new WebSocketHandler(this.io);
+        this.uplinkManager = new UplinkManager({ networkManager: this.networkManager });
+        this.uplinkManager.on('alert', alert => this.wsHandler.broadcastAlert(alert));
+        // Nodes whose status changes raise alerts, e.g. "group:backbone,tag:critical" or "all"
+        this.nodeAlertFilter = process.env.NODE_ALERT_FILTER ? NodeInventory.parseFilter(process.env.NODE_ALERT_FILTER) : null;
+        this.meshDiagnostics = new MeshDiagnostics({ networkManager: this.networkManager });
+        this.meshDiagnostics.on('update', entry => this.wsHandler.broadcastDiagnostic(entry));
+        this.nodeChannel = new NodeChannel(this.io);
+        
+        this.authManager = new AuthManager();
+        this.nodeEnrollment = new NodeEnrollment();
         
-        this.nodes = new Map();
+        this.nodes = new NodeRegistry();
+        this.commandQueue = new CommandQueue();
+        this.clientTracker = new ClientTracker({ networkManager: this.networkManager, dhcpManager: this.dhcpManager, nodes: this.nodes });
+        this.clientTracker.on('roam', move => this.wsHandler.broadcastClientRoam(move));
+        this.topologyBuilder = new TopologyBuilder({ networkManager: this.networkManager, nodes: this.nodes });
+        this.topologyBuilder.on('change', delta => this.wsHandler.broadcastTopologyDelta(delta));
         this.isRunning = false;
     }
 
@@ -40,6 +78,21 @@ class Coordinator {
         try {
             logger.info('Initializing Batman Mesh Coordinator...');
             
+            // Restore the node inventory from the previous run
+            await this.nodes.load();
+            await this.commandQueue.load();
+            await this.meshDiagnostics.load();
+            await this.clientTracker.load();
+            
+            // Load users and API tokens
+            await this.authManager.initialize();
+            await this.nodeEnrollment.initialize();
+            
+            // Passphrases for encrypted mesh links, handed to nodes with heartbeats
+            if (this.networkManager.encryption !== 'none') {
+                await this.networkManager.meshKeys.load();
+            }
+            
             // Setup express middleware
             this.setupMiddleware();
             
@@ -57,9 +110,24 @@ class Coordinator {
                 networkManager: this.networkManager,
                 zeroTierManager: this.zeroTierManager,
                 statsCollector: this.statsCollector,
+                securityManager: this.securityManager,
+                authManager: this.authManager,
+                commandQueue: this.commandQueue,
+                nodeChannel: this.nodeChannel,
+                topologyBuilder: this.topologyBuilder,
                 nodes: this.nodes
             });
             
+            // Push channel for connected nodes (/nodes namespace)
+            this.nodeChannel.initialize({
+                nodeEnrollment: this.nodeEnrollment,
+                commandQueue: this.commandQueue,
+                meshDiagnostics: this.meshDiagnostics,
+                wsHandler: this.wsHandler,
+                nodes: this.nodes,
+                onCommandResults: commands => this.releaseDemotedPools(commands)
+            });
+            
             logger.info('Coordinator initialization complete');
             
         } catch (error) {
@@ -69,20 +137,54 @@ class Coordinator {
     }
 
     setupMiddleware() {
-        this.app.use(express.json());
+        // Keep the raw body around so node request signatures can be verified
+        this.app.use(express.json({
+            verify: (req, res, buf) => {
+                req.rawBody = buf;
+            }
+        }));
         this.app.use(express.static(path.join(__dirname, '..', 'public')));
         
-        // CORS for development
-        this.app.use((req, res, next) => {
-            res.header('Access-Control-Allow-Origin', '*');
-            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-            next();
-        });
+        // CORS only for explicitly allowed origins (dashboard is served same-origin)
+        const corsOrigin = process.env.CORS_ORIGIN;
+        if (corsOrigin) {
+            this.app.use((req, res, next) => {
+                res.header('Access-Control-Allow-Origin', corsOrigin);
+                res.header('Access-Control-Allow-Credentials', 'true');
+                res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+                next();
+            });
+        }
+        
+        // Resolve session cookie or API token into req.user
+        this.app.use(this.authManager.authenticate());
     }
 
     setupRoutes() {
+        const auth = this.authManager;
+        const enrollment = this.nodeEnrollment;
+        
+        this.setupAuthRoutes();
+        this.setupEnrollmentRoutes();
+        this.setupMeshKeyRoutes();
+        this.setupChannelRoutes();
+        this.setupGatewayRoutes();
+        this.setupDiagnosticsRoutes();
+        this.setupClientRoutes();
+        this.setupAlfredRoutes();
+        this.setupTopologyRoutes();
+        
+        // Unauthenticated liveness check used by nodes to discover the coordinator
+        this.app.get('/api/health', (req, res) => {
+            res.json({
+                coordinator: {
+                    isRunning: this.isRunning
+                }
+            });
+        });
+        
         // API Routes
-        this.app.get('/api/status', async (req, res) => {
+        this.app.get('/api/status', auth.requireRole('viewer'), async (req, res) => {
             try {
                 const batmanStatus = await this.networkManager.getBatmanStatus();
                 const zeroTierStatus = await this.zeroTierManager.getStatus();
@@ -92,6 +194,7 @@ class Coordinator {
                     coordinator: {
                         uptime: process.uptime(),
                         nodeCount: this.nodes.size,
+                        pushConnectedNodes: this.nodeChannel.getConnectedNodes().length,
                         isRunning: this.isRunning
                     },
                     network: this.networkManager.getStatus(),
@@ -105,16 +208,97 @@ class Coordinator {
             }
         });
 
-        this.app.get('/api/nodes', (req, res) => {
-            const nodeArray = Array.from(this.nodes.values());
-            res.json(nodeArray);
+        // Optionally filtered by ?tag=, group, site, owner, status or q (free text)
+        this.app.get('/api/nodes', auth.requireRole('viewer'), (req, res) => {
+            try {
+                res.json(this.nodes.filter(req.query));
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+        
+        // One node by its ID or any alias (MAC, mesh IP, hostname, ZeroTier address)
+        this.app.get('/api/nodes/:nodeId', auth.requireRole('viewer'), (req, res) => {
+            const nodeId = this.nodes.resolve(req.params.nodeId);
+            if (!nodeId) {
+                return res.status(404).json({ success: false, error: 'Node not found' });
+            }
+            res.json(this.nodes.get(nodeId));
         });
 
-        this.app.get('/api/stats', (req, res) => {
+        // Inventory metadata: name, tags, group, site, location, position, owner, notes
+        this.app.patch('/api/nodes/:nodeId', auth.requireRole('operator'), (req, res) => {
+            const nodeId = this.nodes.resolve(req.params.nodeId);
+            if (!nodeId) {
+                return res.status(404).json({ success: false, error: 'Node not found' });
+            }
+            try {
+                const node = this.nodes.updateMetadata(nodeId, req.body);
+                logger.info(`Node ${nodeId} metadata updated by ${req.user.username}: ${Object.keys(req.body || {}).join(', ')}`);
+                this.wsHandler.broadcastNodeUpdate(Array.from(this.nodes.values()));
+                res.json({ success: true, node });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.get('/api/stats', auth.requireRole('viewer'), (req, res) => {
             res.json(this.statsCollector.getLatestStats());
         });
 
-        this.app.post('/api/nodes/:nodeId/action', async (req, res) => {
+        // Recent host commands run by the coordinator's services (audit log tail)
+        this.app.get('/api/audit/commands', auth.requireRole('admin'), (req, res) => {
+            const runner = getDefaultRunner();
+            const limit = Math.min(parseInt(req.query.limit) || 50, runner.historySize);
+            res.json({ dryRun: runner.dryRun, commands: runner.getHistory(limit).reverse() });
+        });
+
+        // Coordinator-to-node commands, delivered on the node's next heartbeat
+        this.app.get('/api/nodes/:nodeId/commands', auth.requireRole('viewer'), (req, res) => {
+            res.json(this.commandQueue.list(req.params.nodeId));
+        });
+
+        // One command for every node matching an inventory filter
+        this.app.post('/api/nodes/bulk/commands', auth.requireRole('operator'), (req, res) => {
+            try {
+                const { filter, type, config, ttlSeconds } = req.body || {};
+                const result = this.queueBulkCommand(filter, type, {
+                    config,
+                    ttlSeconds,
+                    requestedBy: req.user.username
+                });
+                res.json({ success: true, ...result });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.post('/api/nodes/:nodeId/commands', auth.requireRole('operator'), (req, res) => {
+            try {
+                const { type, config, ttlSeconds } = req.body || {};
+                const command = this.queueNodeCommand(req.params.nodeId, type, {
+                    config,
+                    ttlSeconds,
+                    requestedBy: req.user.username
+                });
+                res.json({ success: true, command });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.delete('/api/nodes/:nodeId/commands/:commandId', auth.requireRole('operator'), (req, res) => {
+            try {
+                const command = this.commandQueue.cancel(req.params.nodeId, req.params.commandId);
+                this.wsHandler.broadcastCommandUpdate(command);
+                this.meshDiagnostics.recordCommands([command]);
+                res.json({ success: true, command });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.post('/api/nodes/:nodeId/action', auth.requireRole('operator'), async (req, res) => {
             const { nodeId } = req.params;
             const { action } = req.body;
             
@@ -127,49 +311,100 @@ class Coordinator {
             }
         });
 
-        // Node registration and heartbeat routes
-        this.app.post('/api/nodes/register', (req, res) => {
-            const nodeInfo = req.body;
-            if (nodeInfo.nodeId) {
-                this.nodes.set(nodeInfo.nodeId, {
-                    ...nodeInfo,
+        // Node registration and heartbeat routes (signed by enrolled nodes)
+        this.app.post('/api/nodes/enroll', async (req, res) => {
+            try {
+                const result = await enrollment.enroll(req.body || {}, req.ip);
+                if (!result) {
+                    return res.status(401).json({ success: false, error: 'Invalid or expired join token' });
+                }
+                
+                this.broadcastEnrollments();
+                res.json({ success: true, nodeId: result.nodeId, secret: result.secret, status: result.status });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.post('/api/nodes/register', enrollment.requireNode(), (req, res) => {
+            const nodeId = req.nodeId;
+            if (nodeId) {
+                const identifiers = NodeIdentity.fromRegistration(nodeId, req.body);
+                this.nodes.upsert(nodeId, {
+                    ...this.pickNodeInfo(req.body),
+                    id: nodeId,
+                    ...(NodeIdentity.meshAddress(identifiers) ? { address: NodeIdentity.meshAddress(identifiers) } : {}),
                     status: 'online',
-                    lastSeen: new Date()
+                    lastSeen: new Date(),
+                    registeredAt: new Date()
                 });
-                logger.info(`Node registered: ${nodeInfo.nodeId}`);
+                this.nodes.identify(identifiers, nodeId, 'registration');
+                logger.info(`Node registered: ${nodeId}`);
             }
             res.json({ success: true });
         });
 
-        this.app.post('/api/nodes/:nodeId/heartbeat', (req, res) => {
+        this.app.post('/api/nodes/:nodeId/heartbeat', enrollment.requireNode(), (req, res) => {
             const { nodeId } = req.params;
             const heartbeatData = req.body;
+            const status = this.pickNodeStatus(heartbeatData.status);
             
             if (this.nodes.has(nodeId)) {
-                const node = this.nodes.get(nodeId);
-                node.lastSeen = new Date();
-                node.status = heartbeatData.status || 'online';
-                node.stats = heartbeatData.system || {};
-                this.nodes.set(nodeId, node);
+                const previousStatus = this.nodes.get(nodeId).status;
+                this.nodes.upsert(nodeId, {
+                    lastSeen: new Date(),
+                    status,
+                    stats: heartbeatData.system || {},
+                    // Per-peer radio metrics, used to mark weak hops in the topology
+                    links: Array.isArray(heartbeatData.network?.links) ? heartbeatData.network.links : [],
+                    gateway: heartbeatData.network?.gateway || null,
+                    batmanMac: heartbeatData.network?.batman?.macAddress || null
+                });
+                this.nodes.identify(NodeIdentity.fromHeartbeat(nodeId, heartbeatData.network), nodeId, 'heartbeat');
+                this.topologyBuilder.reportHeartbeat(nodeId, heartbeatData.network);
+                this.alertNodeStatus(nodeId, previousStatus);
             }
             
-            res.json({ success: true });
+            // Progress reports for earlier commands, then hand out pending ones
+            const updated = this.commandQueue.recordResults(nodeId, heartbeatData.commandResults);
+            updated.forEach(command => this.wsHandler.broadcastCommandUpdate(command));
+            this.meshDiagnostics.recordCommands(updated);
+            this.releaseDemotedPools(updated);
+            
+            const response = { success: true };
+            if (status !== 'offline') {
+                const commands = this.commandQueue.takeForDelivery(nodeId);
+                if (commands.length > 0) {
+                    response.commands = commands;
+                }
+            }
+            
+            const meshKeys = this.sealMeshKeys(nodeId, heartbeatData.meshKeyVersion);
+            if (meshKeys) {
+                response.meshKeys = meshKeys;
+            }
+            
+            res.json(response);
         });
 
-        this.app.post('/api/nodes/:nodeId/status', (req, res) => {
+        this.app.post('/api/nodes/:nodeId/status', enrollment.requireNode(), (req, res) => {
             const { nodeId } = req.params;
             const statusData = req.body;
             
             if (this.nodes.has(nodeId)) {
-                const node = this.nodes.get(nodeId);
-                Object.assign(node, statusData);
-                this.nodes.set(nodeId, node);
+                const previousStatus = this.nodes.get(nodeId).status;
+                this.nodes.upsert(nodeId, {
+                    lastSeen: new Date(),
+                    status: this.pickNodeStatus(statusData.status),
+                    stats: statusData.system || {},
+                    network: statusData.network || {}
+                });
             }
             
             res.json({ success: true });
         });
 
-        this.app.post('/api/nodes/:nodeId/diagnostics', (req, res) => {
+        this.app.post('/api/nodes/:nodeId/diagnostics', enrollment.requireNode(), (req, res) => {
             const { nodeId } = req.params;
             const diagnostics = req.body;
             
@@ -183,155 +418,636 @@ class Coordinator {
         });
     }
 
-    async initializeNetworking() {
-        logger.info('Setting up network infrastructure...');
+    setupAuthRoutes() {
+        const auth = this.authManager;
         
-        // Check if running as root
-        if (process.getuid && process.getuid() !== 0) {
-            logger.warn('Coordinator should run as root for full network management capabilities');
+        this.app.post('/api/auth/login', (req, res) => {
+            const { username, password } = req.body || {};
+            const sessionId = auth.login(username, password);
+            
+            if (!sessionId) {
+                return res.status(401).json({ success: false, error: 'Invalid username or password' });
+            }
+            
+            res.setHeader('Set-Cookie', auth.sessionCookie(sessionId, req));
+            res.json({ success: true, user: auth.resolveSession(sessionId) });
+        });
+
+        this.app.post('/api/auth/logout', (req, res) => {
+            const sessionId = auth.getSessionId(req);
+            if (sessionId) {
+                auth.logout(sessionId);
+            }
+            
+            res.setHeader('Set-Cookie', auth.clearSessionCookie());
+            res.json({ success: true });
+        });
+
+        this.app.get('/api/auth/session', auth.requireRole('viewer'), (req, res) => {
+            res.json({ user: req.user, authEnabled: auth.enabled });
+        });
+
+        // User management (admin only)
+        this.app.get('/api/auth/users', auth.requireRole('admin'), (req, res) => {
+            res.json(auth.listUsers());
+        });
+
+        this.app.post('/api/auth/users', auth.requireRole('admin'), async (req, res) => {
+            try {
+                const { username, password, role } = req.body || {};
+                const user = await auth.createUser(username, password, role);
+                res.json({ success: true, user });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.patch('/api/auth/users/:username', auth.requireRole('admin'), async (req, res) => {
+            try {
+                const { password, role } = req.body || {};
+                const user = await auth.updateUser(req.params.username, { password, role });
+                res.json({ success: true, user });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.delete('/api/auth/users/:username', auth.requireRole('admin'), async (req, res) => {
+            try {
+                await auth.deleteUser(req.params.username);
+                res.json({ success: true });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // API token management (admin only)
+        this.app.get('/api/auth/tokens', auth.requireRole('admin'), (req, res) => {
+            res.json(auth.listTokens());
+        });
+
+        this.app.post('/api/auth/tokens', auth.requireRole('admin'), async (req, res) => {
+            try {
+                const { name, role } = req.body || {};
+                const token = await auth.createToken(name, role);
+                res.json({ success: true, token });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.delete('/api/auth/tokens/:tokenId', auth.requireRole('admin'), async (req, res) => {
+            try {
+                await auth.revokeToken(req.params.tokenId);
+                res.json({ success: true });
+            } catch (error) {
+                res.status(404).json({ success: false, error: error.message });
+            }
+        });
+    }
+
+    setupChannelRoutes() {
+        const auth = this.authManager;
+        
+        // Latest survey per radio plus the scheduled channel change, if any
+        this.app.get('/api/channels', auth.requireRole('viewer'), (req, res) => {
+            res.json(this.getChannelStatus());
+        });
+
+        this.app.post('/api/channels/survey', auth.requireRole('operator'), async (req, res) => {
+            try {
+                const surveys = await this.surveyChannels();
+                res.json({ success: true, surveys });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Move the mesh: body { frequency | channel, fromFrequency?, delaySeconds? }
+        this.app.post('/api/channels/switch', auth.requireRole('admin'), (req, res) => {
+            try {
+                const { channel, delaySeconds } = req.body || {};
+                const frequency = parseInt(req.body?.frequency) || ChannelSurvey.channelToFrequency(channel);
+                if (!frequency) {
+                    throw new Error('frequency or channel required');
+                }
+                
+                const change = this.scheduleChannelChange({
+                    fromFrequency: req.body?.fromFrequency,
+                    frequency,
+                    delaySeconds,
+                    requestedBy: req.user.username
+                });
+                res.json({ success: true, change });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.delete('/api/channels/switch', auth.requireRole('admin'), (req, res) => {
+            const result = this.cancelChannelChange(req.user.username);
+            if (!result) {
+                return res.status(404).json({ success: false, error: 'No channel change scheduled' });
+            }
+            res.json({ success: true, ...result });
+        });
+    }
+
+    getChannelStatus() {
+        return {
+            surveys: this.channelSurvey.getResults(),
+            pendingChange: this.channelChange
+        };
+    }
+
+    async surveyChannels() {
+        const surveys = [];
+        for (const hardInterface of this.networkManager.hardInterfaces.filter(h => h.type === 'wireless')) {
+            try {
+                surveys.push(await this.channelSurvey.survey(hardInterface));
+            } catch (error) {
+                logger.warn(`Channel survey on ${hardInterface.name} failed:`, error.message);
+            }
         }
         
-        // Configure wireless interface for ad-hoc mode (required for batman-adv)
-        await this.configureWirelessInterface();
+        this.wsHandler.broadcastChannelStatus(this.getChannelStatus());
+        return surveys;
+    }
+
+    // Announce the new channel and switch time to every node through the command
+    // queue, then switch the coordinator's own radio at the same moment.
+    // Nodes that are offline or never get the command stay behind on the old channel.
+    scheduleChannelChange({ fromFrequency, frequency, delaySeconds, requestedBy }) {
+        const primary = this.networkManager.hardInterfaces.find(h => h.type === 'wireless');
+        fromFrequency = parseInt(fromFrequency) || parseInt(primary?.frequency);
+        frequency = parseInt(frequency);
+        if (!ChannelSurvey.frequencyToChannel(frequency)) {
+            throw new Error(`Unsupported frequency ${frequency} MHz`);
+        }
+        if (frequency === fromFrequency) {
+            throw new Error(`The mesh is already on ${frequency} MHz`);
+        }
         
-        // Initialize batman-adv
-        await this.networkManager.initializeBatman();
+        // Long enough for every node to pick the command up with a heartbeat
+        const delay = parseInt(delaySeconds ?? process.env.CHANNEL_SWITCH_DELAY_SECONDS ?? '120');
+        if (!(delay >= 30)) {
+            throw new Error('delaySeconds must be at least 30');
+        }
+        const switchAt = new Date(Date.now() + delay * 1000);
         
-        // Setup DHCP server for mesh network
-        await this.dhcpManager.initialize();
+        // Throws when the coordinator has no radio on fromFrequency or a change is pending
+        const switched = this.wirelessManager.scheduleSwitch({ fromFrequency, frequency, switchAt });
         
-        // Setup ZeroTier
-        await this.zeroTierManager.initialize({ isCoordinator: true });
+        const config = { fromFrequency, frequency, switchAt };
+        const nodeIds = Array.from(this.nodes.values())
+            .filter(node => node.status !== 'offline' && (!this.nodeEnrollment.enabled || this.nodeEnrollment.getStatus(node.id) === 'approved'))
+            .map(node => node.id);
+        const commandIds = nodeIds.map(nodeId => this.queueNodeCommand(nodeId, 'channel_change', {
+            config,
+            ttlSeconds: delay + 300,
+            requestedBy
+        }).id);
         
-        // Configure ZeroTier routing for coordinator (standard routing - all interfaces)
-        await this.zeroTierManager.configureCoordinatorRouting();
+        this.channelChange = { ...config, requestedBy, createdAt: new Date(), commandIds };
+        logger.info(`Channel change to ${frequency} MHz at ${switchAt.toISOString()} announced to ${nodeIds.length} node(s) by ${requestedBy}`);
         
-        // Configure security rules
-        await this.securityManager.setupFirewallRules();
+        switched.then(() => {
+            logger.info(`Mesh moved to ${frequency} MHz`);
+        }).catch(error => {
+            logger.warn(`Channel change to ${frequency} MHz did not complete on the coordinator: ${error.message}`);
+        }).finally(() => {
+            this.channelChange = null;
+            this.wsHandler.broadcastChannelStatus(this.getChannelStatus());
+        });
         
-        logger.info('Network infrastructure setup complete');
+        this.wsHandler.broadcastChannelStatus(this.getChannelStatus());
+        return this.channelChange;
     }
 
-    async configureWirelessInterface() {
-        const meshInterface = process.env.MESH_INTERFACE;
-        const ssid = process.env.MESH_SSID;
-        const frequency = process.env.MESH_FREQUENCY;
+    // Nodes that already received the announcement still switch and have to be moved back by hand
+    cancelChannelChange(username) {
+        if (!this.channelChange) return null;
         
-        logger.info(`Configuring coordinator ${meshInterface} for ad-hoc mode...`);
+        let delivered = 0;
+        for (const commandId of this.channelChange.commandIds) {
+            const command = this.commandQueue.commands.get(commandId);
+            if (command?.status === 'queued') {
+                this.wsHandler.broadcastCommandUpdate(this.commandQueue.cancel(command.nodeId, commandId));
+            } else if (command) {
+                delivered++;
+            }
+        }
         
-        try {
-            // Step 1: Completely unmanage the interface
-            await this.unmanageInterface(meshInterface);
-            
-            // Step 2: Configure for ad-hoc mode
-            // Set interface down
-            await this.networkManager.executeCommand(`ip link set ${meshInterface} down`);
-            
-            // Set to ad-hoc mode
-            await this.networkManager.executeCommand(`iw ${meshInterface} set type ibss`);
-            
-            // Bring interface up
-            await this.networkManager.executeCommand(`ip link set ${meshInterface} up`);
-            
-            // Join the ad-hoc network
-            await this.networkManager.executeCommand(`iw ${meshInterface} ibss join ${ssid} ${frequency}`);
-            
-            // Wait longer for the interface to stabilize and connect
-            logger.info('Waiting for coordinator ad-hoc network to stabilize...');
-            await new Promise(resolve => setTimeout(resolve, 5000));
-            
-            // Verify we're connected to the ad-hoc network
+        this.wirelessManager.cancelSwitch();
+        logger.info(`Channel change cancelled by ${username} (${delivered} node(s) already notified)`);
+        return { delivered };
+    }
+
+    setupGatewayRoutes() {
+        const auth = this.authManager;
+        
+        // Every announced gateway, its load and which gateway each node selected
+        this.app.get('/api/gateways', auth.requireRole('viewer'), async (req, res) => {
             try {
-                const iwOutput = await this.networkManager.executeCommand(`iw ${meshInterface} info`);
-                logger.debug(`Coordinator wireless interface status: ${iwOutput}`);
-                
-                if (!iwOutput.includes('type IBSS')) {
-                    throw new Error('Coordinator interface not in IBSS (ad-hoc) mode');
-                }
+                res.json(await this.getGatewayOverview());
             } catch (error) {
-                logger.warn('Could not verify coordinator wireless interface status:', error.message);
+                res.status(500).json({ success: false, error: error.message });
             }
-            
-            logger.info(`Coordinator wireless interface ${meshInterface} configured for ad-hoc mode`);
-            
-        } catch (error) {
-            logger.error('Failed to configure coordinator wireless interface:', error);
-            throw error;
+        });
+
+        // Uplink health, the active uplink and the gateway announcement state
+        this.app.get('/api/uplinks', auth.requireRole('viewer'), (req, res) => {
+            res.json(this.uplinkManager.getStatus());
+        });
+
+        // Promote/demote: body { mode: 'server' | 'client' | 'off', bandwidth?, selClass? }
+        this.app.put('/api/gateways/:nodeId', auth.requireRole('admin'), async (req, res) => {
+            try {
+                const result = await this.setNodeGatewayMode(req.params.nodeId, req.body || {}, req.user.username);
+                res.json({ success: true, ...result });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+    }
+
+    async getGatewayOverview() {
+        const local = await this.networkManager.getGatewayStatus();
+        const nodes = Array.from(this.nodes.values());
+        
+        // The coordinator's own view, plus what each node reports about itself
+        const members = [
+            { nodeId: 'coordinator', name: 'Coordinator', status: 'online', gateway: local },
+            ...nodes.map(node => ({ nodeId: node.id, name: node.hostname || node.id, status: node.status, gateway: node.gateway }))
+        ];
+        
+        const gateways = new Map();
+        for (const entry of local.gateways) {
+            gateways.set(entry.address, entry);
         }
+        for (const member of members.filter(m => m.gateway?.mode === 'server' && m.gateway.originator)) {
+            const address = member.gateway.originator;
+            gateways.set(address, {
+                address,
+                bandwidthDownMbps: member.gateway.bandwidthDownMbps,
+                bandwidthUpMbps: member.gateway.bandwidthUpMbps,
+                ...gateways.get(address)
+            });
+        }
+        
+        const selections = members.map(member => ({
+            nodeId: member.nodeId,
+            name: member.name,
+            status: member.status,
+            mode: member.gateway?.mode || 'unknown',
+            selClass: member.gateway?.selClass ?? null,
+            selected: member.gateway?.selected?.address || null
+        }));
+        
+        const pools = this.dhcpManager.getGatewayPools();
+        return {
+            gateways: Array.from(gateways.values()).map(({ selected, ...gateway }) => {
+                const owner = members.find(m => m.gateway?.originator === gateway.address);
+                return {
+                    ...gateway,
+                    nodeId: owner?.nodeId || null,
+                    name: owner?.name || gateway.address,
+                    dhcpPool: (owner && pools[owner.nodeId]) || null,
+                    clients: selections.filter(s => s.selected === gateway.address).map(s => s.nodeId)
+                };
+            }),
+            nodes: selections
+        };
     }
 
-    async unmanageInterface(interfaceName) {
-        logger.info(`Unmanaging coordinator interface ${interfaceName} from all network managers...`);
+    // The coordinator applies the change itself, nodes get a gateway_mode command.
+    // Fields left out keep the target's current setting (e.g. its configured bandwidth).
+    async setNodeGatewayMode(nodeId, config, requestedBy) {
+        if (nodeId !== 'coordinator' && !this.nodes.has(nodeId)) {
+            throw new Error(`Node ${nodeId} not found`);
+        }
+        
+        // The coordinator's own setting, or the one a node reported with its last heartbeat
+        const current = nodeId === 'coordinator'
+            ? this.networkManager.gateway
+            : this.nodes.get(nodeId).gateway?.configured || {};
+        const changes = {};
+        for (const field of ['mode', 'bandwidth', 'selClass']) {
+            const value = config[field] !== undefined && config[field] !== null && config[field] !== '' ? config[field] : current[field];
+            if (value !== undefined && value !== null) {
+                changes[field] = value;
+            }
+        }
+        if (!changes.mode) {
+            throw new Error(`Node ${nodeId} has not reported its gateway mode yet, a mode is required`);
+        }
+        NetworkManager.validateGatewayConfig(changes);
+        
+        if (nodeId === 'coordinator') {
+            const status = await this.networkManager.setGatewayMode(changes);
+            logger.info(`Coordinator gateway mode set to ${status.mode} by ${requestedBy}`);
+            this.broadcastGateways();
+            return { status };
+        }
         
+        // Promoted nodes serve DHCP from a pool of their own, demoted ones give it back
+        const promoted = String(changes.mode).toLowerCase() === 'server';
+        changes.dhcp = promoted ? await this.dhcpManager.assignGatewayPool(nodeId) : null;
+        
+        // A demoted node keeps serving its pool until it has handled the command, see releaseDemotedPools
+        const command = this.queueNodeCommand(nodeId, 'gateway_mode', { config: changes, requestedBy });
+        logger.info(`Gateway mode ${changes.mode} queued for ${nodeId} by ${requestedBy}`);
+        return { command };
+    }
+
+    // Pools of demoted nodes go back to the coordinator's dhcpd once the node stopped serving them
+    async releaseDemotedPools(commands) {
+        const demoted = commands.filter(command => command.type === 'gateway_mode' && command.status === 'succeeded' &&
+            String(command.config?.mode).toLowerCase() !== 'server');
+        for (const command of demoted) {
+            try {
+                await this.dhcpManager.releaseGatewayPool(command.nodeId);
+            } catch (error) {
+                logger.error(`Failed to release the DHCP pool of ${command.nodeId}:`, error);
+            }
+        }
+    }
+
+    async broadcastGateways() {
         try {
-            // First, disconnect from any existing networks on this specific interface
-            await this.networkManager.executeCommand(`iw ${interfaceName} disconnect 2>/dev/null || true`);
-            await this.networkManager.executeCommand(`iw ${interfaceName} ibss leave 2>/dev/null || true`);
+            this.wsHandler.broadcastGateways(await this.getGatewayOverview());
+        } catch (error) {
+            logger.error('Error broadcasting gateways:', error);
+        }
+    }
+
+    setupDiagnosticsRoutes() {
+        const auth = this.authManager;
+        
+        // Latest diagnostic runs, newest first, optionally for one node (?nodeId=)
+        this.app.get('/api/diagnostics', auth.requireRole('viewer'), (req, res) => {
+            res.json(this.meshDiagnostics.list(req.query.nodeId || null));
+        });
+        
+        this.app.get('/api/diagnostics/:id', auth.requireRole('viewer'), (req, res) => {
+            const entry = this.meshDiagnostics.get(req.params.id);
+            if (!entry) {
+                return res.status(404).json({ success: false, error: 'Diagnostic not found' });
+            }
+            res.json(entry);
+        });
+        
+        // Start a run: body { nodeId = 'coordinator', type: 'ping' | 'traceroute' | 'tp', target, count?, durationSeconds? }
+        this.app.post('/api/diagnostics', auth.requireRole('operator'), (req, res) => {
+            try {
+                const { nodeId = 'coordinator', ...test } = req.body || {};
+                const diagnostic = this.runMeshDiagnostic(nodeId, test, req.user.username);
+                res.json({ success: true, diagnostic });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+    }
+
+    // Returns the pending entry right away, results follow as 'diagnostics-update' events
+    runMeshDiagnostic(nodeId, test, requestedBy) {
+        if (nodeId === 'coordinator') {
+            const entry = this.meshDiagnostics.create(nodeId, test, requestedBy);
+            this.meshDiagnostics.runLocal(entry);
+            return entry;
+        }
+        
+        if (!this.nodes.has(nodeId)) {
+            throw new Error(`Node ${nodeId} not found`);
+        }
+        const config = MeshDiagnostics.validateTest(test);
+        const entry = this.meshDiagnostics.create(nodeId, config, requestedBy);
+        const command = this.queueNodeCommand(nodeId, 'mesh_diagnostic', { config, requestedBy });
+        entry.commandId = command.id;
+        this.meshDiagnostics.persist();
+        logger.info(`Mesh diagnostic ${config.type} to ${config.target} queued for ${nodeId} by ${requestedBy}`);
+        return entry;
+    }
+
+    setupClientRoutes() {
+        const auth = this.authManager;
+        
+        // Devices behind mesh nodes: ?nodeId= for one node, ?active=true|false
+        this.app.get('/api/clients', auth.requireRole('viewer'), (req, res) => {
+            const active = req.query.active === undefined ? undefined : req.query.active === 'true';
+            res.json(this.clientTracker.list({ nodeId: req.query.nodeId || null, active }));
+        });
+        
+        this.app.get('/api/clients/:mac', auth.requireRole('viewer'), (req, res) => {
+            const client = this.clientTracker.get(req.params.mac);
+            if (!client) {
+                return res.status(404).json({ success: false, error: 'Client not found' });
+            }
+            res.json(client);
+        });
+    }
+
+    setupTopologyRoutes() {
+        const auth = this.authManager;
+        
+        // Whole-mesh graph; ?refresh=true rebuilds it instead of returning the last one
+        this.app.get('/api/topology', auth.requireRole('viewer'), async (req, res) => {
+            try {
+                res.json(req.query.refresh === 'true'
+                    ? await this.topologyBuilder.update()
+                    : await this.topologyBuilder.getGraph());
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+        
+        // One link with its quality history in both directions
+        this.app.get('/api/topology/links/:linkId', auth.requireRole('viewer'), (req, res) => {
+            const link = this.topologyBuilder.getLink(req.params.linkId);
+            if (!link) {
+                return res.status(404).json({ success: false, error: 'Link not found' });
+            }
+            res.json(link);
+        });
+    }
+
+    setupAlfredRoutes() {
+        const auth = this.authManager;
+        
+        // Daemon status plus the whole-mesh view from batadv-vis and the records nodes publish over alfred
+        this.app.get('/api/mesh/alfred', auth.requireRole('viewer'), async (req, res) => {
+            const status = this.networkManager.alfred.getStatus();
+            try {
+                res.json({ status, ...(await this.networkManager.getMeshView()) });
+            } catch (error) {
+                res.status(503).json({ success: false, error: error.message, status });
+            }
+        });
+    }
+
+    setupMeshKeyRoutes() {
+        const auth = this.authManager;
+        const meshKeys = this.networkManager.meshKeys;
+        
+        // Key metadata; ?reveal=true adds the active passphrase for manual node setup
+        this.app.get('/api/mesh/keys', auth.requireRole('admin'), (req, res) => {
+            if (this.networkManager.encryption === 'none') {
+                return res.json({ encryption: 'none', version: null, keys: [] });
+            }
             
-            // Remove any existing IP addresses from this interface only
-            await this.networkManager.executeCommand(`ip addr flush dev ${interfaceName} 2>/dev/null || true`);
+            const result = { encryption: this.networkManager.encryption, ...meshKeys.describe() };
+            if (req.query.reveal === 'true') {
+                const active = meshKeys.active();
+                result.passphrase = active ? active.passphrase : null;
+                logger.security(`Mesh passphrase revealed to ${req.user.username}`);
+            }
+            res.json(result);
+        });
+
+        this.app.post('/api/mesh/keys/rotate', auth.requireRole('admin'), async (req, res) => {
+            if (this.networkManager.encryption === 'none') {
+                return res.status(400).json({ success: false, error: 'Mesh encryption is disabled' });
+            }
             
-            // Stop interface-specific wpa_supplicant services (don't kill global ones)
             try {
-                await this.networkManager.executeCommand(`systemctl disable wpa_supplicant@${interfaceName} 2>/dev/null || true`);
-                await this.networkManager.executeCommand(`systemctl stop wpa_supplicant@${interfaceName} 2>/dev/null || true`);
+                const key = await meshKeys.rotate({
+                    passphrase: req.body?.passphrase,
+                    createdBy: req.user.username
+                });
+                logger.security(`Mesh key rotation to ${key.id} started by ${req.user.username}`);
+                res.json({ success: true, key, version: meshKeys.version });
             } catch (error) {
-                // Service doesn't exist
+                res.status(400).json({ success: false, error: error.message });
             }
-            
-            // Check if wpa_supplicant is running with this interface and kill only that instance
+        });
+    }
+
+    // Nodes report the key ring version they hold and get the current ring when it is outdated
+    sealMeshKeys(nodeId, nodeVersion) {
+        const meshKeys = this.networkManager.meshKeys;
+        if (this.networkManager.encryption === 'none' || !meshKeys.loaded || nodeVersion === meshKeys.version) {
+            return null;
+        }
+        
+        const secret = this.nodeEnrollment.getSecret(nodeId);
+        if (!secret) {
+            return null;
+        }
+        return sealedPayload.seal(secret, 'mesh-keys', meshKeys.forDistribution());
+    }
+
+    setupEnrollmentRoutes() {
+        const auth = this.authManager;
+        const enrollment = this.nodeEnrollment;
+        
+        // Join tokens (admin only)
+        this.app.get('/api/enrollment/tokens', auth.requireRole('admin'), (req, res) => {
+            res.json(enrollment.listJoinTokens());
+        });
+
+        this.app.post('/api/enrollment/tokens', auth.requireRole('admin'), async (req, res) => {
             try {
-                const psOutput = await this.networkManager.executeCommand(`ps aux | grep "wpa_supplicant.*${interfaceName}" | grep -v grep || true`);
-                if (psOutput.trim()) {
-                    const pid = psOutput.trim().split(/\s+/)[1];
-                    if (pid) {
-                        await this.networkManager.executeCommand(`kill ${pid} 2>/dev/null || true`);
-                        logger.debug(`Killed wpa_supplicant process for ${interfaceName} (PID: ${pid})`);
-                    }
-                }
+                const { name, expiresInHours } = req.body || {};
+                const token = await enrollment.createJoinToken(name, {
+                    expiresInHours,
+                    createdBy: req.user.username
+                });
+                res.json({ success: true, token });
             } catch (error) {
-                // No specific wpa_supplicant process found
+                res.status(400).json({ success: false, error: error.message });
             }
-            
-            // Create NetworkManager ignore rule for this specific interface only
+        });
+
+        this.app.delete('/api/enrollment/tokens/:tokenId', auth.requireRole('admin'), async (req, res) => {
             try {
-                const nmConfPath = '/etc/NetworkManager/conf.d/99-ignore-mesh.conf';
-                const nmConfig = `[keyfile]\nunmanaged-devices=interface-name:${interfaceName}`;
-                await this.networkManager.executeCommand(`echo '${nmConfig}' > ${nmConfPath} 2>/dev/null || true`);
-                await this.networkManager.executeCommand('systemctl reload NetworkManager 2>/dev/null || true');
-                logger.debug(`NetworkManager configured to ignore ${interfaceName}`);
+                await enrollment.revokeJoinToken(req.params.tokenId);
+                res.json({ success: true });
             } catch (error) {
-                // NetworkManager not available or no permission
+                res.status(404).json({ success: false, error: error.message });
             }
-            
-            // Remove systemd-networkd config for this interface only
+        });
+
+        // Enrollment requests
+        this.app.get('/api/enrollment', auth.requireRole('viewer'), (req, res) => {
+            res.json(enrollment.listEnrollments());
+        });
+
+        this.app.post('/api/enrollment/:nodeId/:decision(approve|reject)', auth.requireRole('admin'), async (req, res) => {
             try {
-                const networkdConfigPath = `/etc/systemd/network/10-${interfaceName}.network`;
-                await this.networkManager.executeCommand(`rm -f ${networkdConfigPath} 2>/dev/null || true`);
-                await this.networkManager.executeCommand('systemctl reload systemd-networkd 2>/dev/null || true');
+                const { nodeId, decision } = req.params;
+                const result = decision === 'approve'
+                    ? await enrollment.approve(nodeId, req.user.username)
+                    : await enrollment.reject(nodeId, req.user.username);
+                
+                if (decision === 'reject') {
+                    this.nodeChannel.disconnectNode(nodeId);
+                }
+                
+                this.broadcastEnrollments();
+                res.json({ success: true, enrollment: result });
             } catch (error) {
-                // Not using systemd-networkd or no permission
+                res.status(404).json({ success: false, error: error.message });
             }
-            
-            // Stop dhcpcd only for this interface (don't stop global dhcpcd)
+        });
+
+        this.app.delete('/api/enrollment/:nodeId', auth.requireRole('admin'), async (req, res) => {
             try {
-                await this.networkManager.executeCommand(`dhcpcd -k ${interfaceName} 2>/dev/null || true`);
-                logger.debug(`Released DHCP lease for ${interfaceName}`);
+                await enrollment.remove(req.params.nodeId);
+                this.nodeChannel.disconnectNode(req.params.nodeId);
+                this.broadcastEnrollments();
+                res.json({ success: true });
             } catch (error) {
-                // dhcpcd not running for this interface
+                res.status(404).json({ success: false, error: error.message });
             }
-            
-            // Set interface down to ensure clean state
-            await this.networkManager.executeCommand(`ip link set ${interfaceName} down`);
-            
-            // Wait for interface to settle
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            
-            logger.info(`Coordinator interface ${interfaceName} unmanaged successfully (other interfaces unaffected)`);
-            
-        } catch (error) {
-            logger.warn('Some coordinator unmanage operations failed (may be normal):', error.message);
+        });
+    }
+
+    broadcastEnrollments() {
+        this.wsHandler.broadcastEnrollmentUpdate(this.nodeEnrollment.listEnrollments());
+    }
+
+    pickNodeInfo(data = {}) {
+        const info = {};
+        for (const field of NODE_INFO_FIELDS) {
+            if (data[field] !== undefined) {
+                info[field] = data[field];
+            }
+        }
+        return info;
+    }
+
+    pickNodeStatus(status) {
+        return NODE_STATUSES.includes(status) ? status : 'online';
+    }
+
+    async initializeNetworking() {
+        logger.info('Setting up network infrastructure...');
+        
+        // Check if running as root
+        if (process.getuid && process.getuid() !== 0) {
+            logger.warn('Coordinator should run as root for full network management capabilities');
         }
+        
+        // Configure mesh interfaces (radios in ad-hoc mode, wired backhaul) for batman-adv
+        await this.wirelessManager.configureAll();
+        
+        // Initialize batman-adv
+        await this.networkManager.initializeBatman();
+        this.uplinkManager.initialize();
+        
+        // Setup DHCP server for mesh network
+        await this.dhcpManager.initialize();
+        
+        // Setup ZeroTier
+        await this.zeroTierManager.initialize({ isCoordinator: true });
+        
+        // Configure ZeroTier routing for coordinator (standard routing - all interfaces)
+        await this.zeroTierManager.configureCoordinatorRouting();
+        
+        // Configure security rules
+        await this.securityManager.setupFirewallRules();
+        
+        logger.info('Network infrastructure setup complete');
     }
 
     setupMonitoring() {
@@ -359,6 +1075,70 @@ class Coordinator {
             }
         });
 
+        // Expire node commands that were never completed
+        cron.schedule('* * * * *', () => {
+            try {
+                const expired = this.commandQueue.expire();
+                expired.forEach(command => this.wsHandler.broadcastCommandUpdate(command));
+                this.meshDiagnostics.recordCommands(expired);
+            } catch (error) {
+                logger.error('Error expiring node commands:', error);
+            }
+        });
+
+        // Node registry retention
+        cron.schedule('0 * * * *', () => {
+            try {
+                this.nodes.pruneStale();
+            } catch (error) {
+                logger.error('Error pruning node registry:', error);
+            }
+        });
+
+        // Scheduled channel survey, optionally moving the mesh to a clearly better channel
+        const surveySchedule = process.env.CHANNEL_SURVEY_CRON;
+        if (surveySchedule && cron.validate(surveySchedule)) {
+            cron.schedule(surveySchedule, async () => {
+                try {
+                    const surveys = await this.surveyChannels();
+                    const recommended = surveys.find(survey => survey.recommendation);
+                    if (recommended && process.env.CHANNEL_AUTO_SWITCH === 'true' && !this.channelChange) {
+                        this.scheduleChannelChange({
+                            fromFrequency: recommended.currentFrequency,
+                            frequency: recommended.recommendation.frequency,
+                            requestedBy: 'auto'
+                        });
+                    }
+                } catch (error) {
+                    logger.error('Error in channel survey:', error);
+                }
+            });
+        } else if (surveySchedule) {
+            logger.warn(`Invalid CHANNEL_SURVEY_CRON "${surveySchedule}", scheduled channel surveys disabled`);
+        }
+
+        // Mesh key rotation: follow scheduled switches, rotate automatically when configured
+        cron.schedule('* * * * *', async () => {
+            try {
+                await this.networkManager.applyMeshKeys();
+            } catch (error) {
+                logger.error('Error applying mesh keys:', error);
+            }
+        });
+
+        cron.schedule('30 * * * *', async () => {
+            const maxAgeDays = parseFloat(process.env.MESH_KEY_ROTATION_DAYS || '0');
+            const meshKeys = this.networkManager.meshKeys;
+            if (this.networkManager.encryption === 'none' || !meshKeys.loaded || !meshKeys.isDue(maxAgeDays)) return;
+            
+            try {
+                const key = await meshKeys.rotate({ createdBy: 'schedule' });
+                logger.security(`Scheduled mesh key rotation to ${key.id}`);
+            } catch (error) {
+                logger.error('Error rotating mesh key:', error);
+            }
+        });
+
         // Security monitoring
         cron.schedule('*/30 * * * * *', async () => {
             try {
@@ -368,55 +1148,113 @@ class Coordinator {
             }
         });
 
+        // Uplink health checks and failover, UPLINK_CHECK_CRON=off disables them
+        const uplinkSchedule = process.env.UPLINK_CHECK_CRON || '*/15 * * * * *';
+        if (uplinkSchedule !== 'off' && cron.validate(uplinkSchedule)) {
+            cron.schedule(uplinkSchedule, async () => {
+                try {
+                    await this.uplinkManager.check();
+                } catch (error) {
+                    logger.error('Error checking uplinks:', error);
+                }
+            });
+        } else if (uplinkSchedule !== 'off') {
+            logger.warn(`Invalid UPLINK_CHECK_CRON "${uplinkSchedule}", uplink checks disabled`);
+        }
+
+        // Translation table clients and roaming, CLIENT_SCAN_CRON=off disables it
+        const clientSchedule = process.env.CLIENT_SCAN_CRON || '*/30 * * * * *';
+        if (clientSchedule !== 'off' && cron.validate(clientSchedule)) {
+            cron.schedule(clientSchedule, async () => {
+                try {
+                    this.wsHandler.broadcastClients(await this.clientTracker.update());
+                } catch (error) {
+                    logger.error('Error updating mesh clients:', error);
+                }
+            });
+        } else if (clientSchedule !== 'off') {
+            logger.warn(`Invalid CLIENT_SCAN_CRON "${clientSchedule}", client tracking disabled`);
+        }
+
+        // Whole-mesh topology, changes are pushed to the dashboard as deltas
+        const topologySchedule = process.env.TOPOLOGY_CRON || '*/10 * * * * *';
+        if (topologySchedule !== 'off' && cron.validate(topologySchedule)) {
+            cron.schedule(topologySchedule, async () => {
+                try {
+                    await this.topologyBuilder.update();
+                } catch (error) {
+                    logger.error('Error updating topology:', error);
+                }
+            });
+        } else if (topologySchedule !== 'off') {
+            logger.warn(`Invalid TOPOLOGY_CRON "${topologySchedule}", topology updates disabled`);
+        }
+
         // Gateway status monitoring
         cron.schedule('*/15 * * * * *', async () => {
             try {
                 const gatewayStatus = await this.networkManager.getBatmanStatus();
                 this.wsHandler.broadcastGatewayStatus(gatewayStatus);
+                await this.broadcastGateways();
             } catch (error) {
                 logger.error('Error monitoring gateway status:', error);
             }
         });
     }
 
+    // Batman neighbors, ZeroTier peers and DHCP leases, joined to known nodes through their aliases
     async discoverNodes() {
         try {
             const batmanNeighbors = await this.networkManager.getBatmanNeighbors();
             const zeroTierPeers = await this.zeroTierManager.getPeers();
+            const leases = await this.dhcpManager.getLeases().catch(() => []);
             
             // Update known nodes
             for (const neighbor of batmanNeighbors) {
-                const nodeId = neighbor.address;
-                
-                // Validate MAC address format and skip invalid entries
-                const macPattern = /^([0-9a-fA-F]{2}:[0-9a-fA-F]{2}:[0-9a-fA-F]{2}:[0-9a-fA-F]{2}:[0-9a-fA-F]{2}:[0-9a-fA-F]{2})$/;
-                if (!macPattern.test(nodeId) || nodeId.includes('[') || nodeId.includes('B.A.T.M.A.N.')) {
-                    logger.debug(`Skipping invalid node address: ${nodeId}`);
+                const mac = NodeIdentity.identifier('mac', neighbor.address);
+                if (!mac) {
+                    logger.debug(`Skipping invalid node address: ${neighbor.address}`);
                     continue;
                 }
                 
-                if (!this.nodes.has(nodeId)) {
+                const nodeId = this.nodes.identify([mac], null, 'batman');
+                if (!nodeId) {
                     const node = {
-                        id: nodeId,
-                        address: neighbor.address,
+                        id: mac.value,
+                        address: mac.value,
                         lastSeen: new Date(),
                         status: 'online',
                         batmanInfo: neighbor,
                         zeroTierInfo: null,
                         stats: {}
                     };
-                    this.nodes.set(nodeId, node);
-                    logger.info(`New node discovered: ${nodeId}`);
+                    this.nodes.set(mac.value, node);
+                    this.nodes.addAliases(mac.value, [mac], 'batman');
+                    logger.info(`New node discovered: ${mac.value}`);
+                } else {
+                    this.nodes.upsert(nodeId, { batmanInfo: neighbor });
+                }
+            }
+            
+            // Leases of the nodes' bat0 give their mesh IP; other leases are end-user clients
+            for (const lease of leases) {
+                const identifiers = [
+                    NodeIdentity.identifier('mac', lease.mac),
+                    NodeIdentity.identifier('ip', lease.ip),
+                    NodeIdentity.identifier('hostname', lease.hostname)
+                ].filter(Boolean);
+                const nodeId = this.nodes.identify(identifiers, null, 'dhcp');
+                const node = nodeId && this.nodes.get(nodeId);
+                if (node && lease.ip && (!node.address || NodeIdentity.normalize('mac', node.address))) {
+                    this.nodes.upsert(nodeId, { address: lease.ip });
                 }
             }
             
-            // Update ZeroTier info for nodes
+            // Peers are matched on the ZeroTier address nodes report in their heartbeat
             for (const peer of zeroTierPeers) {
-                for (const [nodeId, node] of this.nodes) {
-                    if (node.address === peer.address) {
-                        node.zeroTierInfo = peer;
-                        break;
-                    }
+                const nodeId = this.nodes.resolve(peer.address, 'zerotier');
+                if (nodeId) {
+                    this.nodes.upsert(nodeId, { zeroTierInfo: peer });
                 }
             }
             
@@ -427,26 +1265,42 @@ class Coordinator {
 
     async updateNodeHealth() {
         for (const [nodeId, node] of this.nodes) {
+            const previousStatus = node.status;
             try {
                 const isReachable = await this.networkManager.pingNode(node.address);
                 const now = new Date();
                 
                 if (isReachable) {
-                    node.lastSeen = now;
-                    node.status = 'online';
+                    this.nodes.upsert(nodeId, { lastSeen: now, status: 'online' });
                 } else {
                     const timeSinceLastSeen = now - node.lastSeen;
                     if (timeSinceLastSeen > 60000) { // 1 minute
-                        node.status = 'offline';
+                        this.nodes.upsert(nodeId, { status: 'offline' });
                     } else {
-                        node.status = 'warning';
+                        this.nodes.upsert(nodeId, { status: 'warning' });
                     }
                 }
                 
             } catch (error) {
                 logger.error(`Error checking health for node ${nodeId}:`, error);
-                node.status = 'error';
+                this.nodes.upsert(nodeId, { status: 'error' });
             }
+            this.alertNodeStatus(nodeId, previousStatus);
+        }
+    }
+
+    // Alert when a node matching NODE_ALERT_FILTER goes offline or comes back
+    alertNodeStatus(nodeId, previousStatus) {
+        const node = this.nodes.get(nodeId);
+        // Nodes loaded from the registry are 'unknown' until their first check
+        if (!this.nodeAlertFilter || !node || !previousStatus || previousStatus === 'unknown' || node.status === previousStatus) return;
+        if (!NodeInventory.matches(node, this.nodeAlertFilter)) return;
+
+        const label = NodeInventory.label(node);
+        if (node.status === 'offline') {
+            this.wsHandler.broadcastAlert({ type: 'node', level: 'warning', nodeId, message: `Node ${label} went offline` });
+        } else if (previousStatus === 'offline' && node.status === 'online') {
+            this.wsHandler.broadcastAlert({ type: 'node', level: 'info', nodeId, message: `Node ${label} is back online` });
         }
     }
 
@@ -460,9 +1314,10 @@ class Coordinator {
             case 'ping':
                 return await this.networkManager.pingNode(node.address);
             case 'restart':
-                // Implementation would depend on having a way to communicate with nodes
-                logger.info(`Restart request for node ${nodeId}`);
-                return { message: 'Restart signal sent' };
+            case 'run_diagnostics': {
+                const command = this.queueNodeCommand(nodeId, action);
+                return { message: `Command ${action} queued`, commandId: command.id };
+            }
             case 'disconnect':
                 // Remove from allowed list temporarily
                 await this.securityManager.blockNode(node.address);
@@ -472,6 +1327,51 @@ class Coordinator {
         }
     }
 
+    queueNodeCommand(nodeId, type, options = {}) {
+        if (!this.nodes.has(nodeId)) {
+            throw new Error(`Node ${nodeId} not found`);
+        }
+        if (type === 'update_config' && (!options.config || typeof options.config !== 'object')) {
+            throw new Error('update_config requires a config object');
+        }
+        
+        const command = this.commandQueue.enqueue(nodeId, type, options);
+        
+        // Connected nodes get it right away, others on their next heartbeat
+        this.nodeChannel.deliverPending(nodeId);
+        this.wsHandler.broadcastCommandUpdate(command);
+        return command;
+    }
+
+    queueBulkCommand(filter, type, options = {}) {
+        // Channel, gateway and diagnostic commands have coordinator-side bookkeeping of their own
+        if (!BULK_COMMAND_TYPES.includes(type)) {
+            throw new Error(`Command type ${type} cannot be sent in bulk (use ${BULK_COMMAND_TYPES.join(', ')})`);
+        }
+        // A missing or empty filter must not quietly mean every node
+        const criteria = filter === 'all' ? {} : NodeInventory.parseFilter(filter || {});
+        if (filter !== 'all' && Object.keys(criteria).length === 0) {
+            throw new Error('A node filter is required, use "all" to target every node');
+        }
+        const nodes = Array.from(this.nodes.values())
+            .filter(node => node.id !== 'coordinator' && NodeInventory.matches(node, criteria));
+        if (nodes.length === 0) {
+            throw new Error('No nodes match the filter');
+        }
+
+        const commands = [];
+        const skipped = [];
+        for (const node of nodes) {
+            try {
+                commands.push(this.queueNodeCommand(node.id, type, options));
+            } catch (error) {
+                skipped.push({ nodeId: node.id, error: error.message });
+            }
+        }
+        logger.info(`Queued ${type} for ${commands.length} node(s)${skipped.length ? `, skipped ${skipped.length}` : ''}`);
+        return { commands, skipped };
+    }
+
     async start() {
         try {
             await this.initialize();
@@ -495,6 +1395,8 @@ class Coordinator {
         logger.info('Stopping coordinator...');
         this.isRunning = false;
         
+        this.nodeChannel.close();
+        
         if (this.server) {
             this.server.close();
         }
@@ -513,7 +1415,11 @@ class Coordinator {
             }
             
             await this.networkManager.cleanup();
+            await this.wirelessManager.stop();
             await this.securityManager.cleanup();
+            
+            // Flush any pending registry changes
+            await this.nodes.close();
         } catch (error) {
             logger.error('Error during cleanup:', error);
         }
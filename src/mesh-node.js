@@ -5,22 +5,32 @@ process.env.NODE_ENV = 'node';
 
 const logger = require('./utils/logger');
 const NetworkManager = require('./services/NetworkManager');
+const DHCPManager = require('./services/DHCPManager');
+const WirelessManager = require('./services/WirelessManager');
 const ZeroTierManager = require('./services/ZeroTierManager');
 const SecurityManager = require('./services/SecurityManager');
 const NodeHeartbeat = require('./services/NodeHeartbeat');
 
 class MeshNode {
     constructor() {
-        this.networkManager = new NetworkManager();
+        // DHCP is only served while the coordinator has promoted this node to gateway
+        this.networkManager = new NetworkManager({ dhcpManager: new DHCPManager() });
+        this.wirelessManager = new WirelessManager({ networkManager: this.networkManager });
         this.zeroTierManager = new ZeroTierManager();
         this.securityManager = new SecurityManager({
             batmanInterface: 'bat0',
-            meshInterface: process.env.MESH_INTERFACE || 'wlan1',
+            meshInterface: this.networkManager.meshInterface,
             ethernetInterface: process.env.ETHERNET_INTERFACE || 'eth1',
             disableSystemHardening: process.env.DISABLE_SYSTEM_HARDENING === 'true',
             isCoordinator: false // Regular mesh nodes don't need NAT
         });
-        this.heartbeat = new NodeHeartbeat();
+        this.networkManager.securityManager = this.securityManager;
+        this.heartbeat = new NodeHeartbeat({
+            meshKeys: this.networkManager.meshKeys,
+            wirelessManager: this.wirelessManager,
+            networkManager: this.networkManager,
+            zeroTierManager: this.zeroTierManager
+        });
         
         this.isRunning = false;
         this.nodeId = null;
@@ -39,10 +49,12 @@ class MeshNode {
             
             // Generate or get node ID
             this.nodeId = await this.generateNodeId();
+            this.networkManager.nodeId = this.nodeId;
             logger.info(`Node ID: ${this.nodeId}`);
             
-            // Check if running as root (required for network configuration)
-            if (process.getuid && process.getuid() !== 0) {
+            // Check if running as root (required for network configuration, not for a dry run or simulation)
+            const { runner } = this.networkManager;
+            if (!runner.dryRun && !runner.simulated && process.getuid && process.getuid() !== 0) {
                 throw new Error('Mesh node must run as root for network configuration');
             }
             
@@ -70,6 +82,11 @@ class MeshNode {
     }
 
     async generateNodeId() {
+        // Simulated nodes are identified by their id in the mesh model
+        if (this.networkManager.runner.simulated) {
+            return this.networkManager.runner.nodeId;
+        }
+        
         const os = require('os');
         const crypto = require('crypto');
         
@@ -96,11 +113,13 @@ class MeshNode {
         logger.info('Configuring network interfaces...');
         
         try {
-            // Bring down the mesh interface if it exists
-            await this.networkManager.executeCommand(`ip link set ${process.env.MESH_INTERFACE} down || true`);
+            // Bring down the mesh interfaces if they exist
+            for (const name of this.networkManager.getHardInterfaces()) {
+                await this.networkManager.runner.run('ip', ['link', 'set', name, 'down'], { ignoreErrors: true });
+            }
             
-            // Configure wireless interface for ad-hoc mode
-            await this.configureWirelessInterface();
+            // Configure mesh interfaces (radios in ad-hoc mode, wired backhaul)
+            await this.wirelessManager.configureAll();
             
             // Initialize batman-adv
             await this.networkManager.initializeBatman();
@@ -144,134 +163,14 @@ class MeshNode {
         }
     }
 
-    async configureWirelessInterface() {
-        const meshInterface = process.env.MESH_INTERFACE;
-        const ssid = process.env.MESH_SSID;
-        const frequency = process.env.MESH_FREQUENCY;
-        
-        logger.info(`Configuring ${meshInterface} for ad-hoc mode...`);
-        
-        try {
-            // Step 1: Completely unmanage the interface
-            await this.unmanageInterface(meshInterface);
-            
-            // Step 2: Configure for ad-hoc mode
-            // Set interface down
-            await this.networkManager.executeCommand(`ip link set ${meshInterface} down`);
-            
-            // Set to ad-hoc mode
-            await this.networkManager.executeCommand(`iw ${meshInterface} set type ibss`);
-            
-            // Bring interface up
-            await this.networkManager.executeCommand(`ip link set ${meshInterface} up`);
-            
-            // Join the ad-hoc network
-            await this.networkManager.executeCommand(`iw ${meshInterface} ibss join ${ssid} ${frequency}`);
-            
-            // Wait longer for the interface to stabilize and connect
-            logger.info('Waiting for ad-hoc network to stabilize...');
-            await new Promise(resolve => setTimeout(resolve, 5000));
-            
-            // Verify we're connected to the ad-hoc network
-            try {
-                const iwOutput = await this.networkManager.executeCommand(`iw ${meshInterface} info`);
-                logger.debug(`Wireless interface status: ${iwOutput}`);
-                
-                if (!iwOutput.includes('type IBSS')) {
-                    throw new Error('Interface not in IBSS (ad-hoc) mode');
-                }
-            } catch (error) {
-                logger.warn('Could not verify wireless interface status:', error.message);
-            }
-            
-            logger.info(`Wireless interface ${meshInterface} configured for ad-hoc mode`);
-            
-        } catch (error) {
-            logger.error('Failed to configure wireless interface:', error);
-            throw error;
-        }
-    }
-
-    async unmanageInterface(interfaceName) {
-        logger.info(`Unmanaging interface ${interfaceName} from all network managers...`);
-        
-        try {
-            // First, disconnect from any existing networks on this specific interface
-            await this.networkManager.executeCommand(`iw ${interfaceName} disconnect 2>/dev/null || true`);
-            await this.networkManager.executeCommand(`iw ${interfaceName} ibss leave 2>/dev/null || true`);
-            
-            // Remove any existing IP addresses from this interface only
-            await this.networkManager.executeCommand(`ip addr flush dev ${interfaceName} 2>/dev/null || true`);
-            
-            // Stop interface-specific wpa_supplicant services (don't kill global ones)
-            try {
-                await this.networkManager.executeCommand(`systemctl disable wpa_supplicant@${interfaceName} 2>/dev/null || true`);
-                await this.networkManager.executeCommand(`systemctl stop wpa_supplicant@${interfaceName} 2>/dev/null || true`);
-            } catch (error) {
-                // Service doesn't exist
-            }
-            
-            // Check if wpa_supplicant is running with this interface and kill only that instance
-            try {
-                const psOutput = await this.networkManager.executeCommand(`ps aux | grep "wpa_supplicant.*${interfaceName}" | grep -v grep || true`);
-                if (psOutput.trim()) {
-                    const pid = psOutput.trim().split(/\s+/)[1];
-                    if (pid) {
-                        await this.networkManager.executeCommand(`kill ${pid} 2>/dev/null || true`);
-                        logger.debug(`Killed wpa_supplicant process for ${interfaceName} (PID: ${pid})`);
-                    }
-                }
-            } catch (error) {
-                // No specific wpa_supplicant process found
-            }
-            
-            // Create NetworkManager ignore rule for this specific interface only
-            try {
-                const nmConfPath = '/etc/NetworkManager/conf.d/99-ignore-mesh.conf';
-                const nmConfig = `[keyfile]\nunmanaged-devices=interface-name:${interfaceName}`;
-                await this.networkManager.executeCommand(`echo '${nmConfig}' > ${nmConfPath} 2>/dev/null || true`);
-                await this.networkManager.executeCommand('systemctl reload NetworkManager 2>/dev/null || true');
-                logger.debug(`NetworkManager configured to ignore ${interfaceName}`);
-            } catch (error) {
-                // NetworkManager not available or no permission
-            }
-            
-            // Remove systemd-networkd config for this interface only
-            try {
-                const networkdConfigPath = `/etc/systemd/network/10-${interfaceName}.network`;
-                await this.networkManager.executeCommand(`rm -f ${networkdConfigPath} 2>/dev/null || true`);
-                await this.networkManager.executeCommand('systemctl reload systemd-networkd 2>/dev/null || true');
-            } catch (error) {
-                // Not using systemd-networkd or no permission
-            }
-            
-            // Stop dhcpcd only for this interface (don't stop global dhcpcd)
-            try {
-                await this.networkManager.executeCommand(`dhcpcd -k ${interfaceName} 2>/dev/null || true`);
-                logger.debug(`Released DHCP lease for ${interfaceName}`);
-            } catch (error) {
-                // dhcpcd not running for this interface
-            }
-            
-            // Set interface down to ensure clean state
-            await this.networkManager.executeCommand(`ip link set ${interfaceName} down`);
-            
-            // Wait for interface to settle
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            
-            logger.info(`Interface ${interfaceName} unmanaged successfully (other interfaces unaffected)`);
-            
-        } catch (error) {
-            logger.warn('Some unmanage operations failed (may be normal):', error.message);
-        }
-    }
-
     async waitForZeroTierConnection() {
         const maxAttempts = 15; // Reduced from 30 to 15 seconds
         let attempts = 0;
         
         logger.info('Waiting for ZeroTier connection through mesh...');
         
+        if (this.networkManager.runner.dryRun) return;
+        
         while (attempts < maxAttempts) {
             try {
                 const status = await this.zeroTierManager.getStatus();
@@ -297,6 +196,8 @@ class MeshNode {
     async waitForBatmanMeshReady(maxAttempts = 30) {
         logger.info('Waiting for batman mesh network to establish...');
         
+        if (this.networkManager.runner.dryRun) return;
+        
         for (let attempt = 1; attempt <= maxAttempts; attempt++) {
             try {
                 // Check if batman interface is up
@@ -337,7 +238,7 @@ class MeshNode {
             logger.info(`Enabling DHCP client on ${batmanInterface} with 5-minute retry period`);
             
             // Release any existing DHCP lease
-            await this.networkManager.executeCommand(`dhclient -r ${batmanInterface} 2>/dev/null || true`);
+            await this.networkManager.runner.run('dhclient', ['-r', batmanInterface], { ignoreErrors: true });
             
             // Retry dhclient over 5 minutes
             const maxRetries = 25; // 25 attempts over 5 minutes
@@ -347,14 +248,11 @@ class MeshNode {
                 try {
                     logger.info(`DHCP attempt ${attempt}/${maxRetries} - requesting IP from coordinator...`);
                     
-                    // Try dhclient with timeout (fallback if timeout command not available)
-                    try {
-                        await this.networkManager.executeCommand(`timeout 30s dhclient ${batmanInterface}`, { timeout: 35000 });
-                    } catch (timeoutError) {
-                        // Fallback if timeout command not available
-                        logger.debug('timeout command not available, using dhclient without timeout');
-                        await this.networkManager.executeCommand(`dhclient ${batmanInterface}`, { timeout: 35000 });
-                    }
+                    // The runner kills dhclient if it is still waiting for an offer after 30s
+                    await this.networkManager.runner.run('dhclient', [batmanInterface], { timeout: 30000 });
+                    
+                    // Dry run: there is no lease to wait for
+                    if (this.networkManager.runner.dryRun) return;
                     
                     // Check if we got an IP
                     const currentIP = await this.checkForDHCPIP(batmanInterface);
@@ -393,7 +291,7 @@ class MeshNode {
 
     async checkForDHCPIP(batmanInterface) {
         try {
-            const ipInfo = await this.networkManager.executeCommand(`ip addr show ${batmanInterface}`);
+            const ipInfo = await this.networkManager.runner.run('ip', ['addr', 'show', batmanInterface]);
             
             // Look for inet address (IPv4)
             const ipMatch = ipInfo.match(/inet\s+(\d+\.\d+\.\d+\.\d+)/);
@@ -438,14 +336,9 @@ class MeshNode {
             const coordinatorIp = process.env.MASTER_IP || '192.168.100.1';
             logger.debug(`Testing mesh connectivity to coordinator at ${coordinatorIp}`);
             
-            const ping = require('ping');
-            const result = await ping.promise.probe(coordinatorIp, {
-                timeout: 5000,
-                min_reply: 1,
-                extra: ['-c', '3'] // Send 3 pings
-            });
+            const alive = await this.networkManager.pingNode(coordinatorIp, 5000);
             
-            if (result.alive) {
+            if (alive) {
                 logger.info(`Mesh connectivity confirmed: ping to ${coordinatorIp} successful`);
                 return true;
             } else {
@@ -465,6 +358,11 @@ class MeshNode {
             // Setup firewall rules that only allow ZeroTier traffic
             await this.securityManager.setupFirewallRules();
             
+            // A node that was already promoted before the rules were (re)built keeps forwarding
+            if (this.networkManager.gatewayServing) {
+                await this.securityManager.setGatewayForwarding(true);
+            }
+            
             // Disable unnecessary services
             await this.securityManager.hardenSystem();
             
@@ -511,6 +409,12 @@ class MeshNode {
             } catch (error) {
                 logger.error('System health check failed:', error);
             }
+            
+            try {
+                await this.networkManager.applyMeshKeys();
+            } catch (error) {
+                logger.error('Applying mesh keys failed:', error);
+            }
         }, 60000); // Every minute
     }
 
@@ -524,7 +428,7 @@ class MeshNode {
                 // Additional checks before restarting - don't be too aggressive
                 try {
                     // Check if the interface exists at all
-                    await this.networkManager.executeCommand(`ip link show ${this.networkManager.batmanInterface}`);
+                    await this.networkManager.runner.run('ip', ['link', 'show', this.networkManager.batmanInterface]);
                     
                     // Check if we have any batman neighbors (indicates mesh is working)
                     const neighbors = await this.networkManager.getBatmanNeighbors();
@@ -537,7 +441,7 @@ class MeshNode {
                     logger.info('No batman neighbors found, attempting gentle restart...');
                     
                     // Just try to bring the interface up instead of full restart
-                    await this.networkManager.executeCommand(`ip link set ${this.networkManager.batmanInterface} up`);
+                    await this.networkManager.runner.run('ip', ['link', 'set', this.networkManager.batmanInterface, 'up']);
                     
                     // Wait a bit and check again
                     await new Promise(resolve => setTimeout(resolve, 5000));
@@ -716,6 +620,7 @@ class MeshNode {
             
             // Cleanup network configuration
             await this.networkManager.cleanup();
+            await this.wirelessManager.stop();
             
             // Note: We don't cleanup security rules as they should persist
             
@@ -0,0 +1,250 @@
+const { execFile, spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const winston = require('winston');
+const logger = require('../utils/logger');
+
+// Structured audit trail of every command, one JSON object per line
+const auditLogger = winston.createLogger({
+    format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+    transports: [
+        new winston.transports.File({
+            filename: process.env.COMMAND_AUDIT_LOG || path.join(__dirname, '..', '..', 'logs', 'command-audit.log'),
+            maxsize: 10485760, // 10MB
+            maxFiles: 5,
+            tailable: true
+        })
+    ]
+});
+
+// Quote an argument the way a shell would need it, for logs and dry-run plans
+function quoteArg(arg) {
+    return /^[A-Za-z0-9_@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+function formatCommand(file, args = []) {
+    return [file, ...args].map(quoteArg).join(' ');
+}
+
+/**
+ * CommandRunner - Single place where services touch the host
+ *
+ * run(file, args) executes a program with an argument array, without a shell,
+ * so interface names, MACs and addresses are never shell-interpolated.
+ * shell(command) is kept for the few pipelines that genuinely need /bin/sh.
+ * writeFile() covers the `echo 1 > /proc/...` style of configuration
+ * (options: append, mode, and sensitive to keep the content out of the log),
+ * readFile() reads host state files (not audited, allowed in dry-run) and
+ * spawn() starts long-running daemons (SupervisedProcess restarts them).
+ *
+ * Options for run()/shell():
+ * - ignoreErrors: resolve with stdout even when the command fails (like `|| true`)
+ * - quiet: only log failures at debug level (for probes expected to fail)
+ * - timeout: milliseconds, defaults to 30000
+ * - input: written to the command's stdin (e.g. `alfred -s` payloads)
+ *
+ * In dry-run mode nothing is executed: every command is logged as part of the
+ * plan and resolves with empty output. Every command, executed or planned, is
+ * written to the audit log with its exit code and duration.
+ */
+class CommandRunner {
+    constructor(options = {}) {
+        this.dryRun = options.dryRun ?? process.env.DRY_RUN === 'true';
+        this.defaultTimeout = options.timeout || 30000;
+        this.audit = options.audit || (process.env.COMMAND_AUDIT === 'false' ? null : (entry) => auditLogger.info('command', entry));
+        this.historySize = options.historySize || 200;
+        this.history = [];
+        this.plan = [];
+        this.source = options.source || null;
+    }
+
+    // Same runner (shared dry-run flag, plan and history), tagged with the calling service
+    forSource(source) {
+        const scoped = Object.create(this);
+        scoped.source = source;
+        return scoped;
+    }
+
+    async run(file, args = [], options = {}) {
+        const argv = args.map(arg => {
+            if (arg === undefined || arg === null) {
+                throw new Error(`Missing argument for ${formatCommand(file, args.filter(a => a != null).map(String))}`);
+            }
+            return String(arg);
+        });
+
+        return this.invoke({ file, args: argv, shell: false, display: formatCommand(file, argv) }, options);
+    }
+
+    async shell(command, options = {}) {
+        return this.invoke({ file: '/bin/sh', args: ['-c', command], shell: true, display: command }, options);
+    }
+
+    async writeFile(filePath, content, options = {}) {
+        // Secrets (e.g. wpa_supplicant passphrases) never reach the audit log
+        const shown = options.sensitive ? '[redacted]' : String(content).trim();
+        const display = `${options.append ? 'append' : 'write'} ${filePath}: ${shown}`;
+        const started = Date.now();
+
+        if (this.dryRun) {
+            this.record({ display, file: filePath, args: [], write: true }, { exitCode: 0 }, started);
+            return;
+        }
+
+        try {
+            await this.writeFileImpl(filePath, String(content), options);
+            this.record({ display, file: filePath, args: [], write: true }, { exitCode: 0 }, started);
+        } catch (error) {
+            this.record({ display, file: filePath, args: [], write: true }, { exitCode: 1, error: error.message }, started);
+            if (!options.ignoreErrors) {
+                throw error;
+            }
+        }
+    }
+
+    readFile(filePath) {
+        return this.readFileImpl(filePath);
+    }
+
+    // Start a long-running process; returns the ChildProcess, or null in dry-run mode
+    spawn(file, args = [], options = {}) {
+        const argv = args.map(String);
+        this.record({ file, args: argv, display: formatCommand(file, argv) }, { exitCode: 0 }, Date.now());
+
+        if (this.dryRun) {
+            return null;
+        }
+        return this.spawnImpl(file, argv, options);
+    }
+
+    async invoke(spec, options) {
+        const started = Date.now();
+
+        if (this.dryRun) {
+            this.record(spec, { exitCode: 0 }, started);
+            return '';
+        }
+
+        logger.debug(`Executing command: ${spec.display}`);
+        const result = await this.execute(spec.file, spec.args, {
+            timeout: options.timeout || this.defaultTimeout,
+            input: options.input
+        });
+        this.record(spec, result, started);
+
+        if (result.exitCode === 0) {
+            return result.stdout.trim();
+        }
+
+        if (options.ignoreErrors) {
+            logger.debug(`Command failed (ignored): ${spec.display} - ${result.error}`);
+            return result.stdout.trim();
+        }
+
+        if (options.quiet) {
+            logger.debug(`Command failed: ${spec.display} - ${result.error}`);
+        } else {
+            logger.error(`Command failed: ${spec.display}`, { exitCode: result.exitCode, stderr: result.stderr.trim() });
+        }
+
+        const error = new Error(`Command failed: ${spec.display}${result.stderr ? `\n${result.stderr.trim()}` : ''}`);
+        error.code = result.exitCode;
+        error.stdout = result.stdout;
+        error.stderr = result.stderr;
+        throw error;
+    }
+
+    // Low-level execution, overridden by FakeCommandRunner
+    execute(file, args, options) {
+        return new Promise((resolve) => {
+            const child = execFile(file, args, { timeout: options.timeout, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+                if (!error) {
+                    return resolve({ stdout, stderr, exitCode: 0 });
+                }
+
+                // Spawn failures (ENOENT) carry a string code, timeouts a signal
+                const exitCode = typeof error.code === 'number' ? error.code : (error.code === 'ENOENT' ? 127 : -1);
+                resolve({ stdout: stdout || '', stderr: stderr || '', exitCode, error: error.killed ? 'timed out' : error.message });
+            });
+
+            if (options.input !== undefined) {
+                // A command that exits (or never starts) before reading its input is reported above, not as EPIPE
+                child.stdin.on('error', () => {});
+                child.stdin.end(options.input);
+            }
+        });
+    }
+
+    spawnImpl(file, args, options) {
+        return spawn(file, args, options);
+    }
+
+    readFileImpl(filePath) {
+        return fs.readFile(filePath, 'utf8');
+    }
+
+    async writeFileImpl(filePath, content, options) {
+        if (options.append || !options.mode) {
+            await (options.append ? fs.appendFile(filePath, content, { mode: options.mode }) : fs.writeFile(filePath, content));
+            // The mode option only applies to new files
+            if (options.mode) {
+                await fs.chmod(filePath, options.mode);
+            }
+            return;
+        }
+
+        // Private files (secrets, keys) are never readable with a looser mode, not even briefly:
+        // written to a temporary file created with the mode, then renamed over the target
+        const tmpPath = `${filePath}.tmp`;
+        try {
+            // Left over from an interrupted write, possibly with another mode
+            await fs.unlink(tmpPath).catch(() => {});
+            await fs.writeFile(tmpPath, content, { mode: options.mode, flag: 'wx' });
+            // The umask may have narrowed the mode further
+            await fs.chmod(tmpPath, options.mode);
+            await fs.rename(tmpPath, filePath);
+        } catch (error) {
+            await fs.unlink(tmpPath).catch(() => {});
+            throw error;
+        }
+    }
+
+    record(spec, result, started) {
+        const entry = {
+            command: spec.display,
+            source: this.source,
+            shell: !!spec.shell,
+            dryRun: this.dryRun,
+            exitCode: result.exitCode,
+            durationMs: Date.now() - started,
+            error: result.exitCode === 0 ? undefined : result.error || result.stderr?.trim(),
+            timestamp: new Date()
+        };
+
+        this.history.push(entry);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+
+        if (this.dryRun) {
+            this.plan.push(spec.display);
+            logger.info(`[dry-run] ${spec.display}`);
+        }
+
+        if (this.audit) {
+            this.audit(entry);
+        }
+    }
+
+    getHistory(limit = this.historySize) {
+        return this.history.slice(-limit);
+    }
+
+    getPlan() {
+        return this.plan.slice();
+    }
+}
+
+CommandRunner.formatCommand = formatCommand;
+
+module.exports = CommandRunner;
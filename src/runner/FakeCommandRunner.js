@@ -0,0 +1,118 @@
+const EventEmitter = require('events');
+const CommandRunner = require('./CommandRunner');
+
+/**
+ * FakeCommandRunner - Scriptable CommandRunner for unit tests
+ *
+ *   const runner = new FakeCommandRunner()
+ *       .on('batctl -v', 'batctl debian-2023.0 [batman-adv: 2023.0]')
+ *       .on(/^ip link show/, { stdout: '', stderr: 'Device does not exist', exitCode: 1 })
+ *       .on(cmd => cmd.startsWith('iw '), (call) => ({ stdout: `ran ${call.args.length} args` }));
+ *
+ * Patterns are matched against the formatted command line (see
+ * CommandRunner.formatCommand) and the most recently added match wins, so a
+ * test can override a default. Responses are a stdout string, an object with
+ * stdout/stderr/exitCode, or a function returning either. Unmatched commands
+ * succeed with empty output, or fail with exit code 127 in strict mode.
+ * Every call, file write and spawned process is recorded for assertions;
+ * readFile() serves what was written (or seeded into `files`).
+ */
+class FakeCommandRunner extends CommandRunner {
+    constructor(options = {}) {
+        super({ audit: () => {}, dryRun: false, ...options });
+        this.strict = !!options.strict;
+        this.rules = [];
+        this.calls = [];
+        this.files = new Map();
+        this.processes = [];
+    }
+
+    on(pattern, response) {
+        this.rules.unshift({ pattern, response });
+        return this;
+    }
+
+    matches(pattern, command, call) {
+        if (typeof pattern === 'string') return command === pattern;
+        if (pattern instanceof RegExp) return pattern.test(command);
+        return pattern(command, call);
+    }
+
+    async execute(file, args, options = {}) {
+        const call = {
+            file,
+            args,
+            command: file === '/bin/sh' && args[0] === '-c' ? args[1] : CommandRunner.formatCommand(file, args),
+            input: options.input
+        };
+        this.calls.push(call);
+
+        const rule = this.rules.find(r => this.matches(r.pattern, call.command, call));
+        if (!rule) {
+            return this.strict
+                ? { stdout: '', stderr: `${file}: command not found`, exitCode: 127, error: 'command not found' }
+                : { stdout: '', stderr: '', exitCode: 0 };
+        }
+
+        let response = typeof rule.response === 'function' ? await rule.response(call) : rule.response;
+        if (typeof response === 'string' || response === undefined) {
+            response = { stdout: response || '' };
+        }
+
+        const exitCode = response.exitCode || 0;
+        return {
+            stdout: response.stdout || '',
+            stderr: response.stderr || '',
+            exitCode,
+            error: exitCode === 0 ? undefined : response.stderr || `exit code ${exitCode}`
+        };
+    }
+
+    // Stand-in ChildProcess: tests can emit 'exit' or write to stdout/stderr
+    spawnImpl(file, args) {
+        const child = new EventEmitter();
+        child.file = file;
+        child.args = args;
+        child.pid = 10000 + this.processes.length;
+        child.stdout = new EventEmitter();
+        child.stderr = new EventEmitter();
+        child.killed = false;
+        child.kill = (signal = 'SIGTERM') => {
+            child.killed = true;
+            setImmediate(() => child.emit('exit', null, signal));
+            return true;
+        };
+
+        this.calls.push({ file, args, command: CommandRunner.formatCommand(file, args), spawned: true });
+        this.processes.push(child);
+        return child;
+    }
+
+    async readFileImpl(filePath) {
+        if (!this.files.has(filePath)) {
+            const error = new Error(`ENOENT: no such file or directory, open '${filePath}'`);
+            error.code = 'ENOENT';
+            throw error;
+        }
+        return this.files.get(filePath);
+    }
+
+    async writeFileImpl(filePath, content, options) {
+        const previous = options.append ? this.files.get(filePath) || '' : '';
+        this.files.set(filePath, previous + content);
+    }
+
+    commands() {
+        return this.calls.map(call => call.command);
+    }
+
+    reset() {
+        this.calls = [];
+        this.files.clear();
+        this.processes = [];
+        this.history = [];
+        this.plan = [];
+    }
+}
+
+module.exports = FakeCommandRunner;
@@ -0,0 +1,97 @@
+const logger = require('../utils/logger');
+
+/**
+ * SupervisedProcess - A daemon started through the command runner and
+ * restarted with exponential backoff whenever it exits
+ *
+ * The delay starts at minRestartDelay and doubles up to maxRestartDelay.
+ * Failing to spawn (e.g. not installed) is retried like a crash, and a
+ * process that stayed up for a minute resets the backoff. In dry-run mode
+ * the runner starts nothing, so there is nothing to supervise.
+ */
+class SupervisedProcess {
+    constructor(runner, { name, binary, args = [], minRestartDelay = 1000, maxRestartDelay = 60000 }) {
+        this.runner = runner;
+        this.name = name;
+        this.binary = binary;
+        this.args = args;
+        this.minRestartDelay = minRestartDelay;
+        this.maxRestartDelay = maxRestartDelay;
+        this.process = null;
+        this.startedAt = null;
+        this.restarts = 0;
+        this.restartDelay = minRestartDelay;
+        this.timer = null;
+        this.stopping = false;
+        this.lastExit = null;
+    }
+
+    start() {
+        const child = this.runner.spawn(this.binary, this.args);
+        this.process = child;
+        this.startedAt = Date.now();
+        if (!child) return;
+
+        child.stdout?.on('data', (data) => {
+            logger.debug(`${this.name}: ${String(data).trim()}`);
+        });
+        child.stderr?.on('data', (data) => {
+            logger.warn(`${this.name}: ${String(data).trim()}`);
+        });
+        child.on('error', (error) => this.handleExit(child, null, null, error));
+        child.on('exit', (code, signal) => this.handleExit(child, code, signal));
+    }
+
+    handleExit(child, code, signal, error = null) {
+        if (this.process !== child) return;
+        this.process = null;
+        this.lastExit = { code, signal, error: error ? error.message : null, at: new Date() };
+        if (this.stopping) return;
+
+        if (Date.now() - this.startedAt >= 60000) {
+            this.restartDelay = this.minRestartDelay;
+        }
+
+        const delay = this.restartDelay;
+        logger.warn(`${this.name} exited (${error ? error.message : signal || `code ${code}`}), restarting in ${delay}ms`);
+
+        this.restarts++;
+        this.restartDelay = Math.min(delay * 2, this.maxRestartDelay);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.start();
+        }, delay);
+    }
+
+    // SIGTERM, then wait up to 5s for the process to exit
+    async stop() {
+        this.stopping = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const child = this.process;
+        if (child && child.exitCode == null) {
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, 5000);
+                child.once('exit', () => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+                child.kill('SIGTERM');
+            });
+        }
+    }
+
+    getStatus() {
+        return {
+            running: !!this.process,
+            pid: this.process?.pid || null,
+            restarts: this.restarts,
+            lastExit: this.lastExit
+        };
+    }
+}
+
+module.exports = SupervisedProcess;
@@ -0,0 +1,40 @@
+const CommandRunner = require('./CommandRunner');
+const FakeCommandRunner = require('./FakeCommandRunner');
+const SupervisedProcess = require('./SupervisedProcess');
+
+let defaultRunner = null;
+
+function createRunner() {
+    if (process.env.SIMULATION === 'true') {
+        // Loaded lazily, real nodes never need the simulator
+        const { MeshSimulator, SimulatedCommandRunner } = require('../simulation');
+        return new SimulatedCommandRunner(MeshSimulator.fromEnv(), {
+            nodeId: process.env.SIMULATION_NODE_ID,
+            role: process.env.NODE_ENV === 'node' ? 'node' : 'coordinator'
+        });
+    }
+    return new CommandRunner();
+}
+
+// Process-wide runner shared by every service, so dry-run, simulation and the audit log apply everywhere
+function getDefaultRunner() {
+    if (!defaultRunner) {
+        defaultRunner = createRunner();
+    }
+    return defaultRunner;
+}
+
+// Replace the shared runner (e.g. a FakeCommandRunner in tests), returns the previous one
+function setDefaultRunner(runner) {
+    const previous = defaultRunner;
+    defaultRunner = runner;
+    return previous;
+}
+
+module.exports = {
+    CommandRunner,
+    FakeCommandRunner,
+    SupervisedProcess,
+    getDefaultRunner,
+    setDefaultRunner
+};
@@ -0,0 +1,209 @@
+const logger = require('../utils/logger');
+const { getDefaultRunner, SupervisedProcess } = require('../runner');
+
+// alfred data types 0-63 are reserved for the alfred project's own tools
+const MIN_DATA_TYPE = 64;
+
+// `alfred -r <type>`: one `{ "<source mac>", "<data>" },` line per record, the data C-escaped
+function parseAlfredData(output) {
+    const records = [];
+    for (const line of output.split('\n')) {
+        const match = line.match(/^\s*\{\s*"([0-9a-fA-F:]{17})",\s*"(.*)"\s*\},?\s*$/);
+        if (!match) continue;
+
+        const data = match[2].replace(/\\x([0-9a-fA-F]{2})|\\(["\\])/g, (escape, hex, char) =>
+            hex ? String.fromCharCode(parseInt(hex, 16)) : char);
+        records.push({ source: match[1].toLowerCase(), data });
+    }
+    return records;
+}
+
+// `batadv-vis -f jsondoc`: every originator with its secondary interfaces, neighbors and clients.
+// Each node keeps the neighbors it reported itself, links merge both directions.
+function parseVisJsonDoc(output) {
+    const doc = JSON.parse(output);
+    const algorithm = doc.algorithm === 5 ? 'BATMAN_V' : 'BATMAN_IV';
+    const nodes = (doc.vis || []).map(entry => ({
+        originator: entry.primary.toLowerCase(),
+        secondary: (entry.secondary || []).map(mac => mac.toLowerCase()),
+        clients: (entry.clients || []).map(mac => mac.toLowerCase()),
+        neighbors: []
+    }));
+
+    // Links are reported per interface, count them between originators and once per pair
+    const primaryOf = new Map();
+    for (const node of nodes) {
+        for (const mac of [node.originator, ...node.secondary]) {
+            primaryOf.set(mac, node.originator);
+        }
+    }
+    const links = new Map();
+    (doc.vis || []).forEach((entry, index) => {
+        for (const neighbor of entry.neighbors || []) {
+            const source = primaryOf.get(neighbor.router.toLowerCase()) || entry.primary.toLowerCase();
+            const target = primaryOf.get(neighbor.neighbor.toLowerCase()) || neighbor.neighbor.toLowerCase();
+            const metric = parseFloat(neighbor.metric);
+            // BATMAN_IV metrics are 255/TQ, 1.0 being a perfect link
+            const quality = algorithm === 'BATMAN_IV' && metric > 0 ? Math.round(Math.min(1 / metric, 1) * 1000) / 1000 : null;
+
+            const own = nodes[index].neighbors.find(n => n.address === target);
+            if (!own || metric < own.metric) {
+                nodes[index].neighbors = nodes[index].neighbors.filter(n => n !== own).concat({ address: target, metric, quality });
+            }
+
+            const key = [source, target].sort().join('-');
+            const existing = links.get(key);
+            if (!existing || metric < existing.metric) {
+                links.set(key, { source, target, metric, quality });
+            }
+        }
+    });
+
+    return { algorithm, nodes, links: Array.from(links.values()) };
+}
+
+// NODE_POSITION="<latitude>,<longitude>", e.g. "52.5163,13.3777"
+function parsePosition(value) {
+    if (!value) return null;
+    const [latitude, longitude] = value.split(',').map(part => parseFloat(part));
+    if (!(Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180)) {
+        throw new Error(`Invalid NODE_POSITION "${value}" (use <latitude>,<longitude>)`);
+    }
+    return { latitude, longitude };
+}
+
+/**
+ * Alfred - Mesh-wide data exchange over alfred, and batadv-vis
+ *
+ * Runs alfred (master on the coordinator) and the batadv-vis server as
+ * supervised processes, restarted with exponential backoff when they exit.
+ * Every node publishes a small JSON record about itself (hostname, role,
+ * version, originator, position) under ALFRED_DATA_TYPE every
+ * ALFRED_PUBLISH_INTERVAL seconds, alfred dropping records that are not
+ * refreshed. The coordinator reads all records back and combines them with
+ * `batadv-vis -f jsondoc` into a view of the whole mesh, links between
+ * nodes it has no route through included.
+ */
+class Alfred {
+    constructor(options = {}) {
+        this.runner = (options.runner || getDefaultRunner()).forSource('Alfred');
+        this.batmanInterface = options.batmanInterface || 'bat0';
+        this.master = options.master ?? false;
+        this.record = options.record || null;
+        this.alfredBinary = process.env.ALFRED_BINARY || 'alfred';
+        this.visBinary = process.env.BATADV_VIS_BINARY || 'batadv-vis';
+        this.dataType = options.dataType ?? parseInt(process.env.ALFRED_DATA_TYPE || '100');
+        if (!(this.dataType >= MIN_DATA_TYPE && this.dataType <= 255)) {
+            throw new Error(`ALFRED_DATA_TYPE must be between ${MIN_DATA_TYPE} and 255, got ${this.dataType}`);
+        }
+        this.publishInterval = (options.publishIntervalSeconds ?? parseInt(process.env.ALFRED_PUBLISH_INTERVAL || '60')) * 1000;
+        this.minRestartDelay = options.minRestartDelay ?? 1000;
+        this.maxRestartDelay = options.maxRestartDelay ?? 60000;
+        this.instances = new Map();
+        this.publishTimer = null;
+        this.lastPublish = null;
+    }
+
+    // (Re)start both daemons and the publishing loop
+    async start() {
+        await this.stop();
+
+        const daemons = [
+            { name: 'alfred', binary: this.alfredBinary, args: ['-i', this.batmanInterface, '-b', this.batmanInterface, ...(this.master ? ['-m'] : [])] },
+            { name: 'batadv-vis', binary: this.visBinary, args: ['-i', this.batmanInterface, '-s'] }
+        ];
+        for (const daemon of daemons) {
+            const supervised = new SupervisedProcess(this.runner, {
+                ...daemon,
+                minRestartDelay: this.minRestartDelay,
+                maxRestartDelay: this.maxRestartDelay
+            });
+            this.instances.set(daemon.name, supervised);
+            supervised.start();
+        }
+        logger.info(`Started alfred${this.master ? ' (master)' : ''} and batadv-vis on ${this.batmanInterface}`);
+
+        if (this.record) {
+            // First record once alfred had a moment to open its socket, then every interval
+            this.publishTimer = setTimeout(() => {
+                this.publish();
+                this.publishTimer = setInterval(() => this.publish(), this.publishInterval);
+                this.publishTimer.unref?.();
+            }, 2000);
+            this.publishTimer.unref?.();
+        }
+    }
+
+    async stop() {
+        if (this.publishTimer) {
+            clearInterval(this.publishTimer);
+            this.publishTimer = null;
+        }
+
+        for (const supervised of this.instances.values()) {
+            await supervised.stop();
+        }
+        this.instances.clear();
+    }
+
+    // Publish this host's record; alfred may still be starting, the next round retries
+    async publish() {
+        try {
+            const record = await this.record();
+            await this.runner.run(this.alfredBinary, ['-s', String(this.dataType)], { input: JSON.stringify(record), quiet: true });
+            this.lastPublish = new Date();
+            return true;
+        } catch (error) {
+            logger.debug(`Failed to publish alfred record: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Records published by every node, keyed by the alfred source MAC (the publisher's bat0)
+    async readRecords() {
+        const output = await this.runner.run(this.alfredBinary, ['-r', String(this.dataType)], { quiet: true });
+        const records = [];
+        for (const { source, data } of parseAlfredData(output)) {
+            try {
+                records.push({ ...JSON.parse(data), source });
+            } catch (error) {
+                logger.debug(`Ignoring unreadable alfred record from ${source}`);
+            }
+        }
+        return records;
+    }
+
+    async readVis() {
+        return parseVisJsonDoc(await this.runner.run(this.visBinary, ['-i', this.batmanInterface, '-f', 'jsondoc'], { quiet: true }));
+    }
+
+    // Whole-mesh view: batadv-vis nodes and links, each node with the record it published
+    async getMeshView() {
+        const [records, vis] = await Promise.all([
+            this.readRecords().catch(() => []),
+            this.readVis()
+        ]);
+
+        const nodes = vis.nodes.map(node => {
+            const record = records.find(r => r.originator === node.originator) ||
+                records.find(r => node.clients.includes(r.source));
+            return { ...node, record: record || null };
+        });
+        return { algorithm: vis.algorithm, nodes, links: vis.links, records };
+    }
+
+    getStatus() {
+        return {
+            master: this.master,
+            dataType: this.dataType,
+            lastPublish: this.lastPublish,
+            daemons: Array.from(this.instances.values()).map(supervised => ({ name: supervised.name, ...supervised.getStatus() }))
+        };
+    }
+}
+
+Alfred.parseAlfredData = parseAlfredData;
+Alfred.parseVisJsonDoc = parseVisJsonDoc;
+Alfred.parsePosition = parsePosition;
+
+module.exports = Alfred;
@@ -0,0 +1,395 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/JsonFileStore');
+
+const ROLES = {
+    viewer: 1,   // Read-only access to status, nodes, stats and topology
+    operator: 2, // Can run node actions (ping, restart, disconnect, reconnect)
+    admin: 3     // Can also manage users and API tokens
+};
+
+const SESSION_COOKIE = 'batman_session';
+const TOKEN_PREFIX = 'bmc_';
+
+/**
+ * AuthManager - Authentication and role-based access for the coordinator API
+ *
+ * Two ways to authenticate:
+ * - Session cookie issued by POST /api/auth/login (dashboard)
+ * - API token sent as "Authorization: Bearer <token>" (scripts, integrations)
+ *
+ * Users and API tokens are persisted in auth.json; passwords are stored as
+ * scrypt hashes and tokens as SHA-256 hashes. Sessions are kept in memory.
+ */
+class AuthManager {
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? process.env.AUTH_ENABLED !== 'false';
+        this.store = options.store || new JsonFileStore('auth.json', { users: [], tokens: [] }, { fileMode: 0o600 });
+        this.sessionTtl = (options.sessionTtlHours ?? parseFloat(process.env.SESSION_TTL_HOURS || '12')) * 60 * 60 * 1000;
+        this.users = new Map();
+        this.tokens = new Map();
+        this.sessions = new Map();
+    }
+
+    async initialize() {
+        if (!this.enabled) {
+            logger.warn('API authentication is disabled (AUTH_ENABLED=false) - every client has admin access');
+            return;
+        }
+
+        const data = await this.store.load();
+        for (const user of data?.users || []) {
+            this.users.set(user.username, user);
+        }
+        for (const token of data?.tokens || []) {
+            this.tokens.set(token.id, token);
+        }
+
+        if (this.users.size === 0) {
+            await this.createBootstrapAdmin();
+        }
+
+        logger.info(`Authentication enabled with ${this.users.size} user(s) and ${this.tokens.size} API token(s)`);
+    }
+
+    async createBootstrapAdmin() {
+        const username = process.env.ADMIN_USERNAME || 'admin';
+        let password = process.env.ADMIN_PASSWORD;
+
+        if (!password) {
+            password = crypto.randomBytes(9).toString('hex');
+            logger.warn(`No users configured - created "${username}" with generated password: ${password}`);
+            logger.warn('Change it after logging in or set ADMIN_PASSWORD before first start');
+        } else {
+            logger.info(`Created initial admin user "${username}" from ADMIN_PASSWORD`);
+        }
+
+        await this.createUser(username, password, 'admin');
+    }
+
+    static isValidRole(role) {
+        return Object.prototype.hasOwnProperty.call(ROLES, role);
+    }
+
+    static hasRole(user, role) {
+        return !!user && (ROLES[user.role] || 0) >= ROLES[role];
+    }
+
+    hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+        const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+        return { salt, hash };
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    async persist() {
+        await this.store.save({
+            users: Array.from(this.users.values()),
+            tokens: Array.from(this.tokens.values())
+        });
+    }
+
+    // User management
+
+    async createUser(username, password, role = 'viewer') {
+        if (!username || !password) {
+            throw new Error('Username and password are required');
+        }
+        if (!AuthManager.isValidRole(role)) {
+            throw new Error(`Invalid role: ${role}`);
+        }
+        if (this.users.has(username)) {
+            throw new Error(`User ${username} already exists`);
+        }
+
+        const { salt, hash } = this.hashPassword(password);
+        this.users.set(username, {
+            username,
+            role,
+            salt,
+            passwordHash: hash,
+            createdAt: new Date()
+        });
+        await this.persist();
+
+        logger.info(`User created: ${username} (${role})`);
+        return this.describeUser(this.users.get(username));
+    }
+
+    async updateUser(username, changes = {}) {
+        const user = this.users.get(username);
+        if (!user) {
+            throw new Error(`User ${username} not found`);
+        }
+
+        if (changes.role) {
+            if (!AuthManager.isValidRole(changes.role)) {
+                throw new Error(`Invalid role: ${changes.role}`);
+            }
+            if (user.role === 'admin' && changes.role !== 'admin' && this.countAdmins() === 1) {
+                throw new Error('Cannot demote the last admin user');
+            }
+            user.role = changes.role;
+        }
+
+        if (changes.password) {
+            const { salt, hash } = this.hashPassword(changes.password);
+            user.salt = salt;
+            user.passwordHash = hash;
+        }
+
+        await this.persist();
+        this.dropSessionsFor(username);
+
+        return this.describeUser(user);
+    }
+
+    async deleteUser(username) {
+        const user = this.users.get(username);
+        if (!user) {
+            throw new Error(`User ${username} not found`);
+        }
+        if (user.role === 'admin' && this.countAdmins() === 1) {
+            throw new Error('Cannot delete the last admin user');
+        }
+
+        this.users.delete(username);
+        this.dropSessionsFor(username);
+        await this.persist();
+
+        logger.info(`User deleted: ${username}`);
+    }
+
+    countAdmins() {
+        return Array.from(this.users.values()).filter(u => u.role === 'admin').length;
+    }
+
+    listUsers() {
+        return Array.from(this.users.values()).map(user => this.describeUser(user));
+    }
+
+    describeUser(user) {
+        return {
+            username: user.username,
+            role: user.role,
+            createdAt: user.createdAt
+        };
+    }
+
+    verifyPassword(username, password) {
+        const user = this.users.get(username);
+        if (!user || !password) {
+            return null;
+        }
+
+        const { hash } = this.hashPassword(password, user.salt);
+        const expected = Buffer.from(user.passwordHash, 'hex');
+        const actual = Buffer.from(hash, 'hex');
+
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        return user;
+    }
+
+    // Sessions
+
+    login(username, password) {
+        const user = this.verifyPassword(username, password);
+        if (!user) {
+            logger.security(`Failed login attempt for user ${username}`);
+            return null;
+        }
+
+        const sessionId = crypto.randomBytes(32).toString('hex');
+        this.sessions.set(sessionId, {
+            username: user.username,
+            expiresAt: Date.now() + this.sessionTtl
+        });
+
+        logger.info(`User logged in: ${username}`);
+        return sessionId;
+    }
+
+    logout(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+
+    dropSessionsFor(username) {
+        for (const [sessionId, session] of this.sessions) {
+            if (session.username === username) {
+                this.sessions.delete(sessionId);
+            }
+        }
+    }
+
+    resolveSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return null;
+
+        if (session.expiresAt < Date.now()) {
+            this.sessions.delete(sessionId);
+            return null;
+        }
+
+        const user = this.users.get(session.username);
+        return user ? { username: user.username, role: user.role, via: 'session' } : null;
+    }
+
+    // API tokens
+
+    async createToken(name, role = 'viewer') {
+        if (!AuthManager.isValidRole(role)) {
+            throw new Error(`Invalid role: ${role}`);
+        }
+
+        const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+        const id = crypto.randomBytes(6).toString('hex');
+
+        this.tokens.set(id, {
+            id,
+            name: name || id,
+            role,
+            tokenHash: this.hashToken(token),
+            createdAt: new Date(),
+            lastUsed: null
+        });
+        await this.persist();
+
+        logger.info(`API token created: ${name || id} (${role})`);
+
+        // The plain token is only ever returned here
+        return { ...this.describeToken(this.tokens.get(id)), token };
+    }
+
+    async revokeToken(id) {
+        if (!this.tokens.delete(id)) {
+            throw new Error(`Token ${id} not found`);
+        }
+        await this.persist();
+        logger.info(`API token revoked: ${id}`);
+    }
+
+    listTokens() {
+        return Array.from(this.tokens.values()).map(token => this.describeToken(token));
+    }
+
+    describeToken(token) {
+        return {
+            id: token.id,
+            name: token.name,
+            role: token.role,
+            createdAt: token.createdAt,
+            lastUsed: token.lastUsed
+        };
+    }
+
+    resolveToken(token) {
+        if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+
+        const tokenHash = this.hashToken(token);
+        for (const entry of this.tokens.values()) {
+            if (entry.tokenHash === tokenHash) {
+                entry.lastUsed = new Date();
+                return { username: `token:${entry.name}`, role: entry.role, via: 'token' };
+            }
+        }
+
+        return null;
+    }
+
+    // Request helpers
+
+    parseCookies(header = '') {
+        const cookies = {};
+        for (const part of header.split(';')) {
+            const index = part.indexOf('=');
+            if (index < 1) continue;
+            // Other apps on the host can set cookies we cannot decode, skip them
+            try {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                continue;
+            }
+        }
+        return cookies;
+    }
+
+    resolveCredentials({ authorization, cookie, token }) {
+        if (!this.enabled) {
+            return { username: 'anonymous', role: 'admin', via: 'disabled' };
+        }
+
+        const bearer = authorization && authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+        if (bearer || token) {
+            return this.resolveToken(bearer || token);
+        }
+
+        const sessionId = this.parseCookies(cookie)[SESSION_COOKIE];
+        return sessionId ? this.resolveSession(sessionId) : null;
+    }
+
+    sessionCookie(sessionId, req) {
+        const secure = req.secure ? '; Secure' : '';
+        const maxAge = Math.floor(this.sessionTtl / 1000);
+        return `${SESSION_COOKIE}=${sessionId}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${maxAge}${secure}`;
+    }
+
+    clearSessionCookie() {
+        return `${SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`;
+    }
+
+    getSessionId(req) {
+        return this.parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    }
+
+    // Express middleware: attach req.user when credentials are present
+    authenticate() {
+        return (req, res, next) => {
+            req.user = this.resolveCredentials({
+                authorization: req.headers.authorization,
+                cookie: req.headers.cookie
+            });
+            next();
+        };
+    }
+
+    // Express middleware: reject requests below the given role
+    requireRole(role) {
+        return (req, res, next) => {
+            if (!req.user) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            if (!AuthManager.hasRole(req.user, role)) {
+                logger.security(`Access denied for ${req.user.username} (${req.user.role}) to ${req.method} ${req.path}`);
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+            next();
+        };
+    }
+
+    // Socket.IO middleware: reject unauthenticated handshakes
+    socketMiddleware() {
+        return (socket, next) => {
+            const user = this.resolveCredentials({
+                authorization: socket.handshake.headers.authorization,
+                cookie: socket.handshake.headers.cookie,
+                token: socket.handshake.auth?.token
+            });
+
+            if (!user) {
+                return next(new Error('Authentication required'));
+            }
+
+            socket.data.user = user;
+            next();
+        };
+    }
+}
+
+AuthManager.ROLES = ROLES;
+
+module.exports = AuthManager;
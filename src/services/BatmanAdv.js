@@ -0,0 +1,566 @@
+const logger = require('../utils/logger');
+const { getDefaultRunner } = require('../runner');
+
+const MAC = '[0-9a-fA-F]{2}(?::[0-9a-fA-F]{2}){5}';
+const TQ_MAX = 255;
+// BATMAN_V throughput at or above this counts as a perfect link
+const THROUGHPUT_REFERENCE_MBPS = 100;
+
+// Text rows, one pattern per batctl table layout
+const NEIGHBOR_IV = new RegExp(`^(\\S+)\\s+(${MAC})\\s+(\\d+\\.\\d+)s\\s*$`);
+const NEIGHBOR_V = new RegExp(`^(${MAC})\\s+(\\d+\\.\\d+)s\\s+\\(\\s*(\\d+(?:\\.\\d+)?)\\)\\s+\\[\\s*(\\S+?)\\s*\\]`);
+const ORIGINATOR = new RegExp(`^(\\*?)\\s*(${MAC})\\s+(\\d+\\.\\d+)s\\s+\\(\\s*(\\d+(?:\\.\\d+)?)\\)\\s+(${MAC})\\s+\\[\\s*(\\S+?)\\s*\\]`);
+// Selected gateway is marked "=>" (debugfs) or "*" (netlink)
+const GATEWAY = new RegExp(`^(=>|\\*)?\\s*(${MAC})\\s+\\(\\s*(\\d+(?:\\.\\d+)?)\\)\\s+(${MAC})\\s+\\[\\s*(\\S+?)\\s*\\]:\\s*(\\d+(?:\\.\\d+)?)\\/(\\d+(?:\\.\\d+)?) MBit`);
+// Translation table rows: "* <client> <vid> [flags]" then last-seen (local) or "(ttvn) <via> (ttvn)" (global)
+const TT_CLIENT = new RegExp(`^(\\*)?\\s*(${MAC})\\s+(-?\\d+)\\s+\\[([A-Z.]+)\\]\\s*(.*)$`);
+const TT_VIA = new RegExp(`^\\(\\s*\\d+\\)\\s+(${MAC})`);
+
+// Debug tables: JSON variant (batctl 2021.0+, netlink) and text variant
+const TABLES = {
+    neighbors: { json: 'neighbors_json', text: 'neighbors' },
+    originators: { json: 'originators_json', text: 'originators' },
+    gateways: { json: 'gateways_json', text: 'gateways' },
+    localClients: { json: 'transtable_local_json', text: 'transtable_local' },
+    globalClients: { json: 'transtable_global_json', text: 'transtable_global' }
+};
+
+// BATADV_TT_CLIENT_* bits in tt_flags, and the letters batctl prints for them
+const TT_FLAGS = {
+    roaming: { bit: 0x2, letter: 'R' },
+    wifi: { bit: 0x10, letter: 'W' },
+    isolated: { bit: 0x20, letter: 'I' },
+    noPurge: { bit: 0x100, letter: 'P' },
+    temporary: { bit: 0x800, letter: 'T' }
+};
+
+function formatLastSeen(ms) {
+    return `${(ms / 1000).toFixed(3)}s`;
+}
+
+function headerAlgorithm(output) {
+    const match = output.match(/\bBATMAN_(IV|V)\b/);
+    return match ? `BATMAN_${match[1]}` : null;
+}
+
+// One metric schema for both routing algorithms
+function metric(algorithm, value) {
+    if (algorithm === 'BATMAN_V') {
+        return {
+            algorithm,
+            metric: 'throughput',
+            tq: null,
+            throughputMbps: value,
+            quality: Math.round(Math.min(value / THROUGHPUT_REFERENCE_MBPS, 1) * 1000) / 1000
+        };
+    }
+    return {
+        algorithm: 'BATMAN_IV',
+        metric: 'tq',
+        tq: value,
+        throughputMbps: null,
+        quality: value === null ? null : Math.round(value / TQ_MAX * 1000) / 1000
+    };
+}
+
+// Lines that are not data rows: version banner, column headers, empty table notice
+function isHeaderLine(line) {
+    return !line ||
+        line.startsWith('[') ||
+        /Neighbor|Originator|last-seen/.test(line) ||
+        line.includes('No batman nodes in range');
+}
+
+function reportSkipped(table, skipped) {
+    if (skipped.length > 0) {
+        logger.debug(`Skipped ${skipped.length} unrecognised batctl ${table} line(s): ${skipped.slice(0, 3).join(' | ')}`);
+    }
+}
+
+// JSON tables: throughput is reported in units of 100 kbit/s
+function jsonMetric(entry) {
+    return entry.throughput !== undefined
+        ? metric('BATMAN_V', entry.throughput / 10)
+        : metric('BATMAN_IV', entry.tq ?? null);
+}
+
+function parseNeighborsJson(entries) {
+    return entries.map(entry => ({
+        address: entry.neigh_address.toLowerCase(),
+        interface: entry.hard_ifname || entry.ifname || null,
+        lastSeen: formatLastSeen(entry.last_seen_msecs),
+        lastSeenMs: entry.last_seen_msecs,
+        ...jsonMetric(entry)
+    }));
+}
+
+function parseOriginatorsJson(entries) {
+    return entries.map(entry => ({
+        originator: entry.orig_address.toLowerCase(),
+        nextHop: entry.neigh_address.toLowerCase(),
+        interface: entry.hard_ifname || entry.ifname || null,
+        lastSeen: formatLastSeen(entry.last_seen_msecs),
+        lastSeenMs: entry.last_seen_msecs,
+        isBestPath: entry.best !== false,
+        ...jsonMetric(entry)
+    }));
+}
+
+function parseNeighborsText(output) {
+    const algorithm = headerAlgorithm(output);
+    const neighbors = [];
+    const skipped = [];
+
+    for (const raw of output.split('\n')) {
+        const line = raw.trim();
+        if (isHeaderLine(line)) continue;
+
+        let match = line.match(NEIGHBOR_IV);
+        if (match) {
+            const lastSeenMs = Math.round(parseFloat(match[3]) * 1000);
+            neighbors.push({
+                address: match[2].toLowerCase(),
+                interface: match[1],
+                lastSeen: formatLastSeen(lastSeenMs),
+                lastSeenMs,
+                // BATMAN_IV neighbor tables carry no link metric
+                ...metric(algorithm || 'BATMAN_IV', null)
+            });
+            continue;
+        }
+
+        match = line.match(NEIGHBOR_V);
+        if (match) {
+            const lastSeenMs = Math.round(parseFloat(match[2]) * 1000);
+            neighbors.push({
+                address: match[1].toLowerCase(),
+                interface: match[4],
+                lastSeen: formatLastSeen(lastSeenMs),
+                lastSeenMs,
+                ...metric('BATMAN_V', parseFloat(match[3]))
+            });
+            continue;
+        }
+
+        skipped.push(line);
+    }
+
+    reportSkipped('neighbors', skipped);
+    return neighbors;
+}
+
+function parseOriginatorsText(output) {
+    const headerAlgo = headerAlgorithm(output);
+    const routes = [];
+    const skipped = [];
+    // Tables without a best-route marker (pre-2019 debugfs) only list best routes
+    const marksBest = /^\s*\*/m.test(output);
+
+    for (const raw of output.split('\n')) {
+        const line = raw.trim();
+        if (isHeaderLine(line)) continue;
+
+        const match = line.match(ORIGINATOR);
+        if (!match) {
+            skipped.push(line);
+            continue;
+        }
+
+        const [, best, originator, lastSeen, value, nextHop, intf] = match;
+        const algorithm = headerAlgo || (value.includes('.') ? 'BATMAN_V' : 'BATMAN_IV');
+        const lastSeenMs = Math.round(parseFloat(lastSeen) * 1000);
+        routes.push({
+            originator: originator.toLowerCase(),
+            nextHop: nextHop.toLowerCase(),
+            interface: intf,
+            lastSeen: formatLastSeen(lastSeenMs),
+            lastSeenMs,
+            isBestPath: best === '*' || !marksBest,
+            ...metric(algorithm, parseFloat(value))
+        });
+    }
+
+    reportSkipped('originators', skipped);
+    return routes;
+}
+
+// bandwidth_down/bandwidth_up are in units of 100 kbit/s
+function parseGatewaysJson(entries) {
+    return entries.map(entry => ({
+        address: entry.orig_address.toLowerCase(),
+        nextHop: (entry.router || entry.orig_address).toLowerCase(),
+        interface: entry.hard_ifname || entry.ifname || null,
+        selected: entry.best === true,
+        bandwidthDownMbps: (entry.bandwidth_down ?? 0) / 10,
+        bandwidthUpMbps: (entry.bandwidth_up ?? 0) / 10,
+        ...jsonMetric(entry)
+    }));
+}
+
+function parseGatewaysText(output) {
+    const headerAlgo = headerAlgorithm(output);
+    const gateways = [];
+    const skipped = [];
+
+    for (const raw of output.split('\n')) {
+        const line = raw.trim();
+        if (isHeaderLine(line) || /Gateway|Router|No gateways in range/.test(line)) continue;
+
+        const match = line.match(GATEWAY);
+        if (!match) {
+            skipped.push(line);
+            continue;
+        }
+
+        const [, best, address, value, nextHop, intf, down, up] = match;
+        const algorithm = headerAlgo || (value.includes('.') ? 'BATMAN_V' : 'BATMAN_IV');
+        gateways.push({
+            address: address.toLowerCase(),
+            nextHop: nextHop.toLowerCase(),
+            interface: intf,
+            selected: !!best,
+            bandwidthDownMbps: parseFloat(down),
+            bandwidthUpMbps: parseFloat(up),
+            ...metric(algorithm, parseFloat(value))
+        });
+    }
+
+    reportSkipped('gateways', skipped);
+    return gateways;
+}
+
+function ttFlags(test) {
+    return Object.fromEntries(Object.entries(TT_FLAGS).map(([name, flag]) => [name, test(flag)]));
+}
+
+// Local entries have no originator (they sit behind this node), global ones name the originator they sit behind
+function parseClientsJson(entries) {
+    return entries.map(entry => ({
+        mac: entry.tt_address.toLowerCase(),
+        vid: entry.tt_vid ?? -1,
+        originator: entry.orig_address ? entry.orig_address.toLowerCase() : null,
+        best: entry.orig_address ? entry.best === true : true,
+        lastSeenMs: entry.last_seen_msecs ?? null,
+        flags: ttFlags(flag => ((entry.tt_flags || 0) & flag.bit) !== 0)
+    }));
+}
+
+function parseClientsText(output, table) {
+    const clients = [];
+    const skipped = [];
+
+    for (const raw of output.split('\n')) {
+        const line = raw.trim();
+        if (isHeaderLine(line) || /^Client\b/.test(line)) continue;
+
+        const match = line.match(TT_CLIENT);
+        const via = match && match[5].match(TT_VIA);
+        if (!match || (table === 'globalClients' && !via)) {
+            skipped.push(line);
+            continue;
+        }
+
+        const [, best, mac, vid, flags, rest] = match;
+        const lastSeen = rest.match(/^(\d+\.\d+)/);
+        clients.push({
+            mac: mac.toLowerCase(),
+            vid: parseInt(vid),
+            originator: via ? via[1].toLowerCase() : null,
+            // Local tables mark nothing, every entry is ours
+            best: via ? best === '*' : true,
+            lastSeenMs: !via && lastSeen ? Math.round(parseFloat(lastSeen[1]) * 1000) : null,
+            flags: ttFlags(flag => flags.includes(flag.letter))
+        });
+    }
+
+    reportSkipped(table, skipped);
+    return clients;
+}
+
+// `batctl gw_mode`: "off", "client (selection class: 20)" or "server (announced bw: 10.0/2.0 MBit)"
+function parseGatewayMode(output) {
+    const text = (output || '').trim();
+    const mode = (text.match(/^(off|client|server)\b/) || [])[1] || 'unknown';
+    const bandwidth = text.match(/announced bw:\s*(\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?) MBit/);
+    const selClass = text.match(/selection class:\s*(\d+(?:\.\d+)?)/);
+
+    return {
+        mode,
+        bandwidthDownMbps: bandwidth ? parseFloat(bandwidth[1]) : null,
+        bandwidthUpMbps: bandwidth ? parseFloat(bandwidth[2]) : null,
+        selClass: selClass ? parseFloat(selClass[1]) : null
+    };
+}
+
+// `batctl ra`: active algorithm per mesh interface, the one selected for new interfaces, and what the kernel offers
+function parseRoutingAlgorithms(output) {
+    const result = { active: {}, selected: null, available: [] };
+    let section = null;
+
+    for (const raw of output.split('\n')) {
+        const line = raw.trim();
+        if (/^Active/i.test(line)) section = 'active';
+        else if (/^Selected/i.test(line)) section = 'selected';
+        else if (/^Available/i.test(line)) section = 'available';
+        else if (section === 'active' && /^\*\s*\S+:\s*BATMAN_/.test(line)) {
+            const [, meshif, algorithm] = line.match(/^\*\s*(\S+):\s*(BATMAN_\w+)/);
+            result.active[meshif] = algorithm;
+        } else if (section === 'selected' && line.startsWith('=>')) {
+            result.selected = line.slice(2).trim();
+        } else if (section === 'available' && line.startsWith('*')) {
+            result.available.push(line.slice(1).trim());
+        }
+    }
+    return result;
+}
+
+// `batctl ping`: per-packet round trips plus the summary lines, like iputils ping
+function parsePing(output) {
+    const rttMs = [];
+    for (const match of output.matchAll(/icmp_seq=\d+ ttl=\d+ time=(\d+(?:\.\d+)?) ms/g)) {
+        rttMs.push(parseFloat(match[1]));
+    }
+    const stats = output.match(/(\d+) packets transmitted, (\d+) received/);
+    const rtt = output.match(/min\/avg\/max\/mdev = ([\d.]+)\/([\d.]+)\/([\d.]+)/);
+    const transmitted = stats ? parseInt(stats[1]) : rttMs.length;
+    const received = stats ? parseInt(stats[2]) : rttMs.length;
+
+    return {
+        transmitted,
+        received,
+        lossPercent: transmitted > 0 ? Math.round((1 - received / transmitted) * 100) : null,
+        rttMs,
+        minMs: rtt ? parseFloat(rtt[1]) : null,
+        avgMs: rtt ? parseFloat(rtt[2]) : null,
+        maxMs: rtt ? parseFloat(rtt[3]) : null
+    };
+}
+
+// `batctl traceroute`: one line per hop, " 2: <mac>  1.2 ms  1.1 ms  1.3 ms", "*" for lost probes
+function parseTraceroute(output) {
+    const hops = [];
+    for (const line of output.split('\n')) {
+        const match = line.match(/^\s*(\d+):\s+(.*)$/);
+        if (!match) continue;
+
+        const address = match[2].match(new RegExp(MAC));
+        const rttMs = Array.from(match[2].matchAll(/(\d+(?:\.\d+)?) ms/g), m => parseFloat(m[1]));
+        hops.push({
+            hop: parseInt(match[1]),
+            address: address ? address[0].toLowerCase() : null,
+            rttMs,
+            avgMs: rttMs.length > 0 ? Math.round(rttMs.reduce((a, b) => a + b, 0) / rttMs.length * 1000) / 1000 : null
+        });
+    }
+    return hops;
+}
+
+const TP_UNITS = { Gbps: 1000, Mbps: 1, Kbps: 0.001, Bps: 0.000001 };
+
+// `batctl tp`: test duration, bytes sent and the throughput, e.g. "Throughput: 3.24 MB/s (27.19 Mbps)"
+function parseThroughputTest(output) {
+    const throughput = output.match(/Throughput: .*\(\s*(\d+(?:\.\d+)?) (Gbps|Mbps|Kbps|Bps)\)/);
+    if (!throughput) {
+        return null;
+    }
+    const duration = output.match(/Test duration (\d+)ms/);
+    const sent = output.match(/Sent (\d+) Bytes/);
+    return {
+        durationMs: duration ? parseInt(duration[1]) : null,
+        bytes: sent ? parseInt(sent[1]) : null,
+        throughputMbps: Math.round(parseFloat(throughput[1]) * TP_UNITS[throughput[2]] * 100) / 100
+    };
+}
+
+function parseJson(output) {
+    const trimmed = output.trim();
+    if (!trimmed.startsWith('[')) return null;
+    try {
+        return JSON.parse(trimmed);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * BatmanAdv - Read access to batman-adv debug tables
+ *
+ * Prefers the JSON tables (`batctl meshif bat0 neighbors_json`, netlink based,
+ * batctl 2021.0+) and falls back to scraping the text tables of older
+ * versions. Both BATMAN_IV (TQ) and BATMAN_V (throughput) output is
+ * normalized into one schema:
+ *
+ *   { algorithm, metric: 'tq' | 'throughput', tq, throughputMbps, quality }
+ *
+ * where quality is 0-1 (TQ / 255, or throughput against 100 Mbit/s) and is
+ * null when the table carries no metric (BATMAN_IV neighbors). Whichever
+ * command syntax and table format worked is remembered, so older batctl
+ * versions only pay for the probing once.
+ */
+class BatmanAdv {
+    constructor(options = {}) {
+        this.runner = options.runner || getDefaultRunner().forSource('BatmanAdv');
+        this.batmanInterface = options.batmanInterface || 'bat0';
+        this.syntax = null;
+        this.jsonSupported = null;
+    }
+
+    // batctl 2019.2+ takes `meshif <iface>`, older versions `-m <iface>`
+    async batctl(args, options = {}) {
+        const syntaxes = this.syntax ? [this.syntax] : ['meshif', '-m'];
+        let lastError;
+
+        for (const syntax of syntaxes) {
+            try {
+                const output = await this.runner.run('batctl', [syntax, this.batmanInterface, ...args], { quiet: true, ...options });
+                this.syntax = syntax;
+                return output;
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    async readTable(table) {
+        const { json, text } = TABLES[table];
+
+        if (this.jsonSupported !== false) {
+            try {
+                const entries = parseJson(await this.batctl([json]));
+                if (entries) {
+                    this.jsonSupported = true;
+                    return { format: 'json', entries };
+                }
+            } catch (error) {
+                // Older batctl without JSON tables, or no batman interface yet
+            }
+        }
+
+        const output = await this.batctl([text]);
+        // Only give up on JSON once the text table proves batctl itself works
+        if (this.jsonSupported === null) {
+            logger.debug('batctl JSON tables unavailable, falling back to text output');
+            this.jsonSupported = false;
+        }
+        return { format: 'text', output };
+    }
+
+    async getNeighbors() {
+        const result = await this.readTable('neighbors');
+        return result.format === 'json' ? parseNeighborsJson(result.entries) : parseNeighborsText(result.output);
+    }
+
+    async getOriginators() {
+        const result = await this.readTable('originators');
+        return result.format === 'json' ? parseOriginatorsJson(result.entries) : parseOriginatorsText(result.output);
+    }
+
+    // Gateways announced in the mesh (not including this node), with the selected one marked
+    async getGateways() {
+        const result = await this.readTable('gateways');
+        return result.format === 'json' ? parseGatewaysJson(result.entries) : parseGatewaysText(result.output);
+    }
+
+    // Clients (non-mesh MACs) bridged into the mesh by this node: `batctl tl`
+    async getLocalClients() {
+        const result = await this.readTable('localClients');
+        return result.format === 'json' ? parseClientsJson(result.entries) : parseClientsText(result.output, 'localClients');
+    }
+
+    // Clients announced by other originators: `batctl tg`, one entry per originator, best one marked
+    async getGlobalClients() {
+        const result = await this.readTable('globalClients');
+        return result.format === 'json' ? parseClientsJson(result.entries) : parseClientsText(result.output, 'globalClients');
+    }
+
+    async getGatewayMode() {
+        return parseGatewayMode(await this.batctl(['gw_mode']));
+    }
+
+    // mode 'server' takes the advertised bandwidth, 'client' the selection class
+    async setGatewayMode(mode, parameter = null) {
+        await this.batctl(['gw_mode', mode, ...(parameter ? [String(parameter)] : [])], { quiet: false });
+    }
+
+    // Hard interfaces and their state, e.g. { wlan1: 'active', eth1: 'inactive' }
+    async getHardInterfaces() {
+        const interfaces = {};
+        for (const line of (await this.batctl(['if'])).split('\n')) {
+            const match = line.trim().match(/^(\S+):\s*(\S+)/);
+            if (match) interfaces[match[1]] = match[2];
+        }
+        return interfaces;
+    }
+
+    async getRoutingAlgorithms() {
+        return parseRoutingAlgorithms(await this.runner.run('batctl', ['ra'], { quiet: true }));
+    }
+
+    // Only affects batman interfaces created afterwards
+    async setRoutingAlgorithm(algorithm) {
+        await this.runner.run('batctl', ['ra', algorithm]);
+    }
+
+    async setHardifSetting(hardInterface, setting, value) {
+        await this.runner.run('batctl', ['hardif', hardInterface, setting, value]);
+    }
+
+    // Mesh-layer ping of an originator; 100% loss is a result, not an error
+    async ping(destination, count = 5) {
+        let output;
+        try {
+            output = await this.batctl(['ping', '-c', String(count), destination], { timeout: (count + 5) * 1000 });
+        } catch (error) {
+            if (!/packets transmitted/.test(error.stdout || '')) throw error;
+            output = error.stdout;
+        }
+        return parsePing(output);
+    }
+
+    async traceroute(destination) {
+        return parseTraceroute(await this.batctl(['traceroute', destination], { timeout: 60000 }));
+    }
+
+    // batman-adv throughput meter; the destination's kernel answers, no daemon needed there
+    async throughputTest(destination, durationMs = 10000) {
+        const output = await this.batctl(['tp', '-t', String(durationMs), destination], { timeout: durationMs + 20000 });
+        const result = parseThroughputTest(output);
+        if (!result) {
+            throw new Error(`Throughput test to ${destination} failed: ${output.split('\n')[0] || 'no result'}`);
+        }
+        return result;
+    }
+
+    // Parse batctl output of either format (exposed for fixture tests)
+    static parseNeighbors(output) {
+        const entries = parseJson(output);
+        return entries ? parseNeighborsJson(entries) : parseNeighborsText(output);
+    }
+
+    static parseOriginators(output) {
+        const entries = parseJson(output);
+        return entries ? parseOriginatorsJson(entries) : parseOriginatorsText(output);
+    }
+
+    static parseGateways(output) {
+        const entries = parseJson(output);
+        return entries ? parseGatewaysJson(entries) : parseGatewaysText(output);
+    }
+
+    static parseClients(output, table = 'globalClients') {
+        const entries = parseJson(output);
+        return entries ? parseClientsJson(entries) : parseClientsText(output, table);
+    }
+}
+
+BatmanAdv.parseRoutingAlgorithms = parseRoutingAlgorithms;
+BatmanAdv.parseGatewayMode = parseGatewayMode;
+BatmanAdv.parsePing = parsePing;
+BatmanAdv.parseTraceroute = parseTraceroute;
+BatmanAdv.parseThroughputTest = parseThroughputTest;
+BatmanAdv.ALGORITHMS = ['BATMAN_IV', 'BATMAN_V'];
+BatmanAdv.TQ_MAX = TQ_MAX;
+BatmanAdv.THROUGHPUT_REFERENCE_MBPS = THROUGHPUT_REFERENCE_MBPS;
+
+module.exports = BatmanAdv;
@@ -0,0 +1,209 @@
+const logger = require('../utils/logger');
+const { getDefaultRunner } = require('../runner');
+
+// Non-overlapping 20 MHz channels (1/6/11) and the 5 GHz channels without DFS
+const DEFAULT_CANDIDATES = {
+    '2.4': [2412, 2437, 2462],
+    '5': [5180, 5200, 5220, 5240, 5745, 5765, 5785, 5805, 5825]
+};
+
+function frequencyToChannel(frequency) {
+    frequency = parseInt(frequency);
+    if (frequency === 2484) return 14;
+    if (frequency >= 2412 && frequency <= 2472) return (frequency - 2407) / 5;
+    if (frequency >= 5000 && frequency < 5900) return (frequency - 5000) / 5;
+    return null;
+}
+
+function channelToFrequency(channel) {
+    channel = parseInt(channel);
+    if (channel === 14) return 2484;
+    if (channel >= 1 && channel <= 13) return 2407 + channel * 5;
+    if (channel >= 32 && channel <= 177) return 5000 + channel * 5;
+    return null;
+}
+
+function band(frequency) {
+    return parseInt(frequency) < 3000 ? '2.4' : '5';
+}
+
+// `iw dev X survey dump`: one block per frequency, times in ms since the counters were reset
+function parseSurveyDump(output) {
+    const entries = [];
+    let current = null;
+
+    for (const line of (output || '').split('\n')) {
+        const field = line.match(/^\s*([a-z ]+):\s+(.*)$/i);
+        if (!field) continue;
+        const [, name, value] = field;
+
+        if (name === 'frequency') {
+            current = {
+                frequency: parseInt(value),
+                inUse: value.includes('[in use]'),
+                noise: null,
+                activeMs: null,
+                busyMs: null
+            };
+            entries.push(current);
+        } else if (current && name === 'noise') {
+            current.noise = parseInt(value);
+        } else if (current && name === 'channel active time') {
+            current.activeMs = parseInt(value);
+        } else if (current && name === 'channel busy time') {
+            current.busyMs = parseInt(value);
+        }
+    }
+    return entries;
+}
+
+// `iw dev X scan`: other networks heard on each frequency
+function parseScan(output) {
+    const networks = [];
+    let current = null;
+
+    for (const line of (output || '').split('\n')) {
+        const bss = line.match(/^BSS ([0-9a-f:]{17})/i);
+        if (bss) {
+            current = { bssid: bss[1].toLowerCase(), frequency: null, signal: null, ssid: null, meshId: null };
+            networks.push(current);
+            continue;
+        }
+        if (!current) continue;
+
+        const field = line.match(/^\s+(freq|signal|SSID|MESH ID):\s*(.*)$/);
+        if (!field) continue;
+        if (field[1] === 'freq') current.frequency = Math.round(parseFloat(field[2]));
+        if (field[1] === 'signal') current.signal = parseFloat(field[2]);
+        if (field[1] === 'SSID') current.ssid = field[2];
+        if (field[1] === 'MESH ID') current.meshId = field[2];
+    }
+    return networks;
+}
+
+// 2.4 GHz channels 5 MHz apart overlap until they are 5 channels apart
+function overlap(a, b) {
+    if (a === b) return 1;
+    if (band(a) !== '2.4' || band(b) !== '2.4') return 0;
+    const distance = Math.abs(frequencyToChannel(a) - frequencyToChannel(b));
+    return distance < 5 ? (5 - distance) / 5 : 0;
+}
+
+/*
+ * Score 0-100, higher is better. Penalties:
+ * - busy time: up to 60 points (0.6 per percent of the time the channel was busy)
+ * - noise: 1 point per dB above -95 dBm, at most 20
+ * - other networks: 3 points plus up to 10 for a strong signal, scaled by channel overlap
+ */
+function scoreChannel(frequency, survey, networks) {
+    const busyPercent = survey && survey.activeMs ? Math.round((survey.busyMs || 0) / survey.activeMs * 100) : null;
+    const noise = survey ? survey.noise : null;
+    let penalty = 0;
+
+    if (busyPercent !== null) {
+        penalty += busyPercent * 0.6;
+    }
+    if (noise !== null) {
+        penalty += Math.min(Math.max(noise + 95, 0), 20);
+    }
+
+    let networkCount = 0;
+    for (const network of networks) {
+        const weight = overlap(frequency, network.frequency);
+        if (weight === 0) continue;
+        if (weight === 1) networkCount++;
+        const strength = network.signal === null ? 0 : Math.min(Math.max((network.signal + 90) / 4, 0), 10);
+        penalty += weight * (3 + strength);
+    }
+
+    return {
+        frequency,
+        channel: frequencyToChannel(frequency),
+        noise,
+        busyPercent,
+        networks: networkCount,
+        score: Math.max(0, Math.round(100 - penalty))
+    };
+}
+
+/**
+ * ChannelSurvey - Rates the mesh radio's candidate channels by RF conditions
+ *
+ * Combines `iw survey dump` (noise, channel busy time) with a scan for other
+ * networks. The scan runs first so the survey also has fresh numbers for the
+ * channels the radio is not on. Our own mesh (MESH_SSID) is left out. A
+ * channel is only recommended when it beats the current one by
+ * CHANNEL_MIN_IMPROVEMENT points, to avoid moving the mesh for noise in the
+ * measurements.
+ */
+class ChannelSurvey {
+    constructor(options = {}) {
+        this.runner = (options.runner || getDefaultRunner()).forSource('ChannelSurvey');
+        this.candidates = (process.env.CHANNEL_CANDIDATES || '').split(',').map(f => parseInt(f)).filter(Boolean);
+        this.minImprovement = options.minImprovement ?? parseInt(process.env.CHANNEL_MIN_IMPROVEMENT || '15');
+        this.scanEnabled = process.env.CHANNEL_SURVEY_SCAN !== 'false';
+        this.results = new Map();
+    }
+
+    getCandidates(currentFrequency) {
+        const current = parseInt(currentFrequency);
+        const candidates = this.candidates.length > 0 ? this.candidates : DEFAULT_CANDIDATES[band(current)];
+        return Array.from(new Set([current, ...candidates.filter(f => band(f) === band(current))]));
+    }
+
+    async survey(hardInterface) {
+        const { name } = hardInterface;
+        const meshId = process.env.MESH_SSID || 'batman-mesh';
+
+        let networks = [];
+        if (this.scanEnabled) {
+            // Not every driver scans in IBSS/mesh mode; the survey still works without it
+            const scan = await this.runner.run('iw', ['dev', name, 'scan'], { ignoreErrors: true, quiet: true, timeout: 30000 });
+            networks = parseScan(scan).filter(n => n.ssid !== meshId && n.meshId !== meshId);
+        }
+
+        const surveys = parseSurveyDump(await this.runner.run('iw', ['dev', name, 'survey', 'dump'], { quiet: true }));
+        const inUse = surveys.find(s => s.inUse);
+        const currentFrequency = parseInt(hardInterface.frequency) || (inUse && inUse.frequency);
+        if (!currentFrequency) {
+            throw new Error(`Cannot tell which frequency ${name} is on`);
+        }
+
+        const channels = this.getCandidates(currentFrequency)
+            .map(frequency => scoreChannel(frequency, surveys.find(s => s.frequency === frequency), networks))
+            .sort((a, b) => b.score - a.score);
+
+        const current = channels.find(c => c.frequency === currentFrequency);
+        const best = channels[0];
+        const result = {
+            interface: name,
+            currentFrequency,
+            currentChannel: frequencyToChannel(currentFrequency),
+            surveyedAt: new Date(),
+            channels,
+            recommendation: best.frequency !== currentFrequency && best.score - current.score >= this.minImprovement ? {
+                frequency: best.frequency,
+                channel: best.channel,
+                score: best.score,
+                improvement: best.score - current.score
+            } : null
+        };
+
+        this.results.set(name, result);
+        logger.info(`Channel survey on ${name}: current channel ${result.currentChannel} scores ${current.score}` +
+            (result.recommendation ? `, channel ${best.channel} scores ${best.score}` : ', no better channel'));
+        return result;
+    }
+
+    getResults() {
+        return Array.from(this.results.values());
+    }
+}
+
+ChannelSurvey.parseSurveyDump = parseSurveyDump;
+ChannelSurvey.parseScan = parseScan;
+ChannelSurvey.scoreChannel = scoreChannel;
+ChannelSurvey.frequencyToChannel = frequencyToChannel;
+ChannelSurvey.channelToFrequency = channelToFrequency;
+
+module.exports = ChannelSurvey;
@@ -0,0 +1,177 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/JsonFileStore');
+const NodeInventory = require('./NodeInventory');
+
+const HOUR = 60 * 60 * 1000;
+const DATE_FIELDS = ['firstSeen', 'lastSeen'];
+
+/**
+ * ClientTracker - End-user devices bridged into the mesh behind each node
+ *
+ * Every update reads the coordinator's local and global translation tables
+ * (batctl tl/tg). Local clients sit behind the coordinator, global ones
+ * behind the originator of their best entry, which is resolved to a
+ * registered node. IP and hostname come from the DHCP leases.
+ *
+ * A client that shows up behind another originator has roamed: the move is
+ * appended to its history (CLIENT_ROAM_HISTORY entries) and emitted as a
+ * 'roam' event. Clients missing from the tables are kept as inactive for
+ * CLIENT_RETENTION_HOURS. Batman's own interfaces are not clients: local
+ * entries flagged no-purge, known originators and the bat0 MAC nodes report.
+ */
+class ClientTracker extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.networkManager = options.networkManager;
+        this.dhcpManager = options.dhcpManager || null;
+        this.nodes = options.nodes;
+        this.store = options.store || new JsonFileStore(process.env.CLIENTS_FILE || 'clients.json', []);
+        this.retention = (options.retentionHours ?? parseFloat(process.env.CLIENT_RETENTION_HOURS || '24')) * HOUR;
+        this.roamHistorySize = options.roamHistorySize ?? parseInt(process.env.CLIENT_ROAM_HISTORY || '20');
+        this.clients = new Map();
+        this.updating = false;
+    }
+
+    async load() {
+        const records = await this.store.load();
+        this.clients.clear();
+
+        for (const record of records || []) {
+            if (!record || !record.mac) continue;
+
+            for (const field of DATE_FIELDS) {
+                if (record[field]) record[field] = new Date(record[field]);
+            }
+            for (const move of record.history || []) {
+                move.at = new Date(move.at);
+            }
+            // Present again once the next update finds it
+            record.active = false;
+            this.clients.set(record.mac, record);
+        }
+
+        logger.info(`Loaded ${this.clients.size} mesh client(s)`);
+    }
+
+    persist() {
+        return this.store.save(this.list()).catch(error => {
+            logger.error('Failed to save mesh clients:', error);
+        });
+    }
+
+    async update() {
+        if (this.updating) return this.list();
+        this.updating = true;
+
+        try {
+            const batman = this.networkManager.batman;
+            const [local, global, ownOriginator, leases] = await Promise.all([
+                batman.getLocalClients(),
+                batman.getGlobalClients(),
+                this.networkManager.getOriginatorAddress(),
+                this.dhcpManager ? this.dhcpManager.getLeases().catch(() => []) : []
+            ]);
+
+            const infrastructure = new Set([
+                ownOriginator,
+                ...global.map(entry => entry.originator),
+                ...Array.from(this.nodes.values()).map(node => node.batmanMac)
+            ].filter(Boolean));
+            const sightings = [
+                ...local.filter(entry => !entry.flags.noPurge).map(entry => ({ ...entry, originator: ownOriginator })),
+                ...global.filter(entry => entry.best)
+            ].filter(entry => !infrastructure.has(entry.mac));
+
+            const now = new Date();
+            const seen = new Set();
+            for (const entry of sightings) {
+                // One record per device, whatever VLANs it uses
+                if (seen.has(entry.mac)) continue;
+                seen.add(entry.mac);
+                this.record(entry, ownOriginator, this.findLease(leases, entry.mac), now);
+            }
+
+            for (const [mac, client] of this.clients) {
+                if (seen.has(mac)) continue;
+                client.active = false;
+                if (now - new Date(client.lastSeen) > this.retention) {
+                    this.clients.delete(mac);
+                }
+            }
+
+            this.persist();
+            return this.list();
+
+        } finally {
+            this.updating = false;
+        }
+    }
+
+    record(entry, ownOriginator, lease, now) {
+        const node = this.resolveNode(entry.originator, ownOriginator);
+        let client = this.clients.get(entry.mac);
+
+        if (!client) {
+            client = {
+                mac: entry.mac,
+                firstSeen: now,
+                roams: 0,
+                history: [{ nodeId: node.nodeId, originator: entry.originator, at: now }]
+            };
+            this.clients.set(entry.mac, client);
+            logger.debug(`New mesh client ${entry.mac} behind ${node.nodeId || entry.originator}`);
+        } else if (client.originator !== entry.originator) {
+            const from = { nodeId: client.nodeId, originator: client.originator };
+            client.roams++;
+            client.history.push({ nodeId: node.nodeId, originator: entry.originator, at: now });
+            client.history.splice(0, client.history.length - this.roamHistorySize);
+            logger.info(`Mesh client ${entry.mac} roamed from ${from.nodeId || from.originator} to ${node.nodeId || entry.originator}`);
+            this.emit('roam', { mac: entry.mac, from, to: { nodeId: node.nodeId, originator: entry.originator } });
+        }
+
+        Object.assign(client, {
+            vid: entry.vid,
+            originator: entry.originator,
+            nodeId: node.nodeId,
+            nodeName: node.nodeName,
+            wifi: entry.flags.wifi,
+            // A lease that ran out keeps the last known address
+            ip: lease ? lease.ip : client.ip || null,
+            hostname: (lease && lease.hostname) || client.hostname || null,
+            active: true,
+            lastSeen: now
+        });
+    }
+
+    // Any MAC a node reported (originator, hard interfaces) or was discovered under, see NodeRegistry.identify()
+    resolveNode(originator, ownOriginator) {
+        if (originator === ownOriginator) {
+            return { nodeId: 'coordinator', nodeName: 'Coordinator' };
+        }
+
+        const node = this.nodes.get(this.nodes.resolve(originator, 'mac'));
+        return node
+            ? { nodeId: node.id, nodeName: NodeInventory.label(node) }
+            : { nodeId: null, nodeName: null };
+    }
+
+    findLease(leases, mac) {
+        const matching = leases.filter(lease => (lease.mac || '').toLowerCase() === mac);
+        return matching.find(lease => lease.state === 'active') || matching[matching.length - 1] || null;
+    }
+
+    // Active clients first, most recently seen first
+    list(filter = {}) {
+        return Array.from(this.clients.values())
+            .filter(client => !filter.nodeId || client.nodeId === filter.nodeId)
+            .filter(client => filter.active === undefined || client.active === filter.active)
+            .sort((a, b) => (b.active - a.active) || (new Date(b.lastSeen) - new Date(a.lastSeen)));
+    }
+
+    get(mac) {
+        return this.clients.get(String(mac).toLowerCase()) || null;
+    }
+}
+
+module.exports = ClientTracker;
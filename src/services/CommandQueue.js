@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/JsonFileStore');
+
+// Commands NodeHeartbeat.executeCommand() knows how to run
+const COMMAND_TYPES = ['restart', 'run_diagnostics', 'update_config', 'channel_change', 'gateway_mode', 'mesh_diagnostic'];
+const FINAL_STATES = ['succeeded', 'failed', 'expired', 'cancelled'];
+const DATE_FIELDS = ['createdAt', 'expiresAt', 'deliveredAt', 'acknowledgedAt', 'completedAt'];
+
+/**
+ * CommandQueue - Per-node queue of coordinator-to-node commands
+ *
+ * Nodes have no listening API, so commands ride on heartbeat responses:
+ *
+ *   queued → delivered → acknowledged → succeeded | failed
+ *
+ * A command is handed out on the node's next heartbeat. The node reports
+ * progress in later heartbeats (commandResults). A delivered command that is
+ * not acknowledged within the redelivery delay is sent again; nodes ignore
+ * command IDs they have already seen. Commands that are not finished before
+ * their TTL runs out are marked expired. The queue survives coordinator restarts.
+ */
+class CommandQueue {
+    constructor(options = {}) {
+        this.store = options.store || new JsonFileStore(process.env.COMMAND_QUEUE_FILE || 'commands.json', []);
+        this.defaultTtl = (options.defaultTtlSeconds ?? parseInt(process.env.COMMAND_TTL_SECONDS || '600')) * 1000;
+        this.redeliveryDelay = (options.redeliveryDelaySeconds ?? parseInt(process.env.COMMAND_REDELIVERY_SECONDS || '90')) * 1000;
+        this.historySize = options.historySize || 20;
+        this.commands = new Map();
+    }
+
+    async load() {
+        const records = await this.store.load();
+        this.commands.clear();
+
+        for (const record of records || []) {
+            for (const field of DATE_FIELDS) {
+                if (record[field]) {
+                    record[field] = new Date(record[field]);
+                }
+            }
+            this.commands.set(record.id, record);
+        }
+
+        logger.info(`Loaded ${this.commands.size} queued command(s)`);
+    }
+
+    persist() {
+        return this.store.save(Array.from(this.commands.values())).catch(error => {
+            logger.error('Failed to save command queue:', error);
+        });
+    }
+
+    static isValidType(type) {
+        return COMMAND_TYPES.includes(type);
+    }
+
+    enqueue(nodeId, type, options = {}) {
+        if (!CommandQueue.isValidType(type)) {
+            throw new Error(`Unknown command type: ${type}`);
+        }
+
+        const ttl = options.ttlSeconds ? options.ttlSeconds * 1000 : this.defaultTtl;
+        const now = new Date();
+        const command = {
+            id: crypto.randomBytes(8).toString('hex'),
+            nodeId,
+            type,
+            config: options.config || null,
+            status: 'queued',
+            requestedBy: options.requestedBy || null,
+            createdAt: now,
+            expiresAt: new Date(now.getTime() + ttl),
+            deliveredAt: null,
+            acknowledgedAt: null,
+            completedAt: null,
+            deliveryAttempts: 0,
+            result: null,
+            error: null
+        };
+
+        this.commands.set(command.id, command);
+        this.trimHistory(nodeId);
+        this.persist();
+
+        logger.info(`Command ${command.id} (${type}) queued for node ${nodeId}`);
+        return command;
+    }
+
+    cancel(nodeId, commandId) {
+        const command = this.commands.get(commandId);
+        if (!command || command.nodeId !== nodeId) {
+            throw new Error(`Command ${commandId} not found`);
+        }
+        if (command.status !== 'queued') {
+            throw new Error(`Command ${commandId} is already ${command.status}`);
+        }
+
+        command.status = 'cancelled';
+        command.completedAt = new Date();
+        this.persist();
+        return command;
+    }
+
+    // Commands to send with this heartbeat response
+    takeForDelivery(nodeId, now = new Date()) {
+        const deliverable = [];
+
+        for (const command of this.commands.values()) {
+            if (command.nodeId !== nodeId || command.expiresAt <= now) continue;
+
+            const unacknowledged = command.status === 'delivered' &&
+                now - command.deliveredAt >= this.redeliveryDelay;
+
+            if (command.status === 'queued' || unacknowledged) {
+                command.status = 'delivered';
+                command.deliveredAt = now;
+                command.deliveryAttempts++;
+                deliverable.push(command);
+            }
+        }
+
+        if (deliverable.length > 0) {
+            this.persist();
+        }
+
+        return deliverable.map(command => ({
+            id: command.id,
+            type: command.type,
+            config: command.config,
+            expiresAt: command.expiresAt
+        }));
+    }
+
+    // Apply acknowledgements/results reported by a node, returns the updated commands
+    recordResults(nodeId, results = [], now = new Date()) {
+        const updated = [];
+
+        for (const report of Array.isArray(results) ? results : []) {
+            const command = this.commands.get(report?.id);
+            if (!command || command.nodeId !== nodeId || FINAL_STATES.includes(command.status)) continue;
+
+            if (report.status === 'acknowledged') {
+                command.status = 'acknowledged';
+                command.acknowledgedAt = now;
+            } else if (report.status === 'succeeded' || report.status === 'failed') {
+                command.status = report.status;
+                command.acknowledgedAt = command.acknowledgedAt || now;
+                command.completedAt = now;
+                command.result = report.result ?? null;
+                command.error = report.error || null;
+                logger.info(`Command ${command.id} (${command.type}) ${report.status} on node ${nodeId}`);
+            } else {
+                continue;
+            }
+
+            updated.push(command);
+        }
+
+        if (updated.length > 0) {
+            this.persist();
+        }
+
+        return updated;
+    }
+
+    // Mark unfinished commands past their TTL as expired, returns them
+    expire(now = new Date()) {
+        const expired = [];
+
+        for (const command of this.commands.values()) {
+            if (!FINAL_STATES.includes(command.status) && command.expiresAt <= now) {
+                command.status = 'expired';
+                command.completedAt = now;
+                expired.push(command);
+                logger.warn(`Command ${command.id} (${command.type}) for node ${command.nodeId} expired`);
+            }
+        }
+
+        if (expired.length > 0) {
+            this.persist();
+        }
+
+        return expired;
+    }
+
+    // Keep only the most recent finished commands per node
+    trimHistory(nodeId) {
+        const finished = this.list(nodeId).filter(command => FINAL_STATES.includes(command.status));
+
+        for (const command of finished.slice(this.historySize)) {
+            this.commands.delete(command.id);
+        }
+    }
+
+    // Newest first
+    list(nodeId) {
+        return Array.from(this.commands.values())
+            .filter(command => command.nodeId === nodeId)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+}
+
+CommandQueue.COMMAND_TYPES = COMMAND_TYPES;
+
+module.exports = CommandQueue;
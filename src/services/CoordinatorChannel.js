@@ -0,0 +1,120 @@
+const { io } = require('socket.io-client');
+const logger = require('../utils/logger');
+const { createSignature } = require('../utils/nodeSignature');
+
+const NAMESPACE = '/nodes';
+
+/**
+ * CoordinatorChannel - Node side of the push channel (see NodeChannel)
+ *
+ * Keeps an outbound Socket.IO connection to the coordinator's /nodes
+ * namespace so commands arrive immediately instead of on the next heartbeat.
+ * Socket.IO reconnects by itself after network drops; a handshake the
+ * coordinator refuses (e.g. enrollment pending) is retried with our own
+ * exponential backoff. Heartbeats keep running either way as the fallback.
+ */
+class CoordinatorChannel {
+    constructor(options = {}) {
+        this.minDelay = options.minDelay || parseInt(process.env.PUSH_RECONNECT_MIN_MS || '1000');
+        this.maxDelay = options.maxDelay || parseInt(process.env.PUSH_RECONNECT_MAX_MS || '60000');
+        this.ackTimeout = options.ackTimeout || 5000;
+        this.socket = null;
+        this.retryTimer = null;
+        this.retryDelay = this.minDelay;
+    }
+
+    connect(coordinatorUrl, nodeId, secret, handlers = {}) {
+        this.disconnect();
+
+        // Called on every (re)connect so each handshake gets a fresh timestamp
+        const auth = (cb) => {
+            const timestamp = String(Date.now());
+            cb({
+                nodeId,
+                timestamp,
+                signature: secret ? createSignature(secret, 'CONNECT', NAMESPACE, timestamp, '') : null
+            });
+        };
+
+        this.socket = io(`${coordinatorUrl}${NAMESPACE}`, {
+            auth,
+            transports: ['websocket'],
+            reconnectionDelay: this.minDelay,
+            reconnectionDelayMax: this.maxDelay,
+            randomizationFactor: 0.5
+        });
+
+        this.socket.on('connect', () => {
+            this.retryDelay = this.minDelay;
+            logger.info('Push channel to coordinator connected');
+            handlers.onConnect?.();
+        });
+
+        this.socket.on('disconnect', (reason) => {
+            logger.warn(`Push channel disconnected: ${reason}`);
+        });
+
+        this.socket.on('connect_error', (error) => {
+            logger.debug(`Push channel connection failed: ${error.message}`);
+
+            // Socket.IO does not retry handshakes refused by the server
+            if (!this.socket.active) {
+                this.scheduleRetry();
+            }
+        });
+
+        this.socket.on('commands', (commands) => {
+            if (Array.isArray(commands)) {
+                handlers.onCommands?.(commands);
+            }
+        });
+    }
+
+    scheduleRetry() {
+        if (this.retryTimer) return;
+
+        const delay = this.retryDelay;
+        this.retryDelay = Math.min(this.retryDelay * 2, this.maxDelay);
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.socket?.connect();
+        }, delay);
+    }
+
+    isConnected() {
+        return !!this.socket && this.socket.connected;
+    }
+
+    // Resolves once the coordinator acknowledged the results, rejects otherwise
+    sendResults(results) {
+        if (!this.isConnected()) {
+            return Promise.reject(new Error('Push channel not connected'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.socket.timeout(this.ackTimeout).emit('command-result', results, (error, response) => {
+                if (error || !response?.success) {
+                    reject(error || new Error('Coordinator rejected command results'));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    disconnect() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+
+        if (this.socket) {
+            this.socket.removeAllListeners();
+            this.socket.disconnect();
+            this.socket = null;
+        }
+    }
+}
+
+module.exports = CoordinatorChannel;
@@ -1,13 +1,94 @@
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
+const { getDefaultRunner } = require('../runner');
+const JsonFileStore = require('../utils/JsonFileStore');
 
-const execAsync = promisify(exec);
+const CONFIG_MARKER = '# Generated by Batman Coordinator';
+const POOL_MODES = ['split', 'failover'];
+const FAILOVER_PEER = 'batman-mesh';
+const IPV4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
 
+function ipToInt(ip) {
+    const match = IPV4.exec(String(ip).trim());
+    if (!match || match.slice(1).some(octet => parseInt(octet) > 255)) {
+        throw new Error(`Invalid IPv4 address "${ip}"`);
+    }
+    return match.slice(1).reduce((value, octet) => value * 256 + parseInt(octet), 0);
+}
+
+function intToIp(value) {
+    return [value >>> 24, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF].join('.');
+}
+
+// "192.168.100.10 192.168.100.250" -> [start, end] as integers
+function parseRange(range) {
+    const [start, end] = String(range).trim().split(/\s+/).map(ipToInt);
+    if (end === undefined || end < start) {
+        throw new Error(`Invalid DHCP range "${range}"`);
+    }
+    return [start, end];
+}
+
+function formatRange([start, end]) {
+    return `${intToIp(start)} ${intToIp(end)}`;
+}
+
+// What is left of [start, end] after taking out the reserved [lo, hi] spans
+function subtractSpans([start, end], spans) {
+    const free = [];
+    let next = start;
+    for (const [lo, hi] of [...spans].sort((a, b) => a[0] - b[0])) {
+        if (lo > next) free.push([next, Math.min(lo - 1, end)]);
+        next = Math.max(next, hi + 1);
+    }
+    if (next <= end) free.push([next, end]);
+    return free.filter(([lo, hi]) => lo <= hi);
+}
+
+// Pool handed to a gateway node: { mode, address, range, peerAddress? }; throws when malformed
+function validateGatewayPool(pool) {
+    if (!pool || !POOL_MODES.includes(pool.mode)) {
+        throw new Error(`Unknown DHCP pool mode "${pool && pool.mode}" (use ${POOL_MODES.join(', ')})`);
+    }
+    ipToInt(pool.address);
+    parseRange(pool.range);
+    if (pool.mode === 'failover') {
+        ipToInt(pool.peerAddress);
+    }
+    return {
+        mode: pool.mode,
+        address: pool.address,
+        range: pool.range,
+        ...(pool.mode === 'failover' ? { peerAddress: pool.peerAddress } : {})
+    };
+}
+
+// Turn a pool from the coordinator into what the gateway node serves
+function localPoolFor(pool) {
+    return {
+        router: pool.address,
+        ranges: [pool.range],
+        failover: pool.mode === 'failover' ? { role: 'secondary', address: pool.address, peerAddress: pool.peerAddress } : null
+    };
+}
+
+/**
+ * DHCPManager - ISC dhcpd on the mesh
+ *
+ * The coordinator always serves DHCP. Nodes promoted to batman gateways serve
+ * too: batman-adv hands DHCP requests from gateway clients to the gateway they
+ * selected, so each gateway answers with itself as router. The coordinator
+ * owns the address plan (DHCP_POOL_MODE):
+ * - split: every gateway gets its own slice of DHCP_RANGE, taken from the top
+ *   (DHCP_GATEWAY_POOL_SIZE addresses). Slices never overlap, so the servers
+ *   need no coordination; a client moving to another gateway gets a new lease.
+ * - failover: one gateway shares the whole range with the coordinator using
+ *   the ISC failover protocol, so leases survive either server going away.
+ * A gateway's first pool address is its fixed router address on bat0.
+ */
 class DHCPManager {
-    constructor() {
+    constructor(options = {}) {
+        this.runner = (options.runner || getDefaultRunner()).forSource('DHCPManager');
         this.dhcpConfigPath = '/etc/dhcp/dhcpd.conf';
         this.dhcpLeasesPath = '/var/lib/dhcp/dhcpd.leases';
         this.interface = process.env.BATMAN_INTERFACE || 'bat0';
@@ -15,20 +96,17 @@ class DHCPManager {
         this.coordinatorIP = process.env.COORDINATOR_BATMAN_IP || '192.168.100.1';
         this.dhcpRange = process.env.DHCP_RANGE || '192.168.100.10 192.168.100.250';
         this.isEnabled = false;
-    }
-
-    async executeCommand(command, options = {}) {
-        try {
-            logger.debug(`Executing DHCP command: ${command}`);
-            const { stdout, stderr } = await execAsync(command, { timeout: 30000, ...options });
-            if (stderr && !options.ignoreStderr) {
-                logger.warn(`DHCP command stderr: ${stderr}`);
-            }
-            return stdout.trim();
-        } catch (error) {
-            logger.error(`DHCP command failed: ${command}`, error);
-            throw error;
+        
+        this.poolMode = (options.poolMode || process.env.DHCP_POOL_MODE || 'split').toLowerCase();
+        if (!POOL_MODES.includes(this.poolMode)) {
+            throw new Error(`Unknown DHCP_POOL_MODE "${this.poolMode}" (use ${POOL_MODES.join(', ')})`);
         }
+        this.gatewayPoolSize = options.gatewayPoolSize ?? parseInt(process.env.DHCP_GATEWAY_POOL_SIZE || '40');
+        // Pools handed to gateway nodes by nodeId, kept so a node gets the same slice back
+        this.poolStore = options.poolStore || new JsonFileStore(process.env.DHCP_POOLS_FILE || 'dhcp-pools.json', {});
+        this.gatewayPools = {};
+        // What this server hands out; gateway nodes replace it with their pool
+        this.localPool = null;
     }
 
     async installDHCPServer() {
@@ -37,7 +115,7 @@ class DHCPManager {
             
             // Check if already installed
             try {
-                await this.executeCommand('which dhcpd');
+                await this.runner.run('which', ['dhcpd']);
                 logger.info('DHCP server already installed');
                 return;
             } catch (error) {
@@ -45,8 +123,8 @@ class DHCPManager {
             }
             
             // Install ISC DHCP server
-            await this.executeCommand('apt-get update');
-            await this.executeCommand('apt-get install -y isc-dhcp-server');
+            await this.runner.run('apt-get', ['update']);
+            await this.runner.run('apt-get', ['install', '-y', 'isc-dhcp-server']);
             
             logger.info('DHCP server installed successfully');
             
@@ -56,7 +134,40 @@ class DHCPManager {
         }
     }
 
-    async generateDHCPConfig() {
+    // The coordinator's share: the full range minus the addresses gateways were given
+    getCoordinatorPool() {
+        const pools = Object.values(this.gatewayPools);
+        const failover = pools.find(pool => pool.mode === 'failover');
+        const reserved = pools.map(pool => pool.mode === 'split'
+            ? [ipToInt(pool.address), parseRange(pool.range)[1]]
+            : [ipToInt(pool.address), ipToInt(pool.address)]);
+        
+        return {
+            router: this.coordinatorIP,
+            ranges: subtractSpans(parseRange(this.dhcpRange), reserved).map(formatRange),
+            failover: failover ? { role: 'primary', address: this.coordinatorIP, peerAddress: failover.address } : null
+        };
+    }
+
+    generateFailoverPeer(failover) {
+        const primary = failover.role === 'primary';
+        return `failover peer "${FAILOVER_PEER}" {
+    ${failover.role};
+    address ${failover.address};
+    port ${primary ? 647 : 847};
+    peer address ${failover.peerAddress};
+    peer port ${primary ? 847 : 647};
+    max-response-delay 60;
+    max-unacked-updates 10;
+    load balance max seconds 3;${primary ? `
+    mclt 1800;
+    split 128;` : ''}
+}
+
+`;
+    }
+
+    async generateDHCPConfig(pool = this.localPool || this.getCoordinatorPool()) {
         try {
             const [networkAddr, prefixLength] = this.meshSubnet.split('/');
             const [a, b, c, d] = networkAddr.split('.').map(Number);
@@ -77,9 +188,18 @@ class DHCPManager {
                 c | ((~netmask >>> 8) & 0xFF),
                 d | (~netmask & 0xFF)
             ].join('.');
+            
+            // Failover pools need a pool block naming the peer, split pools are plain ranges
+            const ranges = pool.failover ? `
+    pool {
+        failover peer "${FAILOVER_PEER}";
+        deny dynamic bootp clients;
+${pool.ranges.map(range => `        range ${range};`).join('\n')}
+    }` : pool.ranges.map(range => `
+    range ${range};`).join('');
 
             const dhcpConfig = `# DHCP Server Configuration for Batman Mesh Network
-# Generated by Batman Coordinator
+${CONFIG_MARKER}
 
 # Global settings
 default-lease-time 600;
@@ -87,10 +207,8 @@ max-lease-time 7200;
 authoritative;
 log-facility local7;
 
-# Mesh network subnet
+${pool.failover ? this.generateFailoverPeer(pool.failover) : ''}# Mesh network subnet
 subnet ${networkAddr} netmask ${netmaskStr} {
-    range ${this.dhcpRange};
-    option routers ${this.coordinatorIP};
     option subnet-mask ${netmaskStr};
     option broadcast-address ${broadcastAddr};
     option domain-name-servers 8.8.8.8, 8.8.4.4;
@@ -100,8 +218,9 @@ subnet ${networkAddr} netmask ${netmaskStr} {
     default-lease-time 1800;  # 30 minutes
     max-lease-time 3600;      # 1 hour
     
-    # Send coordinator as gateway
-    option routers ${this.coordinatorIP};
+    # Send this server as gateway, batman-adv routes each client's DHCP to its selected gateway
+    option routers ${pool.router};
+${ranges}
 }
 
 # Host declarations for known nodes (optional)
@@ -122,17 +241,15 @@ subnet ${networkAddr} netmask ${netmaskStr} {
             
             const config = await this.generateDHCPConfig();
             
-            // Backup existing config if it exists
-            try {
-                await fs.access(this.dhcpConfigPath);
-                await this.executeCommand(`cp ${this.dhcpConfigPath} ${this.dhcpConfigPath}.backup.$(date +%s)`);
+            // Backup existing config if it exists and is not one of ours (pool changes rewrite it)
+            const existing = await this.runner.readFile(this.dhcpConfigPath).catch(() => null);
+            if (existing !== null && !existing.includes(CONFIG_MARKER)) {
+                await this.runner.run('cp', [this.dhcpConfigPath, `${this.dhcpConfigPath}.backup.${Math.floor(Date.now() / 1000)}`]);
                 logger.info('Backed up existing DHCP config');
-            } catch (error) {
-                // Config doesn't exist, that's fine
             }
             
             // Write new config
-            await fs.writeFile(this.dhcpConfigPath, config);
+            await this.runner.writeFile(this.dhcpConfigPath, config);
             logger.info(`DHCP configuration written to ${this.dhcpConfigPath}`);
             
         } catch (error) {
@@ -150,7 +267,7 @@ subnet ${networkAddr} netmask ${netmaskStr} {
             // Read existing defaults
             let defaultsContent = '';
             try {
-                defaultsContent = await fs.readFile(defaultsPath, 'utf8');
+                defaultsContent = await this.runner.readFile(defaultsPath);
             } catch (error) {
                 // File doesn't exist, create new
             }
@@ -173,7 +290,7 @@ subnet ${networkAddr} netmask ${netmaskStr} {
                 defaultsContent += 'INTERFACESv6=""\n';
             }
             
-            await fs.writeFile(defaultsPath, defaultsContent);
+            await this.runner.writeFile(defaultsPath, defaultsContent);
             logger.info(`DHCP server defaults configured for interface ${this.interface}`);
             
         } catch (error) {
@@ -187,16 +304,16 @@ subnet ${networkAddr} netmask ${netmaskStr} {
             logger.info('Starting DHCP server...');
             
             // Stop any existing instance
-            await this.executeCommand('systemctl stop isc-dhcp-server 2>/dev/null || true');
+            await this.runner.run('systemctl', ['stop', 'isc-dhcp-server'], { ignoreErrors: true });
             
             // Start the service
-            await this.executeCommand('systemctl start isc-dhcp-server');
+            await this.runner.run('systemctl', ['start', 'isc-dhcp-server']);
             
             // Enable auto-start
-            await this.executeCommand('systemctl enable isc-dhcp-server');
+            await this.runner.run('systemctl', ['enable', 'isc-dhcp-server']);
             
             // Verify it's running
-            const status = await this.executeCommand('systemctl is-active isc-dhcp-server');
+            const status = await this.runner.run('systemctl', ['is-active', 'isc-dhcp-server']);
             if (status === 'active') {
                 logger.info('DHCP server started successfully');
                 this.isEnabled = true;
@@ -209,7 +326,7 @@ subnet ${networkAddr} netmask ${netmaskStr} {
             
             // Try to get more detailed error information
             try {
-                const journalOutput = await this.executeCommand('journalctl -u isc-dhcp-server --since "1 minute ago" --no-pager');
+                const journalOutput = await this.runner.run('journalctl', ['-u', 'isc-dhcp-server', '--since', '1 minute ago', '--no-pager']);
                 logger.error('DHCP server journal output:', journalOutput);
             } catch (journalError) {
                 // Ignore journal errors
@@ -223,8 +340,8 @@ subnet ${networkAddr} netmask ${netmaskStr} {
         try {
             logger.info('Stopping DHCP server...');
             
-            await this.executeCommand('systemctl stop isc-dhcp-server');
-            await this.executeCommand('systemctl disable isc-dhcp-server');
+            await this.runner.run('systemctl', ['stop', 'isc-dhcp-server']);
+            await this.runner.run('systemctl', ['disable', 'isc-dhcp-server']);
             
             this.isEnabled = false;
             logger.info('DHCP server stopped');
@@ -242,6 +359,9 @@ subnet ${networkAddr} netmask ${netmaskStr} {
             // Install DHCP server if needed
             await this.installDHCPServer();
             
+            // Leave out the addresses already handed to gateway nodes
+            await this.loadGatewayPools();
+            
             // Generate and write configuration
             await this.writeDHCPConfig();
             
@@ -259,9 +379,111 @@ subnet ${networkAddr} netmask ${netmaskStr} {
         }
     }
 
+    async loadGatewayPools() {
+        const saved = await this.poolStore.load() || {};
+        this.gatewayPools = {};
+        for (const [nodeId, pool] of Object.entries(saved)) {
+            // Pools of the other mode are dropped when DHCP_POOL_MODE changes
+            if (pool.mode === this.poolMode) {
+                this.gatewayPools[nodeId] = validateGatewayPool(pool);
+            }
+        }
+        return this.gatewayPools;
+    }
+
+    getGatewayPools() {
+        return { ...this.gatewayPools };
+    }
+
+    // Coordinator: reserve addresses for a gateway node, the same ones again if it already has a pool
+    async assignGatewayPool(nodeId) {
+        if (this.gatewayPools[nodeId]) {
+            return this.gatewayPools[nodeId];
+        }
+        
+        const [start, end] = parseRange(this.dhcpRange);
+        let pool;
+        
+        if (this.poolMode === 'failover') {
+            const peer = Object.keys(this.gatewayPools)[0];
+            if (peer) {
+                throw new Error(`DHCP failover supports a single peer and ${peer} already is one`);
+            }
+            // The peer's router address comes off the top, the rest of the range is shared
+            pool = {
+                mode: 'failover',
+                address: intToIp(end),
+                range: formatRange([start, end - 1]),
+                peerAddress: this.coordinatorIP
+            };
+        } else {
+            const size = this.gatewayPoolSize + 1;
+            const free = subtractSpans([start, end], Object.values(this.gatewayPools)
+                .map(existing => [ipToInt(existing.address), parseRange(existing.range)[1]]));
+            const total = free.reduce((sum, [lo, hi]) => sum + hi - lo + 1, 0);
+            // Highest free block that fits, and the coordinator keeps at least a pool's worth
+            const block = free.reverse().find(([lo, hi]) => hi - lo + 1 >= size);
+            if (!block || total - size < this.gatewayPoolSize) {
+                throw new Error(`DHCP range ${this.dhcpRange} has no room for another ${this.gatewayPoolSize} address gateway pool`);
+            }
+            const [, hi] = block;
+            pool = {
+                mode: 'split',
+                address: intToIp(hi - size + 1),
+                range: formatRange([hi - size + 2, hi])
+            };
+        }
+        
+        this.gatewayPools[nodeId] = pool;
+        await this.poolStore.save(this.gatewayPools);
+        logger.info(`Assigned DHCP ${pool.mode} pool ${pool.range} (router ${pool.address}) to ${nodeId}`);
+        await this.reconfigure();
+        return pool;
+    }
+
+    // Coordinator: take a demoted gateway's addresses back into the coordinator's range
+    async releaseGatewayPool(nodeId) {
+        if (!this.gatewayPools[nodeId]) {
+            return false;
+        }
+        
+        delete this.gatewayPools[nodeId];
+        await this.poolStore.save(this.gatewayPools);
+        logger.info(`Released DHCP pool of ${nodeId}`);
+        await this.reconfigure();
+        return true;
+    }
+
+    // Rewrite the config and restart dhcpd if it is serving
+    async reconfigure() {
+        await this.writeDHCPConfig();
+        if (this.isEnabled) {
+            await this.runner.run('systemctl', ['restart', 'isc-dhcp-server']);
+        }
+    }
+
+    // Gateway node: serve the pool the coordinator assigned
+    async serveGatewayPool(pool) {
+        this.localPool = localPoolFor(validateGatewayPool(pool));
+        logger.info(`Serving DHCP pool ${pool.range} as gateway ${pool.address}`);
+        
+        await this.installDHCPServer();
+        await this.writeDHCPConfig();
+        await this.configureDHCPDefaults();
+        await this.startDHCPServer();
+    }
+
+    async stopGatewayPool() {
+        if (!this.localPool) {
+            return;
+        }
+        await this.stopDHCPServer();
+        this.localPool = null;
+    }
+
     async getLeases() {
         try {
-            const leasesContent = await fs.readFile(this.dhcpLeasesPath, 'utf8');
+            const leasesContent = await this.runner.readFile(this.dhcpLeasesPath);
             const leases = [];
             
             // Parse DHCP leases file
@@ -313,16 +535,19 @@ subnet ${networkAddr} netmask ${netmaskStr} {
 
     async getStatus() {
         try {
-            const isActive = await this.executeCommand('systemctl is-active isc-dhcp-server 2>/dev/null || echo "inactive"');
-            const isEnabled = await this.executeCommand('systemctl is-enabled isc-dhcp-server 2>/dev/null || echo "disabled"');
+            const isActive = await this.runner.run('systemctl', ['is-active', 'isc-dhcp-server'], { ignoreErrors: true }) || 'inactive';
+            const isEnabled = await this.runner.run('systemctl', ['is-enabled', 'isc-dhcp-server'], { ignoreErrors: true }) || 'disabled';
             
             const status = {
                 active: isActive.trim() === 'active',
                 enabled: isEnabled.trim() === 'enabled',
                 interface: this.interface,
                 subnet: this.meshSubnet,
-                gateway: this.coordinatorIP,
-                range: this.dhcpRange
+                gateway: this.localPool ? this.localPool.router : this.coordinatorIP,
+                range: this.dhcpRange,
+                poolMode: this.poolMode,
+                ranges: (this.localPool || this.getCoordinatorPool()).ranges,
+                gatewayPools: this.getGatewayPools()
             };
             
             if (status.active) {
@@ -353,16 +578,16 @@ host ${hostname || 'mesh-node'}-${mac.replace(/:/g, '')} {
 }`;
             
             // Read current config
-            let config = await fs.readFile(this.dhcpConfigPath, 'utf8');
+            let config = await this.runner.readFile(this.dhcpConfigPath);
             
             // Add host entry before the closing brace
             config = config.replace(/(\n# Host declarations[^\n]*\n)/, `$1${hostEntry}\n`);
             
             // Write updated config
-            await fs.writeFile(this.dhcpConfigPath, config);
+            await this.runner.writeFile(this.dhcpConfigPath, config);
             
             // Restart DHCP server to apply changes
-            await this.executeCommand('systemctl restart isc-dhcp-server');
+            await this.runner.run('systemctl', ['restart', 'isc-dhcp-server']);
             
             logger.info(`Static lease added successfully`);
             
@@ -380,13 +605,16 @@ host ${hostname || 'mesh-node'}-${mac.replace(/:/g, '')} {
             
             // Restore backup config if it exists
             try {
-                const backupFiles = await this.executeCommand(`ls ${this.dhcpConfigPath}.backup.* 2>/dev/null || echo ""`);
-                if (backupFiles) {
-                    const latestBackup = backupFiles.split('\n').pop();
-                    if (latestBackup) {
-                        await this.executeCommand(`cp ${latestBackup} ${this.dhcpConfigPath}`);
-                        logger.info('Restored backup DHCP configuration');
-                    }
+                const configDir = path.dirname(this.dhcpConfigPath);
+                const backupPrefix = `${path.basename(this.dhcpConfigPath)}.backup.`;
+                const backupFiles = (await this.runner.run('ls', ['-1', configDir], { quiet: true }))
+                    .split('\n')
+                    .filter(name => name.startsWith(backupPrefix))
+                    .sort();
+                if (backupFiles.length > 0) {
+                    const latestBackup = path.join(configDir, backupFiles.pop());
+                    await this.runner.run('cp', [latestBackup, this.dhcpConfigPath]);
+                    logger.info('Restored backup DHCP configuration');
                 }
             } catch (error) {
                 // No backup to restore
@@ -404,4 +632,7 @@ host ${hostname || 'mesh-node'}-${mac.replace(/:/g, '')} {
     }
 }
 
+DHCPManager.validateGatewayPool = validateGatewayPool;
+DHCPManager.POOL_MODES = POOL_MODES;
+
 module.exports = DHCPManager;
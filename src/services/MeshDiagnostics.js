@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/JsonFileStore');
+
+const TEST_TYPES = ['ping', 'traceroute', 'tp'];
+const FINAL_STATES = ['succeeded', 'failed', 'expired', 'cancelled'];
+const MAC = /^[0-9a-f]{2}(:[0-9a-f]{2}){5}$/;
+
+// { type, target, count?, durationSeconds? } with defaults; throws on anything batctl should not get
+function validateTest(test = {}) {
+    const type = String(test.type || '').toLowerCase();
+    if (!TEST_TYPES.includes(type)) {
+        throw new Error(`Unknown diagnostic "${test.type}" (use ${TEST_TYPES.join(', ')})`);
+    }
+    const target = String(test.target || '').toLowerCase();
+    if (!MAC.test(target)) {
+        throw new Error(`Diagnostic target must be an originator MAC address, got "${test.target}"`);
+    }
+
+    const count = parseInt(test.count ?? 5);
+    if (!(count >= 1 && count <= 20)) {
+        throw new Error('Ping count must be between 1 and 20');
+    }
+    const durationSeconds = parseInt(test.durationSeconds ?? 10);
+    if (!(durationSeconds >= 1 && durationSeconds <= 60)) {
+        throw new Error('Throughput test duration must be between 1 and 60 seconds');
+    }
+
+    return {
+        type,
+        target,
+        ...(type === 'ping' ? { count } : {}),
+        ...(type === 'tp' ? { durationSeconds } : {})
+    };
+}
+
+/**
+ * MeshDiagnostics - batctl ping, traceroute and throughput meter runs
+ *
+ * execute() runs a test on this host; nodes use it for mesh_diagnostic
+ * commands. On the coordinator every run, local or on a node, is kept as an
+ * entry (pending → running → succeeded | failed) in DIAGNOSTICS_FILE, and an
+ * 'update' event is emitted whenever one changes. Results carry the path the
+ * packets took (source originator first) so the dashboard can draw it; ping
+ * and tp runs look it up with an extra traceroute.
+ */
+class MeshDiagnostics extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.networkManager = options.networkManager;
+        this.store = options.store || new JsonFileStore(process.env.DIAGNOSTICS_FILE || 'diagnostics.json', []);
+        this.historySize = options.historySize ?? parseInt(process.env.DIAGNOSTICS_HISTORY || '50');
+        this.entries = [];
+    }
+
+    async load() {
+        this.entries = (await this.store.load()) || [];
+        // Runs that were in progress when the coordinator stopped will not finish
+        for (const entry of this.entries.filter(e => e.nodeId === 'coordinator' && !FINAL_STATES.includes(e.status))) {
+            entry.status = 'failed';
+            entry.error = 'Coordinator restarted during the test';
+        }
+    }
+
+    persist() {
+        return this.store.save(this.entries).catch(error => {
+            logger.error('Failed to save diagnostics:', error);
+        });
+    }
+
+    async execute(test) {
+        const { type, target, count, durationSeconds } = validateTest(test);
+        const batman = this.networkManager.batman;
+        const result = {
+            type,
+            source: await this.networkManager.getOriginatorAddress(),
+            target,
+            startedAt: new Date()
+        };
+
+        if (type === 'ping') {
+            result.ping = await batman.ping(target, count);
+        } else if (type === 'traceroute') {
+            result.hops = await batman.traceroute(target);
+        } else {
+            result.throughput = await batman.throughputTest(target, durationSeconds * 1000);
+        }
+
+        const hops = result.hops || await batman.traceroute(target).catch(() => null);
+        result.path = hops ? [result.source, ...hops.map(hop => hop.address)].filter(Boolean) : null;
+        result.finishedAt = new Date();
+        return result;
+    }
+
+    // Coordinator: new entry for a run on nodeId ('coordinator' for local runs)
+    create(nodeId, test, requestedBy = null) {
+        const entry = {
+            id: crypto.randomBytes(8).toString('hex'),
+            nodeId,
+            ...validateTest(test),
+            status: 'pending',
+            requestedBy,
+            requestedAt: new Date(),
+            commandId: null,
+            result: null,
+            error: null
+        };
+
+        this.entries.unshift(entry);
+        this.entries.splice(this.historySize);
+        this.changed(entry);
+        return entry;
+    }
+
+    async runLocal(entry) {
+        entry.status = 'running';
+        this.changed(entry);
+
+        try {
+            entry.result = await this.execute(entry);
+            entry.status = 'succeeded';
+        } catch (error) {
+            entry.status = 'failed';
+            entry.error = error.message.split('\n').slice(-1)[0];
+            logger.warn(`Mesh diagnostic ${entry.type} to ${entry.target} failed: ${error.message}`);
+        }
+
+        this.changed(entry);
+        return entry;
+    }
+
+    // Coordinator: fold mesh_diagnostic command progress into the entries
+    recordCommands(commands) {
+        for (const command of commands.filter(c => c.type === 'mesh_diagnostic')) {
+            const entry = this.entries.find(e => e.commandId === command.id);
+            if (!entry) continue;
+
+            entry.status = ['queued', 'delivered'].includes(command.status) ? 'pending'
+                : command.status === 'acknowledged' ? 'running' : command.status;
+            entry.result = command.result || null;
+            entry.error = command.error || (command.status === 'expired' ? 'Node did not run the test in time' : null);
+            this.changed(entry);
+        }
+    }
+
+    changed(entry) {
+        this.persist();
+        this.emit('update', entry);
+    }
+
+    list(nodeId = null) {
+        return nodeId ? this.entries.filter(e => e.nodeId === nodeId) : this.entries;
+    }
+
+    get(id) {
+        return this.entries.find(e => e.id === id) || null;
+    }
+}
+
+MeshDiagnostics.validateTest = validateTest;
+MeshDiagnostics.TEST_TYPES = TEST_TYPES;
+
+module.exports = MeshDiagnostics;
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/JsonFileStore');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+// wpa_supplicant passphrases are 8-63 printable ASCII characters. Quotes and backslashes
+// are left out, the passphrase is written as a quoted string into the config.
+const PASSPHRASE_PATTERN = /^[\x20-\x21\x23-\x5b\x5d-\x7e]{8,63}$/;
+
+function generatePassphrase() {
+    return crypto.randomBytes(24).toString('base64').replace(/[+/=]/g, '').slice(0, 32);
+}
+
+function validatePassphrase(passphrase) {
+    if (!PASSPHRASE_PATTERN.test(passphrase || '')) {
+        throw new Error('Mesh passphrase must be 8-63 printable ASCII characters, without " or \\');
+    }
+}
+
+function restoreDates(key) {
+    return {
+        ...key,
+        createdAt: new Date(key.createdAt),
+        activateAt: new Date(key.activateAt),
+        retireAt: key.retireAt ? new Date(key.retireAt) : null
+    };
+}
+
+/**
+ * MeshKeyRing - Passphrases for encrypted mesh links (see WpaSupplicant)
+ *
+ * The coordinator owns the ring. A rotation adds a key that only becomes
+ * active after the overlap window (MESH_KEY_OVERLAP_MINUTES), which leaves
+ * time for every node to receive it with its heartbeats; the old key is kept
+ * for another overlap window so radios that missed the switch can still fall
+ * back to it. Nodes keep a copy of the coordinator's ring and report its
+ * version, and get a fresh copy whenever that version is outdated.
+ *
+ * The first key cannot be distributed over the (encrypted) mesh itself: it
+ * comes from MESH_PASSPHRASE, and a coordinator without one generates it.
+ * mesh-keys.json holds passphrases and is written with 0600 permissions.
+ */
+class MeshKeyRing {
+    constructor(options = {}) {
+        this.store = options.store || new JsonFileStore(process.env.MESH_KEYS_FILE || 'mesh-keys.json', { version: 0, keys: [] }, { fileMode: 0o600 });
+        this.isCoordinator = options.isCoordinator ?? process.env.NODE_ENV !== 'node';
+        this.overlap = (options.overlapMinutes ?? parseFloat(process.env.MESH_KEY_OVERLAP_MINUTES || '10')) * MINUTE;
+        this.version = 0;
+        this.keys = [];
+        this.loaded = false;
+    }
+
+    async load() {
+        const data = await this.store.load();
+        this.version = data?.version || 0;
+        this.keys = (data?.keys || []).map(restoreDates);
+        this.loaded = true;
+
+        if (this.keys.length === 0) {
+            await this.bootstrap();
+        }
+        logger.info(`Loaded ${this.keys.length} mesh key(s), version ${this.version}`);
+    }
+
+    async persist() {
+        await this.store.save({ version: this.version, keys: this.keys });
+    }
+
+    async bootstrap() {
+        let passphrase = process.env.MESH_PASSPHRASE || null;
+        if (!passphrase && this.isCoordinator) {
+            passphrase = generatePassphrase();
+            logger.warn('Generated a new mesh passphrase; nodes need it as MESH_PASSPHRASE to join the first time (GET /api/mesh/keys?reveal=true)');
+        }
+        if (!passphrase) return;
+
+        validatePassphrase(passphrase);
+        this.keys = [{ id: 'initial', passphrase, createdAt: new Date(), activateAt: new Date(0), retireAt: null }];
+        if (this.isCoordinator) {
+            this.version++;
+        }
+        await this.persist();
+    }
+
+    // Key radios should use now: the most recently activated one
+    active(now = Date.now()) {
+        return this.keys
+            .filter(key => key.activateAt.getTime() <= now)
+            .sort((a, b) => b.activateAt - a.activateAt)[0] || null;
+    }
+
+    // Active key first, then older keys still inside their overlap window
+    usable(now = Date.now()) {
+        const active = this.active(now);
+        if (!active) return [];
+
+        const previous = this.keys.filter(key => key !== active &&
+            key.activateAt.getTime() <= now &&
+            (!key.retireAt || key.retireAt.getTime() > now));
+        return [active, ...previous];
+    }
+
+    pending(now = Date.now()) {
+        return this.keys.find(key => key.activateAt.getTime() > now) || null;
+    }
+
+    // Coordinator: schedule a new key one overlap window from now
+    async rotate(options = {}) {
+        const now = options.now ?? Date.now();
+        if (this.pending(now)) {
+            throw new Error('A mesh key rotation is already in progress');
+        }
+
+        const passphrase = options.passphrase || generatePassphrase();
+        validatePassphrase(passphrase);
+
+        const activateAt = new Date(now + this.overlap);
+        const current = this.active(now);
+        if (current) {
+            current.retireAt = new Date(activateAt.getTime() + this.overlap);
+        }
+
+        const key = {
+            id: crypto.randomBytes(4).toString('hex'),
+            passphrase,
+            createdBy: options.createdBy || null,
+            createdAt: new Date(now),
+            activateAt,
+            retireAt: null
+        };
+        this.keys.push(key);
+        this.version++;
+        await this.persist();
+
+        logger.info(`Mesh key ${key.id} scheduled to activate at ${activateAt.toISOString()}`);
+        return this.describeKey(key, now);
+    }
+
+    // Coordinator: true when the active key is older than maxAgeDays and no rotation is pending
+    isDue(maxAgeDays, now = Date.now()) {
+        const active = this.active(now);
+        if (!maxAgeDays || !active || this.pending(now)) return false;
+        const since = Math.max(active.activateAt.getTime(), active.createdAt.getTime());
+        return now - since >= maxAgeDays * DAY;
+    }
+
+    async prune(now = Date.now()) {
+        const kept = this.keys.filter(key => !key.retireAt || key.retireAt.getTime() > now);
+        if (kept.length === this.keys.length) return;
+
+        this.keys = kept;
+        await this.persist();
+    }
+
+    // Times relative to now, the node counts them from when it receives the ring
+    forDistribution(now = Date.now()) {
+        return {
+            version: this.version,
+            keys: this.keys
+                .filter(key => !key.retireAt || key.retireAt.getTime() > now)
+                .map(key => ({
+                    id: key.id,
+                    passphrase: key.passphrase,
+                    activateInMs: Math.max(0, key.activateAt.getTime() - now),
+                    retireInMs: key.retireAt ? key.retireAt.getTime() - now : null
+                }))
+        };
+    }
+
+    // Node: replace the local copy with the coordinator's ring
+    async replace(distribution, receivedAt = Date.now()) {
+        for (const key of distribution.keys) {
+            validatePassphrase(key.passphrase);
+        }
+
+        this.keys = distribution.keys.map(key => ({
+            id: key.id,
+            passphrase: key.passphrase,
+            createdAt: new Date(receivedAt),
+            activateAt: new Date(receivedAt + key.activateInMs),
+            retireAt: key.retireInMs === null ? null : new Date(receivedAt + key.retireInMs)
+        }));
+        this.version = distribution.version;
+        this.loaded = true;
+        await this.persist();
+
+        logger.info(`Received mesh key ring version ${this.version} (${this.keys.length} key(s))`);
+    }
+
+    describeKey(key, now = Date.now()) {
+        const active = this.active(now);
+        let state = 'previous';
+        if (key === active) state = 'active';
+        else if (key.activateAt.getTime() > now) state = 'next';
+
+        return {
+            id: key.id,
+            state,
+            createdBy: key.createdBy || null,
+            createdAt: key.createdAt,
+            activateAt: key.activateAt,
+            retireAt: key.retireAt
+        };
+    }
+
+    // Key metadata without passphrases
+    describe(now = Date.now()) {
+        return {
+            version: this.version,
+            keys: this.keys.map(key => this.describeKey(key, now))
+        };
+    }
+}
+
+MeshKeyRing.generatePassphrase = generatePassphrase;
+MeshKeyRing.validatePassphrase = validatePassphrase;
+
+module.exports = MeshKeyRing;
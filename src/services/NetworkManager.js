@@ -1,30 +1,204 @@
-const { exec, spawn } = require('child_process');
-const { promisify } = require('util');
-const ping = require('ping');
 const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/JsonFileStore');
+const { getDefaultRunner } = require('../runner');
+const BatmanAdv = require('./BatmanAdv');
+const MeshKeyRing = require('./MeshKeyRing');
+const WpaSupplicant = require('./WpaSupplicant');
+const DHCPManager = require('./DHCPManager');
+const Alfred = require('./Alfred');
+const { version: PACKAGE_VERSION } = require('../../package.json');
 
-const execAsync = promisify(exec);
+// "value" applies to every interface, "wlan1:value,eth0:value" to single ones
+function parseInterfaceSettings(value) {
+    const settings = {};
+    for (const entry of (value || '').split(',').map(e => e.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        if (separator > 0) {
+            settings[entry.slice(0, separator)] = entry.slice(separator + 1);
+        } else {
+            settings['*'] = entry;
+        }
+    }
+    return settings;
+}
+
+// Link-layer modes: IBSS ad-hoc, 802.11s mesh point (batman-adv still routes) and plain Ethernet
+const MESH_MODES = ['ibss', 'mesh-point', 'wired'];
+// "sae" runs wpa_supplicant on every radio (SAE for mesh point, RSN for IBSS)
+const MESH_ENCRYPTIONS = ['none', 'sae'];
+
+// MESH_INTERFACES entries are "name" (in MESH_MODE) or "name:mode", e.g. "wlan1,wlan2:mesh-point,eth1:wired"
+function parseHardInterfaces(value) {
+    const defaultMode = (process.env.MESH_MODE || 'ibss').toLowerCase();
+    const frequencies = parseInterfaceSettings(process.env.MESH_FREQUENCY);
+    const hopPenalties = parseInterfaceSettings(process.env.BATMAN_HARDIF_HOP_PENALTY);
+
+    return value.split(',').map(e => e.trim()).filter(Boolean).map(entry => {
+        const [name, mode = defaultMode] = entry.split(':');
+        if (!MESH_MODES.includes(mode)) {
+            throw new Error(`Unknown mesh mode "${mode}" for ${name} (use ${MESH_MODES.join(', ')})`);
+        }
+        const type = mode === 'wired' ? 'wired' : 'wireless';
+        return {
+            name,
+            mode,
+            type,
+            frequency: type === 'wireless' ? (frequencies[name] || frequencies['*'] || null) : null,
+            hopPenalty: hopPenalties[name] || hopPenalties['*'] || null
+        };
+    });
+}
+
+// Station dump signal thresholds (dBm) and failed/retried frame share for weak links
+const LINK_SIGNAL_FAIR = -70;
+const LINK_SIGNAL_POOR = -80;
+const LINK_RETRY_POOR = 0.3;
+
+// `iw dev X station dump`: one block per peer radio, keyed by MAC
+function parseStationDump(output) {
+    const stations = {};
+    let current = null;
+    const number = (value) => {
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? null : parsed;
+    };
+
+    for (const line of (output || '').split('\n')) {
+        const station = line.match(/^Station ([0-9a-f:]{17})/i);
+        if (station) {
+            current = {
+                mac: station[1].toLowerCase(),
+                signal: null,
+                signalAvg: null,
+                txBitrate: null,
+                rxBitrate: null,
+                expectedThroughputMbps: null,
+                txPackets: null,
+                rxPackets: null,
+                txRetries: null,
+                txFailed: null,
+                inactiveMs: null,
+                connectedSeconds: null,
+                meshPlink: null
+            };
+            stations[current.mac] = current;
+            continue;
+        }
+
+        const field = current && line.match(/^\s+([a-z ]+):\s*(.*)$/i);
+        if (!field) continue;
+        const [, name, value] = field;
+
+        switch (name) {
+            case 'signal': current.signal = number(value); break;
+            case 'signal avg': current.signalAvg = number(value); break;
+            case 'tx bitrate': current.txBitrate = number(value); break;
+            case 'rx bitrate': current.rxBitrate = number(value); break;
+            // "31.218Mbps", older iw versions print "31.218 Mbps"
+            case 'expected throughput': current.expectedThroughputMbps = number(value); break;
+            case 'tx packets': current.txPackets = number(value); break;
+            case 'rx packets': current.rxPackets = number(value); break;
+            case 'tx retries': current.txRetries = number(value); break;
+            case 'tx failed': current.txFailed = number(value); break;
+            case 'inactive time': current.inactiveMs = number(value); break;
+            case 'connected time': current.connectedSeconds = number(value); break;
+            case 'mesh plink': current.meshPlink = value.trim(); break;
+        }
+    }
+    return stations;
+}
+
+// good / fair / poor from signal strength and the share of retried or failed frames
+function classifyLink(station) {
+    const signal = station.signalAvg ?? station.signal;
+    const sent = station.txPackets || 0;
+    const retryRate = sent > 0 ? ((station.txRetries || 0) + (station.txFailed || 0)) / sent : null;
+
+    if ((signal !== null && signal < LINK_SIGNAL_POOR) || (retryRate !== null && retryRate > LINK_RETRY_POOR)) {
+        return 'poor';
+    }
+    if (signal !== null && signal < LINK_SIGNAL_FAIR) {
+        return 'fair';
+    }
+    return 'good';
+}
+
+const GATEWAY_MODES = ['server', 'client', 'off'];
+// batctl bandwidth: "download[/upload]", each optionally suffixed kbit or mbit
+const GATEWAY_BANDWIDTH = /^\d+(\.\d+)?(kbit|mbit)?(\/\d+(\.\d+)?(kbit|mbit)?)?$/i;
+const GATEWAY_SEL_CLASS = /^\d+(\.\d+)?(kbit|mbit)?$/i;
+
+// Normalized gateway settings: { mode, bandwidth, selClass, dhcp }; throws on values batctl would reject.
+// dhcp is the pool the coordinator assigned to a promoted node (see DHCPManager).
+function validateGatewayConfig(config = {}) {
+    const mode = String(config.mode || '').toLowerCase();
+    if (!GATEWAY_MODES.includes(mode)) {
+        throw new Error(`Unknown gateway mode "${config.mode}" (use ${GATEWAY_MODES.join(', ')})`);
+    }
+    const bandwidth = config.bandwidth ? String(config.bandwidth) : null;
+    if (bandwidth && !GATEWAY_BANDWIDTH.test(bandwidth)) {
+        throw new Error(`Invalid gateway bandwidth "${bandwidth}" (e.g. 10000/2000 or 50mbit/10mbit)`);
+    }
+    const selClass = config.selClass ? String(config.selClass) : null;
+    if (selClass && !GATEWAY_SEL_CLASS.test(selClass)) {
+        throw new Error(`Invalid gateway selection class "${selClass}"`);
+    }
+    const dhcp = config.dhcp ? DHCPManager.validateGatewayPool(config.dhcp) : null;
+    return { mode, bandwidth, selClass, dhcp };
+}
 
 class NetworkManager {
-    constructor() {
+    constructor(options = {}) {
+        this.runner = (options.runner || getDefaultRunner()).forSource('NetworkManager');
         this.meshInterface = process.env.MESH_INTERFACE || 'wlan1';
+        this.hardInterfaces = parseHardInterfaces(process.env.MESH_INTERFACES || this.meshInterface);
+        // The first hard interface is the primary one reported in single-interface fields
+        this.meshInterface = this.hardInterfaces[0].name;
         this.batmanInterface = 'bat0';
         this.meshSubnet = process.env.MESH_SUBNET || '192.168.100.0/24';
         this.masterIp = process.env.MASTER_IP || '192.168.100.1';
-    }
+        this.routingAlgorithm = (process.env.BATMAN_ALGORITHM || '').toUpperCase() || null;
+        this.batman = new BatmanAdv({ runner: this.runner, batmanInterface: this.batmanInterface });
 
-    async executeCommand(command, options = {}) {
-        try {
-            logger.debug(`Executing command: ${command}`);
-            const { stdout, stderr } = await execAsync(command, { timeout: 30000, ...options });
-            if (stderr && !options.ignoreStderr) {
-                logger.warn(`Command stderr: ${stderr}`);
-            }
-            return stdout.trim();
-        } catch (error) {
-            logger.error(`Command failed: ${command}`, error);
-            throw error;
+        this.encryption = (process.env.MESH_ENCRYPTION || 'none').toLowerCase();
+        if (!MESH_ENCRYPTIONS.includes(this.encryption)) {
+            throw new Error(`Unknown MESH_ENCRYPTION "${this.encryption}" (use ${MESH_ENCRYPTIONS.join(', ')})`);
         }
+        this.meshKeys = options.meshKeys || new MeshKeyRing();
+        this.wpaSupplicant = options.wpaSupplicant || new WpaSupplicant({ runner: options.runner });
+        this.keyFallbackAfter = parseFloat(process.env.MESH_KEY_FALLBACK_SECONDS || '120') * 1000;
+
+        // Gateway role: the coordinator serves by default, nodes are clients until promoted
+        this.isCoordinator = options.isCoordinator ?? process.env.NODE_ENV !== 'node';
+        this.gateway = validateGatewayConfig({
+            mode: process.env.BATMAN_GW_MODE || (this.isCoordinator ? 'server' : 'client'),
+            bandwidth: process.env.BATMAN_GW_BANDWIDTH || '10000/2000',
+            selClass: process.env.BATMAN_GW_SEL_CLASS
+        });
+        // Promotions/demotions from the coordinator, they override the environment on later starts
+        this.gatewayStore = options.gatewayStore || new JsonFileStore(process.env.GATEWAY_CONFIG_FILE || 'gateway.json', {});
+        // Where a gateway sends mesh traffic to the internet
+        this.uplinkInterface = process.env.GATEWAY_UPLINK_INTERFACE || process.env.ETHERNET_INTERFACE || 'eth0';
+        // Nodes serve DHCP while promoted; the coordinator's own dhcpd is run by the coordinator
+        this.dhcpManager = options.dhcpManager || null;
+        // Lifts the node firewall's mesh-to-ethernet forwarding block while promoted
+        this.securityManager = options.securityManager || null;
+        this.gatewayServing = false;
+        this.gatewayAddress = null;
+
+        // Published to the rest of the mesh over alfred; nodes set nodeId once it is known
+        this.nodeId = null;
+        this.position = Alfred.parsePosition(process.env.NODE_POSITION);
+        this.alfred = options.alfred || new Alfred({
+            runner: options.runner,
+            batmanInterface: this.batmanInterface,
+            master: this.isCoordinator,
+            record: () => this.getAlfredRecord()
+        });
+    }
+
+    isEncrypted(hardInterface) {
+        return this.encryption !== 'none' && hardInterface.type === 'wireless';
     }
 
     async generateNodeIP() {
@@ -92,36 +266,193 @@ class NetworkManager {
         }
     }
 
-    async waitForMeshInterface() {
-        logger.info(`Waiting for mesh interface ${this.meshInterface} to be ready...`);
+    // Wait for every hard interface; returns the ready ones and throws only if none came up
+    async waitForMeshInterfaces() {
+        const ready = [];
+        for (const hardInterface of this.hardInterfaces) {
+            try {
+                await this.waitForMeshInterface(hardInterface);
+                ready.push(hardInterface);
+            } catch (error) {
+                logger.warn(`Skipping mesh interface ${hardInterface.name}: ${error.message}`);
+            }
+        }
+        
+        if (ready.length === 0) {
+            throw new Error(`None of the mesh interfaces (${this.getHardInterfaces().join(', ')}) became ready`);
+        }
+        return ready;
+    }
+
+    async waitForMeshInterface(hardInterface = this.hardInterfaces[0]) {
+        const name = hardInterface.name;
+        logger.info(`Waiting for mesh interface ${name} to be ready...`);
+        
+        if (this.runner.dryRun) return;
         
         for (let i = 0; i < 30; i++) {
             try {
                 // Check if interface exists and is up
-                const output = await this.executeCommand(`ip link show ${this.meshInterface}`);
+                const output = await this.runner.run('ip', ['link', 'show', name]);
                 if (output.includes('state UP')) {
-                    // For wireless interfaces, also check if we're connected to ad-hoc network
-                    try {
-                        const iwOutput = await this.executeCommand(`iw ${this.meshInterface} info`);
-                        if (iwOutput.includes('type IBSS')) {
-                            logger.info(`Mesh interface ${this.meshInterface} is ready`);
-                            return;
-                        }
-                    } catch (error) {
-                        // Not a wireless interface or iw command failed
-                        logger.info(`Mesh interface ${this.meshInterface} is ready (non-wireless)`);
-                        return;
-                    }
+                    // Radios must also have joined the mesh in their mode
+                    await this.verifyMeshInterface(hardInterface);
+                    logger.info(`Mesh interface ${name} is ready (${hardInterface.mode})`);
+                    return;
                 }
             } catch (error) {
                 // Interface not ready yet
             }
             
-            logger.debug(`Waiting for mesh interface... attempt ${i + 1}/30`);
+            logger.debug(`Waiting for mesh interface ${name}... attempt ${i + 1}/30`);
             await new Promise(resolve => setTimeout(resolve, 1000));
         }
         
-        throw new Error(`Mesh interface ${this.meshInterface} not ready after 30 seconds`);
+        throw new Error(`Mesh interface ${name} not ready after 30 seconds`);
+    }
+
+    // Put a hard interface into its link-layer mode and join the mesh
+    // options.channelWidth: iw width argument (HT20, HT40+, 80MHz, ...) for unencrypted joins
+    async joinMesh(hardInterface, options = {}) {
+        const { name, mode, frequency } = hardInterface;
+        const meshId = process.env.MESH_SSID || 'batman-mesh';
+        const width = frequency && options.channelWidth ? [options.channelWidth] : [];
+        
+        if (mode === 'wired') {
+            await this.runner.run('ip', ['link', 'set', name, 'up']);
+            return;
+        }
+        
+        await this.runner.run('ip', ['link', 'set', name, 'down']);
+        
+        if (mode === 'mesh-point') {
+            await this.runner.run('iw', [name, 'set', 'type', 'mp']);
+            await this.runner.run('ip', ['link', 'set', name, 'up']);
+            if (this.isEncrypted(hardInterface)) {
+                await this.startWpaSupplicant(hardInterface);
+            } else {
+                await this.runner.run('iw', [name, 'mesh', 'join', meshId, ...(frequency ? ['freq', frequency] : []), ...width]);
+            }
+            await this.disableMeshForwarding(hardInterface);
+        } else {
+            await this.runner.run('iw', [name, 'set', 'type', 'ibss']);
+            await this.runner.run('ip', ['link', 'set', name, 'up']);
+            if (this.isEncrypted(hardInterface)) {
+                await this.startWpaSupplicant(hardInterface);
+            } else {
+                await this.runner.run('iw', [name, 'ibss', 'join', meshId, frequency, ...width]);
+            }
+        }
+    }
+
+    // batman-adv does the routing; 802.11s must only provide the links.
+    // With wpa_supplicant the mesh is joined asynchronously, so retry until it is.
+    async disableMeshForwarding(hardInterface, attempts = this.isEncrypted(hardInterface) ? 5 : 1) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await this.runner.run('iw', [hardInterface.name, 'set', 'mesh_param', 'mesh_fwding', '0']);
+                return;
+            } catch (error) {
+                if (attempt >= attempts) throw error;
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        }
+    }
+
+    async startWpaSupplicant(hardInterface, key = null, options = {}) {
+        if (!this.meshKeys.loaded) {
+            await this.meshKeys.load();
+        }
+        key = key || this.meshKeys.active();
+        if (!key) {
+            throw new Error(`No mesh key for encrypted interface ${hardInterface.name}; set MESH_PASSPHRASE`);
+        }
+        await this.wpaSupplicant.start(hardInterface, key, options);
+    }
+
+    // Keep every encrypted radio on a usable key: follow rotations, and cycle
+    // through the keys still in their overlap window when a radio has had no
+    // neighbors for MESH_KEY_FALLBACK_SECONDS (e.g. a node that missed a rotation).
+    async applyMeshKeys(neighbors = null, now = Date.now()) {
+        if (this.encryption === 'none' || !this.meshKeys.loaded) return;
+
+        await this.meshKeys.prune(now);
+        const usable = this.meshKeys.usable(now);
+        if (usable.length === 0) return;
+
+        if (!neighbors) {
+            neighbors = await this.batman.getNeighbors().catch(() => []);
+        }
+
+        for (const status of this.wpaSupplicant.getStatus()) {
+            const hardInterface = this.hardInterfaces.find(h => h.name === status.interface);
+            if (!hardInterface) continue;
+
+            const index = usable.findIndex(key => key.id === status.keyId);
+            const active = usable[0];
+            try {
+                if (index === -1 || (index > 0 && !status.fallback)) {
+                    logger.info(`Switching ${status.interface} to mesh key ${active.id}`);
+                    await this.startWpaSupplicant(hardInterface, active);
+                    if (hardInterface.mode === 'mesh-point') {
+                        await this.disableMeshForwarding(hardInterface);
+                    }
+                    continue;
+                }
+
+                const isolated = !neighbors.some(n => n.interface === status.interface);
+                if (isolated && usable.length > 1 && now - status.keySince.getTime() >= this.keyFallbackAfter) {
+                    const next = usable[(index + 1) % usable.length];
+                    logger.warn(`No neighbors on ${status.interface} with mesh key ${status.keyId}, trying key ${next.id}`);
+                    await this.startWpaSupplicant(hardInterface, next, { fallback: next !== active });
+                    if (hardInterface.mode === 'mesh-point') {
+                        await this.disableMeshForwarding(hardInterface);
+                    }
+                }
+            } catch (error) {
+                logger.error(`Failed to apply mesh key on ${status.interface}:`, error);
+            }
+        }
+    }
+
+    // Throws unless the interface is up in its mode (IBSS joined, mesh point without 802.11s forwarding, or wired link)
+    async verifyMeshInterface(hardInterface) {
+        const { name, mode } = hardInterface;
+        
+        if (mode === 'wired') {
+            const output = await this.runner.run('ip', ['link', 'show', name], { quiet: true });
+            if (!output.includes('state UP')) {
+                throw new Error(`Wired interface ${name} has no link`);
+            }
+            return;
+        }
+        
+        const info = await this.runner.run('iw', [name, 'info'], { quiet: true });
+        if (mode === 'mesh-point') {
+            if (!info.includes('type mesh point')) {
+                throw new Error(`Interface ${name} not in 802.11s mesh point mode`);
+            }
+            const forwarding = await this.runner.run('iw', [name, 'get', 'mesh_param', 'mesh_fwding'], { quiet: true });
+            if (!forwarding.trim().startsWith('0')) {
+                throw new Error(`Interface ${name} still has 802.11s forwarding enabled`);
+            }
+            return;
+        }
+        
+        if (!info.includes('type IBSS')) {
+            throw new Error(`Interface ${name} not in IBSS (ad-hoc) mode`);
+        }
+    }
+
+    // Leave the mesh cell the interface joined
+    async leaveMesh(hardInterface) {
+        await this.wpaSupplicant.stop(hardInterface.name);
+        await this.runner.run('ip', ['link', 'set', 'down', 'dev', hardInterface.name], { ignoreErrors: true });
+        if (hardInterface.mode === 'mesh-point') {
+            await this.runner.run('iw', [hardInterface.name, 'mesh', 'leave'], { ignoreErrors: true });
+        } else if (hardInterface.mode === 'ibss') {
+            await this.runner.run('iw', [hardInterface.name, 'ibss', 'leave'], { ignoreErrors: true });
+        }
     }
 
     async getBatmanVersion() {
@@ -129,10 +460,10 @@ class NetworkManager {
             // Try different version commands
             let version;
             try {
-                version = await this.executeCommand('batctl -v');
+                version = await this.runner.run('batctl', ['-v'], { quiet: true });
             } catch (error) {
                 try {
-                    version = await this.executeCommand('batctl version');
+                    version = await this.runner.run('batctl', ['version']);
                 } catch (error2) {
                     version = 'unknown';
                 }
@@ -149,17 +480,20 @@ class NetworkManager {
         
         try {
             // Load batman-adv kernel module
-            await this.executeCommand('modprobe batman-adv');
+            await this.runner.run('modprobe', ['batman-adv']);
             
             // Remove any existing batman interface
-            await this.executeCommand(`batctl meshif ${this.batmanInterface} interface del ${this.meshInterface} 2>/dev/null || true`);
-            await this.executeCommand(`ip link delete ${this.batmanInterface} 2>/dev/null || true`);
+            await this.runner.run('batctl', ['meshif', this.batmanInterface, 'interface', 'del', ...this.getHardInterfaces()], { ignoreErrors: true });
+            await this.runner.run('ip', ['link', 'delete', this.batmanInterface], { ignoreErrors: true });
+            
+            // Routing algorithm is fixed when the batman interface is created
+            await this.selectRoutingAlgorithm();
             
-            // Verify the mesh interface is up and ready
-            await this.waitForMeshInterface();
+            // Verify the mesh interfaces are up and ready
+            const ready = await this.waitForMeshInterfaces();
             
-            // Add mesh interface to batman-adv (use new syntax)
-            await this.executeCommand(`batctl meshif ${this.batmanInterface} interface add ${this.meshInterface}`);
+            // Add mesh interfaces to batman-adv (use new syntax)
+            await this.runner.run('batctl', ['meshif', this.batmanInterface, 'interface', 'add', ...ready.map(h => h.name)]);
             
             // Wait for batman interface to be created
             await new Promise(resolve => setTimeout(resolve, 3000));
@@ -168,7 +502,7 @@ class NetworkManager {
             let batmanExists = false;
             for (let i = 0; i < 10; i++) {
                 try {
-                    await this.executeCommand(`ip link show ${this.batmanInterface}`);
+                    await this.runner.run('ip', ['link', 'show', this.batmanInterface]);
                     batmanExists = true;
                     break;
                 } catch (error) {
@@ -182,12 +516,12 @@ class NetworkManager {
             }
             
             // Bring up batman interface
-            await this.executeCommand(`ip link set up dev ${this.batmanInterface}`);
+            await this.runner.run('ip', ['link', 'set', 'up', 'dev', this.batmanInterface]);
             
             // Configure batman interface IP
             if (process.env.NODE_ENV !== 'node') {
                 // Coordinator gets the master IP (static for DHCP server)
-                await this.executeCommand(`ip addr add ${this.masterIp}/24 dev ${this.batmanInterface} 2>/dev/null || true`);
+                await this.runner.run('ip', ['addr', 'add', `${this.masterIp}/24`, 'dev', this.batmanInterface], { ignoreErrors: true });
                 logger.info(`Assigned coordinator IP: ${this.masterIp}`);
             } else {
                 // Mesh nodes will get IPs via DHCP from coordinator
@@ -210,27 +544,102 @@ class NetworkManager {
         }
     }
 
-    async startAlfredAndVis(){
-        const alfredProcess = spawn('alfred', ['-i', this.batmanInterface]);
-        const visProcess = spawn('batadv-vis', ['-i', this.batmanInterface, '-s']);
+    async selectRoutingAlgorithm() {
+        if (!this.routingAlgorithm) {
+            return;
+        }
+        if (!BatmanAdv.ALGORITHMS.includes(this.routingAlgorithm)) {
+            throw new Error(`Unsupported BATMAN_ALGORITHM ${this.routingAlgorithm} (use ${BatmanAdv.ALGORITHMS.join(' or ')})`);
+        }
+        
+        let available = [];
+        try {
+            ({ available } = await this.batman.getRoutingAlgorithms());
+        } catch (error) {
+            logger.debug('Could not list batman-adv routing algorithms:', error.message);
+        }
+        
+        if (available.length > 0 && !available.includes(this.routingAlgorithm)) {
+            logger.warn(`Routing algorithm ${this.routingAlgorithm} is not available in this kernel (${available.join(', ')}), keeping the default`);
+            return;
+        }
+        
+        await this.batman.setRoutingAlgorithm(this.routingAlgorithm);
+        logger.info(`Selected batman-adv routing algorithm ${this.routingAlgorithm}`);
+    }
+
+    // Algorithm the batman interface is actually running, or null if unknown
+    async getRoutingAlgorithm() {
+        try {
+            const { active } = await this.batman.getRoutingAlgorithms();
+            return active[this.batmanInterface] || null;
+        } catch (error) {
+            return null;
+        }
+    }
 
-        logger.info('Starting alfred and batman-vis...');
+    // Names of the interfaces enslaved to the batman interface
+    getHardInterfaces() {
+        return this.hardInterfaces.map(h => h.name);
+    }
 
-        alfredProcess.stdout.on('data', (data) => {
-            logger.debug(`Alfred output: ${data}`);
-        });
+    // Per hard interface health: link state, batman-adv state and neighbors seen through it
+    async getHardInterfaceStatus(neighbors = []) {
+        let batmanStates = {};
+        try {
+            batmanStates = await this.batman.getHardInterfaces();
+        } catch (error) {
+            // No batman interface yet
+        }
+        
+        const status = [];
+        for (const hardInterface of this.hardInterfaces) {
+            let linkUp = false;
+            let mac = null;
+            try {
+                const output = await this.runner.run('ip', ['link', 'show', hardInterface.name], { quiet: true });
+                linkUp = output.includes('state UP') || output.includes(',UP');
+                mac = (output.match(/link\/ether ([0-9a-f:]{17})/i) || [])[1]?.toLowerCase() || null;
+            } catch (error) {
+                // Interface missing (e.g. unplugged USB radio)
+            }
+            
+            const batmanState = batmanStates[hardInterface.name] || 'not added';
+            let health = 'down';
+            if (linkUp && batmanState === 'active') health = 'up';
+            else if (linkUp) health = 'degraded';
+            
+            status.push({
+                ...hardInterface,
+                mac,
+                linkUp,
+                batmanState,
+                health,
+                neighborCount: neighbors.filter(n => n.interface === hardInterface.name).length
+            });
+        }
+        return status;
+    }
 
-        visProcess.stdout.on('data', (data) => {
-            logger.debug(`Vis output: ${data}`);
-        });
+    // Supervised alfred and batadv-vis, restarted by initializeBatman() like the rest of the setup
+    async startAlfredAndVis() {
+        await this.alfred.start();
+    }
 
-        alfredProcess.stderr.on('data', (data) => {
-            logger.error(`Alfred error: ${data}`);
-        });
+    async getAlfredRecord() {
+        return {
+            nodeId: this.isCoordinator ? 'coordinator' : this.nodeId,
+            hostname: require('os').hostname(),
+            role: this.isCoordinator ? 'coordinator' : (this.gatewayServing ? 'gateway' : 'node'),
+            version: PACKAGE_VERSION,
+            originator: await this.getOriginatorAddress(),
+            position: this.position
+        };
+    }
 
-        visProcess.stderr.on('data', (data) => {
-            logger.error(`Vis error: ${data}`);
-        });
+    // The whole mesh as batadv-vis and the alfred records see it
+    async getMeshView() {
+        return this.alfred.getMeshView();
     }
 
     async optimizeBatmanSettings() {
@@ -243,7 +652,7 @@ class NetworkManager {
             
             // Check if batman interface exists before configuring
             try {
-                await this.executeCommand(`ip link show ${this.batmanInterface}`);
+                await this.runner.run('ip', ['link', 'show', this.batmanInterface]);
             } catch (error) {
                 logger.warn('Batman interface not ready, skipping optimization');
                 return;
@@ -251,49 +660,55 @@ class NetworkManager {
             
             // Use batctl commands instead of direct sysfs writes (new syntax)
             try {
-                await this.executeCommand(`batctl meshif ${this.batmanInterface} hop_penalty ${hopPenalty}`);
+                await this.runner.run('batctl', ['meshif', this.batmanInterface, 'hop_penalty', hopPenalty]);
                 logger.debug(`Set hop penalty to ${hopPenalty}`);
             } catch (error) {
                 logger.warn('Failed to set hop penalty:', error.message);
             }
             
             try {
-                await this.executeCommand(`batctl meshif ${this.batmanInterface} orig_interval ${origInterval}`);
+                await this.runner.run('batctl', ['meshif', this.batmanInterface, 'orig_interval', origInterval]);
                 logger.debug(`Set originator interval to ${origInterval}`);
             } catch (error) {
                 logger.warn('Failed to set orig interval:', error.message);
             }
             
             try {
-                await this.executeCommand(`batctl meshif ${this.batmanInterface} distributed_arp_table 1`);
+                await this.runner.run('batctl', ['meshif', this.batmanInterface, 'distributed_arp_table', '1']);
                 logger.debug('Enabled distributed ARP table');
             } catch (error) {
                 logger.warn('Failed to enable distributed ARP table:', error.message);
             }
             
             try {
-                await this.executeCommand(`batctl meshif ${this.batmanInterface} bridge_loop_avoidance 1`);
+                await this.runner.run('batctl', ['meshif', this.batmanInterface, 'bridge_loop_avoidance', '1']);
                 logger.debug('Enabled bridge loop avoidance');
             } catch (error) {
                 logger.warn('Failed to enable bridge loop avoidance:', error.message);
             }
             
-            // Configure gateway mode if this is the coordinator
-            if (process.env.NODE_ENV !== 'node') {
-                try {
-                    await this.setupBatmanGateway();
-                } catch (error) {
-                    logger.warn('Failed to setup batman gateway:', error.message);
-                }
-            } else {
-                // Configure gateway mode for mesh nodes (client mode)
+            // Per hard interface hop penalty, e.g. to prefer a wired backhaul over a radio
+            for (const hardInterface of this.hardInterfaces.filter(h => h.hopPenalty)) {
                 try {
-                    await this.setupBatmanGatewayClient();
+                    await this.batman.setHardifSetting(hardInterface.name, 'hop_penalty', hardInterface.hopPenalty);
+                    logger.debug(`Set hop penalty on ${hardInterface.name} to ${hardInterface.hopPenalty}`);
                 } catch (error) {
-                    logger.warn('Failed to setup batman gateway client:', error.message);
+                    logger.warn(`Failed to set hop penalty on ${hardInterface.name}:`, error.message);
                 }
             }
             
+            // ELP and throughput overrides only exist in BATMAN_V
+            if (await this.getRoutingAlgorithm() === 'BATMAN_V') {
+                await this.tuneBatmanV();
+            }
+            
+            try {
+                await this.loadGatewayConfig();
+                await this.applyGatewayMode();
+            } catch (error) {
+                logger.warn('Failed to configure batman gateway mode:', error.message);
+            }
+            
             logger.info('Batman-adv settings optimized');
             
         } catch (error) {
@@ -301,29 +716,99 @@ class NetworkManager {
         }
     }
 
+    // Per hard interface BATMAN_V settings: BATMAN_ELP_INTERVAL (ms) and BATMAN_THROUGHPUT_OVERRIDE,
+    // either one value for all interfaces ("50mbit") or per interface ("wlan1:50mbit,eth0:1000mbit")
+    async tuneBatmanV() {
+        const elpIntervals = parseInterfaceSettings(process.env.BATMAN_ELP_INTERVAL);
+        const overrides = parseInterfaceSettings(process.env.BATMAN_THROUGHPUT_OVERRIDE);
+        
+        for (const hardInterface of this.getHardInterfaces()) {
+            const elpInterval = elpIntervals[hardInterface] || elpIntervals['*'];
+            if (elpInterval) {
+                try {
+                    await this.batman.setHardifSetting(hardInterface, 'elp_interval', elpInterval);
+                    logger.debug(`Set ELP interval on ${hardInterface} to ${elpInterval}`);
+                } catch (error) {
+                    logger.warn(`Failed to set ELP interval on ${hardInterface}:`, error.message);
+                }
+            }
+            
+            const override = overrides[hardInterface] || overrides['*'];
+            if (override) {
+                try {
+                    await this.batman.setHardifSetting(hardInterface, 'throughput_override', override);
+                    logger.debug(`Set throughput override on ${hardInterface} to ${override}`);
+                } catch (error) {
+                    logger.warn(`Failed to set throughput override on ${hardInterface}:`, error.message);
+                }
+            }
+        }
+    }
+
+    async loadGatewayConfig() {
+        const saved = await this.gatewayStore.load();
+        if (saved && saved.mode) {
+            this.gateway = validateGatewayConfig({ ...this.gateway, ...saved });
+            logger.info(`Using gateway mode ${this.gateway.mode} set by the coordinator`);
+        }
+    }
+
+    async applyGatewayMode() {
+        if (this.gateway.mode !== 'server' && this.gatewayServing) {
+            await this.teardownGateway();
+        }
+        
+        switch (this.gateway.mode) {
+            case 'server':
+                return this.setupBatmanGateway();
+            case 'client':
+                return this.setupBatmanGatewayClient();
+            default:
+                await this.batman.setGatewayMode('off');
+                logger.info('Batman gateway mode off');
+        }
+    }
+
+    // Promote to or demote from gateway, e.g. { mode: 'server', bandwidth: '50mbit/10mbit' }
+    async setGatewayMode(config) {
+        const gateway = validateGatewayConfig({ ...this.gateway, ...config });
+        const previous = this.gateway;
+        
+        this.gateway = gateway;
+        try {
+            await this.applyGatewayMode();
+        } catch (error) {
+            this.gateway = previous;
+            throw error;
+        }
+        
+        await this.gatewayStore.save(gateway);
+        logger.info(`Gateway mode set to ${gateway.mode}`);
+        return this.getGatewayStatus();
+    }
+
     async setupBatmanGateway() {
         logger.info('Configuring batman-adv gateway mode...');
         
         try {
-            // Set gateway mode to server (announces this node as gateway)
-            await this.executeCommand(`batctl meshif ${this.batmanInterface} gw_mode server`);
-            logger.debug('Set batman gateway mode to server');
-            
-            // Configure gateway bandwidth (optional - helps with gateway selection)
-            const gwBandwidth = process.env.BATMAN_GW_BANDWIDTH || '10000/2000'; // 10Mbps down / 2Mbps up
-            try {
-                await this.executeCommand(`batctl meshif ${this.batmanInterface} gw_mode server ${gwBandwidth}`);
-                logger.debug(`Set gateway bandwidth to ${gwBandwidth}`);
-            } catch (error) {
-                logger.debug('Failed to set gateway bandwidth (using default)');
-            }
+            // Announce this node as gateway, the bandwidth helps clients choose between gateways
+            await this.batman.setGatewayMode('server', this.gateway.bandwidth);
+            logger.debug(`Set batman gateway mode to server (${this.gateway.bandwidth})`);
             
             // Enable IP forwarding for routing between mesh and internet
-            await this.executeCommand('echo 1 > /proc/sys/net/ipv4/ip_forward');
+            await this.runner.writeFile('/proc/sys/net/ipv4/ip_forward', '1');
             logger.debug('Enabled IP forwarding');
             
             // Setup NAT/masquerading for internet access
             await this.setupGatewayNAT();
+            this.gatewayServing = true;
+            
+            if (!this.isCoordinator) {
+                if (this.securityManager) {
+                    await this.securityManager.setGatewayForwarding(true);
+                }
+                await this.setupGatewayDhcp();
+            }
             
             logger.info('Batman gateway configured successfully');
             
@@ -338,11 +823,11 @@ class NetworkManager {
         
         try {
             // Set gateway mode to client (discovers and uses batman gateways)
-            await this.executeCommand(`batctl meshif ${this.batmanInterface} gw_mode client`);
-            logger.debug('Set batman gateway mode to client');
+            await this.batman.setGatewayMode('client', this.gateway.selClass);
+            logger.debug(`Set batman gateway mode to client${this.gateway.selClass ? ` (selection class ${this.gateway.selClass})` : ''}`);
             
             // Enable IP forwarding for mesh nodes as well (needed for ZeroTier routing)
-            await this.executeCommand('echo 1 > /proc/sys/net/ipv4/ip_forward');
+            await this.runner.writeFile('/proc/sys/net/ipv4/ip_forward', '1');
             logger.debug('Enabled IP forwarding');
             
             logger.info('Batman gateway client configured successfully');
@@ -353,28 +838,100 @@ class NetworkManager {
         }
     }
 
+    // Move the gateway NAT to another uplink (see UplinkManager)
+    async switchUplink(name) {
+        if (name === this.uplinkInterface) {
+            return;
+        }
+        
+        if (this.gatewayServing) {
+            await this.cleanupGatewayNAT();
+        }
+        const previous = this.uplinkInterface;
+        this.uplinkInterface = name;
+        if (this.gatewayServing) {
+            await this.setupGatewayNAT();
+        }
+        logger.info(`Gateway uplink moved from ${previous} to ${name}`);
+    }
+
+    // Announce another bandwidth for the current uplink, or none (null) so clients use other
+    // gateways meanwhile. Only for servers; the configured gateway mode is left as it is.
+    async setGatewayAnnouncement(bandwidth) {
+        if (this.gateway.mode !== 'server') {
+            return false;
+        }
+        
+        if (bandwidth) {
+            await this.batman.setGatewayMode('server', bandwidth);
+            logger.info(`Announcing gateway bandwidth ${bandwidth}`);
+        } else {
+            await this.batman.setGatewayMode('client', this.gateway.selClass);
+            logger.warn('Gateway announcement withdrawn, using other gateways');
+        }
+        return true;
+    }
+
+    // A promoted node answers DHCP for the clients that select it, from the pool the coordinator assigned
+    async setupGatewayDhcp() {
+        const pool = this.gateway.dhcp;
+        if (!pool || !this.dhcpManager) {
+            logger.warn('No DHCP pool assigned, clients selecting this gateway will not get leases from it');
+            return;
+        }
+        
+        // The pool's router address sits next to the address this node leased from the coordinator
+        const prefixLength = this.meshSubnet.split('/')[1];
+        if (this.gatewayAddress && this.gatewayAddress !== pool.address) {
+            await this.runner.run('ip', ['addr', 'del', `${this.gatewayAddress}/${prefixLength}`, 'dev', this.batmanInterface], { ignoreErrors: true });
+        }
+        await this.runner.run('ip', ['addr', 'replace', `${pool.address}/${prefixLength}`, 'dev', this.batmanInterface]);
+        this.gatewayAddress = pool.address;
+        
+        await this.dhcpManager.serveGatewayPool(pool);
+    }
+
+    // Undo a node's gateway role after demotion; the batman mode itself is set by the caller
+    async teardownGateway() {
+        logger.info('Removing gateway NAT and DHCP...');
+        await this.cleanupGatewayNAT();
+        if (this.securityManager) {
+            await this.securityManager.setGatewayForwarding(false).catch(error => logger.warn('Failed to restore forwarding block:', error.message));
+        }
+        
+        if (this.dhcpManager) {
+            await this.dhcpManager.stopGatewayPool().catch(error => logger.warn('Failed to stop gateway DHCP:', error.message));
+        }
+        if (this.gatewayAddress) {
+            const prefixLength = this.meshSubnet.split('/')[1];
+            await this.runner.run('ip', ['addr', 'del', `${this.gatewayAddress}/${prefixLength}`, 'dev', this.batmanInterface], { ignoreErrors: true });
+            this.gatewayAddress = null;
+        }
+        this.gatewayServing = false;
+    }
+
     async setupGatewayNAT() {
-        const ethernetInterface = process.env.ETHERNET_INTERFACE || 'eth0';
+        const ethernetInterface = this.uplinkInterface;
         
         try {
             // Clear any existing NAT rules for batman interface
-            await this.executeCommand(`iptables -t nat -D POSTROUTING -s ${this.meshSubnet} -o ${ethernetInterface} -j MASQUERADE 2>/dev/null || true`);
+            await this.runner.run('iptables', ['-t', 'nat', '-D', 'POSTROUTING', '-s', this.meshSubnet, '-o', ethernetInterface, '-j', 'MASQUERADE'], { ignoreErrors: true });
             
             // Add NAT rule for mesh traffic going to internet
-            await this.executeCommand(`iptables -t nat -A POSTROUTING -s ${this.meshSubnet} -o ${ethernetInterface} -j MASQUERADE`);
+            await this.runner.run('iptables', ['-t', 'nat', '-A', 'POSTROUTING', '-s', this.meshSubnet, '-o', ethernetInterface, '-j', 'MASQUERADE']);
             logger.debug(`Added NAT rule for ${this.meshSubnet} via ${ethernetInterface}`);
             
             // Allow forwarding between batman interface and ethernet
-            await this.executeCommand(`iptables -D FORWARD -i ${this.batmanInterface} -o ${ethernetInterface} -j ACCEPT 2>/dev/null || true`);
-            await this.executeCommand(`iptables -D FORWARD -i ${ethernetInterface} -o ${this.batmanInterface} -m state --state RELATED,ESTABLISHED -j ACCEPT 2>/dev/null || true`);
+            await this.runner.run('iptables', ['-D', 'FORWARD', '-i', this.batmanInterface, '-o', ethernetInterface, '-j', 'ACCEPT'], { ignoreErrors: true });
+            await this.runner.run('iptables', ['-D', 'FORWARD', '-i', ethernetInterface, '-o', this.batmanInterface, '-m', 'state', '--state', 'RELATED,ESTABLISHED', '-j', 'ACCEPT'], { ignoreErrors: true });
             
-            await this.executeCommand(`iptables -A FORWARD -i ${this.batmanInterface} -o ${ethernetInterface} -j ACCEPT`);
-            await this.executeCommand(`iptables -A FORWARD -i ${ethernetInterface} -o ${this.batmanInterface} -m state --state RELATED,ESTABLISHED -j ACCEPT`);
+            await this.runner.run('iptables', ['-A', 'FORWARD', '-i', this.batmanInterface, '-o', ethernetInterface, '-j', 'ACCEPT']);
+            await this.runner.run('iptables', ['-A', 'FORWARD', '-i', ethernetInterface, '-o', this.batmanInterface, '-m', 'state', '--state', 'RELATED,ESTABLISHED', '-j', 'ACCEPT']);
             logger.debug(`Added forwarding rules between ${this.batmanInterface} and ${ethernetInterface}`);
             
             // Setup default route for mesh subnet (optional - helps mesh nodes find gateway)
             try {
-                await this.executeCommand(`ip route add ${this.meshSubnet} dev ${this.batmanInterface} 2>/dev/null || true`);
+                await this.runner.run('ip', ['route', 'add', this.meshSubnet, 'dev', this.batmanInterface], { ignoreErrors: true });
             } catch (error) {
                 // Route might already exist
             }
@@ -389,7 +946,7 @@ class NetworkManager {
 
     async getBatmanInterfaceIP() {
         try {
-            const output = await this.executeCommand(`ip addr show ${this.batmanInterface}`);
+            const output = await this.runner.run('ip', ['addr', 'show', this.batmanInterface]);
             
             // Parse the IP address from the output
             const ipMatch = output.match(/inet\s+(\d+\.\d+\.\d+\.\d+)\/\d+/);
@@ -411,6 +968,8 @@ class NetworkManager {
     async waitForBatmanIP(maxAttempts = 120) {
         logger.info(`Waiting for IP assignment on ${this.batmanInterface}...`);
         
+        if (this.runner.dryRun) return null;
+        
         for (let attempt = 1; attempt <= maxAttempts; attempt++) {
             try {
                 const ip = await this.getBatmanInterfaceIP();
@@ -435,11 +994,12 @@ class NetworkManager {
         
         // Try to get diagnostic info
         try {
-            const interfaceStatus = await this.executeCommand(`ip link show ${this.batmanInterface}`);
+            const interfaceStatus = await this.runner.run('ip', ['link', 'show', this.batmanInterface]);
             logger.debug('Batman interface status:', interfaceStatus);
             
-            const dhclientStatus = await this.executeCommand(`ps aux | grep dhclient | grep ${this.batmanInterface} || echo "No dhclient process found"`);
-            logger.debug('DHCP client status:', dhclientStatus);
+            const processes = await this.runner.run('ps', ['-eo', 'pid,args']);
+            const dhclients = processes.split('\n').filter(line => line.includes('dhclient') && line.includes(this.batmanInterface));
+            logger.debug('DHCP client status:', dhclients.length > 0 ? dhclients.join('\n') : 'No dhclient process found');
             
         } catch (debugError) {
             logger.debug('Failed to get diagnostic info:', debugError.message);
@@ -448,129 +1008,20 @@ class NetworkManager {
         throw new Error(errorMsg);
     }
 
+    // Direct neighbors in the normalized BatmanAdv schema
     async getBatmanNeighbors() {
         try {
-            // Try new meshif command format first, fallback to old format
-            let output;
-            try {
-                output = await this.executeCommand(`batctl meshif ${this.batmanInterface} neighbors`);
-            } catch (error) {
-                try {
-                    output = await this.executeCommand(`batctl meshif ${this.batmanInterface} n`);
-                } catch (error2) {
-                    try {
-                        // Try old format without meshif
-                        output = await this.executeCommand('batctl neighbors');
-                    } catch (error3) {
-                        // Last resort - old single letter command
-                        output = await this.executeCommand('batctl n');
-                    }
-                }
-            }
-            
-            const neighbors = [];
-            
-            const lines = output.split('\n');
-            for (const line of lines) {
-                const trimmedLine = line.trim();
-                
-                // Skip empty lines, header lines, and lines containing B.A.T.M.A.N.
-                if (!trimmedLine || 
-                    trimmedLine.includes('B.A.T.M.A.N.') ||
-                    trimmedLine.includes('Neighbor') ||
-                    trimmedLine.includes('Originator') ||
-                    trimmedLine.includes('---') ||
-                    trimmedLine.includes('IF') ||
-                    trimmedLine.startsWith('[') ||
-                    trimmedLine.includes('No batman nodes')) {
-                    continue;
-                }
-                
-                // Look for lines with MAC addresses (format: XX:XX:XX:XX:XX:XX)
-                const macPattern = /([0-9a-fA-F]{2}:[0-9a-fA-F]{2}:[0-9a-fA-F]{2}:[0-9a-fA-F]{2}:[0-9a-fA-F]{2}:[0-9a-fA-F]{2})/;
-                const match = trimmedLine.match(macPattern);
-                
-                if (match) {
-                    const parts = trimmedLine.split(/\s+/);
-                    if (parts.length >= 3) {
-                        neighbors.push({
-                            address: match[1], // Use the MAC address from regex match
-                            lastSeen: parts[2], // last-seen is typically the 3rd column
-                            interface: parts[0] // interface is typically the 1st column
-                        });
-                    }
-                }
-            }
-            
-            return neighbors;
-            
+            return await this.batman.getNeighbors();
         } catch (error) {
             logger.warn('Could not retrieve batman neighbors (may be normal if no other nodes):', error.message);
             return [];
         }
     }
 
+    // Batman-adv doesn't have a "routes" table, the originators table is used instead
     async getBatmanRoutes() {
         try {
-            // Batman-adv doesn't have a "routes" table, use originators table instead
-            let output;
-            try {
-                // Try new meshif command format for originators
-                output = await this.executeCommand(`batctl meshif ${this.batmanInterface} originators`);
-            } catch (error) {
-                try {
-                    output = await this.executeCommand(`batctl meshif ${this.batmanInterface} o`);
-                } catch (error2) {
-                    try {
-                        // Try old format without meshif
-                        output = await this.executeCommand('batctl originators');
-                    } catch (error3) {
-                        // Last resort - old single letter command
-                        output = await this.executeCommand('batctl o');
-                    }
-                }
-            }
-            
-            const routes = [];
-            
-            const lines = output.split('\n');
-            for (const line of lines) {
-                const trimmedLine = line.trim();
-                
-                // Skip empty lines, header lines, and B.A.T.M.A.N. version info
-                if (!trimmedLine || 
-                    trimmedLine.includes('B.A.T.M.A.N.') ||
-                    trimmedLine.includes('Originator') ||
-                    trimmedLine.includes('last-seen') ||
-                    trimmedLine.includes('MainIF/MAC') ||
-                    trimmedLine.includes('No batman nodes')) {
-                    continue;
-                }
-                
-                // Parse originator table format:
-                // Format: [*] <originator_mac> <last_seen> (<quality>/<max>) <nexthop_mac> [<interface>]
-                // Example: " * b8:27:eb:45:93:30    0.748s   (239) b8:27:eb:45:93:30 [     wlan0]"
-                
-                // Match lines with originator entries
-                const originatorPattern = /^(\*?)\s*([0-9a-fA-F]{2}:[0-9a-fA-F]{2}:[0-9a-fA-F]{2}:[0-9a-fA-F]{2}:[0-9a-fA-F]{2}:[0-9a-fA-F]{2})\s+(\d+\.\d+s)\s+\(\s*(\d+)\)\s+([0-9a-fA-F]{2}:[0-9a-fA-F]{2}:[0-9a-fA-F]{2}:[0-9a-fA-F]{2}:[0-9a-fA-F]{2}:[0-9a-fA-F]{2})\s+\[\s*(\w+)\s*\]/;
-                const match = trimmedLine.match(originatorPattern);
-                
-                if (match) {
-                    const [, isBestPath, originator, lastSeen, quality, nextHop, intf] = match;
-                    
-                    routes.push({
-                        originator: originator,
-                        lastSeen: lastSeen,
-                        quality: parseInt(quality),
-                        nextHop: nextHop,
-                        "interface": intf,
-                        isBestPath: isBestPath === '*'
-                    });
-                }
-            }
-            
-            return routes;
-            
+            return await this.batman.getOriginators();
         } catch (error) {
             logger.warn('Could not retrieve batman originators (may be normal if no other nodes):', error.message);
             return [];
@@ -580,15 +1031,15 @@ class NetworkManager {
     async getBatmanStatus() {
         try {
             // Check if batman interface exists and is up
-            const interfaceStatus = await this.executeCommand(`ip link show ${this.batmanInterface}`);
+            const interfaceStatus = await this.runner.run('ip', ['link', 'show', this.batmanInterface]);
             const isUp = interfaceStatus.includes('UP');
             
             // For a more robust check, also verify batman-adv is actually working
             let batmanWorking = false;
             try {
                 // Check if batman module is loaded and interface is managed by batman-adv
-                const meshInfo = await this.executeCommand(`batctl meshif ${this.batmanInterface} if 2>/dev/null || echo ""`);
-                batmanWorking = meshInfo.includes(this.meshInterface) || isUp; // Accept if interface is up even if meshif fails
+                const meshInfo = await this.runner.run('batctl', ['meshif', this.batmanInterface, 'if'], { ignoreErrors: true });
+                batmanWorking = this.getHardInterfaces().some(name => meshInfo.includes(name)) || isUp; // Accept if interface is up even if meshif fails
             } catch (error) {
                 // If batctl fails but interface is up, still consider it working (better for DHCP nodes)
                 batmanWorking = isUp;
@@ -610,12 +1061,17 @@ class NetworkManager {
                 active: isUp && batmanWorking, // More robust check
                 version: version,
                 interface: this.batmanInterface,
+                // bat0's own MAC, announced in the translation tables like a client
+                macAddress: (interfaceStatus.match(/link\/ether ([0-9a-f:]{17})/i) || [])[1]?.toLowerCase() || null,
                 meshInterface: this.meshInterface,
+                hardInterfaces: await this.getHardInterfaceStatus(neighbors),
+                encryption: this.getEncryptionStatus(),
                 neighborCount: neighbors.length,
                 routeCount: routes.length,
+                algorithm: await this.getRoutingAlgorithm() || (routes[0] || neighbors[0] || {}).algorithm || null,
                 neighbors: neighbors,
                 routes: routes,
-                gatewayMode: await this.getGatewayMode()
+                gatewayMode: (await this.batman.getGatewayMode().catch(() => ({ mode: 'unknown' }))).mode
             };
             
         } catch (error) {
@@ -627,42 +1083,53 @@ class NetworkManager {
         }
     }
 
-    async getGatewayMode() {
+    // Own gateway role plus the gateways this node sees and the one it selected
+    async getGatewayStatus() {
+        const [mode, gateways, originator] = await Promise.all([
+            this.batman.getGatewayMode().catch(() => ({ mode: 'unknown' })),
+            this.batman.getGateways().catch(() => []),
+            this.getOriginatorAddress()
+        ]);
+        
+        return {
+            ...mode,
+            configured: this.gateway,
+            originator,
+            selected: mode.mode === 'client' ? (gateways.find(g => g.selected) || null) : null,
+            gateways
+        };
+    }
+
+    // batman-adv originator address: the MAC of the primary hard interface
+    async getOriginatorAddress() {
         try {
-            const output = await this.executeCommand(`batctl meshif ${this.batmanInterface} gw_mode`);
-            return output.trim();
+            const output = await this.runner.run('ip', ['-o', 'link', 'show', this.meshInterface], { quiet: true });
+            const match = output.match(/link\/ether ([0-9a-f:]{17})/i);
+            return match ? match[1].toLowerCase() : null;
         } catch (error) {
-            try {
-                // Try old syntax
-                const output = await this.executeCommand(`batctl gw_mode`);
-                return output.trim();
-            } catch (error2) {
-                return 'unknown';
-            }
+            return null;
         }
     }
 
     async pingNode(address, timeout = 5000) {
         try {
-            const result = await ping.promise.probe(address, {
-                timeout: timeout,
-                min_reply: 1
-            });
-            return result.alive;
+            const seconds = Math.max(1, Math.ceil(timeout / 1000));
+            await this.runner.run('ping', ['-c', '1', '-W', seconds, address], { quiet: true, timeout: timeout + 1000 });
+            return true;
         } catch (error) {
-            logger.error(`Failed to ping ${address}:`, error);
+            logger.debug(`Failed to ping ${address}: ${error.message}`);
             return false;
         }
     }
 
     async getInterfaceStats(interfaceName) {
         try {
-            const rxBytes = await this.executeCommand(`cat /sys/class/net/${interfaceName}/statistics/rx_bytes`);
-            const txBytes = await this.executeCommand(`cat /sys/class/net/${interfaceName}/statistics/tx_bytes`);
-            const rxPackets = await this.executeCommand(`cat /sys/class/net/${interfaceName}/statistics/rx_packets`);
-            const txPackets = await this.executeCommand(`cat /sys/class/net/${interfaceName}/statistics/tx_packets`);
-            const rxErrors = await this.executeCommand(`cat /sys/class/net/${interfaceName}/statistics/rx_errors`);
-            const txErrors = await this.executeCommand(`cat /sys/class/net/${interfaceName}/statistics/tx_errors`);
+            const rxBytes = await this.runner.run('cat', [`/sys/class/net/${interfaceName}/statistics/rx_bytes`]);
+            const txBytes = await this.runner.run('cat', [`/sys/class/net/${interfaceName}/statistics/tx_bytes`]);
+            const rxPackets = await this.runner.run('cat', [`/sys/class/net/${interfaceName}/statistics/rx_packets`]);
+            const txPackets = await this.runner.run('cat', [`/sys/class/net/${interfaceName}/statistics/tx_packets`]);
+            const rxErrors = await this.runner.run('cat', [`/sys/class/net/${interfaceName}/statistics/rx_errors`]);
+            const txErrors = await this.runner.run('cat', [`/sys/class/net/${interfaceName}/statistics/tx_errors`]);
             
             return {
                 interface: interfaceName,
@@ -681,58 +1148,76 @@ class NetworkManager {
         }
     }
 
+    // Radio state of every wireless hard interface (from `iw dev X info`)
     async getWirelessInfo() {
-        try {
-            const iwconfig = await this.executeCommand(`iwconfig ${this.meshInterface}`);
-            const info = {
-                interface: this.meshInterface,
-                mode: 'unknown',
-                frequency: 'unknown',
-                accessPoint: 'unknown',
-                bitRate: 'unknown',
-                signalLevel: 'unknown'
-            };
-            
-            // Parse iwconfig output
-            if (iwconfig.includes('Mode:')) {
-                const modeMatch = iwconfig.match(/Mode:(\S+)/);
-                if (modeMatch) info.mode = modeMatch[1];
-            }
-            
-            if (iwconfig.includes('Frequency:')) {
-                const freqMatch = iwconfig.match(/Frequency:(\S+)/);
-                if (freqMatch) info.frequency = freqMatch[1];
-            }
-            
-            if (iwconfig.includes('Access Point:')) {
-                const apMatch = iwconfig.match(/Access Point: (\S+)/);
-                if (apMatch) info.accessPoint = apMatch[1];
-            }
-            
-            if (iwconfig.includes('Bit Rate')) {
-                const rateMatch = iwconfig.match(/Bit Rate[=:](\S+)/);
-                if (rateMatch) info.bitRate = rateMatch[1];
-            }
-            
-            if (iwconfig.includes('Signal level')) {
-                const signalMatch = iwconfig.match(/Signal level[=:](\S+)/);
-                if (signalMatch) info.signalLevel = signalMatch[1];
+        const radios = [];
+        
+        for (const hardInterface of this.hardInterfaces.filter(h => h.type === 'wireless')) {
+            const output = await this.runner.run('iw', ['dev', hardInterface.name, 'info'], { ignoreErrors: true, quiet: true });
+            const field = (pattern) => (output.match(pattern) || [])[1] || null;
+            
+            radios.push({
+                interface: hardInterface.name,
+                mode: hardInterface.mode,
+                mac: field(/^\s*addr ([0-9a-f:]{17})/im),
+                type: field(/^\s*type (.+)$/m),
+                frequency: parseInt(field(/\((\d+) MHz\)/)) || null,
+                channelWidth: field(/width: ([^,]+)/),
+                txPowerDbm: parseFloat(field(/txpower ([\d.]+) dBm/)) || null
+            });
+        }
+        return radios;
+    }
+
+    async getStations(interfaceName) {
+        const output = await this.runner.run('iw', ['dev', interfaceName, 'station', 'dump'], { ignoreErrors: true, quiet: true });
+        return parseStationDump(output);
+    }
+
+    // Per-peer radio metrics of every wireless hard interface, joined to the batman-adv
+    // neighbor on the same interface (if the peer is one)
+    async getLinkMetrics(neighbors = null) {
+        if (!neighbors) {
+            neighbors = await this.batman.getNeighbors().catch(() => []);
+        }
+        
+        const links = [];
+        for (const radio of await this.getWirelessInfo()) {
+            const stations = await this.getStations(radio.interface);
+            
+            for (const station of Object.values(stations)) {
+                const neighbor = neighbors.find(n => n.address === station.mac && (!n.interface || n.interface === radio.interface));
+                links.push({
+                    interface: radio.interface,
+                    localMac: radio.mac,
+                    ...station,
+                    quality: classifyLink(station),
+                    batmanNeighbor: !!neighbor,
+                    tq: neighbor?.tq ?? null,
+                    throughputMbps: neighbor?.throughputMbps ?? null
+                });
             }
-            
-            return info;
-            
-        } catch (error) {
-            logger.error('Failed to get wireless info:', error);
-            return null;
         }
+        return links;
+    }
+
+    getEncryptionStatus() {
+        return {
+            mode: this.encryption,
+            keyVersion: this.meshKeys.loaded ? this.meshKeys.version : null,
+            supplicants: this.wpaSupplicant.getStatus()
+        };
     }
 
     getStatus() {
         return {
             meshInterface: this.meshInterface,
+            hardInterfaces: this.getHardInterfaces(),
+            encryption: this.encryption,
             batmanInterface: this.batmanInterface,
             meshSubnet: this.meshSubnet,
-            masterIp: this.masterIp
+            masterIp: this.masterIp,
+            alfred: this.alfred.getStatus()
         };
     }
 
@@ -740,18 +1225,23 @@ class NetworkManager {
         logger.info('Cleaning up network configuration...');
         
         try {
-            // Clean up gateway NAT rules if this was a coordinator
-            if (process.env.NODE_ENV !== 'node') {
+            // Clean up gateway NAT rules if this was a coordinator or a promoted node
+            if (this.isCoordinator) {
                 await this.cleanupGatewayNAT();
+            } else if (this.gatewayServing) {
+                await this.teardownGateway();
             }
             
+            await this.alfred.stop();
+            
             // Remove batman interface (use new syntax)
-            await this.executeCommand(`batctl meshif ${this.batmanInterface} interface del ${this.meshInterface} 2>/dev/null || true`);
-            await this.executeCommand(`ip link set down dev ${this.batmanInterface} 2>/dev/null || true`);
+            await this.runner.run('batctl', ['meshif', this.batmanInterface, 'interface', 'del', ...this.getHardInterfaces()], { ignoreErrors: true });
+            await this.runner.run('ip', ['link', 'set', 'down', 'dev', this.batmanInterface], { ignoreErrors: true });
             
-            // Reset wireless interface
-            await this.executeCommand(`ip link set down dev ${this.meshInterface} 2>/dev/null || true`);
-            await this.executeCommand(`iw ${this.meshInterface} ibss leave 2>/dev/null || true`);
+            // Reset hard interfaces
+            for (const hardInterface of this.hardInterfaces) {
+                await this.leaveMesh(hardInterface);
+            }
             
             logger.info('Network cleanup complete');
             
@@ -761,15 +1251,15 @@ class NetworkManager {
     }
 
     async cleanupGatewayNAT() {
-        const ethernetInterface = process.env.ETHERNET_INTERFACE || 'eth0';
+        const ethernetInterface = this.uplinkInterface;
         
         try {
             // Remove NAT rules
-            await this.executeCommand(`iptables -t nat -D POSTROUTING -s ${this.meshSubnet} -o ${ethernetInterface} -j MASQUERADE 2>/dev/null || true`);
+            await this.runner.run('iptables', ['-t', 'nat', '-D', 'POSTROUTING', '-s', this.meshSubnet, '-o', ethernetInterface, '-j', 'MASQUERADE'], { ignoreErrors: true });
             
             // Remove forwarding rules
-            await this.executeCommand(`iptables -D FORWARD -i ${this.batmanInterface} -o ${ethernetInterface} -j ACCEPT 2>/dev/null || true`);
-            await this.executeCommand(`iptables -D FORWARD -i ${ethernetInterface} -o ${this.batmanInterface} -m state --state RELATED,ESTABLISHED -j ACCEPT 2>/dev/null || true`);
+            await this.runner.run('iptables', ['-D', 'FORWARD', '-i', this.batmanInterface, '-o', ethernetInterface, '-j', 'ACCEPT'], { ignoreErrors: true });
+            await this.runner.run('iptables', ['-D', 'FORWARD', '-i', ethernetInterface, '-o', this.batmanInterface, '-m', 'state', '--state', 'RELATED,ESTABLISHED', '-j', 'ACCEPT'], { ignoreErrors: true });
             
             logger.debug('Gateway NAT rules cleaned up');
             
@@ -779,4 +1269,12 @@ class NetworkManager {
     }
 }
 
+NetworkManager.MESH_MODES = MESH_MODES;
+NetworkManager.MESH_ENCRYPTIONS = MESH_ENCRYPTIONS;
+NetworkManager.parseInterfaceSettings = parseInterfaceSettings;
+NetworkManager.parseStationDump = parseStationDump;
+NetworkManager.validateGatewayConfig = validateGatewayConfig;
+NetworkManager.GATEWAY_MODES = GATEWAY_MODES;
+NetworkManager.classifyLink = classifyLink;
+
 module.exports = NetworkManager;
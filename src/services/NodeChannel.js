@@ -0,0 +1,145 @@
+const logger = require('../utils/logger');
+
+const NAMESPACE = '/nodes';
+
+/**
+ * NodeChannel - Push channel from the coordinator to connected mesh nodes
+ *
+ * Nodes keep an outbound Socket.IO connection to the /nodes namespace (see
+ * CoordinatorChannel). Queued commands are pushed as soon as they are created
+ * instead of waiting for the next heartbeat, and nodes stream acknowledgements
+ * and results back over the same connection. Commands still go through the
+ * CommandQueue, so HTTP heartbeats deliver anything a disconnected node missed.
+ *
+ * The handshake is signed with the node secret exactly like HTTP node
+ * requests, using method CONNECT and path /nodes.
+ */
+class NodeChannel {
+    constructor(io) {
+        this.io = io;
+        this.namespace = null;
+        this.sockets = new Map();
+        this.services = {};
+    }
+
+    initialize(services) {
+        this.services = services;
+        this.namespace = this.io.of(NAMESPACE);
+
+        this.namespace.use((socket, next) => this.authenticate(socket, next));
+        this.namespace.on('connection', (socket) => this.handleConnection(socket));
+
+        logger.info(`Node push channel listening on namespace ${NAMESPACE}`);
+    }
+
+    authenticate(socket, next) {
+        const { nodeEnrollment } = this.services;
+        const { nodeId, timestamp, signature } = socket.handshake.auth || {};
+
+        if (!nodeEnrollment.enabled) {
+            if (!nodeId) {
+                return next(new Error('nodeId required'));
+            }
+            socket.data.nodeId = nodeId;
+            return next();
+        }
+
+        const result = nodeEnrollment.verify({
+            nodeId,
+            timestamp,
+            signature,
+            method: 'CONNECT',
+            path: NAMESPACE,
+            body: ''
+        });
+
+        if (!result.ok) {
+            logger.security(`Rejected push channel connection from node ${nodeId} (${socket.handshake.address}): ${result.error}`);
+            const error = new Error(result.error);
+            error.data = { status: result.status, enrollmentStatus: result.enrollmentStatus };
+            return next(error);
+        }
+
+        socket.data.nodeId = nodeId;
+        next();
+    }
+
+    handleConnection(socket) {
+        const { nodeId } = socket.data;
+
+        // A node only gets one channel, the newest connection wins
+        const previous = this.sockets.get(nodeId);
+        if (previous && previous.id !== socket.id) {
+            previous.disconnect(true);
+        }
+        this.sockets.set(nodeId, socket);
+
+        logger.info(`Node ${nodeId} connected to push channel`);
+
+        if (this.services.nodes.has(nodeId)) {
+            this.services.nodes.upsert(nodeId, { lastSeen: new Date(), status: 'online' });
+        }
+
+        socket.on('command-result', (results, ack) => {
+            const updated = this.services.commandQueue.recordResults(nodeId, results);
+            updated.forEach(command => this.services.wsHandler.broadcastCommandUpdate(command));
+            this.services.meshDiagnostics?.recordCommands(updated);
+            this.services.onCommandResults?.(updated);
+
+            if (typeof ack === 'function') {
+                ack({ success: true });
+            }
+        });
+
+        socket.on('disconnect', (reason) => {
+            if (this.sockets.get(nodeId) === socket) {
+                this.sockets.delete(nodeId);
+            }
+            logger.info(`Node ${nodeId} disconnected from push channel: ${reason}`);
+        });
+
+        // Anything queued while the node was away goes out right away
+        this.deliverPending(nodeId);
+    }
+
+    isConnected(nodeId) {
+        return this.sockets.has(nodeId);
+    }
+
+    getConnectedNodes() {
+        return Array.from(this.sockets.keys());
+    }
+
+    // Push queued commands to the node if it is connected, returns how many were sent
+    deliverPending(nodeId) {
+        const socket = this.sockets.get(nodeId);
+        if (!socket) return 0;
+
+        const commands = this.services.commandQueue.takeForDelivery(nodeId);
+        if (commands.length > 0) {
+            socket.emit('commands', commands);
+            logger.debug(`Pushed ${commands.length} command(s) to node ${nodeId}`);
+        }
+
+        return commands.length;
+    }
+
+    // Drop the connection, e.g. after the node's enrollment was revoked
+    disconnectNode(nodeId) {
+        const socket = this.sockets.get(nodeId);
+        if (socket) {
+            socket.disconnect(true);
+        }
+    }
+
+    close() {
+        for (const socket of this.sockets.values()) {
+            socket.disconnect(true);
+        }
+        this.sockets.clear();
+    }
+}
+
+NodeChannel.NAMESPACE = NAMESPACE;
+
+module.exports = NodeChannel;
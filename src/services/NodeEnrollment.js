@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/JsonFileStore');
+const { HEADERS, verifySignature } = require('../utils/nodeSignature');
+
+const JOIN_TOKEN_PREFIX = 'bmj_';
+const NODE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// IDs the coordinator uses for itself in the topology, client and gateway views
+const RESERVED_NODE_IDS = ['coordinator'];
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * NodeEnrollment - Enrollment and request authentication for mesh nodes
+ *
+ * Enrollment flow:
+ * 1. An admin creates a one-time join token and puts it in the node's JOIN_TOKEN
+ * 2. The node calls POST /api/nodes/enroll with its node ID and the join token
+ * 3. The coordinator consumes the token and issues a per-node secret; the
+ *    enrollment stays "pending" until approved from the dashboard
+ * 4. Every node request is signed with the secret (see utils/nodeSignature);
+ *    requests from unknown, pending or rejected nodes are refused
+ *
+ * Join tokens are stored as SHA-256 hashes. Node secrets have to be stored in
+ * the clear since they are needed to verify signatures, so enrollment.json is
+ * written with 0600 permissions.
+ */
+class NodeEnrollment {
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? process.env.NODE_AUTH_ENABLED !== 'false';
+        this.store = options.store || new JsonFileStore('enrollment.json', { joinTokens: [], nodes: [] }, { fileMode: 0o600 });
+        this.maxClockSkew = (options.maxClockSkewSeconds ?? parseInt(process.env.NODE_SIGNATURE_MAX_SKEW || '300')) * 1000;
+        this.joinTokenTtl = (options.joinTokenTtlHours ?? parseFloat(process.env.JOIN_TOKEN_TTL_HOURS || '24')) * HOUR;
+        this.joinTokens = new Map();
+        this.enrollments = new Map();
+    }
+
+    async initialize() {
+        const data = await this.store.load();
+        for (const token of data?.joinTokens || []) {
+            this.joinTokens.set(token.id, token);
+        }
+        for (const enrollment of data?.nodes || []) {
+            this.enrollments.set(enrollment.nodeId, enrollment);
+        }
+
+        if (!this.enabled) {
+            logger.warn('Node request signing is disabled (NODE_AUTH_ENABLED=false) - any host can report as a node');
+        }
+
+        logger.info(`Loaded ${this.enrollments.size} node enrollment(s) and ${this.joinTokens.size} join token(s)`);
+    }
+
+    async persist() {
+        await this.store.save({
+            joinTokens: Array.from(this.joinTokens.values()),
+            nodes: Array.from(this.enrollments.values())
+        });
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Join tokens
+
+    async createJoinToken(name, options = {}) {
+        const ttl = options.expiresInHours !== undefined ? options.expiresInHours * HOUR : this.joinTokenTtl;
+        const token = JOIN_TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+        const id = crypto.randomBytes(6).toString('hex');
+
+        this.joinTokens.set(id, {
+            id,
+            name: name || id,
+            tokenHash: this.hashToken(token),
+            createdBy: options.createdBy || null,
+            createdAt: new Date(),
+            expiresAt: ttl > 0 ? new Date(Date.now() + ttl) : null
+        });
+        await this.persist();
+
+        logger.info(`Join token created: ${name || id}`);
+
+        // The plain token is only ever returned here
+        return { ...this.describeJoinToken(this.joinTokens.get(id)), token };
+    }
+
+    async revokeJoinToken(id) {
+        if (!this.joinTokens.delete(id)) {
+            throw new Error(`Join token ${id} not found`);
+        }
+        await this.persist();
+        logger.info(`Join token revoked: ${id}`);
+    }
+
+    listJoinTokens() {
+        return Array.from(this.joinTokens.values()).map(token => this.describeJoinToken(token));
+    }
+
+    describeJoinToken(token) {
+        return {
+            id: token.id,
+            name: token.name,
+            createdBy: token.createdBy,
+            createdAt: token.createdAt,
+            expiresAt: token.expiresAt
+        };
+    }
+
+    findJoinToken(token) {
+        if (!token || !token.startsWith(JOIN_TOKEN_PREFIX)) return null;
+
+        const tokenHash = this.hashToken(token);
+        for (const entry of this.joinTokens.values()) {
+            if (entry.tokenHash === tokenHash) return entry;
+        }
+        return null;
+    }
+
+    // Returns the matching token entry and removes it (tokens are single use)
+    consumeJoinToken(token) {
+        const entry = this.findJoinToken(token);
+        if (!entry) return null;
+
+        this.joinTokens.delete(entry.id);
+        if (entry.expiresAt && new Date(entry.expiresAt).getTime() < Date.now()) {
+            logger.security(`Expired join token used: ${entry.name}`);
+            return null;
+        }
+        return entry;
+    }
+
+    // Enrollments
+
+    async enroll({ nodeId, joinToken, hostname }, remoteAddress) {
+        if (!nodeId || !NODE_ID_PATTERN.test(nodeId)) {
+            throw new Error('A valid nodeId is required');
+        }
+        if (RESERVED_NODE_IDS.includes(nodeId.toLowerCase())) {
+            throw new Error(`Node ID "${nodeId}" is reserved`);
+        }
+
+        // A join token must not take over a decided node ID, an admin removes the enrollment first.
+        // Checked with a valid token only, so the refusal does not reveal enrolled IDs.
+        const previous = this.enrollments.get(nodeId);
+        if (previous && previous.status !== 'pending' && this.findJoinToken(joinToken)) {
+            logger.security(`Refused re-enrollment of ${previous.status} node ${nodeId} from ${remoteAddress}`);
+            throw new Error(`Node ${nodeId} is already enrolled, remove its enrollment first`);
+        }
+
+        const entry = this.consumeJoinToken(joinToken);
+        if (!entry) {
+            await this.persist();
+            logger.security(`Rejected enrollment for ${nodeId} from ${remoteAddress}: invalid join token`);
+            return null;
+        }
+
+        if (previous) {
+            logger.security(`Node ${nodeId} re-enrolled from ${remoteAddress}, previous credentials revoked`);
+        }
+
+        const enrollment = {
+            nodeId,
+            hostname: hostname || null,
+            status: 'pending',
+            secret: crypto.randomBytes(32).toString('hex'),
+            joinToken: entry.name,
+            remoteAddress,
+            requestedAt: new Date(),
+            approvedAt: null,
+            approvedBy: null
+        };
+
+        this.enrollments.set(nodeId, enrollment);
+        await this.persist();
+
+        logger.info(`Enrollment requested by node ${nodeId} (${hostname || 'unknown host'}), awaiting approval`);
+        return enrollment;
+    }
+
+    async setStatus(nodeId, status, username) {
+        const enrollment = this.enrollments.get(nodeId);
+        if (!enrollment) {
+            throw new Error(`Enrollment for node ${nodeId} not found`);
+        }
+
+        enrollment.status = status;
+        enrollment.approvedAt = status === 'approved' ? new Date() : null;
+        enrollment.approvedBy = status === 'approved' ? username : null;
+        await this.persist();
+
+        logger.info(`Enrollment for node ${nodeId} ${status} by ${username}`);
+        return this.describeEnrollment(enrollment);
+    }
+
+    approve(nodeId, username) {
+        return this.setStatus(nodeId, 'approved', username);
+    }
+
+    reject(nodeId, username) {
+        return this.setStatus(nodeId, 'rejected', username);
+    }
+
+    async remove(nodeId) {
+        if (!this.enrollments.delete(nodeId)) {
+            throw new Error(`Enrollment for node ${nodeId} not found`);
+        }
+        await this.persist();
+        logger.info(`Enrollment removed for node ${nodeId}`);
+    }
+
+    getStatus(nodeId) {
+        const enrollment = this.enrollments.get(nodeId);
+        return enrollment ? enrollment.status : null;
+    }
+
+    // Shared secret of an approved node, e.g. to seal confidential payloads for it
+    getSecret(nodeId) {
+        const enrollment = this.enrollments.get(nodeId);
+        return enrollment && enrollment.status === 'approved' ? enrollment.secret : null;
+    }
+
+    listEnrollments() {
+        return Array.from(this.enrollments.values()).map(enrollment => this.describeEnrollment(enrollment));
+    }
+
+    describeEnrollment(enrollment) {
+        const { secret, ...rest } = enrollment;
+        return rest;
+    }
+
+    // Request verification
+
+    verify({ nodeId, timestamp, signature, method, path, body }) {
+        const enrollment = this.enrollments.get(nodeId);
+        if (!enrollment) {
+            return { ok: false, status: 401, error: 'Node is not enrolled' };
+        }
+
+        const age = Math.abs(Date.now() - parseInt(timestamp));
+        if (!timestamp || isNaN(age) || age > this.maxClockSkew) {
+            return { ok: false, status: 401, error: 'Request timestamp outside allowed clock skew' };
+        }
+
+        if (!verifySignature(enrollment.secret, method, path, timestamp, body, signature)) {
+            return { ok: false, status: 401, error: 'Invalid request signature' };
+        }
+
+        if (enrollment.status !== 'approved') {
+            return { ok: false, status: 403, error: `Enrollment ${enrollment.status}`, enrollmentStatus: enrollment.status };
+        }
+
+        return { ok: true };
+    }
+
+    // Express middleware: only accept signed requests from approved nodes.
+    // Requires express.json() to keep the raw body in req.rawBody.
+    requireNode() {
+        return (req, res, next) => {
+            const nodeId = req.headers[HEADERS.nodeId];
+
+            if (!this.enabled) {
+                req.nodeId = req.params.nodeId || nodeId || req.body?.nodeId;
+                return next();
+            }
+
+            // The signed identity must match the node the request is about
+            const claimedId = req.params.nodeId || req.body?.nodeId;
+            if (!nodeId || (claimedId && claimedId !== nodeId)) {
+                logger.security(`Unsigned or mismatched node request from ${req.ip} to ${req.method} ${req.path}`);
+                return res.status(401).json({ success: false, error: 'Node signature required' });
+            }
+
+            const result = this.verify({
+                nodeId,
+                timestamp: req.headers[HEADERS.timestamp],
+                signature: req.headers[HEADERS.signature],
+                method: req.method,
+                path: req.originalUrl,
+                body: req.rawBody ? req.rawBody.toString('utf8') : ''
+            });
+
+            if (!result.ok) {
+                if (result.status === 401) {
+                    logger.security(`Rejected request from node ${nodeId} (${req.ip}): ${result.error}`);
+                }
+                return res.status(result.status).json({
+                    success: false,
+                    error: result.error,
+                    enrollmentStatus: result.enrollmentStatus
+                });
+            }
+
+            req.nodeId = nodeId;
+            next();
+        };
+    }
+}
+
+module.exports = NodeEnrollment;
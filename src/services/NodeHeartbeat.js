@@ -1,10 +1,40 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/JsonFileStore');
+const { signRequest } = require('../utils/nodeSignature');
+const sealedPayload = require('../utils/sealedPayload');
+const CoordinatorChannel = require('./CoordinatorChannel');
+const MeshDiagnostics = require('./MeshDiagnostics');
 
 class NodeHeartbeat {
-    constructor() {
+    constructor(options = {}) {
         this.coordinatorUrl = null;
         this.nodeId = null;
+        
+        // Local copy of the coordinator's mesh key ring (encrypted mesh links)
+        this.meshKeys = options.meshKeys || null;
+        // Radio setup, for coordinated channel changes
+        this.wirelessManager = options.wirelessManager || null;
+        // Batman setup, for gateway promotion/demotion and the state reported with each heartbeat
+        this.networkManager = options.networkManager || null;
+        this.zeroTierManager = options.zeroTierManager || null;
+        this.meshDiagnostics = this.networkManager ? new MeshDiagnostics({ networkManager: this.networkManager }) : null;
+        
+        // Per-node secret issued by the coordinator on enrollment
+        this.credentialStore = new JsonFileStore(process.env.NODE_CREDENTIALS_FILE || 'node-credentials.json', null, { fileMode: 0o600 });
+        this.credentials = null;
+        this.joinToken = process.env.JOIN_TOKEN || null;
+        this.enrollmentStatus = null;
+        this.registered = false;
+        
+        // Command acknowledgements/results waiting for the next heartbeat
+        this.pendingResults = [];
+        this.seenCommands = new Set();
+        
+        // Push channel for instant command delivery, heartbeats remain the fallback
+        this.pushEnabled = process.env.PUSH_CHANNEL_ENABLED !== 'false';
+        this.channel = new CoordinatorChannel();
+        
         this.heartbeatInterval = null;
         this.isRunning = false;
         this.failureCount = 0;
@@ -23,7 +53,8 @@ class NodeHeartbeat {
             return;
         }
         
-        // Register with coordinator
+        // Enroll (if needed) and register with coordinator
+        await this.loadCredentials();
         await this.registerWithCoordinator();
         
         // Start heartbeat
@@ -40,11 +71,16 @@ class NodeHeartbeat {
         ];
         
         const port = process.env.COORDINATOR_PORT || 3000;
+        const urls = possibleIPs.map(ip => `http://${ip}:${port}`);
+        
+        // An explicit URL (e.g. http://localhost:3000 for a simulated mesh) is tried first
+        if (process.env.COORDINATOR_URL) {
+            urls.unshift(process.env.COORDINATOR_URL.replace(/\/$/, ''));
+        }
         
-        for (const ip of possibleIPs) {
+        for (const url of urls) {
             try {
-                const url = `http://${ip}:${port}`;
-                const response = await axios.get(`${url}/api/status`, { timeout: 5000 });
+                const response = await axios.get(`${url}/api/health`, { timeout: 5000 });
                 
                 if (response.status === 200 && response.data.coordinator) {
                     this.coordinatorUrl = url;
@@ -59,25 +95,134 @@ class NodeHeartbeat {
         logger.warn('Could not discover coordinator');
     }
 
+    async loadCredentials() {
+        const credentials = await this.credentialStore.load();
+        
+        // Credentials from a different node ID (e.g. changed hostname) are useless
+        this.credentials = credentials && credentials.nodeId === this.nodeId ? credentials : null;
+        
+        if (this.credentials) {
+            logger.info(`Loaded node credentials (enrolled ${this.credentials.enrolledAt})`);
+        }
+    }
+
+    async enroll() {
+        if (!this.joinToken) {
+            logger.warn('Node is not enrolled and JOIN_TOKEN is not set - create a join token on the coordinator dashboard');
+            return false;
+        }
+        
+        try {
+            const response = await axios.post(`${this.coordinatorUrl}/api/nodes/enroll`, {
+                nodeId: this.nodeId,
+                joinToken: this.joinToken,
+                hostname: require('os').hostname()
+            }, { timeout: 10000 });
+            
+            this.credentials = {
+                nodeId: this.nodeId,
+                secret: response.data.secret,
+                coordinatorUrl: this.coordinatorUrl,
+                enrolledAt: new Date()
+            };
+            await this.credentialStore.save(this.credentials);
+            
+            // Join tokens are single use
+            this.joinToken = null;
+            this.enrollmentStatus = response.data.status;
+            
+            logger.info(`Enrolled with coordinator, status: ${response.data.status}`);
+            return true;
+            
+        } catch (error) {
+            const reason = error.response?.data?.error || error.message;
+            logger.error(`Enrollment failed: ${reason}`);
+            return false;
+        }
+    }
+
+    // POST to the coordinator with the request signed by the node secret
+    async post(urlPath, data, timeout) {
+        const body = JSON.stringify(data);
+        const headers = { 'Content-Type': 'application/json' };
+        
+        if (this.credentials) {
+            Object.assign(headers, signRequest(this.nodeId, this.credentials.secret, 'POST', urlPath, body));
+        }
+        
+        try {
+            return await axios.post(`${this.coordinatorUrl}${urlPath}`, body, { headers, timeout });
+        } catch (error) {
+            this.handleAuthError(error);
+            throw error;
+        }
+    }
+
+    handleAuthError(error) {
+        const status = error.response?.status;
+        const data = error.response?.data || {};
+        
+        if (status === 403 && data.enrollmentStatus) {
+            if (this.enrollmentStatus !== data.enrollmentStatus) {
+                logger.warn(`Coordinator refused request: enrollment ${data.enrollmentStatus}`);
+            }
+            this.enrollmentStatus = data.enrollmentStatus;
+            this.registered = false;
+        } else if (status === 401 && data.error === 'Node is not enrolled') {
+            // Coordinator forgot or removed us - drop credentials so we can enroll again
+            logger.warn('Coordinator does not recognise this node, discarding credentials');
+            this.credentials = null;
+            this.enrollmentStatus = null;
+            this.registered = false;
+            this.channel.disconnect();
+        }
+    }
+
+    startChannel() {
+        if (!this.pushEnabled || this.channel.socket) {
+            return;
+        }
+        
+        this.channel.connect(this.coordinatorUrl, this.nodeId, this.credentials?.secret, {
+            onConnect: () => this.flushResults(),
+            onCommands: (commands) => {
+                for (const command of commands) {
+                    this.executeCommand(command);
+                }
+            }
+        });
+    }
+
     async registerWithCoordinator() {
         if (!this.coordinatorUrl || !this.nodeId) {
             return;
         }
         
+        if (!this.credentials && !(await this.enroll())) {
+            return;
+        }
+        
         try {
             const nodeInfo = await this.getNodeInfo();
             
-            const response = await axios.post(`${this.coordinatorUrl}/api/nodes/register`, {
+            const response = await this.post('/api/nodes/register', {
                 nodeId: this.nodeId,
                 ...nodeInfo
-            }, { timeout: 10000 });
+            }, 10000);
             
             if (response.status === 200) {
+                this.registered = true;
+                this.enrollmentStatus = 'approved';
                 logger.info('Successfully registered with coordinator');
+                this.startChannel();
             }
             
         } catch (error) {
-            logger.error('Failed to register with coordinator:', error);
+            if (error.response?.status === 403) {
+                logger.debug('Registration deferred until enrollment is approved');
+            } else {
+                logger.error('Failed to register with coordinator:', error.message);
+            }
         }
     }
 
@@ -144,13 +289,25 @@ class NodeHeartbeat {
             return;
         }
         
+        // Keep retrying registration while enrollment is pending approval
+        if (!this.registered) {
+            await this.registerWithCoordinator();
+            if (!this.registered) return;
+        }
+        
+        const commandResults = this.pendingResults.splice(0);
+        
         try {
             const heartbeatData = await this.createHeartbeatData();
+            heartbeatData.commandResults = commandResults;
+            if (this.meshKeys) {
+                heartbeatData.meshKeyVersion = this.meshKeys.version;
+            }
             
-            const response = await axios.post(
-                `${this.coordinatorUrl}/api/nodes/${this.nodeId}/heartbeat`,
+            const response = await this.post(
+                `/api/nodes/${this.nodeId}/heartbeat`,
                 heartbeatData,
-                { timeout: 5000 }
+                5000
             );
             
             if (response.status === 200) {
@@ -162,6 +319,8 @@ class NodeHeartbeat {
             }
             
         } catch (error) {
+            // Report again with the next heartbeat
+            this.pendingResults.unshift(...commandResults);
             this.failureCount++;
             logger.error(`Heartbeat failed (${this.failureCount}/${this.maxFailures}):`, error.message);
             
@@ -182,16 +341,24 @@ class NodeHeartbeat {
                 si.networkStats()
             ]);
             
-            // Get batman and ZeroTier status
-            const NetworkManager = require('./NetworkManager');
-            const ZeroTierManager = require('./ZeroTierManager');
-            
-            const networkManager = new NetworkManager();
-            const zeroTierManager = new ZeroTierManager();
+            // Get batman and ZeroTier status from the node's own managers, which know the
+            // gateway mode it was promoted to; without them, status-only ones are built once
+            if (!this.networkManager && !this.statusNetworkManager) {
+                const NetworkManager = require('./NetworkManager');
+                this.statusNetworkManager = new NetworkManager();
+            }
+            if (!this.zeroTierManager) {
+                const ZeroTierManager = require('./ZeroTierManager');
+                this.zeroTierManager = new ZeroTierManager();
+            }
+            const networkManager = this.networkManager || this.statusNetworkManager;
+            const zeroTierManager = this.zeroTierManager;
             
-            const [batmanStatus, zeroTierStatus] = await Promise.all([
+            const [batmanStatus, zeroTierStatus, links, gateway] = await Promise.all([
                 networkManager.getBatmanStatus().catch(() => ({})),
-                zeroTierManager.getStatus().catch(() => ({}))
+                zeroTierManager.getStatus().catch(() => ({})),
+                networkManager.getLinkMetrics().catch(() => []),
+                networkManager.getGatewayStatus().catch(() => null)
             ]);
             
             const heartbeatData = {
@@ -214,7 +381,9 @@ class NodeHeartbeat {
                 network: {
                     batman: batmanStatus,
                     zerotier: zeroTierStatus,
-                    interfaces: networkStats
+                    interfaces: networkStats,
+                    links,
+                    gateway
                 }
             };
 
@@ -247,35 +416,139 @@ class NodeHeartbeat {
             this.handleConfigUpdate(data.config);
         }
         
+        // Mesh key ring, sealed with our node secret
+        if (data.meshKeys) {
+            this.handleMeshKeys(data.meshKeys);
+        }
+        
         // Handle status requests
         if (data.requestFullStatus) {
             this.sendFullStatus();
         }
     }
 
+    async handleMeshKeys(sealed) {
+        if (!this.meshKeys || !this.credentials) return;
+        
+        try {
+            const distribution = sealedPayload.open(this.credentials.secret, 'mesh-keys', sealed);
+            await this.meshKeys.replace(distribution);
+        } catch (error) {
+            logger.error('Failed to apply mesh keys from coordinator:', error.message);
+        }
+    }
+
     async executeCommand(command) {
+        // The coordinator redelivers unacknowledged commands, run each one only once
+        if (command.id) {
+            if (this.seenCommands.has(command.id)) {
+                logger.debug(`Ignoring duplicate command ${command.id}`);
+                return;
+            }
+            this.rememberCommand(command.id);
+            this.reportCommand(command.id, 'acknowledged');
+        }
+        
+        if (command.expiresAt && new Date(command.expiresAt) < new Date()) {
+            this.reportCommand(command.id, 'failed', { error: 'Command expired before execution' });
+            return;
+        }
+        
         logger.info(`Executing command from coordinator: ${command.type}`);
         
         try {
+            let result = null;
+            
             switch (command.type) {
                 case 'restart':
+                    // Report first, stop() flushes it with the final heartbeat
+                    this.reportCommand(command.id, 'succeeded', { result: { message: 'Node restarting' } });
                     await this.restartNode();
-                    break;
+                    return;
                     
                 case 'update_config':
-                    await this.updateConfiguration(command.config);
+                    result = this.applyConfig(command.config || {});
                     break;
                     
                 case 'run_diagnostics':
-                    await this.runDiagnostics();
+                    result = await this.runDiagnostics();
+                    break;
+                    
+                case 'channel_change':
+                    result = await this.changeChannel(command.config || {});
+                    break;
+                    
+                case 'gateway_mode':
+                    if (!this.networkManager) {
+                        throw new Error('Gateway changes are not supported by this node');
+                    }
+                    result = await this.networkManager.setGatewayMode(command.config || {});
+                    break;
+                    
+                case 'mesh_diagnostic':
+                    if (!this.meshDiagnostics) {
+                        throw new Error('Mesh diagnostics are not supported by this node');
+                    }
+                    result = await this.meshDiagnostics.execute(command.config || {});
                     break;
                     
                 default:
-                    logger.warn(`Unknown command type: ${command.type}`);
+                    throw new Error(`Unknown command type: ${command.type}`);
             }
             
+            this.reportCommand(command.id, 'succeeded', { result });
+            
         } catch (error) {
             logger.error(`Failed to execute command ${command.type}:`, error);
+            this.reportCommand(command.id, 'failed', { error: error.message });
+        }
+    }
+
+    // Wait for the announced switch time so the whole mesh moves together
+    async changeChannel(config) {
+        if (!this.wirelessManager) {
+            throw new Error('Channel changes are not supported by this node');
+        }
+        
+        const { fromFrequency, frequency, switchAt } = config;
+        if (!parseInt(fromFrequency) || !parseInt(frequency) || isNaN(new Date(switchAt).getTime())) {
+            throw new Error('channel_change requires fromFrequency, frequency and switchAt');
+        }
+        
+        return this.wirelessManager.scheduleSwitch({ fromFrequency, frequency, switchAt });
+    }
+
+    reportCommand(commandId, status, details = {}) {
+        if (!commandId) return;
+        
+        this.pendingResults.push({
+            id: commandId,
+            status,
+            ...details,
+            timestamp: new Date()
+        });
+        this.flushResults();
+    }
+
+    // Stream results over the push channel; if that fails they go with the next heartbeat
+    flushResults() {
+        if (!this.channel.isConnected() || this.pendingResults.length === 0) {
+            return;
+        }
+        
+        const results = this.pendingResults.splice(0);
+        this.channel.sendResults(results).catch((error) => {
+            logger.debug(`Could not stream command results: ${error.message}`);
+            this.pendingResults.unshift(...results);
+        });
+    }
+
+    rememberCommand(commandId) {
+        this.seenCommands.add(commandId);
+        
+        // Sets iterate in insertion order, drop the oldest IDs
+        if (this.seenCommands.size > 100) {
+            this.seenCommands.delete(this.seenCommands.values().next().value);
         }
     }
 
@@ -283,18 +556,32 @@ class NodeHeartbeat {
         logger.info('Received configuration update from coordinator');
         
         try {
-            // Apply configuration changes
-            if (config.heartbeatInterval) {
-                this.updateHeartbeatInterval(config.heartbeatInterval);
-            }
-            
-            // Other config updates would go here
-            
+            this.applyConfig(config);
         } catch (error) {
             logger.error('Failed to apply config update:', error);
         }
     }
 
+    applyConfig(config) {
+        const applied = [];
+        
+        if (config.heartbeatInterval !== undefined) {
+            const interval = parseInt(config.heartbeatInterval);
+            if (!(interval >= 5000)) {
+                throw new Error('heartbeatInterval must be at least 5000ms');
+            }
+            this.updateHeartbeatInterval(interval);
+            applied.push('heartbeatInterval');
+        }
+        
+        // Other config updates would go here
+        
+        return {
+            applied,
+            ignored: Object.keys(config).filter(key => !applied.includes(key))
+        };
+    }
+
     updateHeartbeatInterval(newInterval) {
         if (this.heartbeatInterval) {
             clearInterval(this.heartbeatInterval);
@@ -311,10 +598,10 @@ class NodeHeartbeat {
         try {
             const fullStatus = await this.createHeartbeatData();
             
-            await axios.post(
-                `${this.coordinatorUrl}/api/nodes/${this.nodeId}/status`,
+            await this.post(
+                `/api/nodes/${this.nodeId}/status`,
                 fullStatus,
-                { timeout: 10000 }
+                10000
             );
             
             logger.debug('Full status sent to coordinator');
@@ -330,8 +617,9 @@ class NodeHeartbeat {
             await this.discoverCoordinator();
             
             if (this.coordinatorUrl) {
-                // Reset failure count and register again
+                // Reset failure count and register again (reopens the push channel)
                 this.failureCount = 0;
+                this.channel.disconnect();
                 await this.registerWithCoordinator();
                 logger.info('Reconnected to coordinator');
             } else {
@@ -378,16 +666,23 @@ class NodeHeartbeat {
             diagnostics.tests.zerotier = await zeroTierManager.getStatus();
             
             // Send diagnostics to coordinator
-            await axios.post(
-                `${this.coordinatorUrl}/api/nodes/${this.nodeId}/diagnostics`,
+            await this.post(
+                `/api/nodes/${this.nodeId}/diagnostics`,
                 diagnostics,
-                { timeout: 10000 }
+                10000
             );
             
             logger.info('Diagnostics completed and sent to coordinator');
             
+            return {
+                internet: !!diagnostics.tests.internet?.alive,
+                batman: !!diagnostics.tests.batman,
+                zerotier: !!diagnostics.tests.zerotier
+            };
+            
         } catch (error) {
             logger.error('Diagnostics failed:', error);
+            throw error;
         }
     }
 
@@ -402,22 +697,26 @@ class NodeHeartbeat {
         }
         
         // Send final heartbeat with offline status
-        if (this.coordinatorUrl && this.nodeId) {
+        if (this.coordinatorUrl && this.nodeId && this.registered) {
             try {
-                await axios.post(
-                    `${this.coordinatorUrl}/api/nodes/${this.nodeId}/heartbeat`,
+                await this.post(
+                    `/api/nodes/${this.nodeId}/heartbeat`,
                     {
                         nodeId: this.nodeId,
                         timestamp: new Date(),
-                        status: 'offline'
+                        status: 'offline',
+                        commandResults: this.pendingResults.splice(0)
                     },
-                    { timeout: 5000 }
+                    5000
                 );
             } catch (error) {
                 // Ignore errors during shutdown
             }
         }
         
+        // Closed last so results still in flight on it can be acknowledged
+        this.channel.disconnect();
+        
         logger.info('Heartbeat service stopped');
     }
 
@@ -426,6 +725,9 @@ class NodeHeartbeat {
             isRunning: this.isRunning,
             nodeId: this.nodeId,
             coordinatorUrl: this.coordinatorUrl,
+            enrolled: !!this.credentials,
+            pushConnected: this.channel.isConnected(),
+            enrollmentStatus: this.enrollmentStatus,
             failureCount: this.failureCount,
             lastHeartbeat: this.lastHeartbeat
         };
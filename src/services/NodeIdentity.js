@@ -0,0 +1,68 @@
+const IDENTIFIER_TYPES = ['nodeId', 'mac', 'ip', 'hostname', 'zerotier'];
+
+// Identifiers that belong to exactly one device. IPs are re-leased and
+// hostnames repeat (every Pi starts as "raspberrypi"), so those two are
+// recorded but never merge nodes.
+const STRONG_TYPES = ['nodeId', 'mac', 'zerotier'];
+
+const MAC = /^[0-9a-f]{2}(:[0-9a-f]{2}){5}$/;
+
+// Canonical form of an identifier, null for values that identify nothing
+function normalize(type, value) {
+    if (value === undefined || value === null || value === '') return null;
+    const normalized = String(value).trim().toLowerCase();
+
+    if (type === 'mac') {
+        return MAC.test(normalized) && normalized !== '00:00:00:00:00:00' ? normalized : null;
+    }
+    if (type === 'zerotier') {
+        return /^[0-9a-f]{10}$/.test(normalized) ? normalized : null;
+    }
+    return normalized || null;
+}
+
+function identifier(type, value) {
+    const normalized = normalize(type, value);
+    return normalized ? { type, value: normalized } : null;
+}
+
+// Registration payload (NodeHeartbeat.getNodeInfo): every interface MAC, the mesh IP and hostname
+function fromRegistration(nodeId, info = {}, batmanInterface = process.env.BATMAN_INTERFACE || 'bat0') {
+    const interfaces = Array.isArray(info.network) ? info.network : [];
+    return [
+        identifier('nodeId', nodeId),
+        identifier('hostname', info.hostname),
+        ...interfaces.map(iface => identifier('mac', iface.mac)),
+        // Other interfaces carry addresses of whatever LAN the node is plugged into
+        ...interfaces.filter(iface => iface.name === batmanInterface).map(iface => identifier('ip', iface.ip4))
+    ].filter(Boolean);
+}
+
+// Heartbeat network section: originator, bat0 and hard interface MACs, ZeroTier node address
+function fromHeartbeat(nodeId, network = {}) {
+    const batman = network.batman || {};
+    return [
+        identifier('nodeId', nodeId),
+        identifier('mac', network.gateway?.originator),
+        identifier('mac', batman.macAddress),
+        ...(Array.isArray(batman.hardInterfaces) ? batman.hardInterfaces : []).map(iface => identifier('mac', iface.mac)),
+        ...(Array.isArray(network.links) ? network.links : []).map(link => identifier('mac', link.localMac)),
+        identifier('zerotier', network.zerotier?.address)
+    ].filter(Boolean);
+}
+
+// The node's address on the mesh, for pings and the dashboard
+function meshAddress(identifiers) {
+    const ip = identifiers.find(id => id.type === 'ip');
+    return ip ? ip.value : null;
+}
+
+module.exports = {
+    IDENTIFIER_TYPES,
+    STRONG_TYPES,
+    normalize,
+    identifier,
+    fromRegistration,
+    fromHeartbeat,
+    meshAddress
+};
@@ -0,0 +1,138 @@
+const Alfred = require('./Alfred');
+
+// Operator-maintained fields of a registry record, with their length limits
+const TEXT_FIELDS = {
+    name: 64,
+    group: 64,
+    site: 64,
+    owner: 64,
+    location: 200,
+    notes: 2000
+};
+const METADATA_FIELDS = [...Object.keys(TEXT_FIELDS), 'tags', 'position'];
+const FILTER_FIELDS = ['tag', 'group', 'site', 'owner', 'status', 'q'];
+
+const TAG = /^[a-z0-9_.:-]{1,32}$/;
+const MAX_TAGS = 20;
+
+function parseTags(value) {
+    const tags = (Array.isArray(value) ? value : String(value).split(','))
+        .map(tag => String(tag).trim().toLowerCase())
+        .filter(Boolean);
+    for (const tag of tags) {
+        if (!TAG.test(tag)) {
+            throw new Error(`Invalid tag "${tag}" (letters, digits, "_", ".", ":" and "-", up to 32 characters)`);
+        }
+    }
+    const unique = Array.from(new Set(tags));
+    if (unique.length > MAX_TAGS) {
+        throw new Error(`A node can have at most ${MAX_TAGS} tags`);
+    }
+    return unique;
+}
+
+// "<latitude>,<longitude>" like NODE_POSITION, or { latitude, longitude }
+function parsePosition(value) {
+    if (typeof value === 'object') {
+        value = `${value.latitude},${value.longitude}`;
+    }
+    try {
+        return Alfred.parsePosition(String(value));
+    } catch (error) {
+        throw new Error(`Invalid position "${value}" (use <latitude>,<longitude>)`);
+    }
+}
+
+// Checked and normalized metadata changes; null or "" clears a field
+function validate(changes = {}) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        throw new Error('Node metadata must be an object');
+    }
+
+    const metadata = {};
+    for (const [field, value] of Object.entries(changes)) {
+        if (!METADATA_FIELDS.includes(field)) {
+            throw new Error(`Unknown node field "${field}" (use ${METADATA_FIELDS.join(', ')})`);
+        }
+        const empty = value === null || value === undefined || value === '';
+
+        if (field === 'tags') {
+            metadata.tags = empty ? [] : parseTags(value);
+        } else if (field === 'position') {
+            metadata.position = empty ? null : parsePosition(value);
+        } else {
+            const text = empty ? '' : String(value).trim();
+            if (text.length > TEXT_FIELDS[field]) {
+                throw new Error(`Node ${field} must be at most ${TEXT_FIELDS[field]} characters`);
+            }
+            metadata[field] = text || null;
+        }
+    }
+    return metadata;
+}
+
+// Filter from query parameters ({ tag, group, ... }) or a "group:backbone,tag:critical" string.
+// Tags must all be present, "all" or an empty string matches every node.
+function parseFilter(input = {}) {
+    let entries;
+    if (typeof input === 'string') {
+        entries = input.split(',')
+            .map(part => part.trim())
+            .filter(part => part && part.toLowerCase() !== 'all')
+            .map(part => {
+                const index = part.indexOf(':');
+                if (index < 1) {
+                    throw new Error(`Invalid node filter "${part}" (use <field>:<value>)`);
+                }
+                return [part.slice(0, index).trim(), part.slice(index + 1).trim()];
+            });
+    } else {
+        entries = Object.entries(input || {});
+    }
+
+    const filter = {};
+    for (const [field, value] of entries) {
+        if (!FILTER_FIELDS.includes(field)) {
+            throw new Error(`Unknown node filter field "${field}" (use ${FILTER_FIELDS.join(', ')})`);
+        }
+        if (value === undefined || value === null || value === '') continue;
+
+        if (field === 'tag') {
+            filter.tags = [...(filter.tags || []), ...parseTags(value)];
+        } else {
+            filter[field] = String(value).trim().toLowerCase();
+        }
+    }
+    return filter;
+}
+
+function matches(node, filter = {}) {
+    const same = (value, wanted) => String(value || '').toLowerCase() === wanted;
+
+    if (filter.tags && !filter.tags.every(tag => (node.tags || []).includes(tag))) return false;
+    if (filter.group && !same(node.group, filter.group)) return false;
+    if (filter.site && !same(node.site, filter.site)) return false;
+    if (filter.owner && !same(node.owner, filter.owner)) return false;
+    if (filter.status && !same(node.status, filter.status)) return false;
+
+    if (filter.q) {
+        const text = [node.id, node.name, node.hostname, node.address, node.location, node.notes,
+            ...(node.aliases || []).map(alias => alias.value)];
+        if (!text.some(value => String(value || '').toLowerCase().includes(filter.q))) return false;
+    }
+    return true;
+}
+
+// Name to show for a node: its display name, hostname, then ID
+function label(node) {
+    return node.name || node.hostname || node.id;
+}
+
+module.exports = {
+    METADATA_FIELDS,
+    FILTER_FIELDS,
+    validate,
+    parseFilter,
+    matches,
+    label
+};
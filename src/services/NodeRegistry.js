@@ -0,0 +1,373 @@
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/JsonFileStore');
+const { STRONG_TYPES, normalize } = require('./NodeIdentity');
+const NodeInventory = require('./NodeInventory');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DATE_FIELDS = ['firstSeen', 'lastSeen', 'registeredAt'];
+// Refreshed by every heartbeat and health check; only written every NODE_REGISTRY_FLUSH_MINUTES
+const VOLATILE_FIELDS = ['lastSeen', 'stats', 'links', 'network', 'gateway', 'batmanInfo', 'zeroTierInfo'];
+
+/**
+ * NodeRegistry - Persistent inventory of every node the coordinator has seen
+ *
+ * Exposes the same read API as the Map it replaces (get/has/values/size/...)
+ * so existing consumers keep working, and persists every change through a
+ * store object implementing load() and save(nodes). The default store is a
+ * JSON file under the data directory. Status, identity and metadata changes
+ * are written within saveDelay; heartbeat data such as lastSeen and stats is
+ * only flushed every NODE_REGISTRY_FLUSH_MINUTES and on close(), to spare the
+ * SD card.
+ *
+ * Retention policy:
+ * - Nodes only discovered via batman are dropped after NODE_RETENTION_HOURS without being seen
+ * - Nodes that registered themselves are kept for REGISTERED_NODE_RETENTION_HOURS
+ * - A retention of 0 keeps nodes forever
+ *
+ * Identity: one physical node shows up under several identifiers (its
+ * generated node ID, hard interface and bat0 MACs, mesh IP, hostname,
+ * ZeroTier address). Each record keeps them as `aliases`. identify() finds
+ * every node sharing a node ID, MAC or ZeroTier address with an observation
+ * and folds the discovered ones into it; registered nodes are never merged,
+ * a collision between two of them is logged as a conflict. IPs and
+ * hostnames are only recorded.
+ *
+ * Inventory: operators add a display name, tags, group, site, location,
+ * position, owner and notes (see NodeInventory). updateMetadata() validates
+ * them, filter() selects nodes by them.
+ */
+class NodeRegistry {
+    constructor(options = {}) {
+        this.store = options.store || new JsonFileStore(process.env.NODE_REGISTRY_FILE || 'nodes.json', []);
+        this.nodes = new Map();
+        this.retention = {
+            discovered: (options.discoveredRetentionHours ?? parseFloat(process.env.NODE_RETENTION_HOURS || '168')) * HOUR,
+            registered: (options.registeredRetentionHours ?? parseFloat(process.env.REGISTERED_NODE_RETENTION_HOURS || '720')) * HOUR
+        };
+        this.maxHistorySize = options.maxHistorySize || 50;
+        this.saveDelay = options.saveDelay ?? 2000;
+        this.flushDelay = (options.flushMinutes ?? parseFloat(process.env.NODE_REGISTRY_FLUSH_MINUTES || '15')) * MINUTE;
+        this.saveTimer = null;
+        this.saveDue = null;
+        this.conflicts = new Set();
+    }
+
+    async load() {
+        const records = await this.store.load();
+        this.nodes.clear();
+
+        for (const record of records || []) {
+            if (!record || !record.id) continue;
+
+            for (const field of DATE_FIELDS) {
+                if (record[field]) {
+                    record[field] = new Date(record[field]);
+                }
+            }
+
+            for (const alias of record.aliases || []) {
+                alias.firstSeen = new Date(alias.firstSeen);
+                alias.lastSeen = new Date(alias.lastSeen);
+            }
+
+            // Nothing is known about the node's state until it is seen again
+            record.status = 'unknown';
+            this.nodes.set(record.id, record);
+        }
+
+        logger.info(`Loaded ${this.nodes.size} node(s) from registry`);
+        return this.nodes.size;
+    }
+
+    // Map-compatible read API
+    get size() {
+        return this.nodes.size;
+    }
+
+    has(nodeId) {
+        return this.nodes.has(nodeId);
+    }
+
+    get(nodeId) {
+        return this.nodes.get(nodeId);
+    }
+
+    keys() {
+        return this.nodes.keys();
+    }
+
+    values() {
+        return this.nodes.values();
+    }
+
+    entries() {
+        return this.nodes.entries();
+    }
+
+    [Symbol.iterator]() {
+        return this.nodes.entries();
+    }
+
+    set(nodeId, node) {
+        const existing = this.nodes.get(nodeId);
+        const now = new Date();
+
+        const record = {
+            ...node,
+            id: node.id || nodeId,
+            firstSeen: existing?.firstSeen || node.firstSeen || now,
+            history: existing?.history || node.history || []
+        };
+
+        this.recordStatusChange(record, existing?.status);
+        this.nodes.set(nodeId, record);
+        this.scheduleSave(this.isDurableChange(existing, record) ? this.saveDelay : this.flushDelay);
+        return this;
+    }
+
+    isDurableChange(existing, record) {
+        if (!existing) return true;
+        const fields = new Set([...Object.keys(existing), ...Object.keys(record)]);
+        return Array.from(fields).some(field => !VOLATILE_FIELDS.includes(field) &&
+            JSON.stringify(existing[field]) !== JSON.stringify(record[field]));
+    }
+
+    // Merge changes into an existing node (or create it) and persist
+    upsert(nodeId, changes = {}) {
+        const existing = this.nodes.get(nodeId);
+        this.set(nodeId, { ...(existing || {}), ...changes });
+        return this.nodes.get(nodeId);
+    }
+
+    delete(nodeId) {
+        const deleted = this.nodes.delete(nodeId);
+        if (deleted) {
+            this.scheduleSave();
+        }
+        return deleted;
+    }
+
+    // Validated operator metadata merged into an existing node
+    updateMetadata(nodeId, changes) {
+        if (!this.nodes.has(nodeId)) {
+            throw new Error(`Node ${nodeId} not found`);
+        }
+        return this.upsert(nodeId, NodeInventory.validate(changes));
+    }
+
+    // Nodes matching a filter object or string (see NodeInventory.parseFilter)
+    filter(filter = {}) {
+        const parsed = NodeInventory.parseFilter(filter);
+        return Array.from(this.nodes.values()).filter(node => NodeInventory.matches(node, parsed));
+    }
+
+    // Node ID for any identifier of a node, optionally of one type only
+    resolve(value, type = null) {
+        if ((!type || type === 'nodeId') && this.nodes.has(value)) {
+            return value;
+        }
+        const wanted = type ? normalize(type, value) : normalize('nodeId', value);
+        if (!wanted) return null;
+
+        for (const node of this.nodes.values()) {
+            if ((node.aliases || []).some(alias => alias.value === wanted && (!type || alias.type === type))) {
+                return node.id;
+            }
+        }
+        return null;
+    }
+
+    // Nodes sharing a strong identifier with the observation; discovered nodes are keyed by MAC
+    matching(identifiers) {
+        const ids = new Set();
+        for (const { type, value } of identifiers.filter(id => STRONG_TYPES.includes(id.type))) {
+            for (const node of this.nodes.values()) {
+                if (node.id === value || (node.aliases || []).some(alias => alias.type === type && alias.value === value)) {
+                    ids.add(node.id);
+                }
+            }
+        }
+        return ids;
+    }
+
+    // Only records discovered through batman or DHCP, keyed by their MAC, are merged away
+    isDiscovered(nodeId) {
+        const node = this.nodes.get(nodeId);
+        return !!node && !node.registeredAt && !!normalize('mac', nodeId);
+    }
+
+    // Join an observation ([{ type, value }], see NodeIdentity) to the node it belongs to, folding
+    // discovered records into it. preferredId is the node that sent it and always keeps the
+    // observation. Registered nodes are never merged: SD card clones share a ZeroTier identity,
+    // and a node reporting someone else's MACs must not take over that record. Returns the node
+    // ID, or null if the observation matches no node.
+    identify(identifiers, preferredId = null, source = null) {
+        const ids = this.matching(identifiers);
+        const preferred = preferredId && this.nodes.has(preferredId) ? preferredId : null;
+        if (preferred) {
+            ids.add(preferred);
+        }
+        if (ids.size === 0) return null;
+
+        // The sender wins, otherwise the latest registration, then the oldest record
+        const registeredAt = (node) => node.registeredAt ? new Date(node.registeredAt).getTime() : 0;
+        const survivor = preferred || Array.from(ids)
+            .map(id => this.nodes.get(id))
+            .sort((a, b) => (registeredAt(b) - registeredAt(a)) || (new Date(a.firstSeen) - new Date(b.firstSeen)))[0].id;
+
+        const others = Array.from(ids).filter(id => id !== survivor);
+        for (const id of others.filter(id => this.isDiscovered(id))) {
+            this.merge(survivor, id);
+        }
+
+        // Strong identifiers another registered node already holds stay with it
+        const conflicting = others.filter(id => this.nodes.has(id));
+        const held = (identifier) => STRONG_TYPES.includes(identifier.type) && conflicting.some(id =>
+            (this.nodes.get(id).aliases || []).some(alias => alias.type === identifier.type && alias.value === identifier.value));
+        for (const id of conflicting) {
+            this.reportConflict(survivor, id, identifiers.filter(held));
+        }
+
+        this.addAliases(survivor, identifiers.filter(identifier => !held(identifier)), source);
+        return survivor;
+    }
+
+    // Logged once per pair, discovery sees the same collision every cycle
+    reportConflict(nodeId, otherId, identifiers) {
+        const key = [nodeId, otherId].sort().join(' ');
+        if (this.conflicts.has(key)) return;
+        this.conflicts.add(key);
+
+        const shared = identifiers.map(({ type, value }) => `${type} ${value}`).join(', ') || 'an identifier';
+        logger.security(`Node identity conflict: ${nodeId} and ${otherId} both report ${shared}, not merging`);
+    }
+
+    addAliases(nodeId, identifiers, source = null) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return;
+
+        const now = new Date();
+        const aliases = node.aliases || [];
+        let added = false;
+        for (const { type, value } of identifiers) {
+            // A mesh IP belongs to whoever holds the lease now
+            if (type === 'ip') {
+                for (const other of this.nodes.values()) {
+                    if (other !== node && other.aliases) {
+                        other.aliases = other.aliases.filter(alias => !(alias.type === 'ip' && alias.value === value));
+                    }
+                }
+            }
+
+            const existing = aliases.find(alias => alias.type === type && alias.value === value);
+            if (existing) {
+                existing.lastSeen = now;
+                existing.source = source || existing.source;
+            } else {
+                aliases.push({ type, value, source, firstSeen: now, lastSeen: now });
+                added = true;
+            }
+        }
+        node.aliases = aliases;
+        this.scheduleSave(added ? this.saveDelay : this.flushDelay);
+    }
+
+    // Fold fromId's record into intoId's; intoId's fields win, aliases and history are combined
+    merge(intoId, fromId) {
+        const into = this.nodes.get(intoId);
+        const from = this.nodes.get(fromId);
+        if (!into || !from || intoId === fromId) return into;
+
+        const aliases = [...(into.aliases || [])];
+        for (const alias of from.aliases || []) {
+            if (!aliases.some(a => a.type === alias.type && a.value === alias.value)) {
+                aliases.push(alias);
+            }
+        }
+        // The old key keeps resolving to the node
+        if (!aliases.some(alias => alias.value === fromId)) {
+            const at = from.lastSeen || new Date();
+            aliases.push({ type: normalize('mac', fromId) ? 'mac' : 'nodeId', value: fromId, source: 'merge', firstSeen: from.firstSeen || at, lastSeen: at });
+        }
+
+        const merged = {
+            ...from,
+            ...into,
+            aliases,
+            firstSeen: [into.firstSeen, from.firstSeen].filter(Boolean).sort((a, b) => new Date(a) - new Date(b))[0],
+            history: [...(from.history || []), ...(into.history || [])]
+                .sort((a, b) => new Date(a.at) - new Date(b.at))
+                .slice(-this.maxHistorySize)
+        };
+        this.nodes.delete(fromId);
+        this.nodes.set(intoId, merged);
+        this.scheduleSave();
+
+        logger.info(`Merged node ${fromId} into ${intoId}`);
+        return merged;
+    }
+
+    recordStatusChange(record, previousStatus) {
+        if (!record.status || record.status === previousStatus) return;
+
+        record.history = [
+            ...record.history,
+            { status: record.status, at: new Date() }
+        ].slice(-this.maxHistorySize);
+    }
+
+    pruneStale(now = new Date()) {
+        const removed = [];
+
+        for (const [nodeId, node] of this.nodes) {
+            const maxAge = node.registeredAt ? this.retention.registered : this.retention.discovered;
+            if (!maxAge || !node.lastSeen) continue;
+
+            if (now - new Date(node.lastSeen) > maxAge) {
+                this.nodes.delete(nodeId);
+                removed.push(nodeId);
+            }
+        }
+
+        if (removed.length > 0) {
+            logger.info(`Pruned ${removed.length} stale node(s) from registry: ${removed.join(', ')}`);
+            this.scheduleSave();
+        }
+
+        return removed;
+    }
+
+    // Batch bursts of updates into one write; a pending write is only ever moved earlier
+    scheduleSave(delay = this.saveDelay) {
+        const due = Date.now() + delay;
+        if (this.saveTimer) {
+            if (this.saveDue <= due) return;
+            clearTimeout(this.saveTimer);
+        }
+
+        this.saveDue = due;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => logger.error('Failed to persist node registry:', error));
+        }, delay);
+
+        if (this.saveTimer.unref) {
+            this.saveTimer.unref();
+        }
+    }
+
+    async save() {
+        await this.store.save(Array.from(this.nodes.values()));
+    }
+
+    async close() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        await this.save();
+    }
+}
+
+module.exports = NodeRegistry;
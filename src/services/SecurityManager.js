@@ -1,9 +1,6 @@
 const fs = require('fs').promises;
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const logger = require('../utils/logger');
-
-const execAsync = promisify(exec);
+const { getDefaultRunner } = require('../runner');
 
 /**
  * SecurityManager - Manages firewall rules and security for batman mesh network
@@ -24,6 +21,7 @@ const execAsync = promisify(exec);
  */
 class SecurityManager {
     constructor(options = {}) {
+        this.runner = (options.runner || getDefaultRunner()).forSource('SecurityManager');
         this.batmanInterface = options.batmanInterface || 'bat0';
         this.meshInterface = options.meshInterface || 'wlan0';
         this.ethernetInterface = options.ethernetInterface || 'eth1';
@@ -80,7 +78,7 @@ class SecurityManager {
 
     async detectFirewallSystem() {
         try {
-            await this.executeCommand('which nft');
+            await this.runner.run('which', ['nft']);
             return 'nftables';
         } catch (error) {
             return 'iptables';
@@ -90,72 +88,72 @@ class SecurityManager {
     async setupIptablesRules() {
         try {
             // Flush existing batman rules
-            await this.executeCommand('iptables -F || true');
+            await this.runner.run('iptables', ['-F'], { ignoreErrors: true });
             
             // Allow loopback
-            await this.executeCommand('iptables -A INPUT -i lo -j ACCEPT');
-            await this.executeCommand('iptables -A OUTPUT -o lo -j ACCEPT');
+            await this.runner.run('iptables', ['-A', 'INPUT', '-i', 'lo', '-j', 'ACCEPT']);
+            await this.runner.run('iptables', ['-A', 'OUTPUT', '-o', 'lo', '-j', 'ACCEPT']);
             
             // ZeroTier interface
             const ztInterface = await this.getZeroTierInterface();
             if (ztInterface) {
                 // Allow ZeroTier traffic
-                await this.executeCommand(`iptables -A INPUT -i ${ztInterface} -j ACCEPT`);
-                await this.executeCommand(`iptables -A OUTPUT -o ${ztInterface} -j ACCEPT`);
+                await this.runner.run('iptables', ['-A', 'INPUT', '-i', ztInterface, '-j', 'ACCEPT']);
+                await this.runner.run('iptables', ['-A', 'OUTPUT', '-o', ztInterface, '-j', 'ACCEPT']);
                 
                 // NAT for internet access through ZeroTier (coordinator only)
                 if (this.isCoordinator) {
-                    await this.executeCommand(`iptables -t nat -A POSTROUTING -o ${ztInterface} -j MASQUERADE`);
+                    await this.runner.run('iptables', ['-t', 'nat', '-A', 'POSTROUTING', '-o', ztInterface, '-j', 'MASQUERADE']);
                 }
             }
             
             if (this.isCoordinator) {
                 // Coordinator: Allow all traffic on ethernet interfaces (has direct internet)
-                await this.executeCommand(`iptables -A INPUT -i ${this.ethernetInterface} -j ACCEPT`);
-                await this.executeCommand(`iptables -A OUTPUT -o ${this.ethernetInterface} -j ACCEPT`);
+                await this.runner.run('iptables', ['-A', 'INPUT', '-i', this.ethernetInterface, '-j', 'ACCEPT']);
+                await this.runner.run('iptables', ['-A', 'OUTPUT', '-o', this.ethernetInterface, '-j', 'ACCEPT']);
                 
                 // Allow all traffic on eth0 if different from ethernetInterface
                 if (this.ethernetInterface !== 'eth0') {
-                    await this.executeCommand('iptables -A INPUT -i eth0 -j ACCEPT');
-                    await this.executeCommand('iptables -A OUTPUT -o eth0 -j ACCEPT');
+                    await this.runner.run('iptables', ['-A', 'INPUT', '-i', 'eth0', '-j', 'ACCEPT']);
+                    await this.runner.run('iptables', ['-A', 'OUTPUT', '-o', 'eth0', '-j', 'ACCEPT']);
                 }
                 
                 // Allow batman interfaces for mesh communication
-                await this.executeCommand(`iptables -A INPUT -i ${this.batmanInterface} -j ACCEPT`);
-                await this.executeCommand(`iptables -A INPUT -i ${this.meshInterface} -j ACCEPT`);
+                await this.runner.run('iptables', ['-A', 'INPUT', '-i', this.batmanInterface, '-j', 'ACCEPT']);
+                await this.runner.run('iptables', ['-A', 'INPUT', '-i', this.meshInterface, '-j', 'ACCEPT']);
                 
                 // NAT for internet access through ethernet
-                await this.executeCommand(`iptables -t nat -A POSTROUTING -o ${this.ethernetInterface} -j MASQUERADE`);
-                await this.executeCommand(`iptables -t nat -A POSTROUTING -o eth0 -j MASQUERADE`);
+                await this.runner.run('iptables', ['-t', 'nat', '-A', 'POSTROUTING', '-o', this.ethernetInterface, '-j', 'MASQUERADE']);
+                await this.runner.run('iptables', ['-t', 'nat', '-A', 'POSTROUTING', '-o', 'eth0', '-j', 'MASQUERADE']);
                 
             } else {
                 // Mesh node: Allow normal ethernet access for management
-                await this.executeCommand(`iptables -A INPUT -i ${this.ethernetInterface} -j ACCEPT`);
-                await this.executeCommand(`iptables -A OUTPUT -o ${this.ethernetInterface} -j ACCEPT`);
+                await this.runner.run('iptables', ['-A', 'INPUT', '-i', this.ethernetInterface, '-j', 'ACCEPT']);
+                await this.runner.run('iptables', ['-A', 'OUTPUT', '-o', this.ethernetInterface, '-j', 'ACCEPT']);
                 
                 // Allow all traffic on eth0 if different from ethernetInterface  
                 if (this.ethernetInterface !== 'eth0') {
-                    await this.executeCommand('iptables -A INPUT -i eth0 -j ACCEPT');
-                    await this.executeCommand('iptables -A OUTPUT -o eth0 -j ACCEPT');
+                    await this.runner.run('iptables', ['-A', 'INPUT', '-i', 'eth0', '-j', 'ACCEPT']);
+                    await this.runner.run('iptables', ['-A', 'OUTPUT', '-o', 'eth0', '-j', 'ACCEPT']);
                 }
                 
                 // Allow batman interfaces for mesh communication
-                await this.executeCommand(`iptables -A INPUT -i ${this.batmanInterface} -j ACCEPT`);
-                await this.executeCommand(`iptables -A INPUT -i ${this.meshInterface} -j ACCEPT`);
-                await this.executeCommand(`iptables -A OUTPUT -o ${this.batmanInterface} -j ACCEPT`);
-                await this.executeCommand(`iptables -A OUTPUT -o ${this.meshInterface} -j ACCEPT`);
+                await this.runner.run('iptables', ['-A', 'INPUT', '-i', this.batmanInterface, '-j', 'ACCEPT']);
+                await this.runner.run('iptables', ['-A', 'INPUT', '-i', this.meshInterface, '-j', 'ACCEPT']);
+                await this.runner.run('iptables', ['-A', 'OUTPUT', '-o', this.batmanInterface, '-j', 'ACCEPT']);
+                await this.runner.run('iptables', ['-A', 'OUTPUT', '-o', this.meshInterface, '-j', 'ACCEPT']);
                 
                 // // SECURITY: Block ZeroTier from using ethernet - force through mesh
-                // await this.executeCommand(`iptables -A OUTPUT -o ${this.ethernetInterface} -p udp --dport 9993 -j DROP`); // ZeroTier control port
-                // await this.executeCommand(`iptables -A OUTPUT -o ${this.ethernetInterface} -p tcp --dport 9993 -j DROP`); // ZeroTier control port
-                // await this.executeCommand(`iptables -A OUTPUT -o eth0 -p udp --dport 9993 -j DROP`);
-                // await this.executeCommand(`iptables -A OUTPUT -o eth0 -p tcp --dport 9993 -j DROP`);
+                // await this.runner.run('iptables', ['-A', 'OUTPUT', '-o', this.ethernetInterface, '-p', 'udp', '--dport', '9993', '-j', 'DROP']); // ZeroTier control port
+                // await this.runner.run('iptables', ['-A', 'OUTPUT', '-o', this.ethernetInterface, '-p', 'tcp', '--dport', '9993', '-j', 'DROP']); // ZeroTier control port
+                // await this.runner.run('iptables', ['-A', 'OUTPUT', '-o', 'eth0', '-p', 'udp', '--dport', '9993', '-j', 'DROP']);
+                // await this.runner.run('iptables', ['-A', 'OUTPUT', '-o', 'eth0', '-p', 'tcp', '--dport', '9993', '-j', 'DROP']);
                 
                 // // Block forwarding from batman to ethernet (prevent unauthorized internet access)
-                // await this.executeCommand(`iptables -A FORWARD -i ${this.batmanInterface} -o ${this.ethernetInterface} -j DROP`);
-                // await this.executeCommand(`iptables -A FORWARD -i ${this.meshInterface} -o ${this.ethernetInterface} -j DROP`);
-                // await this.executeCommand(`iptables -A FORWARD -i ${this.batmanInterface} -o eth0 -j DROP`);
-                // await this.executeCommand(`iptables -A FORWARD -i ${this.meshInterface} -o eth0 -j DROP`);
+                // await this.runner.run('iptables', ['-A', 'FORWARD', '-i', this.batmanInterface, '-o', this.ethernetInterface, '-j', 'DROP']);
+                // await this.runner.run('iptables', ['-A', 'FORWARD', '-i', this.meshInterface, '-o', this.ethernetInterface, '-j', 'DROP']);
+                // await this.runner.run('iptables', ['-A', 'FORWARD', '-i', this.batmanInterface, '-o', 'eth0', '-j', 'DROP']);
+                // await this.runner.run('iptables', ['-A', 'FORWARD', '-i', this.meshInterface, '-o', 'eth0', '-j', 'DROP']);
             }
             
             await this.saveIptablesRules();
@@ -264,9 +262,10 @@ table inet batman_nat {
 }
 `;
 
-            await fs.writeFile('/tmp/batman-nft.conf', nftConfig);
-            await this.executeCommand('nft -f /tmp/batman-nft.conf');
-            await this.executeCommand('nft list ruleset >> /etc/nftables.conf');
+            await this.runner.writeFile('/tmp/batman-nft.conf', nftConfig);
+            await this.runner.run('nft', ['-f', '/tmp/batman-nft.conf']);
+            const ruleset = await this.runner.run('nft', ['list', 'ruleset']);
+            await this.runner.writeFile('/etc/nftables.conf', `${ruleset}\n`, { append: true });
             await fs.unlink('/tmp/batman-nft.conf').catch(() => {});
             
         } catch (error) {
@@ -278,8 +277,9 @@ table inet batman_nat {
     async getZeroTierInterface() {
         try {
             // Look for actual ZeroTier interfaces, not veth pairs
-            const { stdout } = await execAsync('ip link show | grep -E "zt[a-z0-9]{10}" | head -1 | cut -d: -f2 | tr -d " "');
-            const ztInterface = stdout.trim();
+            const links = await this.runner.run('ip', ['link', 'show'], { quiet: true });
+            const match = links.match(/^\d+:\s*(zt[a-z0-9]{10})[:@]/m);
+            const ztInterface = match ? match[1] : '';
             
             // If no real ZeroTier interface found, return null (chroot setup doesn't need host firewall rules)
             if (!ztInterface || ztInterface.includes('veth')) {
@@ -295,13 +295,14 @@ table inet batman_nat {
     async saveIptablesRules() {
         try {
             // Try different methods to save iptables rules
+            const rules = await this.runner.run('iptables-save');
             try {
-                await this.executeCommand('iptables-save > /etc/iptables/rules.v4');
+                await this.runner.writeFile('/etc/iptables/rules.v4', `${rules}\n`);
             } catch (error) {
                 try {
-                    await this.executeCommand('service iptables save');
+                    await this.runner.run('service', ['iptables', 'save']);
                 } catch (error2) {
-                    await this.executeCommand('sh -c "iptables-save > /etc/iptables.rules"');
+                    await this.runner.writeFile('/etc/iptables.rules', `${rules}\n`);
                 }
             }
         } catch (error) {
@@ -321,19 +322,19 @@ table inet batman_nat {
         
         try {
             // Get batman interface IP and network
-            const batmanRoute = await this.executeCommand(`ip route show dev ${this.batmanInterface} | head -1 || echo ""`);
+            const batmanRoute = (await this.runner.run('ip', ['route', 'show', 'dev', this.batmanInterface], { ignoreErrors: true })).split('\n')[0];
             
             if (batmanRoute.trim()) {
                 // Add routing table for ZeroTier traffic
-                await this.executeCommand('echo "200 zerotier" >> /etc/iproute2/rt_tables || true');
+                await this.runner.writeFile('/etc/iproute2/rt_tables', '200 zerotier\n', { append: true, ignoreErrors: true });
                 
                 // Route ZeroTier control traffic through batman interface
-                await this.executeCommand(`ip rule add fwmark 1 table zerotier || true`);
-                await this.executeCommand(`ip route add default dev ${this.batmanInterface} table zerotier || true`);
+                await this.runner.run('ip', ['rule', 'add', 'fwmark', '1', 'table', 'zerotier'], { ignoreErrors: true });
+                await this.runner.run('ip', ['route', 'add', 'default', 'dev', this.batmanInterface, 'table', 'zerotier'], { ignoreErrors: true });
                 
                 // Mark ZeroTier packets to use batman routing
-                await this.executeCommand(`iptables -t mangle -A OUTPUT -p udp --dport 9993 -j MARK --set-mark 1 || true`);
-                await this.executeCommand(`iptables -t mangle -A OUTPUT -p tcp --dport 9993 -j MARK --set-mark 1 || true`);
+                await this.runner.run('iptables', ['-t', 'mangle', '-A', 'OUTPUT', '-p', 'udp', '--dport', '9993', '-j', 'MARK', '--set-mark', '1'], { ignoreErrors: true });
+                await this.runner.run('iptables', ['-t', 'mangle', '-A', 'OUTPUT', '-p', 'tcp', '--dport', '9993', '-j', 'MARK', '--set-mark', '1'], { ignoreErrors: true });
                 
                 logger.info('ZeroTier routing configured to use batman mesh');
             } else {
@@ -374,11 +375,11 @@ table inet batman_nat {
         
         try {
             // Enable SYN flood protection (safe to enable)
-            await this.executeCommand('echo 1 > /proc/sys/net/ipv4/tcp_syncookies');
+            await this.runner.writeFile('/proc/sys/net/ipv4/tcp_syncookies', '1');
             
             // Disable ICMP redirects (safe to disable)
-            await this.executeCommand('echo 0 > /proc/sys/net/ipv4/conf/all/accept_redirects');
-            await this.executeCommand('echo 0 > /proc/sys/net/ipv6/conf/all/accept_redirects');
+            await this.runner.writeFile('/proc/sys/net/ipv4/conf/all/accept_redirects', '0');
+            await this.runner.writeFile('/proc/sys/net/ipv6/conf/all/accept_redirects', '0');
             
             logger.info('Minimal network hardening applied');
             
@@ -396,9 +397,9 @@ table inet batman_nat {
             const firewallSystem = await this.detectFirewallSystem();
             
             if (firewallSystem === 'nftables') {
-                await this.executeCommand(`nft add rule inet batman_filter input ip saddr ${nodeAddress} drop`);
+                await this.runner.run('nft', ['add', 'rule', 'inet', 'batman_filter', 'input', 'ip', 'saddr', nodeAddress, 'drop']);
             } else {
-                await this.executeCommand(`iptables -A INPUT -s ${nodeAddress} -j DROP`);
+                await this.runner.run('iptables', ['-A', 'INPUT', '-s', nodeAddress, '-j', 'DROP']);
             }
             
             logger.info(`Node ${nodeAddress} blocked successfully`);
@@ -418,9 +419,9 @@ table inet batman_nat {
             const firewallSystem = await this.detectFirewallSystem();
             
             if (firewallSystem === 'nftables') {
-                await this.executeCommand(`nft delete rule inet batman_filter input ip saddr ${nodeAddress} drop`);
+                await this.runner.run('nft', ['delete', 'rule', 'inet', 'batman_filter', 'input', 'ip', 'saddr', nodeAddress, 'drop']);
             } else {
-                await this.executeCommand(`iptables -D INPUT -s ${nodeAddress} -j DROP`);
+                await this.runner.run('iptables', ['-D', 'INPUT', '-s', nodeAddress, '-j', 'DROP']);
             }
             
             logger.info(`Node ${nodeAddress} unblocked successfully`);
@@ -431,6 +432,36 @@ table inet batman_nat {
         }
     }
 
+    // Promoted nodes route mesh traffic to their uplink, which the node nftables rules otherwise drop
+    async setGatewayForwarding(allowed) {
+        if (this.isCoordinator) {
+            return;
+        }
+        
+        try {
+            const firewallSystem = await this.detectFirewallSystem();
+            if (firewallSystem !== 'nftables') {
+                // The iptables rules for nodes do not block forwarding
+                return;
+            }
+            
+            await this.runner.run('nft', ['flush', 'chain', 'inet', 'batman_filter', 'forward']);
+            if (!allowed) {
+                for (const from of [this.batmanInterface, this.meshInterface]) {
+                    for (const to of [this.ethernetInterface, 'eth0']) {
+                        await this.runner.run('nft', ['add', 'rule', 'inet', 'batman_filter', 'forward', 'iif', from, 'oif', to, 'drop']);
+                    }
+                }
+            }
+            
+            logger.info(`Gateway forwarding ${allowed ? 'allowed' : 'blocked'} by firewall`);
+            
+        } catch (error) {
+            logger.error('Failed to update gateway forwarding rules:', error);
+            throw error;
+        }
+    }
+
     async monitorSecurity() {
         logger.info('Starting security monitoring...');
         
@@ -448,7 +479,8 @@ table inet batman_nat {
     async checkSuspiciousConnections() {
         try {
             // Check for suspicious network connections on batman interfaces
-            const connections = await this.executeCommand(`netstat -an | grep ${this.batmanInterface} || true`);
+            const netstat = await this.runner.run('netstat', ['-an'], { ignoreErrors: true });
+            const connections = netstat.split('\n').filter(line => line.includes(this.batmanInterface)).join('\n');
             
             if (connections.trim()) {
                 logger.warn('Suspicious connections detected on batman interface:', connections);
@@ -462,7 +494,8 @@ table inet batman_nat {
 
     async checkFailedLogins() {
         try {
-            const failedLogins = await this.executeCommand("grep 'Failed password' /var/log/auth.log | tail -10 || true");
+            const failedLogins = (await this.runner.run('grep', ['Failed password', '/var/log/auth.log'], { ignoreErrors: true }))
+                .split('\n').slice(-10).join('\n');
             
             if (failedLogins.trim()) {
                 logger.warn('Recent failed login attempts detected');
@@ -477,16 +510,16 @@ table inet batman_nat {
     async checkSystemIntegrity() {
         try {
             // Check if batman module is loaded
-            const batmanModule = await this.executeCommand('lsmod | grep batman || echo "not loaded"');
+            const modules = await this.runner.run('lsmod', [], { ignoreErrors: true });
             
-            if (batmanModule.includes('not loaded')) {
+            if (!modules.includes('batman')) {
                 logger.warn('Batman-adv module not loaded - mesh may be compromised');
             }
             
             // Check interface status
-            const interfaceStatus = await this.executeCommand(`ip link show ${this.batmanInterface} || echo "interface down"`);
+            const interfaceStatus = await this.runner.run('ip', ['link', 'show', this.batmanInterface], { ignoreErrors: true });
             
-            if (interfaceStatus.includes('interface down')) {
+            if (!interfaceStatus) {
                 logger.warn(`Batman interface ${this.batmanInterface} is down`);
             }
             
@@ -507,16 +540,6 @@ table inet batman_nat {
         logger.info('SecurityManager cleanup complete');
     }
 
-    async executeCommand(command) {
-        try {
-            const { stdout } = await execAsync(command);
-            return stdout.trim();
-        } catch (error) {
-            logger.debug(`Command failed: ${command}`, error);
-            throw error;
-        }
-    }
-
     getBlockedNodes() {
         return Array.from(this.blockedNodes);
     }
@@ -135,6 +135,9 @@ class StatsCollector {
                 networkManager.getBatmanRoutes()
             ]);
 
+            // Radio metrics per peer, joined to the neighbors above
+            const links = await networkManager.getLinkMetrics(neighbors).catch(() => []);
+
             // Calculate mesh health metrics
             const meshHealth = this.calculateMeshHealth(neighbors, routes);
 
@@ -142,11 +145,16 @@ class StatsCollector {
                 status: status,
                 neighbors: neighbors,
                 routes: routes,
+                links: links,
                 health: meshHealth,
                 metrics: {
                     neighborCount: neighbors.length,
                     routeCount: routes.length,
-                    avgQuality: this.calculateAverageQuality(neighbors),
+                    avgQuality: this.calculateAverageQuality(neighbors, routes),
+                    avgThroughputMbps: this.calculateAverageThroughput(neighbors),
+                    avgSignal: this.calculateAverageSignal(links),
+                    weakLinks: links.filter(l => l.quality === 'poor').length,
+                    algorithm: status.algorithm || null,
                     connectivity: meshHealth.connectivity
                 }
             };
@@ -199,11 +207,7 @@ class StatsCollector {
         }
 
         // Calculate average link quality
-        const qualities = neighbors.map(n => {
-            const qualityStr = n.quality || '0.00';
-            const match = qualityStr.match(/(\d+\.\d+)/);
-            return match ? parseFloat(match[1]) : 0;
-        });
+        const qualities = this.linkQualities(neighbors, routes);
 
         const avgQuality = qualities.length > 0 
             ? qualities.reduce((sum, q) => sum + q, 0) / qualities.length 
@@ -214,7 +218,7 @@ class StatsCollector {
         const connectivity = Math.min(neighbors.length / maxNeighbors, 1) * 100;
 
         // Calculate redundancy (multiple paths to destinations)
-        const uniqueDestinations = new Set(routes.map(r => r.destination));
+        const uniqueDestinations = new Set(routes.map(r => r.originator));
         const redundancy = routes.length > 0 
             ? (routes.length / uniqueDestinations.size) * 20 // Scale to percentage
             : 0;
@@ -235,22 +239,51 @@ class StatsCollector {
         };
     }
 
-    calculateAverageQuality(neighbors) {
+    calculateAverageQuality(neighbors, routes = []) {
         if (!neighbors || neighbors.length === 0) {
             return 0;
         }
 
-        const qualities = neighbors.map(n => {
-            const qualityStr = n.quality || '0.00';
-            const match = qualityStr.match(/(\d+\.\d+)/);
-            return match ? parseFloat(match[1]) : 0;
-        });
+        const qualities = this.linkQualities(neighbors, routes);
 
         return qualities.length > 0 
             ? qualities.reduce((sum, q) => sum + q, 0) / qualities.length 
             : 0;
     }
 
+    // BATMAN_V only: mean neighbor link throughput, null when no neighbor reports one
+    calculateAverageThroughput(neighbors) {
+        const throughputs = (neighbors || [])
+            .map(n => n.throughputMbps)
+            .filter(t => typeof t === 'number');
+
+        return throughputs.length > 0
+            ? Math.round(throughputs.reduce((sum, t) => sum + t, 0) / throughputs.length * 10) / 10
+            : null;
+    }
+
+    // Mean signal (dBm) of the radio links that carry batman-adv traffic
+    calculateAverageSignal(links) {
+        const signals = (links || [])
+            .filter(l => l.batmanNeighbor)
+            .map(l => l.signalAvg ?? l.signal)
+            .filter(s => typeof s === 'number');
+
+        return signals.length > 0
+            ? Math.round(signals.reduce((sum, s) => sum + s, 0) / signals.length)
+            : null;
+    }
+
+    // 0-1 quality per neighbor; BATMAN_IV neighbor tables have no metric, so use the direct route's TQ
+    linkQualities(neighbors, routes = []) {
+        return neighbors.map(n => {
+            const quality = parseFloat(n.quality);
+            if (!isNaN(quality)) return quality;
+            const direct = routes.find(r => r.originator === n.address && r.nextHop === n.address);
+            return direct ? parseFloat(direct.quality) || 0 : 0;
+        });
+    }
+
     addToHistory(stats) {
         this.history.push({
             ...stats,
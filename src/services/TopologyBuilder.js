@@ -0,0 +1,353 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const NodeInventory = require('./NodeInventory');
+
+const DIRECTION_FIELDS = ['quality', 'metric', 'tq', 'throughputMbps', 'interface', 'lastSeenMs', 'station', 'source', 'reportedAt'];
+
+// Radio side of a link from `iw station dump`, as reported with the neighbor table
+function linkStation(station) {
+    if (!station) return null;
+    return {
+        signal: station.signal,
+        signalAvg: station.signalAvg,
+        txBitrate: station.txBitrate,
+        rxBitrate: station.rxBitrate,
+        expectedThroughputMbps: station.expectedThroughputMbps,
+        txRetries: station.txRetries,
+        txFailed: station.txFailed,
+        inactiveMs: station.inactiveMs,
+        quality: station.quality
+    };
+}
+
+// One neighbor table entry as seen from the reporting side
+function direction(neighbor, stations, source, reportedAt) {
+    const station = stations.find(s => s.mac === neighbor.address && (!neighbor.interface || s.interface === neighbor.interface));
+    return {
+        quality: neighbor.quality ?? null,
+        metric: neighbor.metric || null,
+        tq: neighbor.tq ?? null,
+        throughputMbps: neighbor.throughputMbps ?? null,
+        interface: neighbor.interface || null,
+        lastSeenMs: neighbor.lastSeenMs ?? null,
+        station: linkStation(station),
+        source,
+        reportedAt
+    };
+}
+
+// What a delta compares: everything but the ageing timestamps
+function fingerprint({ lastSeen, lastSeenMs, forward, reverse, ...rest }) {
+    const half = (h) => h && { ...h, lastSeenMs: null, reportedAt: null };
+    return JSON.stringify({ ...rest, forward: half(forward), reverse: half(reverse) });
+}
+
+/**
+ * TopologyBuilder - Whole-mesh graph from every node's neighbor table
+ *
+ * Each host reports the batman-adv neighbors it hears: the coordinator its
+ * own table on every update, registered nodes theirs with the heartbeat, and
+ * any other originator through batadv-vis (alfred). Nodes are keyed by
+ * originator MAC. A link joins two originators and carries both directions:
+ * forward is what `source` reports about `target`, reverse the other way
+ * round. A link is asymmetric when the directions' quality differs by
+ * TOPOLOGY_ASYMMETRY_THRESHOLD or more, or when only one side hears the other
+ * although both report a table. Reports older than TOPOLOGY_REPORT_TIMEOUT
+ * seconds are dropped.
+ *
+ * Every update() rebuilds the graph and, if anything changed, bumps its
+ * version and emits a 'change' delta (nodes and links to upsert or remove)
+ * for the dashboard to patch its copy. Each link keeps its last
+ * TOPOLOGY_LINK_HISTORY quality samples.
+ */
+class TopologyBuilder extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.networkManager = options.networkManager;
+        this.nodes = options.nodes;
+        this.asymmetryThreshold = options.asymmetryThreshold ?? parseFloat(process.env.TOPOLOGY_ASYMMETRY_THRESHOLD || '0.3');
+        this.reportTimeout = (options.reportTimeoutSeconds ?? parseInt(process.env.TOPOLOGY_REPORT_TIMEOUT || '180')) * 1000;
+        this.historySize = options.historySize ?? parseInt(process.env.TOPOLOGY_LINK_HISTORY || '60');
+        this.reports = new Map(); // originator -> { source, nodeId, neighbors, stations, at }
+        this.aliases = new Map(); // secondary interface MAC -> originator
+        this.history = new Map(); // link id -> [{ at, forward, reverse }]
+        this.graph = null;
+        this.version = 0;
+        this.updating = null;
+    }
+
+    // Neighbor table a registered node sent with its heartbeat
+    reportHeartbeat(nodeId, network) {
+        const originator = network?.gateway?.originator;
+        if (!originator || !Array.isArray(network.batman?.neighbors)) return;
+
+        this.reports.set(originator, {
+            source: 'heartbeat',
+            nodeId,
+            neighbors: network.batman.neighbors,
+            stations: Array.isArray(network.links) ? network.links : [],
+            at: new Date()
+        });
+    }
+
+    // Concurrent callers share one rebuild
+    update() {
+        if (!this.updating) {
+            this.updating = this.rebuild().finally(() => {
+                this.updating = null;
+            });
+        }
+        return this.updating;
+    }
+
+    async getGraph() {
+        return this.graph || this.update();
+    }
+
+    getLink(id) {
+        const link = this.graph?.links.find(l => l.id === id);
+        return link ? { ...link, history: this.history.get(id) || [] } : null;
+    }
+
+    async rebuild() {
+        const now = new Date();
+        const [ownOriginator, neighbors, meshView] = await Promise.all([
+            this.networkManager.getOriginatorAddress(),
+            this.networkManager.batman.getNeighbors().catch(() => []),
+            this.networkManager.getMeshView().catch(error => {
+                logger.debug(`No batadv-vis data for the topology: ${error.message}`);
+                return null;
+            })
+        ]);
+        const stations = await this.networkManager.getLinkMetrics(neighbors).catch(() => []);
+
+        if (ownOriginator) {
+            this.reports.set(ownOriginator, { source: 'coordinator', nodeId: 'coordinator', neighbors, stations, at: now });
+        }
+        for (const [originator, report] of this.reports) {
+            if (now - report.at > this.reportTimeout) {
+                this.reports.delete(originator);
+            }
+        }
+
+        // batadv-vis fills in originators that report nothing themselves
+        const tables = new Map(this.reports);
+        for (const visNode of meshView?.nodes || []) {
+            visNode.secondary.forEach(mac => this.aliases.set(mac, visNode.originator));
+            if (!tables.has(visNode.originator)) {
+                tables.set(visNode.originator, {
+                    source: 'alfred',
+                    nodeId: null,
+                    neighbors: visNode.neighbors.map(n => ({
+                        ...n,
+                        metric: meshView.algorithm === 'BATMAN_IV' ? 'tq' : null,
+                        tq: meshView.algorithm === 'BATMAN_IV' && n.quality !== null ? Math.round(255 / n.metric) : null
+                    })),
+                    stations: [],
+                    at: now
+                });
+            }
+        }
+
+        const graph = this.build(ownOriginator, tables, meshView, now);
+        this.recordHistory(graph, now);
+        this.publish(graph);
+        return this.graph;
+    }
+
+    build(ownOriginator, tables, meshView, now) {
+        const primary = (mac) => this.aliases.get(mac) || mac;
+        const nodeMap = new Map();
+        const addNode = (id, fields) => {
+            nodeMap.set(id, { ...(nodeMap.get(id) || { id, originator: id }), ...fields });
+        };
+
+        if (ownOriginator) {
+            addNode(ownOriginator, {
+                nodeId: 'coordinator',
+                name: 'Coordinator',
+                type: 'coordinator',
+                address: this.networkManager.masterIp,
+                status: 'online',
+                lastSeen: now
+            });
+        }
+        for (const node of this.nodes.values()) {
+            if (node.id === 'coordinator') continue;
+            // Without a heartbeat originator yet the node is listed unconnected under its ID
+            const id = node.gateway?.originator || node.id;
+            addNode(id, {
+                originator: node.gateway?.originator || null,
+                nodeId: node.id,
+                name: NodeInventory.label(node),
+                type: 'node',
+                address: node.address,
+                status: node.status,
+                lastSeen: node.lastSeen,
+                // Inventory metadata, for filtering the view
+                tags: node.tags || [],
+                group: node.group || null,
+                site: node.site || null,
+                position: node.position || null
+            });
+        }
+
+        // Directed halves keyed "reporter>neighbor", the best interface pair wins
+        const halves = new Map();
+        for (const [reporter, table] of tables) {
+            for (const neighbor of table.neighbors) {
+                const target = primary(neighbor.address);
+                if (target === reporter) continue;
+                const half = direction(neighbor, table.stations, table.source, table.at);
+                const key = `${reporter}>${target}`;
+                if (!halves.has(key) || (half.quality ?? -1) > (halves.get(key).quality ?? -1)) {
+                    halves.set(key, half);
+                }
+            }
+        }
+
+        const links = new Map();
+        for (const key of halves.keys()) {
+            const [a, b] = key.split('>');
+            const [source, target] = [a, b].sort();
+            const id = `${source}-${target}`;
+            if (links.has(id)) continue;
+
+            for (const mac of [source, target]) {
+                if (!nodeMap.has(mac)) {
+                    addNode(mac, { nodeId: null, name: mac, type: 'mesh-node', address: mac, status: 'discovered', lastSeen: null });
+                }
+            }
+            links.set(id, this.link(id, source, target, halves.get(`${source}>${target}`) || null,
+                halves.get(`${target}>${source}`) || null, tables));
+        }
+
+        // Published details from alfred
+        for (const visNode of meshView?.nodes || []) {
+            const node = nodeMap.get(visNode.originator);
+            const record = visNode.record;
+            if (!node || !record) continue;
+            Object.assign(node, {
+                hostname: record.hostname,
+                role: record.role,
+                version: record.version,
+                // A position set in the inventory wins over the node's NODE_POSITION
+                position: node.position || record.position || null
+            });
+            if (node.type === 'mesh-node' && record.hostname) {
+                node.name = record.hostname;
+            }
+        }
+        for (const node of nodeMap.values()) {
+            const table = tables.get(node.id);
+            node.reportedBy = table ? table.source : null;
+        }
+
+        const linkList = Array.from(links.values());
+        return {
+            nodes: Array.from(nodeMap.values()),
+            links: linkList,
+            metadata: {
+                generated: now,
+                coordinatorOriginator: ownOriginator,
+                nodeCount: nodeMap.size,
+                linkCount: linkList.length,
+                asymmetricLinks: linkList.filter(l => l.asymmetric).length,
+                weakLinks: linkList.filter(l => l.weak).length,
+                reportingNodes: tables.size,
+                algorithm: meshView ? meshView.algorithm : null
+            }
+        };
+    }
+
+    link(id, source, target, forward, reverse, tables) {
+        const qualities = [forward, reverse].filter(Boolean).map(half => half.quality).filter(q => typeof q === 'number');
+        const quality = qualities.length ? Math.min(...qualities) : null;
+        // The weaker direction decides how the link is drawn
+        const weaker = [forward, reverse].filter(Boolean).sort((x, y) => (x.quality ?? 1) - (y.quality ?? 1))[0];
+
+        let asymmetric = false;
+        if (forward && reverse) {
+            asymmetric = typeof forward.quality === 'number' && typeof reverse.quality === 'number' &&
+                Math.abs(forward.quality - reverse.quality) >= this.asymmetryThreshold;
+        } else {
+            // One side hears the other but not the other way round
+            asymmetric = tables.has(forward ? target : source);
+        }
+
+        const heard = [forward, reverse].filter(Boolean);
+        const lastSeen = heard.map(half => half.lastSeenMs).filter(ms => typeof ms === 'number');
+        return {
+            id,
+            source,
+            target,
+            type: heard.some(half => half.source !== 'alfred') ? 'direct' : 'vis',
+            quality: quality ?? 'unknown',
+            metric: weaker.metric,
+            tq: weaker.tq,
+            throughputMbps: weaker.throughputMbps,
+            forward: forward ? this.pick(forward) : null,
+            reverse: reverse ? this.pick(reverse) : null,
+            asymmetric,
+            weak: heard.some(half => half.station?.quality === 'poor'),
+            lastSeenMs: lastSeen.length ? Math.min(...lastSeen) : null
+        };
+    }
+
+    pick(half) {
+        return Object.fromEntries(DIRECTION_FIELDS.map(field => [field, half[field] ?? null]));
+    }
+
+    recordHistory(graph, now) {
+        const ids = new Set(graph.links.map(l => l.id));
+        for (const link of graph.links) {
+            const samples = this.history.get(link.id) || [];
+            samples.push({
+                at: now,
+                forward: link.forward ? link.forward.quality : null,
+                reverse: link.reverse ? link.reverse.quality : null
+            });
+            samples.splice(0, samples.length - this.historySize);
+            this.history.set(link.id, samples);
+        }
+        for (const id of this.history.keys()) {
+            if (!ids.has(id)) this.history.delete(id);
+        }
+    }
+
+    // Swap in the new graph and emit what changed since the last one
+    publish(graph) {
+        const previous = this.graph;
+        const delta = {
+            previousVersion: this.version,
+            nodes: this.diff(previous?.nodes || [], graph.nodes),
+            links: this.diff(previous?.links || [], graph.links)
+        };
+        const changed = [delta.nodes, delta.links].some(part => part.upsert.length || part.remove.length);
+
+        if (changed || !previous) {
+            this.version++;
+        }
+        graph.version = this.version;
+        graph.metadata.version = this.version;
+        this.graph = graph;
+
+        if (changed && previous) {
+            this.emit('change', { ...delta, version: this.version, metadata: graph.metadata });
+        }
+    }
+
+    // Entries that are new or differ, and ids that are gone
+    diff(before, after) {
+        const old = new Map(before.map(entry => [entry.id, fingerprint(entry)]));
+        const ids = new Set(after.map(entry => entry.id));
+        return {
+            upsert: after.filter(entry => old.get(entry.id) !== fingerprint(entry)),
+            remove: before.filter(entry => !ids.has(entry.id)).map(entry => entry.id)
+        };
+    }
+}
+
+TopologyBuilder.linkStation = linkStation;
+
+module.exports = TopologyBuilder;
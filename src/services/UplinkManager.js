@@ -0,0 +1,239 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const { getDefaultRunner } = require('../runner');
+const NetworkManager = require('./NetworkManager');
+
+const UPLINK_TYPES = ['ethernet', 'lte', 'wifi'];
+const PROBE_TYPES = ['ping', 'http'];
+const DOWN_ACTIONS = ['withdraw', 'lower'];
+
+// UPLINKS entries in order of preference, "name" or "name:type", e.g. "eth0,wwan0:lte,wlan0:wifi"
+function parseUplinks(value) {
+    return value.split(',').map(e => e.trim()).filter(Boolean).map((entry, priority) => {
+        const [name, type = 'ethernet'] = entry.split(':');
+        if (!UPLINK_TYPES.includes(type)) {
+            throw new Error(`Unknown uplink type "${type}" for ${name} (use ${UPLINK_TYPES.join(', ')})`);
+        }
+        return { name, type, priority };
+    });
+}
+
+// UPLINK_PROBES entries are "type:target", e.g. "ping:1.1.1.1,http:http://connectivitycheck.gstatic.com/generate_204"
+function parseProbes(value) {
+    return value.split(',').map(e => e.trim()).filter(Boolean).map(entry => {
+        const separator = entry.indexOf(':');
+        const type = separator > 0 ? entry.slice(0, separator) : '';
+        if (!PROBE_TYPES.includes(type)) {
+            throw new Error(`Invalid uplink probe "${entry}" (use ${PROBE_TYPES.map(t => `${t}:<target>`).join(', ')})`);
+        }
+        return { type, target: entry.slice(separator + 1) };
+    });
+}
+
+/**
+ * UplinkManager - Keeps the coordinator's internet uplink working
+ *
+ * Every uplink is probed through its own interface (ping -I, curl --interface),
+ * so backups are checked while they are idle; each needs a route of its own,
+ * which the interface's DHCP client normally installs. An uplink is healthy
+ * while any probe succeeds. It goes down after UPLINK_FAIL_THRESHOLD failed
+ * rounds and comes back after UPLINK_RECOVER_THRESHOLD good ones.
+ *
+ * The most preferred healthy uplink is active: it gets the default route
+ * (UPLINK_ROUTE_METRIC, below the DHCP routes) and the gateway NAT, and its
+ * UPLINK_BANDWIDTH is announced to batman-adv. With no healthy uplink the
+ * gateway announcement is withdrawn, or lowered to UPLINK_DOWN_BANDWIDTH, so
+ * clients move to other gateways. Changes are emitted as 'alert' events.
+ */
+class UplinkManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.runner = (options.runner || getDefaultRunner()).forSource('UplinkManager');
+        this.networkManager = options.networkManager;
+
+        const gateways = NetworkManager.parseInterfaceSettings(process.env.UPLINK_GATEWAY);
+        const bandwidths = NetworkManager.parseInterfaceSettings(process.env.UPLINK_BANDWIDTH);
+        this.uplinks = parseUplinks(process.env.UPLINKS || this.networkManager.uplinkInterface).map(uplink => ({
+            ...uplink,
+            gateway: gateways[uplink.name] || null,
+            bandwidth: bandwidths[uplink.name] || null,
+            // Assumed healthy until probes say otherwise, so a restart does not switch away first
+            healthy: true,
+            failures: 0,
+            successes: 0,
+            latencyMs: null,
+            lastError: null,
+            lastCheck: null
+        }));
+        this.probes = parseProbes(process.env.UPLINK_PROBES || 'ping:1.1.1.1,ping:8.8.8.8');
+        this.failThreshold = options.failThreshold ?? parseInt(process.env.UPLINK_FAIL_THRESHOLD || '3');
+        this.recoverThreshold = options.recoverThreshold ?? parseInt(process.env.UPLINK_RECOVER_THRESHOLD || '2');
+        this.probeTimeout = parseInt(process.env.UPLINK_PROBE_TIMEOUT || '3');
+        this.routeMetric = process.env.UPLINK_ROUTE_METRIC || '10';
+
+        this.downAction = (process.env.UPLINK_DOWN_ACTION || 'withdraw').toLowerCase();
+        if (!DOWN_ACTIONS.includes(this.downAction)) {
+            throw new Error(`Unknown UPLINK_DOWN_ACTION "${this.downAction}" (use ${DOWN_ACTIONS.join(', ')})`);
+        }
+        this.downBandwidth = process.env.UPLINK_DOWN_BANDWIDTH || '1mbit/512kbit';
+
+        this.active = null;
+        this.announcement = 'normal';
+        this.checking = false;
+    }
+
+    // Start out on the uplink the gateway NAT was set up for
+    initialize() {
+        this.active = this.uplinks.find(u => u.name === this.networkManager.uplinkInterface) || this.uplinks[0];
+        logger.info(`Monitoring uplinks ${this.uplinks.map(u => u.name).join(', ')}, ${this.active.name} active`);
+    }
+
+    async probe(uplink, probe) {
+        const timeout = (this.probeTimeout + 2) * 1000;
+
+        if (probe.type === 'ping') {
+            const output = await this.runner.run('ping', ['-c', '1', '-W', String(this.probeTimeout), '-I', uplink.name, probe.target], { quiet: true, timeout });
+            const time = output.match(/time=([\d.]+) ms/);
+            return time ? parseFloat(time[1]) : null;
+        }
+
+        const started = Date.now();
+        const status = await this.runner.run('curl', ['-s', '-o', '/dev/null', '-w', '%{http_code}', '--interface', uplink.name, '--max-time', String(this.probeTimeout), probe.target], { quiet: true, timeout });
+        if (!/^[23]\d\d$/.test(status.trim())) {
+            throw new Error(`HTTP ${status.trim() || 'no response'} from ${probe.target}`);
+        }
+        return Date.now() - started;
+    }
+
+    // Healthy as soon as one probe gets through
+    async probeUplink(uplink) {
+        let lastError = null;
+        for (const probe of this.probes) {
+            try {
+                const latencyMs = await this.probe(uplink, probe);
+                return { ok: true, latencyMs, error: null };
+            } catch (error) {
+                lastError = `${probe.type} ${probe.target}: ${error.message.split('\n')[0]}`;
+            }
+        }
+        return { ok: false, latencyMs: null, error: lastError };
+    }
+
+    async check() {
+        if (this.checking) return this.getStatus();
+        this.checking = true;
+
+        try {
+            if (!this.active) this.initialize();
+
+            for (const uplink of this.uplinks) {
+                const result = await this.probeUplink(uplink);
+                uplink.lastCheck = new Date();
+                uplink.latencyMs = result.latencyMs;
+                uplink.lastError = result.error;
+
+                if (result.ok) {
+                    uplink.failures = 0;
+                    uplink.successes++;
+                    if (!uplink.healthy && uplink.successes >= this.recoverThreshold) {
+                        uplink.healthy = true;
+                        this.alert('info', uplink, `Uplink ${uplink.name} (${uplink.type}) recovered`);
+                    }
+                } else {
+                    uplink.successes = 0;
+                    uplink.failures++;
+                    if (uplink.healthy && uplink.failures >= this.failThreshold) {
+                        uplink.healthy = false;
+                        this.alert('warning', uplink, `Uplink ${uplink.name} (${uplink.type}) is down: ${result.error}`);
+                    }
+                }
+            }
+
+            await this.selectUplink();
+            return this.getStatus();
+
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    async selectUplink() {
+        const best = this.uplinks.find(u => u.healthy);
+
+        if (!best) {
+            if (this.announcement === 'normal') {
+                await this.degradeAnnouncement();
+            }
+            return;
+        }
+
+        if (best !== this.active) {
+            const previous = this.active;
+            await this.switchTo(best);
+            this.alert('warning', best, `Switched uplink from ${previous.name} to ${best.name} (${best.type})`);
+        } else if (this.announcement !== 'normal') {
+            await this.announce(best);
+            this.alert('info', best, `Gateway announcement restored on ${best.name}`);
+        }
+    }
+
+    async switchTo(uplink) {
+        const gateway = uplink.gateway || await this.discoverGateway(uplink);
+        const route = gateway ? ['via', gateway, 'dev', uplink.name] : ['dev', uplink.name];
+        await this.runner.run('ip', ['route', 'replace', 'default', ...route, 'metric', this.routeMetric]);
+
+        await this.networkManager.switchUplink(uplink.name);
+        this.active = uplink;
+        await this.announce(uplink);
+        logger.info(`Active uplink is now ${uplink.name}${gateway ? ` via ${gateway}` : ''}`);
+    }
+
+    // The gateway the interface's DHCP client (or static config) put on its own default route
+    async discoverGateway(uplink) {
+        const output = await this.runner.run('ip', ['-4', 'route', 'show', 'default', 'dev', uplink.name], { ignoreErrors: true, quiet: true });
+        const via = output.match(/via (\d+\.\d+\.\d+\.\d+)/);
+        if (!via) {
+            logger.warn(`No default gateway known for ${uplink.name}, routing directly through the interface`);
+        }
+        return via ? via[1] : null;
+    }
+
+    async announce(uplink) {
+        if (await this.networkManager.setGatewayAnnouncement(uplink.bandwidth || this.networkManager.gateway.bandwidth)) {
+            this.announcement = 'normal';
+        }
+    }
+
+    async degradeAnnouncement() {
+        const lowered = this.downAction === 'lower';
+        if (!await this.networkManager.setGatewayAnnouncement(lowered ? this.downBandwidth : null)) {
+            return;
+        }
+        this.announcement = lowered ? 'lowered' : 'withdrawn';
+        this.alert('critical', null, lowered
+            ? `No working uplink, gateway bandwidth lowered to ${this.downBandwidth}`
+            : 'No working uplink, gateway announcement withdrawn');
+    }
+
+    alert(level, uplink, message) {
+        logger[level === 'info' ? 'info' : 'warn'](message);
+        this.emit('alert', { type: 'uplink', level, uplink: uplink ? uplink.name : null, message });
+    }
+
+    getStatus() {
+        return {
+            active: this.active ? this.active.name : null,
+            announcement: this.announcement,
+            probes: this.probes,
+            uplinks: this.uplinks.map(({ failures, successes, ...uplink }) => ({
+                ...uplink,
+                active: uplink.name === (this.active && this.active.name)
+            }))
+        };
+    }
+}
+
+UplinkManager.parseUplinks = parseUplinks;
+UplinkManager.parseProbes = parseProbes;
+
+module.exports = UplinkManager;
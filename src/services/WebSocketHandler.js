@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const AuthManager = require('./AuthManager');
 
 class WebSocketHandler {
     constructor(io) {
@@ -14,10 +15,17 @@ class WebSocketHandler {
     }
 
     setupSocketHandlers() {
+        // Reject handshakes without a valid session cookie or API token
+        if (this.services.authManager) {
+            this.io.use(this.services.authManager.socketMiddleware());
+        }
+
         this.io.on('connection', (socket) => {
-            logger.info(`Client connected: ${socket.id}`);
+            const user = socket.data.user;
+            logger.info(`Client connected: ${socket.id}${user ? ` (${user.username}, ${user.role})` : ''}`);
             this.clients.set(socket.id, {
                 socket: socket,
+                user: user,
                 connectedAt: new Date(),
                 lastActivity: new Date()
             });
@@ -122,7 +130,18 @@ class WebSocketHandler {
                     return;
                 }
 
-                const result = await this.handleNodeAction(nodeId, action);
+                if (!this.isAuthorized(socket, 'operator')) {
+                    logger.security(`Node action ${action} on ${nodeId} denied for ${socket.data.user?.username || socket.id}`);
+                    socket.emit('node-action-result', {
+                        nodeId,
+                        action,
+                        success: false,
+                        error: 'Insufficient permissions'
+                    });
+                    return;
+                }
+
+                const result = await this.handleNodeAction(nodeId, action, socket.data.user);
                 socket.emit('node-action-result', {
                     nodeId,
                     action,
@@ -207,177 +226,16 @@ class WebSocketHandler {
         };
     }
 
+    // Whole-mesh graph, see TopologyBuilder; changes follow as 'topology-delta' events
     async getNetworkTopology() {
         try {
-            const batmanStatus = await this.services.networkManager.getBatmanStatus();
-            const nodes = Array.from(this.services.nodes.values());
-            
-            // Create a map of all known nodes from batman routes and registered nodes
-            const nodeMap = new Map();
-            
-            // Add registered nodes
-            nodes.forEach(node => {
-                nodeMap.set(node.address, {
-                    id: node.address, // Use address as ID for consistency
-                    address: node.address,
-                    status: node.status,
-                    lastSeen: node.lastSeen,
-                    type: node.id === 'coordinator' ? 'coordinator' : 'node',
-                    source: 'registered',
-                    name: node.name || node.id || node.address // Preserve original name/id as display name
-                });
-            });
-            
-            // Add coordinator
-            const coordinatorAddress = process.env.MASTER_IP || '192.168.100.1';
-            nodeMap.set(coordinatorAddress, {
-                id: coordinatorAddress, // Use address as ID for consistency with links
-                address: coordinatorAddress,
-                status: 'online',
-                lastSeen: new Date(),
-                type: 'coordinator',
-                source: 'coordinator',
-                name: 'Coordinator' // Add a friendly name
-            });
-            
-            // Add nodes discovered from batman routes/originators
-            if (batmanStatus.routes) {
-                batmanStatus.routes.forEach(route => {
-                    // Add originator node if not already known
-                    if (!nodeMap.has(route.originator)) {
-                        nodeMap.set(route.originator, {
-                            id: route.originator,
-                            address: route.originator,
-                            status: 'discovered',
-                            lastSeen: route.lastSeen,
-                            type: 'mesh-node',
-                            source: 'batman-routes',
-                            quality: route.quality
-                        });
-                    }
-                    
-                    // Add next hop node if different from originator
-                    if (route.nextHop && route.nextHop !== route.originator && !nodeMap.has(route.nextHop)) {
-                        nodeMap.set(route.nextHop, {
-                            id: route.nextHop,
-                            address: route.nextHop,
-                            status: 'discovered',
-                            lastSeen: route.lastSeen,
-                            type: 'mesh-node',
-                            source: 'batman-nexthop',
-                            quality: route.quality
-                        });
-                    }
-                });
-            }
-            
-            // Add nodes from batman neighbors
-            if (batmanStatus.neighbors) {
-                batmanStatus.neighbors.forEach(neighbor => {
-                    if (!nodeMap.has(neighbor.address)) {
-                        nodeMap.set(neighbor.address, {
-                            id: neighbor.address,
-                            address: neighbor.address,
-                            status: 'online',
-                            lastSeen: neighbor.lastSeen,
-                            type: 'mesh-node',
-                            source: 'batman-neighbor'
-                        });
-                    }
-                });
-            }
-            
-            // Create links showing actual batman mesh topology
-            const links = [];
-            const linkMap = new Map(); // To avoid duplicate links
-            
-            // Add direct neighbor links (these are direct wireless connections)
-            if (batmanStatus.neighbors) {
-                batmanStatus.neighbors.forEach(neighbor => {
-                    const linkId = `${coordinatorAddress}-${neighbor.address}`;
-                    if (!linkMap.has(linkId)) {
-                        links.push({
-                            source: coordinatorAddress,
-                            target: neighbor.address,
-                            type: 'direct',
-                            quality: neighbor.quality || 'unknown',
-                            lastSeen: neighbor.lastSeen,
-                            interface: neighbor.interface,
-                            linkId: linkId
-                        });
-                        linkMap.set(linkId, true);
-                    }
-                });
-            }
-            
-            // Add multi-hop routing links from batman routes
-            if (batmanStatus.routes) {
-                batmanStatus.routes.forEach(route => {
-                    // Only add links where nextHop differs from originator (indicating multi-hop)
-                    if (route.nextHop && route.nextHop !== route.originator) {
-                        const linkId = `${route.nextHop}-${route.originator}`;
-                        const reverseLinkId = `${route.originator}-${route.nextHop}`;
-                        
-                        // Avoid duplicate links (check both directions)
-                        if (!linkMap.has(linkId) && !linkMap.has(reverseLinkId)) {
-                            links.push({
-                                source: route.nextHop,
-                                target: route.originator,
-                                type: 'multi-hop',
-                                quality: route.quality,
-                                lastSeen: route.lastSeen,
-                                interface: route.interface,
-                                isBestPath: route.isBestPath || false,
-                                linkId: linkId
-                            });
-                            linkMap.set(linkId, true);
-                        }
-                    }
-                });
-            }
-            
-            // Create topology data structure
-            const topology = {
-                nodes: Array.from(nodeMap.values()),
-                links: links,
-                batman: {
-                    neighbors: batmanStatus.neighbors || [],
-                    routes: batmanStatus.routes || [],
-                    neighborCount: batmanStatus.neighborCount || 0,
-                    routeCount: batmanStatus.routeCount || 0
-                },
-                metadata: {
-                    generated: new Date(),
-                    nodeCount: nodeMap.size,
-                    linkCount: links.length,
-                    directLinks: links.filter(l => l.type === 'direct').length,
-                    multiHopLinks: links.filter(l => l.type === 'multi-hop').length,
-                    coordinatorAddress: coordinatorAddress,
-                    registeredNodes: nodes.length,
-                    discoveredNodes: Array.from(nodeMap.values()).filter(n => n.source !== 'registered').length
-                }
-            };
-
-            // Log topology for debugging
-            logger.debug('Generated topology:', {
-                nodeCount: topology.nodes.length,
-                linkCount: topology.links.length,
-                coordinatorAddress,
-                nodeIds: topology.nodes.map(n => n.id),
-                linkSources: topology.links.map(l => l.source),
-                linkTargets: topology.links.map(l => l.target)
-            });
-
-            console.log(topology);
-
-            return topology;
-
+            return await this.services.topologyBuilder.getGraph();
         } catch (error) {
             logger.error('Error getting network topology:', error);
             return {
                 nodes: [],
                 links: [],
-                batman: { neighbors: [], routes: [] },
+                version: null,
                 metadata: {
                     generated: new Date(),
                     error: error.message
@@ -386,7 +244,7 @@ class WebSocketHandler {
         }
     }
 
-    async handleNodeAction(nodeId, action) {
+    async handleNodeAction(nodeId, action, user) {
         const node = this.services.nodes.get(nodeId);
         if (!node) {
             throw new Error(`Node ${nodeId} not found`);
@@ -397,20 +255,25 @@ class WebSocketHandler {
                 return await this.services.networkManager.pingNode(node.address);
                 
             case 'restart':
-                // This would require a way to communicate with nodes
-                logger.info(`Restart request for node ${nodeId}`);
-                return { message: 'Restart signal sent' };
+            case 'run_diagnostics': {
+                const command = this.services.commandQueue.enqueue(nodeId, action, {
+                    requestedBy: user?.username
+                });
+                this.services.nodeChannel?.deliverPending(nodeId);
+                this.broadcastCommandUpdate(command);
+                return { message: `Command ${action} queued`, commandId: command.id };
+            }
                 
             case 'disconnect':
                 // Temporarily block the node
                 await this.services.securityManager.blockNode(node.address);
-                node.status = 'blocked';
+                this.services.nodes.upsert(nodeId, { status: 'blocked' });
                 return { message: 'Node disconnected' };
                 
             case 'reconnect':
                 // Unblock the node
                 await this.services.securityManager.unblockNode(node.address);
-                node.status = 'online';
+                this.services.nodes.upsert(nodeId, { status: 'online' });
                 return { message: 'Node reconnected' };
                 
             default:
@@ -418,6 +281,12 @@ class WebSocketHandler {
         }
     }
 
+    isAuthorized(socket, role) {
+        // Without an auth manager every socket is trusted (e.g. tests)
+        if (!this.services.authManager) return true;
+        return AuthManager.hasRole(socket.data.user, role);
+    }
+
     updateClientActivity(socketId) {
         const client = this.clients.get(socketId);
         if (client) {
@@ -430,6 +299,38 @@ class WebSocketHandler {
         this.io.emit('nodes-update', nodes);
     }
 
+    broadcastCommandUpdate(command) {
+        this.io.emit('command-update', command);
+    }
+
+    broadcastEnrollmentUpdate(enrollments) {
+        this.io.emit('enrollment-update', enrollments);
+    }
+
+    broadcastChannelStatus(status) {
+        this.io.emit('channel-update', status);
+    }
+
+    broadcastGateways(overview) {
+        this.io.emit('gateways-update', overview);
+    }
+
+    broadcastDiagnostic(entry) {
+        this.io.emit('diagnostics-update', entry);
+    }
+
+    broadcastTopologyDelta(delta) {
+        this.io.emit('topology-delta', delta);
+    }
+
+    broadcastClients(clients) {
+        this.io.emit('clients-update', clients);
+    }
+
+    broadcastClientRoam(move) {
+        this.io.emit('client-roam', move);
+    }
+
     broadcastStats(stats) {
         this.io.emit('stats-update', stats);
         
@@ -493,6 +394,8 @@ class WebSocketHandler {
     getClientInfo() {
         const clients = Array.from(this.clients.values()).map(client => ({
             id: client.socket.id,
+            user: client.user ? client.user.username : null,
+            role: client.user ? client.user.role : null,
             connectedAt: client.connectedAt,
             lastActivity: client.lastActivity,
             rooms: Array.from(client.socket.rooms)
@@ -0,0 +1,426 @@
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/JsonFileStore');
+const { getDefaultRunner } = require('../runner');
+const { parseInterfaceSettings } = require('./NetworkManager');
+
+const NM_CONF_PATH = '/etc/NetworkManager/conf.d/99-ignore-mesh.conf';
+const CHANNEL_WIDTHS = ['NOHT', 'HT20', 'HT40+', 'HT40-', '5MHz', '10MHz', '80MHz', '160MHz'];
+// `iw X info` type -> `iw X set type` argument, for restoring the original mode
+const IW_TYPES = { managed: 'managed', IBSS: 'ibss', 'mesh point': 'mp', monitor: 'monitor' };
+
+// Classify join failures by the kernel error iw reports
+function joinErrorKind(error) {
+    const message = `${error.message} ${error.stderr || ''}`;
+    if (/\(-114\)|already in progress/i.test(message)) return 'busy';
+    if (/\(-110\)|timed out/i.test(message)) return 'timeout';
+    return 'other';
+}
+
+/**
+ * WirelessManager - Takes mesh hard interfaces over from the host and gives them back
+ *
+ * Used by both the coordinator and mesh nodes. configureAll() releases every
+ * hard interface from NetworkManager, systemd-networkd, dhcpcd and foreign
+ * wpa_supplicant instances, applies the regulatory domain, channel width and
+ * TX power, and joins the mesh through NetworkManager.joinMesh() with the
+ * -114/-110 recoveries from the README troubleshooting section. The original
+ * state of each interface is recorded first and restored by stop().
+ *
+ * Coordinated channel changes (scheduleSwitch) are remembered in
+ * mesh-channel.json and take precedence over MESH_FREQUENCY on the next start,
+ * so a restarted node comes back on the channel the mesh moved to.
+ */
+class WirelessManager {
+    constructor(options = {}) {
+        this.runner = (options.runner || getDefaultRunner()).forSource('WirelessManager');
+        this.networkManager = options.networkManager;
+
+        this.country = (process.env.WIRELESS_COUNTRY || '').toUpperCase() || null;
+        this.channelWidths = parseInterfaceSettings(process.env.MESH_CHANNEL_WIDTH);
+        this.txPowers = parseInterfaceSettings(process.env.MESH_TXPOWER);
+        this.joinAttempts = options.joinAttempts ?? parseInt(process.env.WIRELESS_JOIN_RETRIES || '3');
+        this.reloadDriver = process.env.WIRELESS_RELOAD_DRIVER === 'true';
+        this.settleDelay = options.settleDelay ?? 1000;
+        this.joinDelay = options.joinDelay ?? 5000;
+        this.channelStore = options.channelStore || new JsonFileStore(process.env.MESH_CHANNEL_FILE || 'mesh-channel.json', {});
+        this.pendingSwitch = null;
+
+        for (const width of Object.values(this.channelWidths)) {
+            if (!CHANNEL_WIDTHS.includes(width)) {
+                throw new Error(`Unknown channel width "${width}" (use ${CHANNEL_WIDTHS.join(', ')})`);
+            }
+        }
+
+        // Original state, captured before the first change
+        this.originalStates = new Map();
+        this.originalCountry = undefined;
+        this.originalNmConf = undefined;
+        this.unmanaged = new Set();
+    }
+
+    async delay(ms) {
+        if (this.runner.dryRun || ms <= 0) return;
+        await new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    getChannelWidth(name) {
+        return this.channelWidths[name] || this.channelWidths['*'] || null;
+    }
+
+    getTxPower(name) {
+        const value = this.txPowers[name] || this.txPowers['*'];
+        return value ? parseFloat(value) : null;
+    }
+
+    // Configure every hard interface; only fails when none of them could be configured
+    async configureAll() {
+        const hardInterfaces = this.networkManager.hardInterfaces;
+        const failed = [];
+
+        if (hardInterfaces.some(h => h.type === 'wireless')) {
+            await this.loadChannelOverrides();
+            await this.setRegulatoryDomain();
+        }
+
+        for (const hardInterface of hardInterfaces) {
+            try {
+                await this.configure(hardInterface);
+            } catch (error) {
+                failed.push(hardInterface.name);
+            }
+        }
+
+        // One broken radio should not take the whole mesh down
+        if (failed.length === hardInterfaces.length) {
+            throw new Error(`Failed to configure mesh interfaces: ${failed.join(', ')}`);
+        }
+        if (failed.length > 0) {
+            logger.warn(`Continuing without mesh interfaces: ${failed.join(', ')}`);
+        }
+    }
+
+    // Radios join in IBSS or 802.11s mesh point mode; wired backhaul only needs to be up
+    async configure(hardInterface) {
+        const { name, mode } = hardInterface;
+        logger.info(`Configuring ${name} for ${mode} mode...`);
+
+        try {
+            await this.captureState(hardInterface);
+            await this.unmanage(hardInterface);
+            await this.join(hardInterface);
+
+            if (hardInterface.type === 'wireless') {
+                await this.applyTxPower(hardInterface);
+                logger.info(`Waiting for ${mode} network on ${name} to stabilize...`);
+                await this.delay(this.joinDelay);
+            }
+
+            // Verify the interface actually joined in its mode
+            try {
+                await this.networkManager.verifyMeshInterface(hardInterface);
+            } catch (error) {
+                logger.warn(`Could not verify mesh interface ${name}:`, error.message);
+            }
+
+            logger.info(`Mesh interface ${name} configured for ${mode} mode`);
+
+        } catch (error) {
+            logger.error(`Failed to configure mesh interface ${name}:`, error);
+            throw error;
+        }
+    }
+
+    async loadChannelOverrides() {
+        const saved = await this.channelStore.load() || {};
+
+        for (const hardInterface of this.networkManager.hardInterfaces) {
+            const frequency = saved[hardInterface.name];
+            if (hardInterface.type !== 'wireless' || !frequency || String(frequency) === String(hardInterface.frequency)) continue;
+
+            logger.info(`Using ${frequency} MHz on ${hardInterface.name} from the last channel change (configured: ${hardInterface.frequency || 'none'})`);
+            hardInterface.frequency = String(frequency);
+        }
+    }
+
+    // Move every radio on fromFrequency to frequency at switchAt; resolves once they have moved
+    scheduleSwitch({ fromFrequency, frequency, switchAt }) {
+        if (this.pendingSwitch) {
+            throw new Error(`A channel change to ${this.pendingSwitch.frequency} MHz is already scheduled`);
+        }
+
+        const radios = this.networkManager.hardInterfaces.filter(h =>
+            h.type === 'wireless' && String(h.frequency) === String(fromFrequency));
+        if (radios.length === 0) {
+            throw new Error(`No mesh radio on ${fromFrequency} MHz`);
+        }
+
+        const delay = Math.max(0, new Date(switchAt).getTime() - Date.now());
+        logger.info(`Channel change of ${radios.map(r => r.name).join(', ')} to ${frequency} MHz in ${Math.round(delay / 1000)}s`);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(async () => {
+                this.pendingSwitch = null;
+                try {
+                    for (const radio of radios) {
+                        await this.switchFrequency(radio, frequency);
+                    }
+                    resolve({ interfaces: radios.map(r => r.name), frequency: parseInt(frequency) });
+                } catch (error) {
+                    reject(error);
+                }
+            }, delay);
+
+            this.pendingSwitch = {
+                fromFrequency: parseInt(fromFrequency),
+                frequency: parseInt(frequency),
+                switchAt: new Date(switchAt),
+                interfaces: radios.map(r => r.name),
+                timer,
+                reject
+            };
+        });
+    }
+
+    cancelSwitch() {
+        if (!this.pendingSwitch) return false;
+
+        clearTimeout(this.pendingSwitch.timer);
+        this.pendingSwitch.reject(new Error('Channel change cancelled'));
+        this.pendingSwitch = null;
+        return true;
+    }
+
+    getPendingSwitch() {
+        if (!this.pendingSwitch) return null;
+        const { timer, reject, ...pending } = this.pendingSwitch;
+        return pending;
+    }
+
+    async switchFrequency(hardInterface, frequency) {
+        logger.info(`Switching ${hardInterface.name} from ${hardInterface.frequency} to ${frequency} MHz`);
+        hardInterface.frequency = String(frequency);
+
+        await this.networkManager.leaveMesh(hardInterface);
+        await this.join(hardInterface);
+        await this.applyTxPower(hardInterface);
+
+        const saved = await this.channelStore.load() || {};
+        saved[hardInterface.name] = parseInt(frequency);
+        await this.channelStore.save(saved);
+    }
+
+    async captureState(hardInterface) {
+        const { name, type } = hardInterface;
+        if (this.originalStates.has(name)) return;
+
+        const link = await this.runner.run('ip', ['-o', 'link', 'show', name], { ignoreErrors: true, quiet: true });
+        const addresses = await this.runner.run('ip', ['-o', '-4', 'addr', 'show', 'dev', name], { ignoreErrors: true, quiet: true });
+        const state = {
+            up: /<[^>]*\bUP\b[^>]*>/.test(link),
+            addresses: Array.from(addresses.matchAll(/inet (\S+)/g), match => match[1]),
+            iwType: null,
+            wpaServiceEnabled: false,
+            networkdConfig: null
+        };
+
+        if (type === 'wireless') {
+            const info = await this.runner.run('iw', [name, 'info'], { ignoreErrors: true, quiet: true });
+            state.iwType = (info.match(/^\s*type (.+)$/m) || [])[1] || null;
+            const enabled = await this.runner.run('systemctl', ['is-enabled', `wpa_supplicant@${name}`], { ignoreErrors: true, quiet: true });
+            state.wpaServiceEnabled = enabled === 'enabled';
+        }
+
+        try {
+            state.networkdConfig = await this.runner.readFile(`/etc/systemd/network/10-${name}.network`);
+        } catch (error) {
+            // No systemd-networkd config for this interface
+        }
+
+        this.originalStates.set(name, state);
+    }
+
+    // Release the interface from every other network manager on the host (other interfaces unaffected)
+    async unmanage(hardInterface) {
+        const { name, type } = hardInterface;
+        logger.info(`Unmanaging interface ${name} from all network managers...`);
+
+        if (type === 'wireless') {
+            // Leave whatever network the radio is on
+            await this.runner.run('iw', [name, 'disconnect'], { ignoreErrors: true, quiet: true });
+            await this.runner.run('iw', [name, 'ibss', 'leave'], { ignoreErrors: true, quiet: true });
+            await this.runner.run('iw', [name, 'mesh', 'leave'], { ignoreErrors: true, quiet: true });
+
+            // Interface-specific wpa_supplicant only: the service unit, then any other
+            // instance through its control socket. Ours is restarted by joinMesh().
+            await this.networkManager.wpaSupplicant.stop(name);
+            await this.runner.run('systemctl', ['disable', '--now', `wpa_supplicant@${name}`], { ignoreErrors: true, quiet: true });
+            await this.runner.run('wpa_cli', ['-i', name, 'terminate'], { ignoreErrors: true, quiet: true });
+        }
+
+        await this.runner.run('ip', ['addr', 'flush', 'dev', name], { ignoreErrors: true });
+
+        // One NetworkManager rule for all mesh interfaces
+        this.unmanaged.add(name);
+        await this.writeNmConf();
+
+        const networkdConfig = `/etc/systemd/network/10-${name}.network`;
+        if (this.originalStates.get(name)?.networkdConfig != null) {
+            await this.runner.run('rm', ['-f', networkdConfig], { ignoreErrors: true });
+            await this.runner.run('systemctl', ['reload', 'systemd-networkd'], { ignoreErrors: true, quiet: true });
+        }
+
+        // Release the lease without stopping dhcpcd for other interfaces
+        await this.runner.run('dhcpcd', ['-k', name], { ignoreErrors: true, quiet: true });
+
+        await this.runner.run('ip', ['link', 'set', name, 'down'], { ignoreErrors: true });
+        await this.delay(this.settleDelay);
+    }
+
+    async writeNmConf() {
+        if (this.originalNmConf === undefined) {
+            try {
+                this.originalNmConf = await this.runner.readFile(NM_CONF_PATH);
+            } catch (error) {
+                this.originalNmConf = null;
+            }
+        }
+
+        const devices = Array.from(this.unmanaged).map(name => `interface-name:${name}`).join(';');
+        await this.runner.writeFile(NM_CONF_PATH, `[keyfile]\nunmanaged-devices=${devices}\n`, { ignoreErrors: true });
+        await this.runner.run('systemctl', ['reload', 'NetworkManager'], { ignoreErrors: true, quiet: true });
+    }
+
+    async setRegulatoryDomain() {
+        if (!this.country) return;
+
+        if (this.originalCountry === undefined) {
+            const reg = await this.runner.run('iw', ['reg', 'get'], { ignoreErrors: true, quiet: true });
+            this.originalCountry = (reg.match(/country (\w{2}):/) || [])[1] || null;
+        }
+        if (this.originalCountry === this.country) return;
+
+        logger.info(`Setting wireless regulatory domain to ${this.country}`);
+        await this.runner.run('iw', ['reg', 'set', this.country], { ignoreErrors: true });
+    }
+
+    async applyTxPower(hardInterface) {
+        const txPower = this.getTxPower(hardInterface.name);
+        if (txPower === null) return;
+
+        // iw takes mBm
+        await this.runner.run('iw', ['dev', hardInterface.name, 'set', 'txpower', 'fixed', String(Math.round(txPower * 100))], { ignoreErrors: true });
+    }
+
+    // Join with retries; -114 and -110 get the recoveries from the README
+    async join(hardInterface) {
+        const options = { channelWidth: this.getChannelWidth(hardInterface.name) };
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await this.networkManager.joinMesh(hardInterface, options);
+                return;
+            } catch (error) {
+                if (hardInterface.type !== 'wireless' || attempt >= this.joinAttempts) {
+                    throw error;
+                }
+
+                const kind = joinErrorKind(error);
+                logger.warn(`Joining the mesh on ${hardInterface.name} failed (${kind}), attempt ${attempt}/${this.joinAttempts}`);
+                await this.recover(hardInterface, kind);
+                await this.delay(this.settleDelay * attempt);
+            }
+        }
+    }
+
+    async recover(hardInterface, kind) {
+        const { name } = hardInterface;
+
+        // Operation already in progress: the radio is stuck in a previous network
+        if (kind === 'busy') {
+            await this.runner.run('iw', [name, 'disconnect'], { ignoreErrors: true, quiet: true });
+            await this.runner.run('iw', [name, hardInterface.mode === 'mesh-point' ? 'mesh' : 'ibss', 'leave'], { ignoreErrors: true, quiet: true });
+            await this.runner.run('wpa_cli', ['-i', name, 'terminate'], { ignoreErrors: true, quiet: true });
+        }
+
+        // Connection timed out: usually the driver; reloading it affects every radio it drives
+        if (kind === 'timeout' && this.reloadDriver) {
+            const driver = await this.getDriver(name);
+            if (driver) {
+                logger.warn(`Reloading wireless driver ${driver} for ${name}`);
+                await this.runner.run('modprobe', ['-r', driver], { ignoreErrors: true });
+                await this.runner.run('modprobe', [driver], { ignoreErrors: true });
+                await this.delay(this.settleDelay * 3);
+            }
+        }
+
+        await this.runner.run('ip', ['link', 'set', name, 'down'], { ignoreErrors: true });
+        await this.runner.run('rfkill', ['unblock', 'wifi'], { ignoreErrors: true, quiet: true });
+    }
+
+    async getDriver(name) {
+        const driverPath = await this.runner.run('readlink', ['-f', `/sys/class/net/${name}/device/driver`], { ignoreErrors: true, quiet: true });
+        return driverPath ? driverPath.split('/').pop() : null;
+    }
+
+    // Hand every interface back in the state it was found in
+    async stop() {
+        this.cancelSwitch();
+
+        for (const [name, state] of Array.from(this.originalStates.entries()).reverse()) {
+            try {
+                await this.restore(name, state);
+            } catch (error) {
+                logger.warn(`Failed to restore ${name}:`, error.message);
+            }
+        }
+        this.originalStates.clear();
+
+        if (this.unmanaged.size > 0) {
+            if (this.originalNmConf) {
+                await this.runner.writeFile(NM_CONF_PATH, this.originalNmConf, { ignoreErrors: true });
+            } else {
+                await this.runner.run('rm', ['-f', NM_CONF_PATH], { ignoreErrors: true });
+            }
+            await this.runner.run('systemctl', ['reload', 'NetworkManager'], { ignoreErrors: true, quiet: true });
+            this.unmanaged.clear();
+        }
+
+        if (this.country && this.originalCountry && this.originalCountry !== this.country) {
+            await this.runner.run('iw', ['reg', 'set', this.originalCountry], { ignoreErrors: true });
+        }
+    }
+
+    async restore(name, state) {
+        logger.info(`Restoring original configuration of ${name}`);
+        await this.networkManager.wpaSupplicant.stop(name);
+        await this.runner.run('ip', ['link', 'set', name, 'down'], { ignoreErrors: true });
+
+        if (state.iwType && IW_TYPES[state.iwType]) {
+            await this.runner.run('iw', [name, 'set', 'type', IW_TYPES[state.iwType]], { ignoreErrors: true });
+        }
+        if (this.getTxPower(name) !== null) {
+            await this.runner.run('iw', ['dev', name, 'set', 'txpower', 'auto'], { ignoreErrors: true });
+        }
+
+        await this.runner.run('ip', ['addr', 'flush', 'dev', name], { ignoreErrors: true });
+        for (const address of state.addresses) {
+            await this.runner.run('ip', ['addr', 'add', address, 'dev', name], { ignoreErrors: true });
+        }
+        if (state.up) {
+            await this.runner.run('ip', ['link', 'set', name, 'up'], { ignoreErrors: true });
+        }
+
+        if (state.networkdConfig != null) {
+            await this.runner.writeFile(`/etc/systemd/network/10-${name}.network`, state.networkdConfig, { ignoreErrors: true });
+            await this.runner.run('systemctl', ['reload', 'systemd-networkd'], { ignoreErrors: true, quiet: true });
+        }
+        if (state.wpaServiceEnabled) {
+            await this.runner.run('systemctl', ['enable', '--now', `wpa_supplicant@${name}`], { ignoreErrors: true });
+        }
+    }
+}
+
+WirelessManager.CHANNEL_WIDTHS = CHANNEL_WIDTHS;
+WirelessManager.joinErrorKind = joinErrorKind;
+
+module.exports = WirelessManager;
@@ -0,0 +1,115 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const { getDefaultRunner, SupervisedProcess } = require('../runner');
+const MeshKeyRing = require('./MeshKeyRing');
+
+// 802.11s SAE for mesh point radios, IBSS RSN (WPA2-PSK) for ad-hoc radios
+function buildConfig(hardInterface, passphrase, ssid) {
+    // The passphrase goes in quoted, a quote in it would end the string and start new directives
+    MeshKeyRing.validatePassphrase(passphrase);
+
+    // Unquoted hex SSIDs take any name, MESH_SSID is not validated
+    const network = [`    ssid=${Buffer.from(ssid, 'utf8').toString('hex')}`];
+    if (hardInterface.frequency) {
+        network.push(`    frequency=${hardInterface.frequency}`);
+    }
+
+    if (hardInterface.mode === 'mesh-point') {
+        network.push('    mode=5', '    key_mgmt=SAE');
+    } else {
+        network.push('    mode=1', '    proto=RSN', '    key_mgmt=WPA-PSK', '    pairwise=CCMP', '    group=CCMP');
+    }
+    network.push(`    psk="${passphrase}"`);
+
+    return [
+        'ctrl_interface=DIR=/var/run/wpa_supplicant',
+        'update_config=0',
+        // IBSS RSN needs wpa_supplicant to create the cell itself
+        ...(hardInterface.mode === 'ibss' ? ['ap_scan=2'] : []),
+        '',
+        'network={',
+        ...network,
+        '}',
+        ''
+    ].join('\n');
+}
+
+/**
+ * WpaSupplicant - One supervised wpa_supplicant per encrypted mesh radio
+ *
+ * Generates the configuration for the radio's link-layer mode, starts
+ * wpa_supplicant and restarts it with exponential backoff when it exits.
+ * Switching keys rewrites the configuration and restarts the process, which
+ * drops the radio's links for a moment while it rejoins.
+ */
+class WpaSupplicant {
+    constructor(options = {}) {
+        this.runner = (options.runner || getDefaultRunner()).forSource('WpaSupplicant');
+        this.binary = process.env.WPA_SUPPLICANT || 'wpa_supplicant';
+        this.driver = process.env.WPA_SUPPLICANT_DRIVER || 'nl80211';
+        this.configDir = options.configDir || process.env.WPA_SUPPLICANT_CONFIG_DIR || '/etc/wpa_supplicant';
+        this.minRestartDelay = options.minRestartDelay ?? 1000;
+        this.maxRestartDelay = options.maxRestartDelay ?? 60000;
+        this.instances = new Map();
+    }
+
+    configPath(name) {
+        return path.join(this.configDir, `batman-${name}.conf`);
+    }
+
+    // (Re)start wpa_supplicant on a radio with the given key
+    async start(hardInterface, key, options = {}) {
+        const name = hardInterface.name;
+        await this.stop(name);
+
+        const ssid = process.env.MESH_SSID || 'batman-mesh';
+        await this.runner.writeFile(this.configPath(name), buildConfig(hardInterface, key.passphrase, ssid), { mode: 0o600, sensitive: true });
+
+        const instance = {
+            hardInterface,
+            keyId: key.id,
+            fallback: options.fallback || false,
+            keySince: Date.now(),
+            supervised: new SupervisedProcess(this.runner, {
+                name: `wpa_supplicant ${name}`,
+                binary: this.binary,
+                args: ['-i', name, '-c', this.configPath(name), '-D', this.driver],
+                minRestartDelay: this.minRestartDelay,
+                maxRestartDelay: this.maxRestartDelay
+            })
+        };
+        this.instances.set(name, instance);
+        instance.supervised.start();
+
+        logger.info(`wpa_supplicant started on ${name} (${hardInterface.mode}, key ${key.id})`);
+    }
+
+    async stop(name) {
+        const instance = this.instances.get(name);
+        if (!instance) return;
+
+        this.instances.delete(name);
+        await instance.supervised.stop();
+    }
+
+    async stopAll() {
+        for (const name of Array.from(this.instances.keys())) {
+            await this.stop(name);
+        }
+    }
+
+    getStatus() {
+        return Array.from(this.instances.values()).map(instance => ({
+            interface: instance.hardInterface.name,
+            mode: instance.hardInterface.mode,
+            keyId: instance.keyId,
+            fallback: instance.fallback,
+            keySince: new Date(instance.keySince),
+            ...instance.supervised.getStatus()
+        }));
+    }
+}
+
+WpaSupplicant.buildConfig = buildConfig;
+
+module.exports = WpaSupplicant;
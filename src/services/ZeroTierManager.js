@@ -1,12 +1,10 @@
-const { exec, spawn } = require('child_process');
-const { promisify } = require('util');
 const axios = require('axios');
 const logger = require('../utils/logger');
-
-const execAsync = promisify(exec);
+const { getDefaultRunner } = require('../runner');
 
 class ZeroTierManager {
-    constructor() {
+    constructor(options = {}) {
+        this.runner = (options.runner || getDefaultRunner()).forSource('ZeroTierManager');
         this.networkId = process.env.ZEROTIER_NETWORK_ID;
         this.authToken = process.env.ZEROTIER_AUTH_TOKEN;
         this.allowedSubnets = (process.env.ALLOWED_ZEROTIER_SUBNETS || '').split(',').filter(s => s.trim());
@@ -15,6 +13,7 @@ class ZeroTierManager {
         this.routingTable = 'batmanif';
         this.zerotierProcess = null;
         this.zerotierDataDir = '/var/lib/zerotier-one';
+        this.zerotierCli = process.env.ZEROTIER_CLI || '/usr/sbin/zerotier-cli';
     }
 
     async getZeroTierUid() {
@@ -24,7 +23,7 @@ class ZeroTierManager {
             }
             
             // Get the UID of the zerotier-one user
-            const idOutput = await this.executeCommand('id -u zerotier-one');
+            const idOutput = await this.runner.run('id', ['-u', 'zerotier-one']);
             this.zerotierUid = parseInt(idOutput.trim());
             
             logger.debug(`Detected ZeroTier UID: ${this.zerotierUid}`);
@@ -37,30 +36,6 @@ class ZeroTierManager {
         }
     }
 
-    async executeCommand(command, options = {}) {
-        try {
-            logger.debug(`Executing ZeroTier command: ${command}`);
-            const { stdout, stderr } = await execAsync(command, { timeout: 30000, ...options });
-            if (stderr && !options.ignoreStderr && !command.includes('2>/dev/null')) {
-                // Ignore common expected stderr messages
-                if (!stderr.includes('not a dynamic executable') && 
-                    !stderr.includes('No such file or directory') &&
-                    !stderr.includes('cannot access')) {
-                    logger.warn(`ZeroTier command stderr: ${stderr}`);
-                }
-            }
-            return stdout.trim();
-        } catch (error) {
-            // Don't log errors for commands that are expected to potentially fail
-            if (!command.includes('2>/dev/null') && !command.includes('|| true')) {
-                logger.error(`ZeroTier command failed: ${command}`, error);
-            } else {
-                logger.debug(`ZeroTier command failed (expected): ${command} - ${error.message}`);
-            }
-            throw error;
-        }
-    }
-
     async initialize(config = {}) {
         this.config = config;
         
@@ -100,11 +75,11 @@ class ZeroTierManager {
             logger.info('Disabling system ZeroTier service...');
             
             // Stop and disable original ZeroTier service
-            await this.executeCommand('systemctl stop zerotier-one 2>/dev/null || true');
-            await this.executeCommand('systemctl disable zerotier-one 2>/dev/null || true');
+            await this.runner.run('systemctl', ['stop', 'zerotier-one'], { ignoreErrors: true });
+            await this.runner.run('systemctl', ['disable', 'zerotier-one'], { ignoreErrors: true });
             
             // Kill any running ZeroTier processes
-            await this.executeCommand('pkill -f zerotier-one 2>/dev/null || true');
+            await this.runner.run('pkill', ['-f', 'zerotier-one'], { ignoreErrors: true });
             
             // Wait for processes to stop
             await new Promise(resolve => setTimeout(resolve, 2000));
@@ -122,12 +97,12 @@ class ZeroTierManager {
             
             // Check if zerotier-one binary exists
             try {
-                await this.executeCommand('test -x /usr/sbin/zerotier-one');
+                await this.runner.run('test', ['-x', '/usr/sbin/zerotier-one']);
                 logger.debug('ZeroTier binary found at /usr/sbin/zerotier-one');
             } catch (error) {
                 // Try alternative path
                 try {
-                    await this.executeCommand('which zerotier-one');
+                    await this.runner.run('which', ['zerotier-one']);
                     logger.debug('ZeroTier binary found via which command');
                 } catch (whichError) {
                     throw new Error('zerotier-one binary not found. Please install ZeroTier first.');
@@ -136,15 +111,15 @@ class ZeroTierManager {
             
             // Ensure zerotier-one user exists
             try {
-                const userInfo = await this.executeCommand('id zerotier-one');
+                const userInfo = await this.runner.run('id', ['zerotier-one']);
                 logger.debug(`ZeroTier user info: ${userInfo}`);
             } catch (error) {
                 logger.info('Creating zerotier-one user...');
-                await this.executeCommand('useradd -r -s /bin/false -d /var/lib/zerotier-one zerotier-one 2>/dev/null || true');
+                await this.runner.run('useradd', ['-r', '-s', '/bin/false', '-d', '/var/lib/zerotier-one', 'zerotier-one'], { ignoreErrors: true });
                 
                 // Verify user was created
                 try {
-                    await this.executeCommand('id zerotier-one');
+                    await this.runner.run('id', ['zerotier-one']);
                     logger.debug('ZeroTier user created successfully');
                 } catch (verifyError) {
                     throw new Error('Failed to create zerotier-one user');
@@ -152,23 +127,26 @@ class ZeroTierManager {
             }
             
             // Ensure data directory exists and has correct permissions
-            await this.executeCommand(`mkdir -p ${this.zerotierDataDir}`);
-            await this.executeCommand(`chown zerotier-one:zerotier-one ${this.zerotierDataDir}`);
-            await this.executeCommand(`chmod 700 ${this.zerotierDataDir}`);
+            await this.runner.run('mkdir', ['-p', this.zerotierDataDir]);
+            await this.runner.run('chown', ['zerotier-one:zerotier-one', this.zerotierDataDir]);
+            await this.runner.run('chmod', ['700', this.zerotierDataDir]);
             
             // Verify directory permissions
-            const dirInfo = await this.executeCommand(`ls -la ${this.zerotierDataDir} | head -2`);
+            const dirInfo = (await this.runner.run('ls', ['-ld', this.zerotierDataDir])).split('\n')[0];
             logger.debug(`ZeroTier data directory info: ${dirInfo}`);
             
             // Start ZeroTier process as root (it will drop privileges automatically)
             logger.debug('Spawning ZeroTier subprocess...');
-            this.zerotierProcess = spawn('/usr/sbin/zerotier-one', [
+            this.zerotierProcess = this.runner.spawn('/usr/sbin/zerotier-one', [
                 '-d', this.zerotierDataDir
             ], {
                 stdio: ['ignore', 'pipe', 'pipe'],
                 detached: false
             });
             
+            // Dry run: nothing was started
+            if (!this.zerotierProcess) return;
+            
             let processOutput = '';
             let processErrors = '';
             
@@ -214,7 +192,7 @@ class ZeroTierManager {
             
             // Test if ZeroTier is responding
             try {
-                await this.executeCommand(`/usr/sbin/zerotier-cli -D${this.zerotierDataDir} info`);
+                await this.runner.run(this.zerotierCli, [`-D${this.zerotierDataDir}`, 'info']);
                 logger.info('✅ ZeroTier daemon started and responding');
             } catch (error) {
                 logger.warn('ZeroTier daemon not responding yet, giving it more time...');
@@ -222,7 +200,7 @@ class ZeroTierManager {
                 await new Promise(resolve => setTimeout(resolve, 3000));
                 
                 try {
-                    await this.executeCommand(`/usr/sbin/zerotier-cli -D${this.zerotierDataDir} info`);
+                    await this.runner.run(this.zerotierCli, [`-D${this.zerotierDataDir}`, 'info']);
                     logger.info('✅ ZeroTier daemon now responding');
                 } catch (retryError) {
                     throw new Error(`ZeroTier daemon not responding: ${retryError.message}`);
@@ -241,7 +219,7 @@ class ZeroTierManager {
             
             // Check if ZeroTier daemon is already running by testing CLI
             try {
-                await this.executeCommand(`/usr/sbin/zerotier-cli -D${this.zerotierDataDir} info`);
+                await this.runner.run(this.zerotierCli, [`-D${this.zerotierDataDir}`, 'info']);
                 logger.debug('ZeroTier daemon is already running');
                 return;
             } catch (error) {
@@ -263,7 +241,7 @@ class ZeroTierManager {
             logger.debug('Creating ZeroTier local configuration...');
             
             // Get the batman interface IP
-            const interfaceInfo = await this.executeCommand(`ip addr show ${batmanInterface}`);
+            const interfaceInfo = await this.runner.run('ip', ['addr', 'show', batmanInterface]);
             const ipMatch = interfaceInfo.match(/inet ([0-9]+\.[0-9]+\.[0-9]+\.[0-9]+)/);
             
             if (!ipMatch) {
@@ -284,11 +262,11 @@ class ZeroTierManager {
             };
             
             // Ensure the ZeroTier directory exists
-            await this.executeCommand('mkdir -p /var/lib/zerotier-one');
+            await this.runner.run('mkdir', ['-p', '/var/lib/zerotier-one']);
             
             // Write the configuration file
             const configContent = JSON.stringify(localConfig, null, 2);
-            await this.executeCommand(`echo '${configContent}' > /var/lib/zerotier-one/local.conf`);
+            await this.runner.writeFile('/var/lib/zerotier-one/local.conf', configContent);
             
             logger.debug('✅ ZeroTier local configuration created successfully');
             
@@ -354,7 +332,7 @@ class ZeroTierManager {
             const zerotierUid = await this.getZeroTierUid();
             
             // Get batman interface IP to use as gateway and source
-            const routes = await this.executeCommand('ip route');
+            const routes = await this.runner.run('ip', ['route']);
             const routesList = routes.split('\n');
             const correctRoute = routesList.find((x)=>x.includes(batmanInterface) && x.includes('via'));
             console.log(routes, routesList, correctRoute);
@@ -366,7 +344,9 @@ class ZeroTierManager {
                 let _res;
                 [_res, batmanGatewayIP] = correctRoute.match(/default via ([0-9]+\.[0-9]+\.[0-9]+\.[0-9]+)/);
                 // use the first IP from the batman interface
-                batmanIP = (await this.executeCommand(`ip addr show ${batmanInterface} | grep 'inet ' | awk '{print $2}' | head -1`)).split('/')[0];
+                const addrOutput = await this.runner.run('ip', ['-4', 'addr', 'show', batmanInterface]);
+                const inetMatch = addrOutput.match(/inet (\d+\.\d+\.\d+\.\d+)/);
+                batmanIP = inetMatch ? inetMatch[1] : '';
             }
             
             console.log(batmanGatewayIP, batmanIP);
@@ -381,26 +361,26 @@ class ZeroTierManager {
             // Add custom routing table entry to /etc/iproute2/rt_tables
             const tableEntry = `100 ${this.routingTable}`;
             try {
-                const rtTables = await this.executeCommand('cat /etc/iproute2/rt_tables');
+                const rtTables = await this.runner.run('cat', ['/etc/iproute2/rt_tables']);
                 if (!rtTables.includes(this.routingTable)) {
-                    await this.executeCommand(`echo "${tableEntry}" >> /etc/iproute2/rt_tables`);
+                    await this.runner.writeFile('/etc/iproute2/rt_tables', `${tableEntry}\n`, { append: true });
                 }
             } catch (error) {
                 logger.debug('Failed to read rt_tables, adding entry anyway');
-                await this.executeCommand(`echo "${tableEntry}" >> /etc/iproute2/rt_tables 2>/dev/null || true`);
+                await this.runner.writeFile('/etc/iproute2/rt_tables', `${tableEntry}\n`, { append: true, ignoreErrors: true });
             }
             
             // Set up UID-based routing rule for zerotier-one process
-            await this.executeCommand(`ip rule del uidrange ${zerotierUid}-${zerotierUid} lookup ${this.routingTable} 2>/dev/null || true`);
-            await this.executeCommand(`ip rule add uidrange ${zerotierUid}-${zerotierUid} lookup ${this.routingTable}`);
+            await this.runner.run('ip', ['rule', 'del', 'uidrange', `${zerotierUid}-${zerotierUid}`, 'lookup', this.routingTable], { ignoreErrors: true });
+            await this.runner.run('ip', ['rule', 'add', 'uidrange', `${zerotierUid}-${zerotierUid}`, 'lookup', this.routingTable]);
             
             // Flush and configure the routing table
             try{
-                await this.executeCommand(`ip route flush table ${this.routingTable}`);
+                await this.runner.run('ip', ['route', 'flush', 'table', this.routingTable]);
             } catch(e){
                 logger.warn('Failed to flush routing table, continuing anyway:', e.message);
             }
-            await this.executeCommand(`ip route add default via ${batmanGatewayIP} dev ${batmanInterface} src ${batmanIP} table ${this.routingTable}`);
+            await this.runner.run('ip', ['route', 'add', 'default', 'via', batmanGatewayIP, 'dev', batmanInterface, 'src', batmanIP, 'table', this.routingTable]);
             
             logger.debug('✅ UID-based routing setup complete - ZeroTier traffic will use batman interface');
             
@@ -415,7 +395,7 @@ class ZeroTierManager {
             logger.info(`Joining ZeroTier network ${this.networkId}...`);
             
             // Use zerotier-cli with the data directory to connect to our subprocess
-            const joinResult = await this.executeCommand(`/usr/sbin/zerotier-cli -D${this.zerotierDataDir} join ${this.networkId}`);
+            const joinResult = await this.runner.run(this.zerotierCli, [`-D${this.zerotierDataDir}`, 'join', this.networkId]);
             logger.debug(`ZeroTier join result: ${joinResult}`);
             
         } catch (error) {
@@ -427,10 +407,12 @@ class ZeroTierManager {
     async waitForZeroTierReady(maxAttempts = 30) {
         logger.info('Waiting for ZeroTier network to be ready...');
         
+        if (this.runner.dryRun) return null;
+        
         for (let attempt = 1; attempt <= maxAttempts; attempt++) {
             try {
                 // Check ZeroTier status using zerotier-cli with data directory
-                const infoOutput = await this.executeCommand(`/usr/sbin/zerotier-cli -D${this.zerotierDataDir} info`);
+                const infoOutput = await this.runner.run(this.zerotierCli, [`-D${this.zerotierDataDir}`, 'info']);
                 logger.debug(`ZeroTier info (attempt ${attempt}): ${infoOutput}`);
                 
                 const networks = await this.getZeroTierNetworks();
@@ -465,7 +447,7 @@ class ZeroTierManager {
 
     async getZeroTierNetworks() {
         try {
-            const output = await this.executeCommand(`/usr/sbin/zerotier-cli -D${this.zerotierDataDir} listnetworks`);
+            const output = await this.runner.run(this.zerotierCli, [`-D${this.zerotierDataDir}`, 'listnetworks']);
             logger.debug(`Raw ZeroTier listnetworks output: ${output}`);
             
             const networks = [];
@@ -499,8 +481,9 @@ class ZeroTierManager {
     async getStatus() {
         try {
             // Check if ZeroTier daemon is running by testing CLI
+            let info;
             try {
-                await this.executeCommand(`/usr/sbin/zerotier-cli -D${this.zerotierDataDir} info`);
+                info = await this.runner.run(this.zerotierCli, [`-D${this.zerotierDataDir}`, 'info']);
             } catch (error) {
                 return {
                     online: false,
@@ -511,6 +494,8 @@ class ZeroTierManager {
             const networks = await this.getZeroTierNetworks();
             return {
                 online: networks.length > 0 && networks.some(n => n.status === 'OK'),
+                // "200 info <ztaddr> <version> <status>"
+                address: (String(info).match(/^200 info ([0-9a-f]{10})\b/m) || [])[1] || null,
                 networks: networks
             };
             
@@ -529,7 +514,7 @@ class ZeroTierManager {
             
             // Check if daemon is still running
             try {
-                await this.executeCommand(`/usr/sbin/zerotier-cli -D${this.zerotierDataDir} info`);
+                await this.runner.run(this.zerotierCli, [`-D${this.zerotierDataDir}`, 'info']);
                 logger.debug('ZeroTier daemon still running, checking network status...');
                 const status = await this.getStatus();
                 if (status.online) {
@@ -560,13 +545,13 @@ class ZeroTierManager {
             try {
                 logger.debug('Stopping ZeroTier daemon...');
                 // First try to stop gracefully using zerotier-cli
-                await this.executeCommand(`/usr/sbin/zerotier-cli -D${this.zerotierDataDir} terminate 2>/dev/null || true`);
+                await this.runner.run(this.zerotierCli, [`-D${this.zerotierDataDir}`, 'terminate'], { ignoreErrors: true });
                 
                 // Wait a bit for graceful shutdown
                 await new Promise(resolve => setTimeout(resolve, 2000));
                 
                 // If still running, kill zerotier-one processes
-                await this.executeCommand('pkill -f zerotier-one 2>/dev/null || true');
+                await this.runner.run('pkill', ['-f', 'zerotier-one'], { ignoreErrors: true });
                 
                 logger.debug('ZeroTier daemon stopped');
             } catch (error) {
@@ -580,8 +565,8 @@ class ZeroTierManager {
             
             // Clean up UID-based routing
             const zerotierUid = await this.getZeroTierUid();
-            await this.executeCommand(`ip rule del uidrange ${zerotierUid}-${zerotierUid} lookup ${this.routingTable} 2>/dev/null || true`);
-            await this.executeCommand(`ip route flush table ${this.routingTable} 2>/dev/null || true`);
+            await this.runner.run('ip', ['rule', 'del', 'uidrange', `${zerotierUid}-${zerotierUid}`, 'lookup', this.routingTable], { ignoreErrors: true });
+            await this.runner.run('ip', ['route', 'flush', 'table', this.routingTable], { ignoreErrors: true });
             
             logger.info('✅ ZeroTier cleanup completed');
             
@@ -594,7 +579,7 @@ class ZeroTierManager {
 
     async getPeers() {
         try {
-            const output = await this.executeCommand(`/usr/sbin/zerotier-cli -D${this.zerotierDataDir} peers`);
+            const output = await this.runner.run(this.zerotierCli, [`-D${this.zerotierDataDir}`, 'peers']);
             logger.debug(`Raw ZeroTier peers output: ${output}`);
             
             const peers = [];
@@ -602,14 +587,15 @@ class ZeroTierManager {
             const lines = output.split('\n');
             for (const line of lines) {
                 if (line.length > 0 && line.startsWith('200 peers') && !line.includes('<ztaddr>')) {
+                    // 200 peers <ztaddr> <ver> <role> <lat> <link> <lastTX> <lastRX> <path>
                     const parts = line.trim().split(/\s+/);
                     if (parts.length >= 4) {
                         peers.push({
                             address: parts[2],           // ZeroTier address
                             version: parts[3] || '',     // Version
-                            latency: parts[4] || '',     // Latency
-                            role: parts[5] || '',        // Role (LEAF, MOON, PLANET)
-                            paths: parts.slice(6) || []  // Available paths
+                            role: parts[4] || '',        // Role (LEAF, MOON, PLANET)
+                            latency: parts[5] || '',     // Latency
+                            paths: parts.slice(9)        // Active paths
                         });
                     }
                 }
@@ -630,7 +616,7 @@ class ZeroTierManager {
 
     async getZeroTierNetworks() {
         try {
-            const output = await this.executeCommand(`/usr/sbin/zerotier-cli -D${this.zerotierDataDir} listnetworks`);
+            const output = await this.runner.run(this.zerotierCli, [`-D${this.zerotierDataDir}`, 'listnetworks']);
             logger.debug(`Raw ZeroTier listnetworks output: ${output}`);
             
             const networks = [];
@@ -668,10 +654,10 @@ class ZeroTierManager {
         }
         
         try {
-            const rxBytes = await this.executeCommand(`cat /sys/class/net/${this.zerotierInterface}/statistics/rx_bytes`);
-            const txBytes = await this.executeCommand(`cat /sys/class/net/${this.zerotierInterface}/statistics/tx_bytes`);
-            const rxPackets = await this.executeCommand(`cat /sys/class/net/${this.zerotierInterface}/statistics/rx_packets`);
-            const txPackets = await this.executeCommand(`cat /sys/class/net/${this.zerotierInterface}/statistics/tx_packets`);
+            const rxBytes = await this.runner.run('cat', [`/sys/class/net/${this.zerotierInterface}/statistics/rx_bytes`]);
+            const txBytes = await this.runner.run('cat', [`/sys/class/net/${this.zerotierInterface}/statistics/tx_bytes`]);
+            const rxPackets = await this.runner.run('cat', [`/sys/class/net/${this.zerotierInterface}/statistics/rx_packets`]);
+            const txPackets = await this.runner.run('cat', [`/sys/class/net/${this.zerotierInterface}/statistics/tx_packets`]);
             
             return {
                 interface: this.zerotierInterface,
@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+const TQ_MAX = 255;
+const DEFAULT_TQ = 220;
+const DEFAULT_LATENCY_MS = 5;
+const DEFAULT_HOP_PENALTY = 15; // batman-adv default
+const RELOAD_CHECK_MS = 2000;
+
+// Deterministic hashing, so every process simulating the same mesh sees the same values
+function hashHex(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function hashInt(value) {
+    return parseInt(hashHex(value).slice(0, 8), 16);
+}
+
+// Seeded PRNG (mulberry32) for generated topologies
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * MeshSimulator - Virtual batman-adv mesh for development without radios
+ *
+ * Holds N simulated nodes (one of them the coordinator) and the links between
+ * them. Links carry a TQ (0-255) and a latency, and can be marked `down` or
+ * made to flap: with `flapSeconds` a link is down for the second half of each
+ * period. Nodes marked `down` take all their links with them. Link quality
+ * jitters a little every second, derived from the clock rather than random
+ * state, so separate coordinator and mesh-node processes agree on the mesh.
+ *
+ * Routes are computed like batman IV: path TQ is the product of link TQs with
+ * a hop penalty per forwarding hop, and the best path wins.
+ *
+ * The model only answers questions about the mesh; SimulatedCommandRunner
+ * turns it into batctl/ip/iw/zerotier-cli output.
+ */
+class MeshSimulator {
+    constructor(config = {}, options = {}) {
+        this.clock = options.clock || Date.now;
+        this.configPath = options.configPath || null;
+        this.configMtime = options.configMtime || null;
+        this.lastReloadCheck = 0;
+        this.started = this.clock();
+        // Gateway announcements (`batctl gw_mode server <bandwidth>`) by node id
+        this.gateways = new Map();
+        this.load(config);
+    }
+
+    static fromFile(configPath, options = {}) {
+        const stat = fs.statSync(configPath);
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        return new MeshSimulator(config, { ...options, configPath, configMtime: stat.mtimeMs });
+    }
+
+    // A random but reproducible mesh: a spanning tree plus a few extra links
+    static generate(nodeCount = 5, options = {}) {
+        const random = seededRandom(options.seed || 1);
+        const nodes = [{ id: 'coordinator', hostname: 'batman-coordinator', coordinator: true }];
+        const links = [];
+
+        for (let i = 1; i <= nodeCount; i++) {
+            nodes.push({ id: `node-${i}`, hostname: `mesh-node-${i}` });
+
+            const peer = nodes[Math.floor(random() * i)];
+            links.push({
+                from: peer.id,
+                to: `node-${i}`,
+                tq: 140 + Math.floor(random() * 110),
+                latencyMs: 2 + Math.floor(random() * 20)
+            });
+        }
+
+        for (let extra = 0; extra < Math.floor(nodeCount / 2); extra++) {
+            const a = nodes[Math.floor(random() * nodes.length)];
+            const b = nodes[Math.floor(random() * nodes.length)];
+            const exists = links.some(l => (l.from === a.id && l.to === b.id) || (l.from === b.id && l.to === a.id));
+            if (a !== b && !exists) {
+                links.push({ from: a.id, to: b.id, tq: 60 + Math.floor(random() * 120), latencyMs: 5 + Math.floor(random() * 40) });
+            }
+        }
+
+        return new MeshSimulator({ ...options.config, nodes, links }, options);
+    }
+
+    // SIMULATION_CONFIG points at a JSON mesh description, otherwise SIMULATION_NODES are generated
+    static fromEnv() {
+        if (process.env.SIMULATION_CONFIG) {
+            return MeshSimulator.fromFile(process.env.SIMULATION_CONFIG);
+        }
+        return MeshSimulator.generate(parseInt(process.env.SIMULATION_NODES || '5'), {
+            seed: parseInt(process.env.SIMULATION_SEED || '1')
+        });
+    }
+
+    load(config) {
+        const nodes = config.nodes || [];
+        if (nodes.filter(n => n.coordinator).length !== 1) {
+            throw new Error('Simulated mesh needs exactly one coordinator node');
+        }
+
+        this.networkId = config.networkId || process.env.ZEROTIER_NETWORK_ID || '8056c2e21c000001';
+        this.networkName = config.networkName || 'batman-mesh';
+        this.ssid = config.ssid || process.env.MESH_SSID || 'batman-mesh';
+        this.frequency = parseInt(config.frequency || process.env.MESH_FREQUENCY || '2437');
+        this.hopPenalty = config.hopPenalty ?? DEFAULT_HOP_PENALTY;
+
+        const subnet = config.subnet || process.env.MESH_SUBNET || '192.168.100.0/24';
+        const base = subnet.split('/')[0].split('.').slice(0, 3).join('.');
+        let hostIndex = 10;
+
+        this.nodes = new Map();
+        nodes.forEach((node, index) => {
+            if (!node.id || this.nodes.has(node.id)) {
+                throw new Error(`Simulated node ${index} needs a unique id`);
+            }
+
+            const digest = hashHex(node.id);
+            this.nodes.set(node.id, {
+                id: node.id,
+                hostname: node.hostname || node.id,
+                coordinator: !!node.coordinator,
+                mac: (node.mac || `02:ba:${digest.slice(0, 8).match(/../g).join(':')}`).toLowerCase(),
+                ip: node.ip || (node.coordinator ? (process.env.COORDINATOR_BATMAN_IP || `${base}.1`) : `${base}.${hostIndex++}`),
+                ztAddress: node.ztAddress || hashHex(`zt-${node.id}`).slice(0, 10),
+                ztIp: node.ztIp || `10.147.17.${index + 1}`,
+                down: !!node.down
+            });
+            // e.g. "gateway": "50mbit/10mbit" for a node with its own uplink in a multi-process simulation
+            if (node.gateway) {
+                this.gateways.set(node.id, node.gateway === true ? '10000/2000' : String(node.gateway));
+            }
+        });
+
+        this.links = (config.links || []).map((link) => {
+            if (!this.nodes.has(link.from) || !this.nodes.has(link.to)) {
+                throw new Error(`Simulated link ${link.from} - ${link.to} references an unknown node`);
+            }
+            return {
+                from: link.from,
+                to: link.to,
+                tq: Math.max(1, Math.min(TQ_MAX, link.tq ?? DEFAULT_TQ)),
+                latencyMs: link.latencyMs ?? DEFAULT_LATENCY_MS,
+                down: !!link.down,
+                flapSeconds: link.flapSeconds || 0
+            };
+        });
+    }
+
+    // Pick up edits to the config file while running (checked at most every 2s)
+    refresh() {
+        if (!this.configPath) return;
+
+        const now = this.clock();
+        if (now - this.lastReloadCheck < RELOAD_CHECK_MS) return;
+        this.lastReloadCheck = now;
+
+        try {
+            const stat = fs.statSync(this.configPath);
+            if (stat.mtimeMs !== this.configMtime) {
+                this.load(JSON.parse(fs.readFileSync(this.configPath, 'utf8')));
+                this.configMtime = stat.mtimeMs;
+                logger.info(`Reloaded simulated mesh from ${this.configPath}`);
+            }
+        } catch (error) {
+            logger.warn(`Failed to reload simulated mesh, keeping previous model: ${error.message}`);
+        }
+    }
+
+    now() {
+        return this.clock();
+    }
+
+    getNode(nodeId) {
+        return this.nodes.get(nodeId) || null;
+    }
+
+    getNodes() {
+        return Array.from(this.nodes.values());
+    }
+
+    getCoordinator() {
+        return this.getNodes().find(node => node.coordinator);
+    }
+
+    isNodeUp(nodeId) {
+        const node = this.nodes.get(nodeId);
+        return !!node && !node.down;
+    }
+
+    // Current state of a link, including failures and per-second jitter
+    linkState(link) {
+        const now = this.now();
+        const second = Math.floor(now / 1000);
+        const flapping = link.flapSeconds > 0 && (now / 1000) % link.flapSeconds >= link.flapSeconds / 2;
+        const up = !link.down && !flapping && this.isNodeUp(link.from) && this.isNodeUp(link.to);
+
+        const noise = hashInt(`${link.from}|${link.to}|${second}`);
+        const tq = Math.max(1, Math.min(TQ_MAX, link.tq + (noise % 11) - 5));
+        const latencyMs = Math.max(1, Math.round(link.latencyMs * (0.8 + ((noise >>> 8) % 41) / 100)));
+
+        return { up, tq, latencyMs };
+    }
+
+    neighbors(nodeId) {
+        if (!this.isNodeUp(nodeId)) return [];
+
+        const neighbors = [];
+        for (const link of this.links) {
+            if (link.from !== nodeId && link.to !== nodeId) continue;
+
+            const state = this.linkState(link);
+            if (state.up) {
+                neighbors.push({ id: link.from === nodeId ? link.to : link.from, tq: state.tq, latencyMs: state.latencyMs });
+            }
+        }
+        return neighbors;
+    }
+
+    // Best route to every reachable originator: Map<id, { nextHop, tq, latencyMs, hops }>
+    routes(nodeId) {
+        const best = new Map();
+        const visited = new Set([nodeId]);
+
+        for (const neighbor of this.neighbors(nodeId)) {
+            const current = best.get(neighbor.id);
+            if (!current || neighbor.tq > current.tq) {
+                best.set(neighbor.id, { nextHop: neighbor.id, tq: neighbor.tq, latencyMs: neighbor.latencyMs, hops: 1 });
+            }
+        }
+
+        // Path TQ only ever decreases, so expanding the best unvisited node first is enough
+        for (;;) {
+            let nextId = null;
+            for (const [id, route] of best) {
+                if (!visited.has(id) && (nextId === null || route.tq > best.get(nextId).tq)) {
+                    nextId = id;
+                }
+            }
+            if (nextId === null) break;
+            visited.add(nextId);
+
+            const via = best.get(nextId);
+            for (const neighbor of this.neighbors(nextId)) {
+                if (visited.has(neighbor.id)) continue;
+
+                const tq = Math.floor(via.tq * neighbor.tq / TQ_MAX * (TQ_MAX - this.hopPenalty) / TQ_MAX);
+                const current = best.get(neighbor.id);
+                if (tq > 0 && (!current || tq > current.tq)) {
+                    best.set(neighbor.id, {
+                        nextHop: via.nextHop,
+                        tq,
+                        latencyMs: via.latencyMs + neighbor.latencyMs,
+                        hops: via.hops + 1
+                    });
+                }
+            }
+        }
+
+        return best;
+    }
+
+    isReachable(fromId, toId) {
+        return fromId === toId ? this.isNodeUp(fromId) : this.routes(fromId).has(toId);
+    }
+
+    setGateway(nodeId, bandwidth) {
+        if (bandwidth) {
+            this.gateways.set(nodeId, bandwidth);
+        } else {
+            this.gateways.delete(nodeId);
+        }
+    }
+
+    // Runtime failure injection, e.g. from tests
+    setNodeDown(nodeId, down = true) {
+        const node = this.nodes.get(nodeId);
+        if (!node) throw new Error(`Unknown simulated node ${nodeId}`);
+        node.down = down;
+    }
+
+    setLink(from, to, changes = {}) {
+        let link = this.links.find(l => (l.from === from && l.to === to) || (l.from === to && l.to === from));
+        if (!link) {
+            if (!this.nodes.has(from) || !this.nodes.has(to)) {
+                throw new Error(`Unknown simulated node in link ${from} - ${to}`);
+            }
+            link = { from, to, tq: DEFAULT_TQ, latencyMs: DEFAULT_LATENCY_MS, down: false, flapSeconds: 0 };
+            this.links.push(link);
+        }
+        Object.assign(link, changes);
+        return link;
+    }
+}
+
+MeshSimulator.TQ_MAX = TQ_MAX;
+MeshSimulator.hashHex = hashHex;
+MeshSimulator.hashInt = hashInt;
+
+module.exports = MeshSimulator;
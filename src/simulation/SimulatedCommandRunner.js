@@ -0,0 +1,672 @@
+const path = require('path');
+const FakeCommandRunner = require('../runner/FakeCommandRunner');
+const MeshSimulator = require('./MeshSimulator');
+
+const BATMAN_VERSION = '2023.0';
+const ZEROTIER_VERSION = '1.12.2';
+const ZEROTIER_ROOTS = [
+    { address: '778cde7190', ip: '103.195.103.66' },
+    { address: 'cafe04eba9', ip: '84.17.53.155' }
+];
+const DHCP_LEASES_PATH = '/var/lib/dhcp/dhcpd.leases';
+const NOT_FOUND = 1;
+const { hashInt } = MeshSimulator;
+
+// BATMAN_V throughput in batctl's 100 kbit/s units, derived from link TQ (54 Mbit/s for a perfect link)
+function simulatedThroughput(tq) {
+    return Math.round(tq / MeshSimulator.TQ_MAX * 540);
+}
+
+function formatThroughput(throughput) {
+    return `${Math.floor(throughput / 10)}.${throughput % 10}`;
+}
+
+// batctl gateway bandwidth ("10000/2000", "50mbit/10mbit") in Mbit/s; kbit is the default unit,
+// a missing upload is a fifth of the download like in batman-adv
+function parseGatewayBandwidth(value) {
+    const [down, up] = String(value).split('/').map(part => parseFloat(part) / (/mbit/i.test(part) ? 1 : 1000));
+    return { down, up: up ?? down / 5 };
+}
+
+function formatLastSeen(ms) {
+    return `${(ms / 1000).toFixed(3)}s`;
+}
+
+function dhcpDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getUTCDay()} ${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())} ` +
+        `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+}
+
+// First command of a shell line, without `timeout 30s`/`sudo` prefixes, redirections or pipes
+function parseShell(command) {
+    const first = command.split(/\|\||\||;|&&/)[0].replace(/\d?>\s*\/dev\/null/g, '');
+    const words = first.trim().split(/\s+/).filter(Boolean);
+
+    while (words[0] === 'sudo' || words[0] === 'timeout') {
+        words.splice(0, words[0] === 'timeout' ? 2 : 1);
+    }
+    return { file: words[0] || 'true', args: words.slice(1), tolerant: /\|\|\s*(true|echo)/.test(command) };
+}
+
+/**
+ * SimulatedCommandRunner - Command runner backed by a MeshSimulator
+ *
+ * Plays one node of the simulated mesh: batctl, ip, iw,
+ * zerotier-cli, systemctl and dhclient answer from the model in the same text
+ * format as the real tools, and configuration commands update this node's
+ * local state (batman interface created, addresses assigned, ZeroTier
+ * networks joined, DHCP server running). Anything else succeeds silently and
+ * is recorded, so the rest of the stack runs unmodified without root.
+ *
+ * Tests can still script individual commands with on(), which wins over the
+ * simulation.
+ */
+class SimulatedCommandRunner extends FakeCommandRunner {
+    constructor(mesh, options = {}) {
+        super(options);
+        this.mesh = mesh;
+        this.simulated = true;
+
+        const nodeId = options.nodeId ||
+            (options.role === 'node' ? mesh.getNodes().find(n => !n.coordinator)?.id : mesh.getCoordinator().id);
+        if (!mesh.getNode(nodeId)) {
+            throw new Error(`Unknown simulated node ${nodeId}`);
+        }
+        this.nodeId = nodeId;
+
+        this.meshInterface = options.meshInterface || process.env.MESH_INTERFACE || 'wlan1';
+        this.batmanInterface = options.batmanInterface || process.env.BATMAN_INTERFACE || 'bat0';
+        this.resetState();
+
+        this.on(() => true, (call) => this.simulate(call));
+    }
+
+    get node() {
+        return this.mesh.getNode(this.nodeId);
+    }
+
+    resetState() {
+        this.state = {
+            batman: false,
+            hardInterfaces: new Set(),
+            addresses: new Map(),
+            gateway: null,
+            gwMode: 'off',
+            gwSelClass: 20,
+            algorithm: null,
+            iwType: 'IBSS',
+            meshForwarding: 1,
+            selectedAlgorithm: 'BATMAN_IV',
+            zerotierNetworks: new Set(),
+            dhcpServer: false
+        };
+    }
+
+    reset() {
+        super.reset();
+        this.resetState();
+    }
+
+    async execute(file, args, options) {
+        if (file === '/bin/sh' && args[0] === '-c') {
+            const parsed = parseShell(args[1]);
+            const result = await super.execute(parsed.file, parsed.args, options);
+            return parsed.tolerant && result.exitCode !== 0 ? { stdout: '', stderr: '', exitCode: 0 } : result;
+        }
+        return super.execute(file, args, options);
+    }
+
+    async readFileImpl(filePath) {
+        if (filePath === DHCP_LEASES_PATH && this.node.coordinator) {
+            return this.renderLeases();
+        }
+        return super.readFileImpl(filePath);
+    }
+
+    simulate(call) {
+        this.mesh.refresh();
+
+        const program = path.basename(call.file);
+        const handler = this.handlers[program];
+        return handler ? handler.call(this, call.args) : '';
+    }
+
+    fail(stderr, exitCode = NOT_FOUND) {
+        return { stdout: '', stderr, exitCode };
+    }
+
+    interfaces() {
+        const list = ['lo', 'eth0', this.meshInterface];
+        if (this.state.batman) list.push(this.batmanInterface);
+        if (this.state.zerotierNetworks.size > 0) list.push(this.zerotierInterface());
+        return list;
+    }
+
+    zerotierInterface() {
+        return `zt${MeshSimulator.hashHex(this.mesh.networkId).slice(0, 8)}`;
+    }
+
+    interfaceMac(name) {
+        if (name === this.batmanInterface || name === this.meshInterface) return this.node.mac;
+        if (name === 'lo') return '00:00:00:00:00:00';
+        const digest = MeshSimulator.hashHex(`${this.nodeId}-${name}`);
+        return `${name.startsWith('zt') ? '5e' : 'b8'}:${digest.slice(0, 10).match(/../g).join(':')}`;
+    }
+
+    renderLink(name, index) {
+        const flags = name === 'lo' ? 'LOOPBACK,UP,LOWER_UP' : 'BROADCAST,MULTICAST,UP,LOWER_UP';
+        const state = name === this.batmanInterface || name === 'lo' ? 'UNKNOWN' : 'UP';
+        const type = name === 'lo' ? 'loopback' : 'ether';
+        return `${index + 1}: ${name}: <${flags}> mtu 1500 qdisc noqueue state ${state} mode DEFAULT group default qlen 1000\n` +
+            `    link/${type} ${this.interfaceMac(name)} brd ff:ff:ff:ff:ff:ff`;
+    }
+
+    interfaceAddress(name) {
+        if (name === 'lo') return '127.0.0.1/8';
+        if (name === 'eth0') return `10.0.2.${15 + (parseInt(this.node.mac.slice(-2), 16) % 200)}/24`;
+        if (name === this.zerotierInterface()) return this.zerotierReady() ? `${this.node.ztIp}/24` : null;
+        return this.state.addresses.get(name) || null;
+    }
+
+    // Argument after an optional `dev` keyword
+    deviceArg(args) {
+        const devIndex = args.indexOf('dev');
+        return devIndex >= 0 ? args[devIndex + 1] : args.find(arg => !arg.startsWith('-'));
+    }
+
+    zerotierReady() {
+        const coordinator = this.mesh.getCoordinator();
+        return this.state.zerotierNetworks.has(this.mesh.networkId) &&
+            this.mesh.isReachable(this.nodeId, coordinator.id);
+    }
+
+    batmanHeader() {
+        return `[B.A.T.M.A.N. adv ${BATMAN_VERSION}, MainIF/MAC: ${this.meshInterface}/${this.node.mac} ` +
+            `(${this.batmanInterface}/${this.node.mac} ${this.state.algorithm})]`;
+    }
+
+    renderNeighbors() {
+        const now = this.mesh.now();
+        const batmanV = this.state.algorithm === 'BATMAN_V';
+        const rows = this.mesh.neighbors(this.nodeId).map(neighbor => {
+            const mac = this.mesh.getNode(neighbor.id).mac;
+            const lastSeen = formatLastSeen((now + neighbor.latencyMs) % 1000);
+            return batmanV
+                ? `${mac}    ${lastSeen} (${formatThroughput(simulatedThroughput(neighbor.tq)).padStart(11)}) [${this.meshInterface.padStart(10)}]`
+                : `${this.meshInterface.padStart(10)}\t  ${mac}    ${lastSeen}`;
+        });
+        const header = batmanV ? '  Neighbor   last-seen      speed           IF' : 'IF             Neighbor              last-seen';
+        return [this.batmanHeader(), header, ...rows].join('\n');
+    }
+
+    renderOriginators() {
+        const now = this.mesh.now();
+        const batmanV = this.state.algorithm === 'BATMAN_V';
+        const rows = [];
+        for (const [id, route] of this.mesh.routes(this.nodeId)) {
+            const mac = this.mesh.getNode(id).mac;
+            const nextHop = this.mesh.getNode(route.nextHop).mac;
+            const metric = batmanV ? formatThroughput(simulatedThroughput(route.tq)).padStart(11) : String(route.tq).padStart(3);
+            rows.push(` * ${mac}    ${formatLastSeen((now + route.latencyMs) % 1000)}   (${metric}) ${nextHop} [${this.meshInterface.padStart(10)}]`);
+        }
+        const header = batmanV
+            ? '   Originator        last-seen ( throughput)  Nexthop           [outgoingIF]'
+            : '   Originator        last-seen (#/255) Nexthop           [outgoingIF]';
+        return [this.batmanHeader(), header, ...rows].join('\n');
+    }
+
+    // `iw station dump`: signal falls from -40 dBm on a perfect link to -90 dBm at TQ 0
+    renderStations() {
+        return this.mesh.neighbors(this.nodeId).map(neighbor => {
+            const signal = Math.round(-90 + neighbor.tq / MeshSimulator.TQ_MAX * 50);
+            const bitrate = formatThroughput(simulatedThroughput(neighbor.tq) * 2);
+            const txPackets = 5000 + neighbor.latencyMs * 10;
+            const retries = Math.round(txPackets * (1 - neighbor.tq / MeshSimulator.TQ_MAX) / 2);
+            return [
+                `Station ${this.mesh.getNode(neighbor.id).mac} (on ${this.meshInterface})`,
+                `\tinactive time:\t${neighbor.latencyMs * 10} ms`,
+                `\trx packets:\t${txPackets - 200}`,
+                `\ttx packets:\t${txPackets}`,
+                `\ttx retries:\t${retries}`,
+                `\ttx failed:\t${Math.round(retries / 20)}`,
+                `\tsignal:  \t${signal} [${signal}] dBm`,
+                `\tsignal avg:\t${signal - 1} [${signal - 1}] dBm`,
+                `\ttx bitrate:\t${bitrate} MBit/s`,
+                `\trx bitrate:\t${bitrate} MBit/s`,
+                `\texpected throughput:\t${formatThroughput(simulatedThroughput(neighbor.tq))}Mbps`,
+                `\tmesh plink:\tESTAB`,
+                `\tconnected time:\t${Math.round(this.mesh.now() / 1000) % 86400} seconds`
+            ].join('\n');
+        }).join('\n');
+    }
+
+    // Other reachable gateways; a client selects the one with the best path
+    gatewayEntries() {
+        const routes = this.mesh.routes(this.nodeId);
+        const entries = [];
+        for (const [id, bandwidth] of this.mesh.gateways) {
+            const route = routes.get(id);
+            if (id === this.nodeId || !route) continue;
+            entries.push({ id, route, bandwidth: parseGatewayBandwidth(bandwidth) });
+        }
+        entries.sort((a, b) => b.route.tq - a.route.tq);
+        if (entries.length > 0 && this.state.gwMode === 'client') {
+            entries[0].selected = true;
+        }
+        return entries;
+    }
+
+    renderGateways() {
+        const batmanV = this.state.algorithm === 'BATMAN_V';
+        const rows = this.gatewayEntries().map(({ id, route, bandwidth, selected }) => {
+            const metric = batmanV ? formatThroughput(simulatedThroughput(route.tq)).padStart(11) : String(route.tq).padStart(3);
+            const marker = selected ? (batmanV ? '* ' : '=>') : '  ';
+            return `${marker} ${this.mesh.getNode(id).mac} (${metric}) ${this.mesh.getNode(route.nextHop).mac} ` +
+                `[${this.meshInterface.padStart(10)}]: ${bandwidth.down.toFixed(1)}/${bandwidth.up.toFixed(1)} MBit`;
+        });
+        const header = batmanV
+            ? '  Router            ( throughput) Next Hop          [outgoingIf]  Bandwidth'
+            : '      Gateway      (#/255)           Nexthop [outgoingIF]: advertised uplink bandwidth';
+        return [this.batmanHeader(), header, ...rows].join('\n');
+    }
+
+    renderGatewaysJson() {
+        return JSON.stringify(this.gatewayEntries().map(({ id, route, bandwidth, selected }) => ({
+            orig_address: this.mesh.getNode(id).mac,
+            router: this.mesh.getNode(route.nextHop).mac,
+            hard_ifindex: 3,
+            hard_ifname: this.meshInterface,
+            bandwidth_down: Math.round(bandwidth.down * 10),
+            bandwidth_up: Math.round(bandwidth.up * 10),
+            ...this.jsonMetric(route.tq),
+            ...(selected ? { best: true } : {})
+        })));
+    }
+
+    // Link metric field of the JSON tables for the active algorithm
+    jsonMetric(tq) {
+        return this.state.algorithm === 'BATMAN_V' ? { throughput: simulatedThroughput(tq) } : { tq };
+    }
+
+    renderRoutingAlgorithms() {
+        const active = this.state.batman ? [`Active routing protocol configuration:`, ` * ${this.batmanInterface}: ${this.state.algorithm}`, ''] : [];
+        return [
+            ...active,
+            'Selected routing algorithm (used when next batX interface is created):',
+            ` => ${this.state.selectedAlgorithm}`,
+            '',
+            'Available routing algorithms:',
+            ' * BATMAN_IV',
+            ' * BATMAN_V'
+        ].join('\n');
+    }
+
+    // JSON tables as printed by batctl 2021.0+ (neighbors_json / originators_json)
+    renderNeighborsJson() {
+        return JSON.stringify(this.mesh.neighbors(this.nodeId).map(neighbor => ({
+            hard_ifindex: 3,
+            hard_ifname: this.meshInterface,
+            neigh_address: this.mesh.getNode(neighbor.id).mac,
+            last_seen_msecs: (this.mesh.now() + neighbor.latencyMs) % 1000,
+            ...(this.state.algorithm === 'BATMAN_V' ? this.jsonMetric(neighbor.tq) : {})
+        })));
+    }
+
+    renderOriginatorsJson() {
+        const entries = [];
+        for (const [id, route] of this.mesh.routes(this.nodeId)) {
+            entries.push({
+                orig_address: this.mesh.getNode(id).mac,
+                neigh_address: this.mesh.getNode(route.nextHop).mac,
+                hard_ifindex: 3,
+                hard_ifname: this.meshInterface,
+                last_seen_msecs: (this.mesh.now() + route.latencyMs) % 1000,
+                ...this.jsonMetric(route.tq),
+                best: true
+            });
+        }
+        return JSON.stringify(entries);
+    }
+
+    renderLeases() {
+        const coordinator = this.mesh.getCoordinator();
+        const now = new Date(this.mesh.now());
+        const starts = dhcpDate(new Date(now.getTime() - 600 * 1000));
+        const ends = dhcpDate(new Date(now.getTime() + 3000 * 1000));
+
+        return this.mesh.getNodes()
+            .filter(node => !node.coordinator && this.mesh.isReachable(coordinator.id, node.id))
+            .map(node => [
+                `lease ${node.ip} {`,
+                `  starts ${starts};`,
+                `  ends ${ends};`,
+                '  binding state active;',
+                '  next binding state free;',
+                `  hardware ethernet ${node.mac};`,
+                `  client-hostname "${node.hostname}";`,
+                '}'
+            ].join('\n'))
+            .join('\n');
+    }
+
+    renderZerotierNetworks() {
+        const rows = Array.from(this.state.zerotierNetworks).map(networkId => {
+            const ready = networkId === this.mesh.networkId && this.zerotierReady();
+            const status = ready ? 'OK' : 'REQUESTING_CONFIGURATION';
+            return `200 listnetworks ${networkId} ${this.mesh.networkName} ${this.interfaceMac(this.zerotierInterface())} ` +
+                `${status} PRIVATE ${this.zerotierInterface()} ${ready ? `${this.node.ztIp}/24` : '-'}`;
+        });
+        return ['200 listnetworks <nwid> <name> <mac> <status> <type> <dev> <ZT assigned ips>', ...rows].join('\n');
+    }
+
+    renderZerotierPeers() {
+        const rows = ZEROTIER_ROOTS.map(root =>
+            `200 peers ${root.address} -      PLANET ${80 + (hashInt(root.address) % 60)} DIRECT 1200 1150 ${root.ip}/9993`);
+
+        if (this.zerotierReady()) {
+            for (const [id, route] of this.mesh.routes(this.nodeId)) {
+                const peer = this.mesh.getNode(id);
+                rows.push(`200 peers ${peer.ztAddress} ${ZEROTIER_VERSION} LEAF ${route.latencyMs} DIRECT 800 790 ${peer.ip}/9993`);
+            }
+        }
+        return ['200 peers <ztaddr> <ver> <role> <lat> <link> <lastTX> <lastRX> <path>', ...rows].join('\n');
+    }
+
+    // Interface counters grow steadily from the moment the simulation started
+    interfaceCounter(name, counter) {
+        const seconds = Math.max(0, (this.mesh.now() - this.mesh.started) / 1000);
+        const rate = 1000 + (hashInt(`${this.nodeId}-${name}-${counter}`) % 50000);
+        if (counter.endsWith('errors')) return '0';
+        if (counter.endsWith('packets')) return String(Math.floor(seconds * rate / 500));
+        return String(Math.floor(seconds * rate));
+    }
+}
+
+// Handlers receive the argument array and return stdout or { stdout, stderr, exitCode }
+SimulatedCommandRunner.prototype.handlers = {
+    batctl(args) {
+        let rest = args;
+        if (rest[0] === 'meshif' || rest[0] === '-m') {
+            rest = rest.slice(2);
+        }
+        const [subcommand, ...params] = rest;
+
+        if (subcommand === '-v' || subcommand === 'version') {
+            return `batctl debian-${BATMAN_VERSION} [batman-adv: ${BATMAN_VERSION}]`;
+        }
+
+        if (subcommand === 'ra' || subcommand === 'routing_algo') {
+            if (params.length > 0) {
+                if (!['BATMAN_IV', 'BATMAN_V'].includes(params[0])) {
+                    return this.fail(`Error - routing algorithm ${params[0]} not available`);
+                }
+                this.state.selectedAlgorithm = params[0];
+                return '';
+            }
+            return this.renderRoutingAlgorithms();
+        }
+
+        if (subcommand === 'interface' || subcommand === 'if') {
+            if (params[0] === 'add') {
+                params.slice(1).forEach(name => this.state.hardInterfaces.add(name));
+                if (!this.state.batman) {
+                    this.state.algorithm = this.state.selectedAlgorithm;
+                }
+                this.state.batman = true;
+                return '';
+            }
+            if (params[0] === 'del') {
+                params.slice(1).forEach(name => this.state.hardInterfaces.delete(name));
+                return '';
+            }
+        }
+
+        if (!this.state.batman) {
+            return this.fail(`Error - interface ${this.batmanInterface} is not present or not a batman-adv interface`);
+        }
+
+        switch (subcommand) {
+            case 'interface':
+            case 'if':
+                return Array.from(this.state.hardInterfaces).map(name => `${name}: active`).join('\n');
+            case 'neighbors':
+            case 'n':
+                return this.renderNeighbors();
+            case 'originators':
+            case 'o':
+                return this.renderOriginators();
+            case 'neighbors_json':
+            case 'nj':
+                return this.renderNeighborsJson();
+            case 'originators_json':
+            case 'oj':
+                return this.renderOriginatorsJson();
+            case 'gateways':
+            case 'gwl':
+                return this.renderGateways();
+            case 'gateways_json':
+            case 'gwj':
+                return this.renderGatewaysJson();
+            case 'gw_mode':
+            case 'gw':
+                if (params.length > 0) {
+                    this.state.gwMode = params[0];
+                    if (params[0] === 'client' && params[1]) this.state.gwSelClass = parseInt(params[1]);
+                    this.mesh.setGateway(this.nodeId, params[0] === 'server' ? (params[1] || '10000/2000') : null);
+                    return '';
+                }
+                if (this.state.gwMode === 'server') {
+                    const bandwidth = parseGatewayBandwidth(this.mesh.gateways.get(this.nodeId));
+                    return `server (announced bw: ${bandwidth.down.toFixed(1)}/${bandwidth.up.toFixed(1)} MBit)`;
+                }
+                if (this.state.gwMode === 'client') return `client (selection class: ${this.state.gwSelClass})`;
+                return 'off';
+            default:
+                return '';
+        }
+    },
+
+    ip(args) {
+        const rest = args.filter(arg => !['-4', '-6', '-o'].includes(arg));
+        const [object, action = 'show', ...params] = rest;
+
+        if (object === 'link') {
+            if (action === 'show') {
+                const name = this.deviceArg(params);
+                const names = this.interfaces();
+                if (!name) return names.map((n, i) => this.renderLink(n, i)).join('\n');
+                if (!names.includes(name)) return this.fail(`Device "${name}" does not exist.`);
+                return this.renderLink(name, names.indexOf(name));
+            }
+            if ((action === 'delete' || action === 'del') && this.deviceArg(params) === this.batmanInterface) {
+                this.state.batman = false;
+                this.state.hardInterfaces.clear();
+                this.state.addresses.delete(this.batmanInterface);
+            }
+            return '';
+        }
+
+        if (object === 'addr' || object === 'address' || object === 'a') {
+            if (action === 'add') {
+                this.state.addresses.set(this.deviceArg(params.slice(1)), params[0]);
+                return '';
+            }
+            if (action === 'flush' || action === 'del') {
+                this.state.addresses.delete(this.deviceArg(params));
+                return '';
+            }
+
+            const name = this.deviceArg(params);
+            const names = this.interfaces();
+            if (name && !names.includes(name)) return this.fail(`Device "${name}" does not exist.`);
+
+            return (name ? [name] : names).map(n => {
+                const address = this.interfaceAddress(n);
+                const lines = [this.renderLink(n, names.indexOf(n))];
+                if (address) {
+                    lines.push(`    inet ${address} scope ${n === 'lo' ? 'host' : 'global'} ${n}`);
+                }
+                return lines.join('\n');
+            }).join('\n');
+        }
+
+        if (object === 'route' || object === 'r') {
+            if (action !== 'show' && action !== 'list') return '';
+
+            const routes = [];
+            const batmanAddress = this.state.addresses.get(this.batmanInterface);
+            if (this.node.coordinator) {
+                routes.push(`default via 10.0.2.2 dev eth0 proto dhcp src ${this.interfaceAddress('eth0').split('/')[0]} metric 100`);
+            } else if (this.state.gateway && batmanAddress) {
+                routes.push(`default via ${this.state.gateway} dev ${this.batmanInterface} proto dhcp src ${batmanAddress.split('/')[0]} metric 600`);
+            }
+            if (batmanAddress) {
+                const prefix = batmanAddress.split('/')[0].split('.').slice(0, 3).join('.');
+                routes.push(`${prefix}.0/24 dev ${this.batmanInterface} proto kernel scope link src ${batmanAddress.split('/')[0]}`);
+            }
+            return routes.join('\n');
+        }
+
+        return '';
+    },
+
+    iw(args) {
+        // `iw dev X ...` and `iw X ...` are the same command
+        const [name, subcommand, ...params] = args[0] === 'dev' ? args.slice(1) : args;
+        if (name !== this.meshInterface && (subcommand === 'info' || subcommand === 'get')) {
+            return this.fail(`command failed: No such device (-19)`, 237);
+        }
+
+        if (subcommand === 'set' && params[0] === 'type') {
+            this.state.iwType = params[1] === 'mp' ? 'mesh point' : 'IBSS';
+            return '';
+        }
+        if (subcommand === 'set' && params[0] === 'mesh_param' && params[1] === 'mesh_fwding') {
+            this.state.meshForwarding = parseInt(params[2]);
+            return '';
+        }
+        if (subcommand === 'get' && params[0] === 'mesh_param' && params[1] === 'mesh_fwding') {
+            return `${this.state.meshForwarding}`;
+        }
+        if (subcommand === 'station' && params[0] === 'dump' && name === this.meshInterface) {
+            return this.renderStations();
+        }
+        if (subcommand !== 'info') return '';
+
+        return [
+            `Interface ${name}`,
+            '\tifindex 3',
+            '\twdev 0x1',
+            `\taddr ${this.node.mac}`,
+            `\tssid ${this.mesh.ssid}`,
+            `\ttype ${this.state.iwType}`,
+            '\twiphy 0',
+            `\tchannel ${Math.round((this.mesh.frequency - 2407) / 5)} (${this.mesh.frequency} MHz), width: 20 MHz (no HT), center1: ${this.mesh.frequency} MHz`,
+            '\ttxpower 20.00 dBm'
+        ].join('\n');
+    },
+
+    'zerotier-cli'(args) {
+        const [subcommand, networkId] = args.filter(arg => !arg.startsWith('-D'));
+
+        switch (subcommand) {
+            case 'info':
+                return `200 info ${this.node.ztAddress} ${ZEROTIER_VERSION} ONLINE`;
+            case 'join':
+                this.state.zerotierNetworks.add(networkId);
+                return '200 join OK';
+            case 'leave':
+                this.state.zerotierNetworks.delete(networkId);
+                return '200 leave OK';
+            case 'listnetworks':
+                return this.renderZerotierNetworks();
+            case 'peers':
+                return this.renderZerotierPeers();
+            default:
+                return '';
+        }
+    },
+
+    dhclient(args) {
+        const name = args.find(arg => !arg.startsWith('-')) || this.batmanInterface;
+
+        if (args.includes('-r') || args.includes('-x')) {
+            this.state.addresses.delete(name);
+            this.state.gateway = null;
+            return '';
+        }
+
+        const coordinator = this.mesh.getCoordinator();
+        if (!this.state.batman || !this.mesh.isReachable(this.nodeId, coordinator.id)) {
+            return this.fail('No DHCPOFFERS received.', 2);
+        }
+
+        this.state.addresses.set(name, `${this.node.ip}/24`);
+        this.state.gateway = coordinator.ip;
+        return '';
+    },
+
+    systemctl(args) {
+        const [action, unit = ''] = args;
+        const isDhcp = unit.startsWith('isc-dhcp-server');
+
+        switch (action) {
+            case 'start':
+            case 'restart':
+                if (isDhcp) this.state.dhcpServer = true;
+                return '';
+            case 'stop':
+                if (isDhcp) this.state.dhcpServer = false;
+                return '';
+            case 'is-active':
+                return isDhcp && this.state.dhcpServer ? 'active' : { stdout: 'inactive', exitCode: 3 };
+            case 'is-enabled':
+                return isDhcp ? 'enabled' : { stdout: 'disabled', exitCode: 1 };
+            default:
+                return '';
+        }
+    },
+
+    id(args) {
+        return args.includes('-u') ? '999' : 'uid=999(zerotier-one) gid=999(zerotier-one) groups=999(zerotier-one)';
+    },
+
+    which(args) {
+        return args.map(name => `/usr/sbin/${name}`).join('\n');
+    },
+
+    cat(args) {
+        const match = (args[0] || '').match(/^\/sys\/class\/net\/([^/]+)\/statistics\/(\w+)$/);
+        if (match) {
+            return this.interfaces().includes(match[1])
+                ? this.interfaceCounter(match[1], match[2])
+                : this.fail(`cat: ${args[0]}: No such file or directory`);
+        }
+        return this.files.has(args[0]) ? this.files.get(args[0]) : '';
+    },
+
+    // Mesh nodes answer by batman IP or MAC, anything else counts as the internet behind the coordinator
+    ping(args) {
+        const address = args[args.length - 1];
+        const target = this.mesh.getNodes().find(node => node.ip === address || node.mac === address.toLowerCase());
+        const coordinator = this.mesh.getCoordinator();
+        const route = target ? this.mesh.routes(this.nodeId).get(target.id) : this.mesh.routes(this.nodeId).get(coordinator.id);
+        const reachable = target ? target.id === this.nodeId || !!route : this.node.coordinator || !!route;
+
+        if (!reachable) {
+            return { stdout: `PING ${address}\n\n--- ${address} ping statistics ---\n1 packets transmitted, 0 received, 100% packet loss`, exitCode: 1 };
+        }
+        const time = (route ? route.latencyMs : 0) + (target ? 0 : 20);
+        return `PING ${address}\n64 bytes from ${address}: icmp_seq=1 ttl=64 time=${time}.0 ms\n\n` +
+            `--- ${address} ping statistics ---\n1 packets transmitted, 1 received, 0% packet loss`;
+    },
+
+    ps() {
+        return '    PID COMMAND\n      1 /sbin/init';
+    }
+};
+
+SimulatedCommandRunner.DHCP_LEASES_PATH = DHCP_LEASES_PATH;
+
+module.exports = SimulatedCommandRunner;
@@ -0,0 +1,7 @@
+const MeshSimulator = require('./MeshSimulator');
+const SimulatedCommandRunner = require('./SimulatedCommandRunner');
+
+module.exports = {
+    MeshSimulator,
+    SimulatedCommandRunner
+};
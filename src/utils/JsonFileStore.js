@@ -0,0 +1,56 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+// Default location for persisted coordinator state (overridable via DATA_DIR)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+
+/**
+ * JsonFileStore - Small persistence backend that keeps a JSON document on disk
+ *
+ * Writes go to a temporary file which is then renamed over the original, so a
+ * power cut on the Pi never leaves a half-written file behind. Writes are
+ * serialized so overlapping saves cannot interleave.
+ */
+class JsonFileStore {
+    constructor(fileName, defaultValue = null, options = {}) {
+        this.filePath = path.isAbsolute(fileName) ? fileName : path.join(DATA_DIR, fileName);
+        this.defaultValue = defaultValue;
+        this.fileMode = options.fileMode || 0o644;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return this.defaultValue;
+            }
+
+            logger.error(`Failed to load ${this.filePath}:`, error);
+
+            // Keep the unreadable file around for inspection instead of overwriting it on next save
+            await fs.rename(this.filePath, `${this.filePath}.corrupt.${Date.now()}`).catch(() => {});
+            return this.defaultValue;
+        }
+    }
+
+    save(data) {
+        const write = async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), { mode: this.fileMode });
+            await fs.rename(tmpPath, this.filePath);
+        };
+
+        this.pendingWrite = this.pendingWrite.then(write, write);
+        return this.pendingWrite;
+    }
+}
+
+JsonFileStore.DATA_DIR = DATA_DIR;
+
+module.exports = JsonFileStore;
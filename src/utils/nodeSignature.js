@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+// Request signing shared by NodeHeartbeat (signs) and NodeEnrollment (verifies).
+//
+// Every node request carries three headers:
+//   X-Node-Id         enrolled node ID
+//   X-Node-Timestamp  milliseconds since epoch, limits replay to the allowed clock skew
+//   X-Node-Signature  hex HMAC-SHA256 over "METHOD\nPATH\nTIMESTAMP\nSHA256(BODY)"
+const HEADERS = {
+    nodeId: 'x-node-id',
+    timestamp: 'x-node-timestamp',
+    signature: 'x-node-signature'
+};
+
+function canonicalString(method, urlPath, timestamp, body = '') {
+    const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+    return [method.toUpperCase(), urlPath, timestamp, bodyHash].join('\n');
+}
+
+function createSignature(secret, method, urlPath, timestamp, body) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(canonicalString(method, urlPath, timestamp, body))
+        .digest('hex');
+}
+
+function signRequest(nodeId, secret, method, urlPath, body) {
+    const timestamp = String(Date.now());
+
+    return {
+        'X-Node-Id': nodeId,
+        'X-Node-Timestamp': timestamp,
+        'X-Node-Signature': createSignature(secret, method, urlPath, timestamp, body)
+    };
+}
+
+function verifySignature(secret, method, urlPath, timestamp, body, signature) {
+    const expected = Buffer.from(createSignature(secret, method, urlPath, timestamp, body), 'hex');
+    const actual = Buffer.from(String(signature || ''), 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+    HEADERS,
+    createSignature,
+    signRequest,
+    verifySignature
+};
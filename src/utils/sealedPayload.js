@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// Confidential coordinator -> node payloads (e.g. mesh passphrases) sent over plain HTTP.
+//
+// Encrypted with AES-256-GCM under a key derived from the node secret issued at
+// enrollment, so only that node can read it and tampering is detected. The
+// purpose string keeps keys for different payload kinds apart.
+function deriveKey(secret, purpose) {
+    return crypto.createHash('sha256').update(`${purpose}\n${secret}`).digest();
+}
+
+function seal(secret, purpose, value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret, purpose), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+// Throws if the payload was not sealed for this secret and purpose
+function open(secret, purpose, sealed) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret, purpose), Buffer.from(sealed.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+
+    return JSON.parse(plain.toString('utf8'));
+}
+
+module.exports = {
+    seal,
+    open
+};
@@ -0,0 +1,103 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const Alfred = require('../src/services/Alfred');
+const NetworkManager = require('../src/services/NetworkManager');
+const { FakeCommandRunner } = require('../src/runner');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'alfred', name), 'utf8');
+
+const COORDINATOR = 'dc:a6:32:aa:bb:cc';
+const NODE_B = 'b8:27:eb:45:93:30';
+const NODE_C = 'dc:a6:32:01:02:03';
+
+function meshRunner() {
+    return new FakeCommandRunner()
+        .on('ip -o link show wlan1', `3: wlan1: <BROADCAST,MULTICAST,UP,LOWER_UP> mtu 1532\\    link/ether ${COORDINATOR} brd ff:ff:ff:ff:ff:ff`)
+        .on('alfred -r 100', fixture('records.txt'))
+        .on('batadv-vis -i bat0 -f jsondoc', fixture('vis-jsondoc.json'));
+}
+
+describe('Alfred', function() {
+    const env = { ...process.env };
+
+    beforeEach(function() {
+        process.env.MESH_INTERFACES = 'wlan1';
+    });
+
+    afterEach(function() {
+        process.env = { ...env };
+    });
+
+    it('should parse alfred records and the batadv-vis document', function() {
+        const records = Alfred.parseAlfredData(fixture('records.txt'));
+        assert.deepEqual(records.map(r => r.source), ['7e:4f:21:0a:bb:01', '5a:11:9c:00:00:02', '6e:02:7a:19:c4:d0']);
+        assert.equal(JSON.parse(records[1].data).hostname, 'pi-garage');
+        assert.equal(records[2].data, 'not json\n');
+
+        const vis = Alfred.parseVisJsonDoc(fixture('vis-jsondoc.json'));
+        assert.equal(vis.algorithm, 'BATMAN_IV');
+        assert.deepEqual(vis.nodes[1].secondary, ['b8:27:eb:45:93:31']);
+        assert.deepEqual(vis.nodes[2].neighbors, [{ address: NODE_B, metric: 1.275, quality: 0.784 }]);
+        // One link per originator pair, the best direction kept, secondary interfaces folded in
+        assert.deepEqual(vis.links.map(l => [l.source, l.target, l.metric, l.quality]), [
+            [NODE_B, COORDINATOR, 1.037, 0.964],
+            [COORDINATOR, NODE_C, 2.125, 0.471],
+            [NODE_B, '6e:02:7a:19:c4:01', 1.275, 0.784],
+            [NODE_C, NODE_B, 1.275, 0.784]
+        ]);
+    });
+
+    it('should validate the data type and position', function() {
+        assert.deepEqual(Alfred.parsePosition('52.5163, 13.3777'), { latitude: 52.5163, longitude: 13.3777 });
+        assert.equal(Alfred.parsePosition(''), null);
+        assert.throws(() => Alfred.parsePosition('garage'), /Invalid NODE_POSITION "garage"/);
+        assert.throws(() => new Alfred({ runner: new FakeCommandRunner(), dataType: 16 }), /between 64 and 255/);
+    });
+
+    it('should publish this node\'s record on stdin', async function() {
+        process.env.NODE_POSITION = '52.5163,13.3777';
+        const runner = meshRunner();
+        const networkManager = new NetworkManager({ runner, isCoordinator: false });
+        networkManager.nodeId = 'node-b';
+
+        assert.equal(await networkManager.alfred.publish(), true);
+
+        const call = runner.calls.find(c => c.command === 'alfred -s 100');
+        const record = JSON.parse(call.input);
+        assert.equal(record.nodeId, 'node-b');
+        assert.equal(record.role, 'node');
+        assert.equal(record.originator, COORDINATOR);
+        assert.deepEqual(record.position, { latitude: 52.5163, longitude: 13.3777 });
+        assert.ok(networkManager.alfred.getStatus().lastPublish instanceof Date);
+    });
+
+    it('should supervise alfred and batadv-vis', async function() {
+        const runner = new FakeCommandRunner();
+        const alfred = new Alfred({ runner, master: true, minRestartDelay: 5, maxRestartDelay: 20 });
+        await alfred.start();
+        assert.deepEqual(runner.commands(), ['alfred -i bat0 -b bat0 -m', 'batadv-vis -i bat0 -s']);
+
+        runner.processes[1].emit('exit', 1, null);
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        const vis = alfred.getStatus().daemons.find(d => d.name === 'batadv-vis');
+        assert.equal(runner.processes.length, 3);
+        assert.equal(vis.running, true);
+        assert.equal(vis.restarts, 1);
+        assert.equal(vis.lastExit.code, 1);
+
+        await alfred.stop();
+        assert.ok([0, 2].every(i => runner.processes[i].killed));
+        assert.deepEqual(alfred.getStatus().daemons, []);
+    });
+
+    it('should stop both daemons on cleanup', async function() {
+        const runner = new FakeCommandRunner();
+        const networkManager = new NetworkManager({ runner });
+        await networkManager.startAlfredAndVis();
+
+        await networkManager.cleanup();
+        assert.ok(runner.processes.every(child => child.killed));
+    });
+});
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const AuthManager = require('../src/services/AuthManager');
+const memoryStore = require('./helpers/memoryStore');
+
+describe('AuthManager', function() {
+    let auth;
+
+    beforeEach(async function() {
+        process.env.ADMIN_PASSWORD = 'secret';
+        auth = new AuthManager({ enabled: true, store: memoryStore() });
+        await auth.initialize();
+        delete process.env.ADMIN_PASSWORD;
+    });
+
+    it('should create a bootstrap admin user', function() {
+        const users = auth.listUsers();
+        assert.equal(users.length, 1);
+        assert.equal(users[0].role, 'admin');
+        assert(!users[0].passwordHash);
+    });
+
+    it('should issue sessions only for valid credentials', function() {
+        assert.equal(auth.login('admin', 'wrong'), null);
+
+        const sessionId = auth.login('admin', 'secret');
+        assert(sessionId);
+
+        const user = auth.resolveCredentials({ cookie: `batman_session=${sessionId}` });
+        assert.equal(user.username, 'admin');
+        assert.equal(user.role, 'admin');
+    });
+
+    it('should skip cookies it cannot decode', function() {
+        const sessionId = auth.login('admin', 'secret');
+        assert.deepEqual(auth.parseCookies('foo=%E0; theme=dark'), { theme: 'dark' });
+
+        const user = auth.resolveCredentials({ cookie: `foo=%E0; batman_session=${sessionId}` });
+        assert.equal(user.username, 'admin');
+    });
+
+    it('should resolve API tokens to their role', async function() {
+        const created = await auth.createToken('dashboard-tv', 'viewer');
+        const user = auth.resolveCredentials({ authorization: `Bearer ${created.token}` });
+
+        assert.equal(user.role, 'viewer');
+        assert.equal(auth.resolveCredentials({ authorization: 'Bearer bmc_invalid' }), null);
+
+        await auth.revokeToken(created.id);
+        assert.equal(auth.resolveCredentials({ authorization: `Bearer ${created.token}` }), null);
+    });
+
+    it('should enforce the role hierarchy', function() {
+        assert(AuthManager.hasRole({ role: 'admin' }, 'operator'));
+        assert(AuthManager.hasRole({ role: 'operator' }, 'viewer'));
+        assert(!AuthManager.hasRole({ role: 'viewer' }, 'operator'));
+        assert(!AuthManager.hasRole(null, 'viewer'));
+    });
+
+    it('should refuse to remove the last admin', async function() {
+        await assert.rejects(() => auth.deleteUser('admin'), /last admin/);
+        await assert.rejects(() => auth.updateUser('admin', { role: 'viewer' }), /last admin/);
+    });
+});
@@ -5,7 +5,7 @@ const SecurityManager = require('../src/services/SecurityManager');
 const StatsCollector = require('../src/services/StatsCollector');
 
 describe('Batman Coordinator Tests', function() {
-    this.timeout(10000);
+    jest.setTimeout(10000);
 
     describe('NetworkManager', function() {
         it('should initialize without errors', function() {
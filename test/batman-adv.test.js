@@ -0,0 +1,164 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const BatmanAdv = require('../src/services/BatmanAdv');
+const NetworkManager = require('../src/services/NetworkManager');
+const { FakeCommandRunner } = require('../src/runner');
+
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', 'batctl', name), 'utf8');
+}
+
+describe('BatmanAdv parsers', function() {
+    it('should parse BATMAN_IV neighbors from batctl 2016.5', function() {
+        const neighbors = BatmanAdv.parseNeighbors(fixture('2016.5-iv-neighbors.txt'));
+
+        assert.deepEqual(neighbors.map(n => [n.address, n.interface, n.lastSeenMs]), [
+            ['b8:27:eb:45:93:30', 'wlan1', 480],
+            ['b8:27:eb:aa:bb:cc', 'wlan1', 1210]
+        ]);
+        assert.equal(neighbors[0].algorithm, 'BATMAN_IV');
+        assert.equal(neighbors[0].quality, null);
+    });
+
+    it('should parse debugfs originators with potential nexthops as best routes', function() {
+        const routes = BatmanAdv.parseOriginators(fixture('2016.5-iv-originators.txt'));
+
+        assert.equal(routes.length, 3);
+        assert.ok(routes.every(r => r.isBestPath));
+        const far = routes.find(r => r.originator === 'b8:27:eb:77:88:99');
+        assert.equal(far.nextHop, 'b8:27:eb:45:93:30');
+        assert.equal(far.tq, 174);
+        assert.equal(far.quality, 0.682);
+    });
+
+    it('should mark best routes in batctl 2019.2 originators', function() {
+        const routes = BatmanAdv.parseOriginators(fixture('2019.2-iv-originators.txt'));
+
+        assert.equal(routes.length, 4);
+        assert.deepEqual(routes.filter(r => !r.isBestPath).map(r => [r.originator, r.nextHop, r.tq]), [
+            ['b8:27:eb:45:93:30', 'b8:27:eb:aa:bb:cc', 80]
+        ]);
+    });
+
+    it('should normalize BATMAN_V throughput tables', function() {
+        const neighbors = BatmanAdv.parseNeighbors(fixture('2023.0-v-neighbors.txt'));
+        assert.deepEqual(neighbors.map(n => [n.address, n.metric, n.throughputMbps, n.quality]), [
+            ['b8:27:eb:45:93:30', 'throughput', 54, 0.54],
+            ['b8:27:eb:aa:bb:cc', 'throughput', 6.5, 0.065]
+        ]);
+
+        const routes = BatmanAdv.parseOriginators(fixture('2023.0-v-originators.txt'));
+        assert.equal(routes.length, 3);
+        assert.ok(routes.every(r => r.algorithm === 'BATMAN_V' && r.tq === null));
+    });
+
+    it('should produce the same schema from JSON and text tables', function() {
+        assert.deepEqual(
+            BatmanAdv.parseOriginators(fixture('2023.0-v-originators.json')),
+            BatmanAdv.parseOriginators(fixture('2023.0-v-originators.txt'))
+        );
+        assert.deepEqual(
+            BatmanAdv.parseOriginators(fixture('2023.0-iv-originators.json')),
+            BatmanAdv.parseOriginators(fixture('2019.2-iv-originators.txt'))
+        );
+        assert.deepEqual(
+            BatmanAdv.parseNeighbors(fixture('2023.0-iv-neighbors.json')),
+            BatmanAdv.parseNeighbors(fixture('2016.5-iv-neighbors.txt'))
+        );
+    });
+
+    it('should parse active, selected and available routing algorithms', function() {
+        assert.deepEqual(BatmanAdv.parseRoutingAlgorithms(fixture('2023.0-ra.txt')), {
+            active: { bat0: 'BATMAN_V' },
+            selected: 'BATMAN_IV',
+            available: ['BATMAN_IV', 'BATMAN_V']
+        });
+    });
+
+    it('should skip unrecognised lines and empty tables', function() {
+        const output = `${fixture('2023.0-v-originators.txt')}garbage line without a route\n`;
+        assert.equal(BatmanAdv.parseOriginators(output).length, 3);
+        assert.deepEqual(BatmanAdv.parseNeighbors('No batman nodes in range ...'), []);
+    });
+});
+
+describe('BatmanAdv', function() {
+    it('should prefer the JSON tables when batctl provides them', async function() {
+        const runner = new FakeCommandRunner()
+            .on('batctl meshif bat0 neighbors_json', fixture('2023.0-iv-neighbors.json'));
+        const batman = new BatmanAdv({ runner });
+
+        const neighbors = await batman.getNeighbors();
+        assert.equal(neighbors.length, 2);
+        assert.deepEqual(runner.commands(), ['batctl meshif bat0 neighbors_json']);
+    });
+
+    it('should fall back to old syntax and text tables once', async function() {
+        const runner = new FakeCommandRunner({ strict: true })
+            .on('batctl -m bat0 originators', fixture('2016.5-iv-originators.txt'));
+        const batman = new BatmanAdv({ runner });
+
+        assert.equal((await batman.getOriginators()).length, 3);
+        runner.reset();
+        assert.equal((await batman.getOriginators()).length, 3);
+        assert.deepEqual(runner.commands(), ['batctl -m bat0 originators']);
+    });
+
+    it('should keep trying JSON while the batman interface is missing', async function() {
+        const runner = new FakeCommandRunner()
+            .on(/^batctl/, { stderr: 'Error - interface bat0 is not present or not a batman-adv interface', exitCode: 1 });
+        const batman = new BatmanAdv({ runner });
+
+        await assert.rejects(batman.getNeighbors(), /not present/);
+        assert.equal(batman.jsonSupported, null);
+    });
+});
+
+describe('NetworkManager routing algorithm', function() {
+    const env = { ...process.env };
+
+    afterEach(function() {
+        process.env = { ...env };
+    });
+
+    it('should select an available algorithm for the next batman interface', async function() {
+        process.env.BATMAN_ALGORITHM = 'batman_v';
+        const runner = new FakeCommandRunner()
+            .on('batctl ra', fixture('2023.0-ra.txt'));
+        const networkManager = new NetworkManager({ runner });
+
+        await networkManager.selectRoutingAlgorithm();
+        assert.deepEqual(runner.commands(), ['batctl ra', 'batctl ra BATMAN_V']);
+    });
+
+    it('should keep the default when the kernel lacks the algorithm', async function() {
+        process.env.BATMAN_ALGORITHM = 'BATMAN_V';
+        const runner = new FakeCommandRunner()
+            .on('batctl ra', 'Available routing algorithms:\n * BATMAN_IV\n');
+        const networkManager = new NetworkManager({ runner });
+
+        await networkManager.selectRoutingAlgorithm();
+        assert.deepEqual(runner.commands(), ['batctl ra']);
+    });
+
+    it('should reject unknown algorithms', async function() {
+        process.env.BATMAN_ALGORITHM = 'OLSR';
+        const networkManager = new NetworkManager({ runner: new FakeCommandRunner() });
+        await assert.rejects(networkManager.selectRoutingAlgorithm(), /Unsupported BATMAN_ALGORITHM/);
+    });
+
+    it('should apply BATMAN_V settings per hard interface', async function() {
+        process.env.MESH_INTERFACE = 'wlan1';
+        process.env.BATMAN_ELP_INTERVAL = '500';
+        process.env.BATMAN_THROUGHPUT_OVERRIDE = 'eth0:1000mbit,wlan1:50mbit';
+        const runner = new FakeCommandRunner();
+        const networkManager = new NetworkManager({ runner });
+
+        await networkManager.tuneBatmanV();
+        assert.deepEqual(runner.commands(), [
+            'batctl hardif wlan1 elp_interval 500',
+            'batctl hardif wlan1 throughput_override 50mbit'
+        ]);
+    });
+});
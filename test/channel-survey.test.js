@@ -0,0 +1,144 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const ChannelSurvey = require('../src/services/ChannelSurvey');
+const NetworkManager = require('../src/services/NetworkManager');
+const WirelessManager = require('../src/services/WirelessManager');
+const CommandQueue = require('../src/services/CommandQueue');
+const { FakeCommandRunner } = require('../src/runner');
+const memoryStore = require('./helpers/memoryStore');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'iw', name), 'utf8');
+
+describe('Channel survey', function() {
+    const env = { ...process.env };
+
+    beforeEach(function() {
+        process.env.MESH_SSID = 'batman-mesh';
+        delete process.env.CHANNEL_CANDIDATES;
+    });
+
+    afterEach(function() {
+        process.env = { ...env };
+    });
+
+    it('should parse iw survey dump', function() {
+        const entries = ChannelSurvey.parseSurveyDump(fixture('survey-dump.txt'));
+
+        assert.equal(entries.length, 5);
+        assert.deepEqual(entries[1], { frequency: 2437, inUse: true, noise: -95, activeMs: 61328, busyMs: 30664 });
+        assert.deepEqual(entries[4], { frequency: 2472, inUse: false, noise: null, activeMs: null, busyMs: null });
+    });
+
+    it('should parse iw scan results', function() {
+        const networks = ChannelSurvey.parseScan(fixture('scan.txt'));
+
+        assert.deepEqual(networks.map(n => [n.bssid, n.frequency, n.signal, n.ssid]), [
+            ['24:a4:3c:11:22:33', 2437, -48, 'HomeNet'],
+            ['9c:3d:cf:44:55:66', 2432, -70, 'Neighbour'],
+            ['b8:27:eb:45:93:30', 2437, -40, 'batman-mesh'],
+            ['00:11:22:33:44:55', 2412, -85, '']
+        ]);
+    });
+
+    it('should convert between channels and frequencies', function() {
+        assert.equal(ChannelSurvey.frequencyToChannel(2437), 6);
+        assert.equal(ChannelSurvey.frequencyToChannel(2484), 14);
+        assert.equal(ChannelSurvey.frequencyToChannel(5180), 36);
+        assert.equal(ChannelSurvey.channelToFrequency(11), 2462);
+        assert.equal(ChannelSurvey.channelToFrequency(149), 5745);
+        assert.equal(ChannelSurvey.channelToFrequency(0), null);
+    });
+
+    it('should score channels and recommend a clearly better one', async function() {
+        const runner = new FakeCommandRunner()
+            .on('iw dev wlan1 scan', fixture('scan.txt'))
+            .on('iw dev wlan1 survey dump', fixture('survey-dump.txt'));
+        const survey = new ChannelSurvey({ runner });
+
+        const result = await survey.survey({ name: 'wlan1', type: 'wireless', frequency: '2437' });
+
+        assert.deepEqual(result.channels.map(c => [c.channel, c.score, c.busyPercent, c.networks]), [
+            [11, 97, 5, 0],
+            [1, 64, 45, 1],
+            // Our own mesh is not counted as a competing network
+            [6, 51, 50, 1]
+        ]);
+        assert.deepEqual(result.recommendation, { frequency: 2462, channel: 11, score: 97, improvement: 46 });
+        assert.deepEqual(survey.getResults(), [result]);
+    });
+
+    it('should not recommend small improvements', async function() {
+        const runner = new FakeCommandRunner()
+            .on('iw dev wlan1 survey dump', fixture('survey-dump.txt'));
+        process.env.CHANNEL_SURVEY_SCAN = 'false';
+        const survey = new ChannelSurvey({ runner, minImprovement: 50 });
+
+        const result = await survey.survey({ name: 'wlan1', type: 'wireless', frequency: '2437' });
+        assert.equal(result.recommendation, null);
+        assert.ok(!runner.commands().includes('iw dev wlan1 scan'));
+    });
+});
+
+describe('Coordinated channel change', function() {
+    const env = { ...process.env };
+
+    beforeEach(function() {
+        process.env.MESH_SSID = 'batman-mesh';
+        process.env.MESH_INTERFACES = 'wlan1,eth1:wired';
+        process.env.MESH_FREQUENCY = '2437';
+    });
+
+    afterEach(function() {
+        process.env = { ...env };
+    });
+
+    function createManagers(runner, channelStore = memoryStore({})) {
+        const networkManager = new NetworkManager({ runner });
+        const wirelessManager = new WirelessManager({ runner, networkManager, channelStore, settleDelay: 0, joinDelay: 0 });
+        return { networkManager, wirelessManager, channelStore };
+    }
+
+    it('should accept channel_change node commands', function() {
+        assert.ok(CommandQueue.isValidType('channel_change'));
+    });
+
+    it('should switch the radios on the old frequency at the announced time and remember it', async function() {
+        const runner = new FakeCommandRunner();
+        const { networkManager, wirelessManager, channelStore } = createManagers(runner);
+
+        const switched = wirelessManager.scheduleSwitch({ fromFrequency: 2437, frequency: 2462, switchAt: new Date(Date.now() + 20) });
+        assert.deepEqual(wirelessManager.getPendingSwitch().interfaces, ['wlan1']);
+        assert.throws(() => wirelessManager.scheduleSwitch({ fromFrequency: 2437, frequency: 2412, switchAt: new Date() }), /already scheduled/);
+        assert.equal(runner.commands().length, 0);
+
+        assert.deepEqual(await switched, { interfaces: ['wlan1'], frequency: 2462 });
+        assert.equal(networkManager.hardInterfaces[0].frequency, '2462');
+        assert.ok(runner.commands().includes('iw wlan1 ibss join batman-mesh 2462'));
+        assert.deepEqual(channelStore.data, { wlan1: 2462 });
+        assert.equal(wirelessManager.getPendingSwitch(), null);
+    });
+
+    it('should refuse to switch when no radio is on the old frequency', function() {
+        const { wirelessManager } = createManagers(new FakeCommandRunner());
+        assert.throws(() => wirelessManager.scheduleSwitch({ fromFrequency: 2412, frequency: 2462, switchAt: new Date() }), /No mesh radio on 2412 MHz/);
+    });
+
+    it('should cancel a scheduled switch', async function() {
+        const runner = new FakeCommandRunner();
+        const { wirelessManager } = createManagers(runner);
+
+        const switched = wirelessManager.scheduleSwitch({ fromFrequency: 2437, frequency: 2462, switchAt: new Date(Date.now() + 60000) });
+        assert.equal(wirelessManager.cancelSwitch(), true);
+        await assert.rejects(switched, /cancelled/);
+        assert.equal(runner.commands().length, 0);
+    });
+
+    it('should start on the channel the mesh last moved to', async function() {
+        const runner = new FakeCommandRunner();
+        const { wirelessManager } = createManagers(runner, memoryStore({ wlan1: 2462 }));
+
+        await wirelessManager.configureAll();
+        assert.ok(runner.commands().includes('iw wlan1 ibss join batman-mesh 2462'));
+    });
+});
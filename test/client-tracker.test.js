@@ -0,0 +1,141 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const BatmanAdv = require('../src/services/BatmanAdv');
+const NetworkManager = require('../src/services/NetworkManager');
+const ClientTracker = require('../src/services/ClientTracker');
+const NodeRegistry = require('../src/services/NodeRegistry');
+const NodeIdentity = require('../src/services/NodeIdentity');
+const { FakeCommandRunner } = require('../src/runner');
+const memoryStore = require('./helpers/memoryStore');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'batctl', name), 'utf8');
+
+const LAPTOP = 'a4:83:e7:9a:bc:de';
+
+describe('Translation tables', function() {
+    it('should parse the local table and skip headers', function() {
+        const clients = BatmanAdv.parseClients(fixture('2023.0-tl.txt'), 'localClients');
+
+        assert.deepEqual(clients.map(c => [c.mac, c.originator, c.lastSeenMs, c.flags.noPurge, c.flags.wifi]), [
+            ['7e:4f:21:0a:bb:01', null, 0, true, false],
+            ['3c:22:fb:12:34:56', null, 2140, false, true]
+        ]);
+    });
+
+    it('should parse the global table in either format', function() {
+        for (const name of ['2023.0-tg.txt', '2023.0-tg.json']) {
+            const clients = BatmanAdv.parseClients(fixture(name));
+
+            assert.deepEqual(clients.map(c => [c.mac, c.vid, c.originator, c.best, c.flags.roaming]), [
+                ['5a:11:9c:00:00:02', -1, 'b8:27:eb:45:93:30', true, false],
+                [LAPTOP, -1, 'b8:27:eb:45:93:30', true, false],
+                [LAPTOP, -1, 'dc:a6:32:01:02:03', false, true],
+                ['00:1a:2b:3c:4d:5e', 10, 'dc:a6:32:01:02:03', true, false]
+            ], name);
+        }
+    });
+});
+
+describe('ClientTracker', function() {
+    const env = { ...process.env };
+
+    beforeEach(function() {
+        process.env.MESH_INTERFACES = 'wlan1';
+    });
+
+    afterEach(function() {
+        process.env = { ...env };
+    });
+
+    function createTracker(runner, options = {}) {
+        const nodes = new NodeRegistry({ store: memoryStore([]) });
+        // node-b's originator is one of its hard interfaces, the other node was only discovered
+        nodes.upsert('node-b', { hostname: 'pi-garage', batmanMac: '5a:11:9c:00:00:02', registeredAt: new Date() });
+        nodes.identify(NodeIdentity.fromHeartbeat('node-b', {
+            batman: { macAddress: '5a:11:9c:00:00:02', hardInterfaces: [{ name: 'wlan1', mac: 'b8:27:eb:45:93:30' }] }
+        }), 'node-b', 'heartbeat');
+        nodes.updateMetadata('node-b', { name: 'Garage' });
+        nodes.set('dc:a6:32:01:02:03', { id: 'dc:a6:32:01:02:03', address: 'dc:a6:32:01:02:03' });
+        nodes.addAliases('dc:a6:32:01:02:03', [NodeIdentity.identifier('mac', 'dc:a6:32:01:02:03')], 'batman');
+        const dhcpManager = {
+            async getLeases() {
+                return [{ ip: '192.168.100.57', mac: 'A4:83:E7:9A:BC:DE', hostname: 'laptop', state: 'active' }];
+            }
+        };
+        const tracker = new ClientTracker({ networkManager: new NetworkManager({ runner }), dhcpManager, nodes, store: memoryStore([]), ...options });
+        const roams = [];
+        tracker.on('roam', move => roams.push(move));
+        return { tracker, roams };
+    }
+
+    function meshRunner() {
+        return new FakeCommandRunner()
+            .on('ip -o link show wlan1', '3: wlan1: <BROADCAST,MULTICAST,UP,LOWER_UP> mtu 1532\\    link/ether dc:a6:32:aa:bb:cc brd ff:ff:ff:ff:ff:ff')
+            .on('batctl meshif bat0 transtable_local', fixture('2023.0-tl.txt'))
+            .on('batctl meshif bat0 transtable_global', fixture('2023.0-tg.txt'));
+    }
+
+    it('should map clients to the node they sit behind', async function() {
+        const { tracker } = createTracker(meshRunner());
+
+        const clients = await tracker.update();
+
+        // Batman's own bat0 MACs are not clients
+        assert.deepEqual(clients.map(c => [c.mac, c.nodeId, c.nodeName]).sort(), [
+            ['00:1a:2b:3c:4d:5e', 'dc:a6:32:01:02:03', 'dc:a6:32:01:02:03'],
+            ['3c:22:fb:12:34:56', 'coordinator', 'Coordinator'],
+            [LAPTOP, 'node-b', 'Garage']
+        ]);
+        const laptop = tracker.get(LAPTOP.toUpperCase());
+        assert.equal(laptop.ip, '192.168.100.57');
+        assert.equal(laptop.hostname, 'laptop');
+        assert.equal(laptop.wifi, true);
+        assert.deepEqual(tracker.list({ nodeId: 'node-b' }).map(c => c.mac), [LAPTOP]);
+    });
+
+    it('should record roaming between nodes', async function() {
+        const runner = meshRunner();
+        const { tracker, roams } = createTracker(runner, { roamHistorySize: 2 });
+        await tracker.update();
+
+        // The laptop moves behind the discovered node, then on to the coordinator
+        runner.on('batctl meshif bat0 transtable_global', fixture('2023.0-tg.txt').replace(' * a4:83', '   a4:83').replace('   a4:83:e7:9a:bc:de   -1 [RW..]', ' * a4:83:e7:9a:bc:de   -1 [RW..]'));
+        await tracker.update();
+        assert.equal(tracker.get(LAPTOP).nodeId, 'dc:a6:32:01:02:03');
+        assert.deepEqual(roams.map(r => [r.from.nodeId, r.to.nodeId]), [['node-b', 'dc:a6:32:01:02:03']]);
+
+        runner.on('batctl meshif bat0 transtable_global', '')
+            .on('batctl meshif bat0 transtable_local', `${fixture('2023.0-tl.txt')} * ${LAPTOP}   -1 [....W.]   0.120   (0x0e3a7d52)\n`);
+        await tracker.update();
+
+        const laptop = tracker.get(LAPTOP);
+        assert.equal(laptop.nodeId, 'coordinator');
+        assert.equal(laptop.roams, 2);
+        assert.deepEqual(laptop.history.map(move => move.nodeId), ['dc:a6:32:01:02:03', 'coordinator']);
+        // Clients that left the tables stay listed as inactive
+        assert.equal(tracker.get('00:1a:2b:3c:4d:5e').active, false);
+    });
+
+    it('should forget inactive clients after the retention period', async function() {
+        const runner = meshRunner();
+        const { tracker } = createTracker(runner, { retentionHours: 1 });
+        await tracker.update();
+        tracker.get(LAPTOP).lastSeen = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+        runner.on('batctl meshif bat0 transtable_global', '');
+        await tracker.update();
+
+        assert.equal(tracker.get(LAPTOP), null);
+        assert.equal(tracker.get('00:1a:2b:3c:4d:5e').active, false);
+    });
+
+    it('should restore clients as inactive', async function() {
+        const store = memoryStore([{ mac: LAPTOP, active: true, lastSeen: '2026-01-01T00:00:00.000Z', history: [{ nodeId: 'node-b', at: '2026-01-01T00:00:00.000Z' }] }]);
+        const { tracker } = createTracker(new FakeCommandRunner(), { store });
+
+        await tracker.load();
+        assert.equal(tracker.get(LAPTOP).active, false);
+        assert.ok(tracker.get(LAPTOP).history[0].at instanceof Date);
+    });
+});
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const CommandQueue = require('../src/services/CommandQueue');
+const memoryStore = require('./helpers/memoryStore');
+
+describe('CommandQueue', function() {
+    let queue;
+
+    beforeEach(async function() {
+        queue = new CommandQueue({ store: memoryStore(), defaultTtlSeconds: 600, redeliveryDelaySeconds: 60 });
+        await queue.load();
+    });
+
+    it('should deliver queued commands once and track results', function() {
+        const command = queue.enqueue('abc123', 'run_diagnostics', { requestedBy: 'admin' });
+
+        const delivered = queue.takeForDelivery('abc123');
+        assert.deepEqual(delivered.map(c => c.id), [command.id]);
+        assert.equal(queue.takeForDelivery('abc123').length, 0);
+        assert.equal(queue.takeForDelivery('other').length, 0);
+
+        queue.recordResults('abc123', [{ id: command.id, status: 'acknowledged' }]);
+        assert.equal(queue.list('abc123')[0].status, 'acknowledged');
+
+        const updated = queue.recordResults('abc123', [{ id: command.id, status: 'succeeded', result: { internet: true } }]);
+        assert.equal(updated.length, 1);
+        assert.equal(command.status, 'succeeded');
+        assert.deepEqual(command.result, { internet: true });
+    });
+
+    it('should redeliver unacknowledged commands after the delay', function() {
+        const command = queue.enqueue('abc123', 'restart');
+        const start = new Date();
+
+        queue.takeForDelivery('abc123', start);
+        assert.equal(queue.takeForDelivery('abc123', new Date(start.getTime() + 30 * 1000)).length, 0);
+
+        const again = queue.takeForDelivery('abc123', new Date(start.getTime() + 61 * 1000));
+        assert.deepEqual(again.map(c => c.id), [command.id]);
+        assert.equal(command.deliveryAttempts, 2);
+    });
+
+    it('should expire unfinished commands after their TTL', function() {
+        const command = queue.enqueue('abc123', 'update_config', { config: { heartbeatInterval: 10000 }, ttlSeconds: 5 });
+        const later = new Date(Date.now() + 10 * 1000);
+
+        assert.equal(queue.takeForDelivery('abc123', later).length, 0);
+        assert.deepEqual(queue.expire(later).map(c => c.id), [command.id]);
+        assert.equal(command.status, 'expired');
+
+        // Late results for finished commands are ignored
+        assert.equal(queue.recordResults('abc123', [{ id: command.id, status: 'succeeded' }]).length, 0);
+    });
+
+    it('should ignore results reported by a different node', function() {
+        const command = queue.enqueue('abc123', 'restart');
+        assert.equal(queue.recordResults('intruder', [{ id: command.id, status: 'failed' }]).length, 0);
+        assert.equal(command.status, 'queued');
+    });
+
+    it('should reject unknown command types', function() {
+        assert.throws(() => queue.enqueue('abc123', 'rm -rf'), /Unknown command type/);
+    });
+});
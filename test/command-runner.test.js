@@ -0,0 +1,116 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CommandRunner, FakeCommandRunner } = require('../src/runner');
+const NetworkManager = require('../src/services/NetworkManager');
+const DHCPManager = require('../src/services/DHCPManager');
+
+describe('CommandRunner', function() {
+    it('should pass arguments without shell interpolation', async function() {
+        const runner = new CommandRunner({ audit: () => {} });
+
+        const output = await runner.run('printf', ['%s|', 'wlan0; echo pwned', '$(id)']);
+        assert.equal(output, 'wlan0; echo pwned|$(id)|');
+    });
+
+    it('should write input to the command\'s stdin', async function() {
+        const runner = new CommandRunner({ audit: () => {} });
+
+        assert.equal(await runner.run('cat', [], { input: '{"hostname":"pi"}' }), '{"hostname":"pi"}');
+        await assert.rejects(runner.run('/nonexistent/alfred', ['-s', '100'], { input: 'x' }), (error) => error.code === 127);
+    });
+
+    it('should record exit code and duration in the audit log', async function() {
+        const entries = [];
+        const runner = new CommandRunner({ audit: (entry) => entries.push(entry) }).forSource('Test');
+
+        await runner.run('true');
+        await assert.rejects(runner.run('false'), (error) => error.code === 1);
+        assert.equal(await runner.run('false', [], { ignoreErrors: true }), '');
+
+        assert.deepEqual(entries.map(e => [e.command, e.exitCode]), [['true', 0], ['false', 1], ['false', 1]]);
+        assert.ok(entries.every(e => e.source === 'Test' && typeof e.durationMs === 'number'));
+        assert.equal(runner.getHistory().length, 3);
+    });
+
+    it('should never expose a private file with a looser mode', async function() {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batman-runner-'));
+        const file = path.join(dir, 'wpa.conf');
+        fs.writeFileSync(file, 'old', { mode: 0o644 });
+        try {
+            const runner = new CommandRunner({ audit: () => {} });
+            await runner.writeFile(file, 'psk="secret"', { mode: 0o600, sensitive: true });
+
+            assert.equal(fs.readFileSync(file, 'utf8'), 'psk="secret"');
+            assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+            assert.deepEqual(fs.readdirSync(dir), ['wpa.conf']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should plan commands without executing them in dry-run mode', async function() {
+        const runner = new CommandRunner({ dryRun: true, audit: () => {} });
+
+        assert.equal(await runner.run('ip', ['link', 'set', 'wlan 1', 'up']), '');
+        await runner.writeFile('/proc/sys/net/ipv4/ip_forward', '1');
+        assert.equal(runner.spawn('alfred', ['-i', 'bat0']), null);
+
+        assert.deepEqual(runner.getPlan(), [
+            "ip link set 'wlan 1' up",
+            'write /proc/sys/net/ipv4/ip_forward: 1',
+            'alfred -i bat0'
+        ]);
+    });
+
+    it('should reject missing arguments instead of running a partial command', async function() {
+        const runner = new FakeCommandRunner();
+
+        await assert.rejects(runner.run('ip', ['link', 'show', undefined]), /Missing argument/);
+        assert.equal(runner.calls.length, 0);
+    });
+});
+
+describe('FakeCommandRunner', function() {
+    it('should answer scripted commands and record calls', async function() {
+        const runner = new FakeCommandRunner({ strict: true })
+            .on(/^batctl/, 'batctl debian-2023.0')
+            .on('batctl meshif bat0 n', { stderr: 'no such interface', exitCode: 1 });
+
+        assert.equal(await runner.run('batctl', ['-v']), 'batctl debian-2023.0');
+        await assert.rejects(runner.run('batctl', ['meshif', 'bat0', 'n']), /no such interface/);
+        await assert.rejects(runner.run('iw', ['dev']), (error) => error.code === 127);
+
+        assert.deepEqual(runner.commands(), ['batctl -v', 'batctl meshif bat0 n', 'iw dev']);
+    });
+
+    it('should let services run against scripted output', async function() {
+        const runner = new FakeCommandRunner();
+        const networkManager = new NetworkManager({ runner });
+
+        await networkManager.setupBatmanGatewayClient();
+
+        assert.deepEqual(runner.commands(), ['batctl meshif bat0 gw_mode client']);
+        assert.equal(runner.files.get('/proc/sys/net/ipv4/ip_forward'), '1');
+    });
+
+    it('should fall back to inactive when systemctl fails', async function() {
+        const runner = new FakeCommandRunner()
+            .on('systemctl is-active isc-dhcp-server', { exitCode: 3 })
+            .on('systemctl is-enabled isc-dhcp-server', 'enabled');
+        const dhcpManager = new DHCPManager({ runner });
+
+        const status = await dhcpManager.getStatus();
+        assert.equal(status.active, false);
+        assert.equal(status.enabled, true);
+    });
+
+    it('should restore the latest DHCP config backup on cleanup', async function() {
+        const runner = new FakeCommandRunner()
+            .on('ls -1 /etc/dhcp', 'dhcpd.conf\ndhcpd.conf.backup.1700000000\ndhcpd.conf.backup.1700000600\ndhclient.conf\n');
+        await new DHCPManager({ runner }).cleanup();
+
+        assert.deepEqual(runner.commands().slice(-2), ['ls -1 /etc/dhcp', 'cp /etc/dhcp/dhcpd.conf.backup.1700000600 /etc/dhcp/dhcpd.conf']);
+    });
+});
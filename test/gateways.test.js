@@ -0,0 +1,240 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const BatmanAdv = require('../src/services/BatmanAdv');
+const NetworkManager = require('../src/services/NetworkManager');
+const DHCPManager = require('../src/services/DHCPManager');
+const CommandQueue = require('../src/services/CommandQueue');
+const { MeshSimulator, SimulatedCommandRunner } = require('../src/simulation');
+const { FakeCommandRunner } = require('../src/runner');
+const memoryStore = require('./helpers/memoryStore');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'batctl', name), 'utf8');
+
+describe('Gateway tables', function() {
+    it('should parse debugfs gateway lists', function() {
+        const gateways = BatmanAdv.parseGateways(fixture('2016.5-iv-gateways.txt'));
+
+        assert.deepEqual(gateways.map(g => [g.address, g.nextHop, g.selected, g.tq, g.bandwidthDownMbps, g.bandwidthUpMbps]), [
+            ['b8:27:eb:45:93:30', 'b8:27:eb:45:93:30', true, 239, 10, 2],
+            ['b8:27:eb:77:88:99', 'b8:27:eb:45:93:30', false, 112, 50, 10]
+        ]);
+    });
+
+    it('should parse JSON gateway lists with throughput', function() {
+        const gateways = BatmanAdv.parseGateways(fixture('2023.0-v-gateways.json'));
+
+        assert.deepEqual(gateways.map(g => [g.address, g.selected, g.throughputMbps, g.bandwidthDownMbps, g.bandwidthUpMbps]), [
+            ['b8:27:eb:45:93:30', false, 54, 10, 2],
+            ['b8:27:eb:77:88:99', true, 31, 50, 10]
+        ]);
+        assert.equal(gateways[1].interface, 'wlan1');
+    });
+
+    it('should parse the gateway mode', function() {
+        assert.deepEqual(BatmanAdv.parseGatewayMode('server (announced bw: 50.0/10.0 MBit)\n'),
+            { mode: 'server', bandwidthDownMbps: 50, bandwidthUpMbps: 10, selClass: null });
+        assert.deepEqual(BatmanAdv.parseGatewayMode('client (selection class: 20)'),
+            { mode: 'client', bandwidthDownMbps: null, bandwidthUpMbps: null, selClass: 20 });
+        assert.equal(BatmanAdv.parseGatewayMode('off').mode, 'off');
+    });
+});
+
+describe('NetworkManager gateway mode', function() {
+    const env = { ...process.env };
+
+    beforeEach(function() {
+        delete process.env.BATMAN_GW_MODE;
+        delete process.env.BATMAN_GW_BANDWIDTH;
+        delete process.env.BATMAN_GW_SEL_CLASS;
+        delete process.env.GATEWAY_UPLINK_INTERFACE;
+        delete process.env.ETHERNET_INTERFACE;
+    });
+
+    afterEach(function() {
+        process.env = { ...env };
+    });
+
+    it('should use the configured selection class for clients', async function() {
+        process.env.BATMAN_GW_SEL_CLASS = '60';
+        const runner = new FakeCommandRunner();
+        const networkManager = new NetworkManager({ runner, isCoordinator: false, gatewayStore: memoryStore({}) });
+
+        await networkManager.applyGatewayMode();
+        assert.deepEqual(runner.commands(), ['batctl meshif bat0 gw_mode client 60']);
+    });
+
+    it('should promote a node and remember it across restarts', async function() {
+        const runner = new FakeCommandRunner();
+        const gatewayStore = memoryStore({});
+        const networkManager = new NetworkManager({ runner, isCoordinator: false, gatewayStore });
+
+        await networkManager.setGatewayMode({ mode: 'server', bandwidth: '50mbit/10mbit' });
+        assert.ok(runner.commands().includes('batctl meshif bat0 gw_mode server 50mbit/10mbit'));
+        assert.equal(runner.files.get('/proc/sys/net/ipv4/ip_forward'), '1');
+        assert.ok(runner.commands().includes('iptables -t nat -A POSTROUTING -s 192.168.100.0/24 -o eth0 -j MASQUERADE'));
+        assert.deepEqual(gatewayStore.data, { mode: 'server', bandwidth: '50mbit/10mbit', selClass: null, dhcp: null });
+
+        const restarted = new NetworkManager({ runner: new FakeCommandRunner(), isCoordinator: false, gatewayStore });
+        await restarted.loadGatewayConfig();
+        assert.equal(restarted.gateway.mode, 'server');
+    });
+
+    it('should reject invalid gateway settings without changing anything', async function() {
+        const runner = new FakeCommandRunner();
+        const gatewayStore = memoryStore({});
+        const networkManager = new NetworkManager({ runner, isCoordinator: false, gatewayStore });
+
+        await assert.rejects(networkManager.setGatewayMode({ mode: 'relay' }), /Unknown gateway mode "relay"/);
+        await assert.rejects(networkManager.setGatewayMode({ mode: 'server', bandwidth: 'fast' }), /Invalid gateway bandwidth/);
+        assert.equal(runner.commands().length, 0);
+        assert.deepEqual(gatewayStore.data, {});
+        assert.ok(CommandQueue.isValidType('gateway_mode'));
+    });
+});
+
+describe('Gateway DHCP pools', function() {
+    const env = { ...process.env };
+
+    beforeEach(function() {
+        delete process.env.DHCP_RANGE;
+        delete process.env.DHCP_POOL_MODE;
+        delete process.env.MESH_SUBNET;
+        delete process.env.COORDINATOR_BATMAN_IP;
+    });
+
+    afterEach(function() {
+        process.env = { ...env };
+    });
+
+    function dhcpServer(runner, options = {}) {
+        return new DHCPManager({ runner, poolStore: memoryStore({}), ...options });
+    }
+
+    it('should split the range between the coordinator and gateways', async function() {
+        const runner = new FakeCommandRunner();
+        const dhcp = dhcpServer(runner);
+
+        const first = await dhcp.assignGatewayPool('node-a');
+        assert.deepEqual(first, { mode: 'split', address: '192.168.100.210', range: '192.168.100.211 192.168.100.250' });
+        assert.deepEqual(await dhcp.assignGatewayPool('node-b'), { mode: 'split', address: '192.168.100.169', range: '192.168.100.170 192.168.100.209' });
+        assert.deepEqual(await dhcp.assignGatewayPool('node-a'), first);
+        assert.deepEqual(dhcp.getCoordinatorPool().ranges, ['192.168.100.10 192.168.100.168']);
+        assert.match(runner.files.get('/etc/dhcp/dhcpd.conf'), /option routers 192\.168\.100\.1;\n\n    range 192\.168\.100\.10 192\.168\.100\.168;\n}/);
+
+        // The freed slice goes back to the coordinator and is reused by the next gateway
+        await dhcp.releaseGatewayPool('node-a');
+        assert.deepEqual(dhcp.getCoordinatorPool().ranges, ['192.168.100.10 192.168.100.168', '192.168.100.210 192.168.100.250']);
+        assert.equal((await dhcp.assignGatewayPool('node-c')).address, '192.168.100.210');
+        assert.deepEqual(dhcp.poolStore.data, { 'node-b': dhcp.gatewayPools['node-b'], 'node-c': dhcp.gatewayPools['node-c'] });
+
+        // The coordinator always keeps at least a pool's worth of addresses
+        await dhcp.assignGatewayPool('node-d');
+        assert.equal((await dhcp.assignGatewayPool('node-e')).address, '192.168.100.87');
+        assert.deepEqual(dhcp.getCoordinatorPool().ranges, ['192.168.100.10 192.168.100.86']);
+        await assert.rejects(dhcp.assignGatewayPool('node-f'), /no room for another 40 address gateway pool/);
+    });
+
+    it('should pair the coordinator with one failover peer', async function() {
+        const runner = new FakeCommandRunner();
+        const dhcp = dhcpServer(runner, { poolMode: 'failover' });
+
+        const pool = await dhcp.assignGatewayPool('node-a');
+        assert.deepEqual(pool, { mode: 'failover', address: '192.168.100.250', range: '192.168.100.10 192.168.100.249', peerAddress: '192.168.100.1' });
+        await assert.rejects(dhcp.assignGatewayPool('node-b'), /single peer and node-a already is one/);
+
+        const primary = runner.files.get('/etc/dhcp/dhcpd.conf');
+        assert.match(primary, /failover peer "batman-mesh" \{\n    primary;\n    address 192\.168\.100\.1;/);
+        assert.match(primary, /peer address 192\.168\.100\.250;/);
+        assert.match(primary, /split 128;/);
+        assert.match(primary, /pool \{\n        failover peer "batman-mesh";\n        deny dynamic bootp clients;\n        range 192\.168\.100\.10 192\.168\.100\.249;/);
+
+        // The peer's side of the same pool
+        const nodeRunner = new FakeCommandRunner().on('systemctl is-active isc-dhcp-server', 'active');
+        await dhcpServer(nodeRunner).serveGatewayPool(pool);
+        const secondary = nodeRunner.files.get('/etc/dhcp/dhcpd.conf');
+        assert.match(secondary, /    secondary;\n    address 192\.168\.100\.250;\n    port 847;\n    peer address 192\.168\.100\.1;/);
+        assert.doesNotMatch(secondary, /split 128/);
+        assert.match(secondary, /option routers 192\.168\.100\.250;/);
+    });
+
+    it('should give a promoted node NAT and DHCP and take them away on demotion', async function() {
+        process.env.GATEWAY_UPLINK_INTERFACE = 'wwan0';
+        const runner = new FakeCommandRunner()
+            .on('systemctl is-active isc-dhcp-server', 'active');
+        const firewall = { calls: [], async setGatewayForwarding(allowed) { this.calls.push(allowed); } };
+        const networkManager = new NetworkManager({
+            runner,
+            isCoordinator: false,
+            gatewayStore: memoryStore({}),
+            dhcpManager: dhcpServer(runner),
+            securityManager: firewall
+        });
+        const pool = { mode: 'split', address: '192.168.100.210', range: '192.168.100.211 192.168.100.250' };
+
+        await networkManager.setGatewayMode({ mode: 'server', bandwidth: '50mbit/10mbit', dhcp: pool });
+        let commands = runner.commands();
+        assert.ok(commands.includes('iptables -t nat -A POSTROUTING -s 192.168.100.0/24 -o wwan0 -j MASQUERADE'));
+        assert.ok(commands.includes('ip addr replace 192.168.100.210/24 dev bat0'));
+        assert.ok(commands.includes('systemctl start isc-dhcp-server'));
+        assert.match(runner.files.get('/etc/dhcp/dhcpd.conf'), /option routers 192\.168\.100\.210;\n\n    range 192\.168\.100\.211 192\.168\.100\.250;/);
+        assert.match(runner.files.get('/etc/default/isc-dhcp-server'), /INTERFACESv4="bat0"/);
+        assert.deepEqual(networkManager.gateway.dhcp, pool);
+
+        runner.calls = [];
+        await networkManager.setGatewayMode({ mode: 'client', dhcp: null });
+        commands = runner.commands();
+        assert.ok(commands.includes('iptables -t nat -D POSTROUTING -s 192.168.100.0/24 -o wwan0 -j MASQUERADE'));
+        assert.ok(commands.includes('systemctl stop isc-dhcp-server'));
+        assert.ok(commands.includes('ip addr del 192.168.100.210/24 dev bat0'));
+        assert.ok(commands.indexOf('systemctl stop isc-dhcp-server') < commands.indexOf('batctl meshif bat0 gw_mode client'));
+        assert.deepEqual(firewall.calls, [true, false]);
+        assert.equal(networkManager.gatewayServing, false);
+    });
+
+    it('should reject malformed pools', function() {
+        assert.throws(() => NetworkManager.validateGatewayConfig({ mode: 'server', dhcp: { mode: 'split', address: '192.168.100.300', range: '192.168.100.1 192.168.100.2' } }), /Invalid IPv4 address/);
+        assert.throws(() => DHCPManager.validateGatewayPool({ mode: 'split', address: '192.168.100.9', range: '192.168.100.20 192.168.100.10' }), /Invalid DHCP range/);
+        assert.throws(() => new DHCPManager({ runner: new FakeCommandRunner(), poolMode: 'shared' }), /Unknown DHCP_POOL_MODE "shared"/);
+    });
+});
+
+describe('Simulated gateways', function() {
+    // coordinator - a - b, b has an LTE uplink
+    function mesh() {
+        return new MeshSimulator({
+            nodes: [
+                { id: 'coordinator', coordinator: true },
+                { id: 'a' },
+                { id: 'b', gateway: '50mbit/10mbit' }
+            ],
+            links: [
+                { from: 'coordinator', to: 'a', tq: 240 },
+                { from: 'a', to: 'b', tq: 200 }
+            ]
+        }, { clock: () => 1000 });
+    }
+
+    it('should list every gateway and the one each client selected', async function() {
+        const simulated = mesh();
+        const coordinatorRunner = new SimulatedCommandRunner(simulated);
+        const nodeRunner = new SimulatedCommandRunner(simulated, { nodeId: 'a' });
+        for (const runner of [coordinatorRunner, nodeRunner]) {
+            await runner.run('batctl', ['meshif', 'bat0', 'interface', 'add', 'wlan1']);
+        }
+        await coordinatorRunner.run('batctl', ['meshif', 'bat0', 'gw_mode', 'server', '10000/2000']);
+
+        const networkManager = new NetworkManager({ runner: nodeRunner, isCoordinator: false, gatewayStore: memoryStore({}) });
+        await networkManager.applyGatewayMode();
+        const status = await networkManager.getGatewayStatus();
+
+        assert.equal(status.mode, 'client');
+        assert.equal(status.originator, simulated.getNode('a').mac);
+        assert.deepEqual(status.gateways.map(g => [g.address, g.bandwidthDownMbps]).sort(), [
+            [simulated.getNode('b').mac, 50],
+            [simulated.getNode('coordinator').mac, 10]
+        ].sort());
+        // The coordinator is the better path from a
+        assert.equal(status.selected.address, simulated.getNode('coordinator').mac);
+    });
+});
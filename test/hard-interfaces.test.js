@@ -0,0 +1,147 @@
+const assert = require('assert');
+const NetworkManager = require('../src/services/NetworkManager');
+const { FakeCommandRunner } = require('../src/runner');
+
+describe('NetworkManager hard interfaces', function() {
+    const env = { ...process.env };
+
+    afterEach(function() {
+        process.env = { ...env };
+    });
+
+    it('should default to the single MESH_INTERFACE radio', function() {
+        process.env.MESH_INTERFACE = 'wlan1';
+        delete process.env.MESH_INTERFACES;
+        process.env.MESH_FREQUENCY = '2412';
+        const networkManager = new NetworkManager({ runner: new FakeCommandRunner() });
+
+        assert.deepEqual(networkManager.hardInterfaces, [
+            { name: 'wlan1', mode: 'ibss', type: 'wireless', frequency: '2412', hopPenalty: null }
+        ]);
+    });
+
+    it('should parse radios and wired backhaul with per interface settings', function() {
+        process.env.MESH_INTERFACES = 'wlan1, wlan2, eth1:wired';
+        process.env.MESH_FREQUENCY = '2412,wlan2:5180';
+        process.env.BATMAN_HARDIF_HOP_PENALTY = 'eth1:0,wlan2:30';
+        const networkManager = new NetworkManager({ runner: new FakeCommandRunner() });
+
+        assert.equal(networkManager.meshInterface, 'wlan1');
+        assert.deepEqual(networkManager.hardInterfaces.map(h => [h.name, h.type, h.frequency, h.hopPenalty]), [
+            ['wlan1', 'wireless', '2412', null],
+            ['wlan2', 'wireless', '5180', '30'],
+            ['eth1', 'wired', null, '0']
+        ]);
+    });
+
+    it('should take the mode from MESH_MODE unless the entry names one', function() {
+        process.env.MESH_MODE = 'mesh-point';
+        process.env.MESH_INTERFACES = 'wlan1,wlan2:ibss,eth1:wired';
+        const networkManager = new NetworkManager({ runner: new FakeCommandRunner() });
+
+        assert.deepEqual(networkManager.hardInterfaces.map(h => [h.name, h.mode, h.type]), [
+            ['wlan1', 'mesh-point', 'wireless'],
+            ['wlan2', 'ibss', 'wireless'],
+            ['eth1', 'wired', 'wired']
+        ]);
+    });
+
+    it('should reject unknown modes', function() {
+        process.env.MESH_INTERFACES = 'wlan1,eth1:fiber';
+        assert.throws(() => new NetworkManager({ runner: new FakeCommandRunner() }), /Unknown mesh mode "fiber"/);
+    });
+
+    it('should report health per hard interface', async function() {
+        process.env.MESH_INTERFACES = 'wlan1,wlan2,eth1:wired';
+        const runner = new FakeCommandRunner()
+            .on('batctl meshif bat0 if', 'wlan1: active\neth1: inactive\n')
+            .on('ip link show wlan1', '3: wlan1: <BROADCAST,MULTICAST,UP,LOWER_UP> mtu 1532 state UP')
+            .on('ip link show eth1', '4: eth1: <BROADCAST,MULTICAST,UP,LOWER_UP> mtu 1532 state UP')
+            .on('ip link show wlan2', { stderr: 'Device "wlan2" does not exist.', exitCode: 1 });
+        const networkManager = new NetworkManager({ runner });
+
+        const status = await networkManager.getHardInterfaceStatus([
+            { address: 'b8:27:eb:45:93:30', interface: 'wlan1' },
+            { address: 'b8:27:eb:aa:bb:cc', interface: 'wlan1' }
+        ]);
+        assert.deepEqual(status.map(h => [h.name, h.batmanState, h.health, h.neighborCount]), [
+            ['wlan1', 'active', 'up', 2],
+            ['wlan2', 'not added', 'down', 0],
+            ['eth1', 'inactive', 'degraded', 0]
+        ]);
+    });
+
+    it('should skip interfaces that never come up and fail only when none do', async function() {
+        process.env.MESH_INTERFACES = 'wlan1,eth1:wired';
+        const runner = new FakeCommandRunner();
+        const networkManager = new NetworkManager({ runner });
+        networkManager.waitForMeshInterface = async (hardInterface) => {
+            if (hardInterface.name === 'wlan1') throw new Error('not ready');
+        };
+
+        const ready = await networkManager.waitForMeshInterfaces();
+        assert.deepEqual(ready.map(h => h.name), ['eth1']);
+
+        networkManager.waitForMeshInterface = async () => { throw new Error('not ready'); };
+        await assert.rejects(networkManager.waitForMeshInterfaces(), /None of the mesh interfaces \(wlan1, eth1\)/);
+    });
+});
+
+describe('NetworkManager link-layer modes', function() {
+    const env = { ...process.env };
+    const radio = { name: 'wlan1', type: 'wireless', frequency: '2437' };
+
+    beforeEach(function() {
+        process.env.MESH_SSID = 'batman-mesh';
+    });
+
+    afterEach(function() {
+        process.env = { ...env };
+    });
+
+    it('should join an IBSS cell', async function() {
+        const runner = new FakeCommandRunner();
+        await new NetworkManager({ runner }).joinMesh({ ...radio, mode: 'ibss' });
+
+        assert.deepEqual(runner.commands(), [
+            'ip link set wlan1 down',
+            'iw wlan1 set type ibss',
+            'ip link set wlan1 up',
+            'iw wlan1 ibss join batman-mesh 2437'
+        ]);
+    });
+
+    it('should join an 802.11s mesh with forwarding left to batman-adv', async function() {
+        const runner = new FakeCommandRunner();
+        await new NetworkManager({ runner }).joinMesh({ ...radio, mode: 'mesh-point' });
+
+        assert.deepEqual(runner.commands(), [
+            'ip link set wlan1 down',
+            'iw wlan1 set type mp',
+            'ip link set wlan1 up',
+            'iw wlan1 mesh join batman-mesh freq 2437',
+            'iw wlan1 set mesh_param mesh_fwding 0'
+        ]);
+    });
+
+    it('should only bring wired interfaces up', async function() {
+        const runner = new FakeCommandRunner();
+        await new NetworkManager({ runner }).joinMesh({ name: 'eth1', mode: 'wired', type: 'wired' });
+        assert.deepEqual(runner.commands(), ['ip link set eth1 up']);
+    });
+
+    it('should verify each mode by its own criteria', async function() {
+        const runner = new FakeCommandRunner()
+            .on('iw wlan1 info', 'Interface wlan1\n\ttype mesh point\n')
+            .on('iw wlan1 get mesh_param mesh_fwding', '1')
+            .on('ip link show eth1', '4: eth1: <BROADCAST,MULTICAST> mtu 1500 state DOWN');
+        const networkManager = new NetworkManager({ runner });
+
+        await assert.rejects(networkManager.verifyMeshInterface({ ...radio, mode: 'ibss' }), /not in IBSS/);
+        await assert.rejects(networkManager.verifyMeshInterface({ ...radio, mode: 'mesh-point' }), /forwarding enabled/);
+        await assert.rejects(networkManager.verifyMeshInterface({ name: 'eth1', mode: 'wired', type: 'wired' }), /no link/);
+
+        runner.on('iw wlan1 get mesh_param mesh_fwding', '0');
+        await networkManager.verifyMeshInterface({ ...radio, mode: 'mesh-point' });
+    });
+});
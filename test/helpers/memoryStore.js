@@ -0,0 +1,11 @@
+// In-memory stand-in for JsonFileStore, so tests never touch the data directory.
+// `data` holds what was saved last, as a JSON round trip.
+function memoryStore(data = null) {
+    return {
+        data,
+        async load() { return this.data; },
+        async save(data) { this.data = JSON.parse(JSON.stringify(data)); }
+    };
+}
+
+module.exports = memoryStore;
@@ -0,0 +1,288 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, execFileSync } = require('child_process');
+const axios = require('axios');
+const { CommandRunner } = require('../../src/runner');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SHIMS = path.join(__dirname, 'shims');
+const L2_SHIMS = path.join(__dirname, 'shims-l2');
+
+// /etc entries each namespace gets a private copy of (ip netns exec bind-mounts /etc/netns/<ns>/*)
+const PRIVATE_ETC = ['dhcp', 'default', 'iproute2', 'NetworkManager', 'resolv.conf'];
+
+function onPath(command) {
+    return (process.env.PATH || '').split(':').some(dir => {
+        try {
+            fs.accessSync(path.join(dir, command), fs.constants.X_OK);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    });
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * NetnsHarness - Real coordinator and mesh node processes in network namespaces
+ *
+ * Builds one namespace per mesh member plus an "air" namespace whose bridge
+ * stands in for the shared radio channel. Every member gets a veth `mesh0`
+ * plugged into that bridge, and the coordinator additionally gets `eth1`
+ * towards the host so tests can reach its API without joining the mesh.
+ *
+ * src/coordinator.js and src/mesh-node.js run unmodified inside the
+ * namespaces. Tools that cannot work on a veth or would reach outside the
+ * namespace (iw, systemctl, pkill, zerotier-cli) are replaced by the scripts
+ * in shims/; isc-dhcp-server runs as a plain dhcpd inside the coordinator's
+ * namespace. When the batman-adv module is missing, shims-l2/ emulates bat0 as
+ * a bridge so DHCP, registration and heartbeats still run over real L2.
+ *
+ * Needs root, iproute2, dhcpd, dhclient and iptables/nft. Meant for a
+ * disposable VM or CI runner: dhclient still writes its lease under /var/lib/dhcp.
+ */
+class NetnsHarness {
+    constructor(options = {}) {
+        this.nodeCount = options.nodes || 2;
+        this.prefix = options.prefix || `bmc${process.pid % 10000}`;
+        this.port = options.port || 3000;
+        this.adminPassword = options.adminPassword || 'harness-admin-pw';
+        this.hostIp = options.hostIp || '172.31.250.1';
+        this.coordinatorIp = options.coordinatorIp || '172.31.250.2';
+        this.keep = options.keep ?? process.env.MESH_HARNESS_KEEP === 'true';
+
+        this.runner = new CommandRunner({ audit: () => {} });
+        this.dir = null;
+        this.air = `${this.prefix}-air`;
+        this.members = [];
+        this.processes = new Map();
+        this.batman = false;
+        this.cookie = null;
+    }
+
+    // Human-readable reasons the harness cannot run here (empty when it can)
+    static missingPrerequisites() {
+        const missing = [];
+        if (!process.getuid || process.getuid() !== 0) {
+            missing.push('root');
+        }
+        try {
+            execFileSync('ip', ['netns', 'list'], { stdio: 'ignore' });
+        } catch (error) {
+            missing.push('ip netns');
+        }
+        for (const command of ['dhcpd', 'dhclient']) {
+            if (!onPath(command)) missing.push(command);
+        }
+        if (!onPath('iptables') && !onPath('nft')) {
+            missing.push('iptables or nft');
+        }
+        return missing;
+    }
+
+    async setup() {
+        this.dir = fs.mkdtempSync(path.join(os.tmpdir(), `${this.prefix}-`));
+        this.batman = await this.detectBatman();
+
+        this.members = [{ name: 'coordinator', ns: `${this.prefix}-co`, script: 'coordinator.js' }];
+        for (let i = 1; i <= this.nodeCount; i++) {
+            this.members.push({ name: `node-${i}`, ns: `${this.prefix}-n${i}`, script: 'mesh-node.js' });
+        }
+
+        await this.ip(['netns', 'add', this.air]);
+        await this.ip(['-n', this.air, 'link', 'add', 'air0', 'type', 'bridge']);
+        await this.ip(['-n', this.air, 'link', 'set', 'air0', 'up']);
+
+        for (const [index, member] of this.members.entries()) {
+            member.port = `p${index}`;
+            await this.ip(['netns', 'add', member.ns]);
+            await this.ip(['-n', member.ns, 'link', 'set', 'lo', 'up']);
+            await this.ip(['link', 'add', 'mesh0', 'netns', member.ns, 'type', 'veth', 'peer', 'name', member.port, 'netns', this.air]);
+            await this.ip(['-n', this.air, 'link', 'set', member.port, 'master', 'air0', 'up']);
+            member.mac = (await this.exec(member.name, 'cat', ['/sys/class/net/mesh0/address'])).toLowerCase();
+            await this.createPrivateEtc(member.ns);
+        }
+
+        // Management link host <-> coordinator, like the Pi's ethernet port
+        const coordinator = this.member('coordinator');
+        await this.ip(['link', 'add', `${this.prefix}-mg`, 'type', 'veth', 'peer', 'name', 'eth1', 'netns', coordinator.ns]);
+        await this.ip(['addr', 'add', `${this.hostIp}/30`, 'dev', `${this.prefix}-mg`]);
+        await this.ip(['link', 'set', `${this.prefix}-mg`, 'up']);
+        await this.ip(['-n', coordinator.ns, 'addr', 'add', `${this.coordinatorIp}/30`, 'dev', 'eth1']);
+        await this.ip(['-n', coordinator.ns, 'link', 'set', 'eth1', 'up']);
+
+        // Neighbor table for the L2 fallback batctl
+        fs.writeFileSync(path.join(this.dir, 'neighbors'), this.members.map(m => m.mac).join('\n') + '\n');
+    }
+
+    async detectBatman() {
+        if (!onPath('batctl')) return false;
+        await this.runner.run('modprobe', ['batman-adv'], { ignoreErrors: true });
+        return fs.existsSync('/sys/module/batman_adv');
+    }
+
+    async createPrivateEtc(ns) {
+        const etcDir = path.join('/etc/netns', ns);
+        fs.mkdirSync(etcDir, { recursive: true });
+
+        for (const entry of PRIVATE_ETC) {
+            const hostPath = path.join('/etc', entry);
+            if (!fs.existsSync(hostPath)) continue;
+
+            if (fs.statSync(hostPath).isDirectory()) {
+                await this.runner.run('cp', ['-a', hostPath, path.join(etcDir, entry)]);
+            } else {
+                fs.writeFileSync(path.join(etcDir, entry), '');
+            }
+        }
+    }
+
+    member(name) {
+        const member = this.members.find(m => m.name === name);
+        if (!member) throw new Error(`Unknown harness member ${name}`);
+        return member;
+    }
+
+    nodes() {
+        return this.members.filter(m => m.name !== 'coordinator');
+    }
+
+    ip(args) {
+        return this.runner.run('ip', args);
+    }
+
+    // Run a command inside a member's namespace
+    exec(name, file, args = [], options = {}) {
+        return this.runner.run('ip', ['netns', 'exec', this.member(name).ns, file, ...args], options);
+    }
+
+    environment(member, index, extra) {
+        const shims = this.batman ? SHIMS : `${SHIMS}:${L2_SHIMS}`;
+        return {
+            ...process.env,
+            PATH: `${shims}:${process.env.PATH}`,
+            SIMULATION: 'false',
+            DRY_RUN: 'false',
+            MESH_HARNESS_DIR: this.dir,
+            MESH_HARNESS_NS: member.ns,
+            MESH_HARNESS_INDEX: String(index).padStart(2, '0'),
+            MESH_INTERFACE: 'mesh0',
+            ETHERNET_INTERFACE: 'eth1',
+            DISABLE_SYSTEM_HARDENING: 'true',
+            ZEROTIER_CLI: path.join(SHIMS, 'zerotier-cli'),
+            ZEROTIER_NETWORK_ID: '',
+            COORDINATOR_PORT: String(this.port),
+            DATA_DIR: path.join(this.dir, `${member.ns}-data`),
+            COMMAND_AUDIT_LOG: path.join(this.dir, `${member.ns}-audit.log`),
+            ...extra
+        };
+    }
+
+    // Start src/<script> for a member; output goes to <dir>/<ns>.log
+    start(name, env = {}) {
+        const member = this.member(name);
+        const index = this.members.indexOf(member);
+        const log = fs.openSync(path.join(this.dir, `${member.ns}.log`), 'a');
+
+        // ip netns exec execs node, so the pid is the node process itself
+        const child = spawn('ip', ['netns', 'exec', member.ns, process.execPath, path.join(ROOT, 'src', member.script)], {
+            cwd: ROOT,
+            env: this.environment(member, index, env),
+            stdio: ['ignore', log, log]
+        });
+        fs.closeSync(log);
+
+        this.processes.set(name, child);
+        return child;
+    }
+
+    startCoordinator(env = {}) {
+        return this.start('coordinator', { ADMIN_PASSWORD: this.adminPassword, ...env });
+    }
+
+    startNode(name, env = {}) {
+        return this.start(name, { NODE_CHECK_INTERVAL: '5000', ...env });
+    }
+
+    async login() {
+        const response = await axios.post(`${this.url()}/api/auth/login`, { username: 'admin', password: this.adminPassword });
+        this.cookie = response.headers['set-cookie'].map(cookie => cookie.split(';')[0]).join('; ');
+    }
+
+    url() {
+        return `http://${this.coordinatorIp}:${this.port}`;
+    }
+
+    // Coordinator API call from the host as admin
+    async api(method, apiPath, data) {
+        const response = await axios({
+            method,
+            url: `${this.url()}${apiPath}`,
+            data,
+            headers: this.cookie ? { Cookie: this.cookie } : {},
+            timeout: 5000
+        });
+        return response.data;
+    }
+
+    // Poll until condition() returns a truthy value
+    async waitFor(condition, timeout = 60000, interval = 1000) {
+        const started = Date.now();
+        let lastError = null;
+
+        while (Date.now() - started < timeout) {
+            try {
+                const result = await condition();
+                if (result) return result;
+            } catch (error) {
+                lastError = error;
+            }
+            await sleep(interval);
+        }
+        throw new Error(`Timed out after ${timeout}ms${lastError ? `: ${lastError.message}` : ''} (logs in ${this.dir})`);
+    }
+
+    async stopProcesses() {
+        for (const child of this.processes.values()) {
+            if (child.exitCode === null) child.kill('SIGTERM');
+        }
+        await this.waitFor(() => Array.from(this.processes.values()).every(child => child.exitCode !== null || child.signalCode), 20000, 200)
+            .catch(() => {
+                for (const child of this.processes.values()) {
+                    if (child.exitCode === null) child.kill('SIGKILL');
+                }
+            });
+        this.processes.clear();
+    }
+
+    async teardown() {
+        await this.stopProcesses();
+
+        // dhcpd and dhclient daemonize; anything left in our namespaces was started by us
+        for (const member of this.members) {
+            const pids = await this.runner.run('ip', ['netns', 'pids', member.ns], { ignoreErrors: true, quiet: true });
+            for (const pid of pids.split('\n').filter(Boolean)) {
+                try {
+                    process.kill(parseInt(pid), 'SIGKILL');
+                } catch (error) {
+                    // Already gone
+                }
+            }
+        }
+
+        for (const ns of [...this.members.map(m => m.ns), this.air]) {
+            await this.runner.run('ip', ['netns', 'del', ns], { ignoreErrors: true, quiet: true });
+            fs.rmSync(path.join('/etc/netns', ns), { recursive: true, force: true });
+        }
+
+        if (this.dir && !this.keep) {
+            fs.rmSync(this.dir, { recursive: true, force: true });
+        }
+    }
+}
+
+module.exports = NetnsHarness;
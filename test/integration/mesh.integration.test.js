@@ -0,0 +1,82 @@
+const assert = require('assert');
+const NetnsHarness = require('./NetnsHarness');
+
+// Opt-in: needs root and creates network namespaces (npm run test:integration)
+const enabled = process.env.INTEGRATION === 'true';
+const missing = enabled ? NetnsHarness.missingPrerequisites() : [];
+if (enabled && missing.length > 0) {
+    console.warn(`Skipping namespace integration tests, missing: ${missing.join(', ')}`);
+}
+const describeIntegration = enabled && missing.length === 0 ? describe : describe.skip;
+
+describeIntegration('Mesh in network namespaces', function() {
+    const harness = new NetnsHarness({ nodes: 2 });
+
+    beforeAll(async function() {
+        await harness.setup();
+
+        harness.startCoordinator();
+        await harness.waitFor(() => harness.api('get', '/api/health').then(health => health.coordinator.isRunning), 90000);
+        await harness.login();
+
+        const { token } = await harness.api('post', '/api/enrollment/tokens', { name: 'netns-harness' });
+        for (const node of harness.nodes()) {
+            harness.startNode(node.name, { JOIN_TOKEN: token.token });
+        }
+    }, 120000);
+
+    afterAll(async function() {
+        await harness.teardown();
+    }, 60000);
+
+    it('should lease a mesh address to every node from the coordinator', async function() {
+        const addresses = [];
+        for (const node of harness.nodes()) {
+            addresses.push(await harness.waitFor(async () => {
+                const output = await harness.exec(node.name, 'ip', ['-4', 'addr', 'show', 'bat0'], { quiet: true });
+                const match = output.match(/inet (192\.168\.100\.\d+)\//);
+                return match && match[1];
+            }, 120000));
+        }
+
+        assert.equal(new Set(addresses).size, addresses.length);
+        assert.ok(!addresses.includes('192.168.100.1'));
+    }, 150000);
+
+    it('should register nodes once their enrollment is approved', async function() {
+        const pending = await harness.waitFor(async () => {
+            const enrollments = await harness.api('get', '/api/enrollment');
+            return enrollments.length === harness.nodeCount && enrollments;
+        }, 90000);
+
+        for (const enrollment of pending) {
+            assert.equal(enrollment.status, 'pending');
+            await harness.api('post', `/api/enrollment/${enrollment.nodeId}/approve`);
+        }
+
+        const registered = await harness.waitFor(async () => {
+            const nodes = (await harness.api('get', '/api/nodes')).filter(node => node.registeredAt);
+            return nodes.length === harness.nodeCount && nodes;
+        }, 60000);
+
+        assert.deepEqual(registered.map(node => node.id).sort(), pending.map(enrollment => enrollment.nodeId).sort());
+    }, 180000);
+
+    it('should keep receiving heartbeats from registered nodes', async function() {
+        const before = (await harness.api('get', '/api/nodes')).filter(node => node.registeredAt);
+        const lastSeen = new Map(before.map(node => [node.id, new Date(node.lastSeen).getTime()]));
+
+        await harness.waitFor(async () => {
+            const nodes = (await harness.api('get', '/api/nodes')).filter(node => node.registeredAt);
+            return nodes.every(node => new Date(node.lastSeen).getTime() > lastSeen.get(node.id) && node.status === 'online');
+        }, 30000);
+    }, 40000);
+
+    it('should discover every node as a batman neighbor', async function() {
+        // discoverNodes() runs every 30 seconds on the coordinator
+        await harness.waitFor(async () => {
+            const ids = (await harness.api('get', '/api/nodes')).map(node => node.id);
+            return harness.nodes().every(node => ids.includes(node.mac));
+        }, 75000);
+    }, 90000);
+});
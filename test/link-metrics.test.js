@@ -0,0 +1,77 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const NetworkManager = require('../src/services/NetworkManager');
+const StatsCollector = require('../src/services/StatsCollector');
+const { FakeCommandRunner } = require('../src/runner');
+
+const stationDump = fs.readFileSync(path.join(__dirname, 'fixtures', 'iw', 'station-dump.txt'), 'utf8');
+
+describe('Link metrics', function() {
+    const env = { ...process.env };
+
+    beforeEach(function() {
+        process.env.MESH_INTERFACES = 'wlan1,eth1:wired';
+    });
+
+    afterEach(function() {
+        process.env = { ...env };
+    });
+
+    it('should parse iw station dump keyed by MAC', function() {
+        const stations = NetworkManager.parseStationDump(stationDump);
+
+        assert.deepEqual(Object.keys(stations), ['b8:27:eb:45:93:30', 'dc:a6:32:01:02:03']);
+        assert.deepEqual(stations['b8:27:eb:45:93:30'], {
+            mac: 'b8:27:eb:45:93:30',
+            signal: -48,
+            signalAvg: -49,
+            txBitrate: 65,
+            rxBitrate: 58.5,
+            expectedThroughputMbps: 31.218,
+            txPackets: 8311,
+            rxPackets: 12842,
+            txRetries: 412,
+            txFailed: 3,
+            inactiveMs: 120,
+            connectedSeconds: 3127,
+            meshPlink: 'ESTAB'
+        });
+    });
+
+    it('should classify links by signal and retries', function() {
+        assert.equal(NetworkManager.classifyLink({ signal: -48, txPackets: 1000, txRetries: 50, txFailed: 0 }), 'good');
+        assert.equal(NetworkManager.classifyLink({ signal: -74, signalAvg: -75 }), 'fair');
+        assert.equal(NetworkManager.classifyLink({ signal: -82 }), 'poor');
+        // Strong signal but most frames need retrying
+        assert.equal(NetworkManager.classifyLink({ signal: -55, txPackets: 1000, txRetries: 380, txFailed: 20 }), 'poor');
+    });
+
+    it('should join stations of the wireless interfaces to batman neighbors', async function() {
+        const runner = new FakeCommandRunner()
+            .on('iw dev wlan1 info', 'Interface wlan1\n\taddr 02:11:87:88:d6:ff\n\ttype IBSS\n')
+            .on('iw dev wlan1 station dump', stationDump);
+        const networkManager = new NetworkManager({ runner });
+
+        const links = await networkManager.getLinkMetrics([
+            { address: 'b8:27:eb:45:93:30', interface: 'wlan1', tq: 240, throughputMbps: null }
+        ]);
+
+        assert.deepEqual(links.map(l => [l.mac, l.localMac, l.batmanNeighbor, l.tq, l.quality]), [
+            ['b8:27:eb:45:93:30', '02:11:87:88:d6:ff', true, 240, 'good'],
+            ['dc:a6:32:01:02:03', '02:11:87:88:d6:ff', false, null, 'poor']
+        ]);
+        // Wired hard interfaces have no stations
+        assert.ok(!runner.commands().some(c => c.includes('eth1')));
+    });
+
+    it('should report average signal of batman links', function() {
+        const collector = new StatsCollector();
+        assert.equal(collector.calculateAverageSignal([
+            { batmanNeighbor: true, signal: -48, signalAvg: -50 },
+            { batmanNeighbor: true, signal: -70, signalAvg: null },
+            { batmanNeighbor: false, signal: -90 }
+        ]), -60);
+        assert.equal(collector.calculateAverageSignal([]), null);
+    });
+});
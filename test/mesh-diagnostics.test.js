@@ -0,0 +1,127 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const BatmanAdv = require('../src/services/BatmanAdv');
+const NetworkManager = require('../src/services/NetworkManager');
+const MeshDiagnostics = require('../src/services/MeshDiagnostics');
+const CommandQueue = require('../src/services/CommandQueue');
+const { FakeCommandRunner } = require('../src/runner');
+const memoryStore = require('./helpers/memoryStore');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'batctl', name), 'utf8');
+
+const TARGET = 'b8:27:eb:45:93:30';
+
+describe('Mesh diagnostics', function() {
+    const env = { ...process.env };
+
+    beforeEach(function() {
+        process.env.MESH_INTERFACES = 'wlan1';
+    });
+
+    afterEach(function() {
+        process.env = { ...env };
+    });
+
+    function createDiagnostics(runner, store = memoryStore([])) {
+        const networkManager = new NetworkManager({ runner });
+        const diagnostics = new MeshDiagnostics({ networkManager, store });
+        const updates = [];
+        diagnostics.on('update', entry => updates.push(entry.status));
+        return { diagnostics, store, updates };
+    }
+
+    function meshRunner() {
+        return new FakeCommandRunner()
+            .on('ip -o link show wlan1', '3: wlan1: <BROADCAST,MULTICAST,UP,LOWER_UP> mtu 1532\\    link/ether dc:a6:32:aa:bb:cc brd ff:ff:ff:ff:ff:ff')
+            .on(/^batctl meshif bat0 ping /, fixture('2023.0-ping.txt'))
+            .on(/^batctl meshif bat0 traceroute /, fixture('2023.0-traceroute.txt'))
+            .on(/^batctl meshif bat0 tp /, fixture('2023.0-tp.txt'));
+    }
+
+    it('should parse batctl ping, traceroute and tp output', function() {
+        assert.deepEqual(BatmanAdv.parsePing(fixture('2023.0-ping.txt')), {
+            transmitted: 4,
+            received: 3,
+            lossPercent: 25,
+            rttMs: [4.12, 3.87, 5.03],
+            minMs: 3.87,
+            avgMs: 4.34,
+            maxMs: 5.03
+        });
+
+        assert.deepEqual(BatmanAdv.parseTraceroute(fixture('2023.0-traceroute.txt')), [
+            { hop: 1, address: 'dc:a6:32:01:02:03', rttMs: [1.512, 1.377, 1.402], avgMs: 1.43 },
+            { hop: 2, address: TARGET, rttMs: [4.081, 3.944], avgMs: 4.013 }
+        ]);
+
+        assert.deepEqual(BatmanAdv.parseThroughputTest(fixture('2023.0-tp.txt')), { durationMs: 10032, bytes: 34078720, throughputMbps: 27.18 });
+        assert.equal(BatmanAdv.parseThroughputTest('Destination unreachable'), null);
+    });
+
+    it('should validate test requests', function() {
+        assert.deepEqual(MeshDiagnostics.validateTest({ type: 'TP', target: TARGET.toUpperCase() }), { type: 'tp', target: TARGET, durationSeconds: 10 });
+        assert.deepEqual(MeshDiagnostics.validateTest({ type: 'ping', target: TARGET, count: '3' }), { type: 'ping', target: TARGET, count: 3 });
+        assert.throws(() => MeshDiagnostics.validateTest({ type: 'iperf', target: TARGET }), /Unknown diagnostic "iperf"/);
+        assert.throws(() => MeshDiagnostics.validateTest({ type: 'ping', target: '192.168.100.2' }), /originator MAC address/);
+        assert.throws(() => MeshDiagnostics.validateTest({ type: 'tp', target: TARGET, durationSeconds: 600 }), /between 1 and 60 seconds/);
+    });
+
+    it('should run a throughput test and trace the path', async function() {
+        const runner = meshRunner();
+        const { diagnostics } = createDiagnostics(runner);
+
+        const result = await diagnostics.execute({ type: 'tp', target: TARGET, durationSeconds: 5 });
+
+        assert.ok(runner.commands().includes(`batctl meshif bat0 tp -t 5000 ${TARGET}`));
+        assert.equal(result.throughput.throughputMbps, 27.18);
+        assert.deepEqual(result.path, ['dc:a6:32:aa:bb:cc', 'dc:a6:32:01:02:03', TARGET]);
+    });
+
+    it('should report total ping loss as a result', async function() {
+        const runner = meshRunner().on(/^batctl (meshif|-m) bat0 ping /, {
+            stdout: `PING ${TARGET}\n--- ${TARGET} ping statistics ---\n5 packets transmitted, 0 received, 100% packet loss\n`,
+            exitCode: 1
+        });
+        const { diagnostics } = createDiagnostics(runner);
+
+        const result = await diagnostics.execute({ type: 'ping', target: TARGET });
+        assert.equal(result.ping.lossPercent, 100);
+        assert.ok(runner.commands().includes(`batctl meshif bat0 ping -c 5 ${TARGET}`));
+    });
+
+    it('should keep coordinator runs and fold in node results', async function() {
+        const runner = meshRunner().on(/^batctl meshif bat0 tp /, 'Error - target unreachable');
+        const { diagnostics, store, updates } = createDiagnostics(runner);
+
+        const local = diagnostics.create('coordinator', { type: 'tp', target: TARGET }, 'operator');
+        await diagnostics.runLocal(local);
+        assert.equal(local.status, 'failed');
+        assert.match(local.error, /Throughput test to b8:27:eb:45:93:30 failed: Error - target unreachable/);
+        assert.deepEqual(updates, ['pending', 'running', 'failed']);
+
+        const remote = diagnostics.create('node-b', { type: 'traceroute', target: TARGET }, 'operator');
+        remote.commandId = 'cmd-1';
+        diagnostics.recordCommands([{ id: 'cmd-1', type: 'mesh_diagnostic', status: 'acknowledged' }]);
+        assert.equal(remote.status, 'running');
+        diagnostics.recordCommands([{ id: 'cmd-1', type: 'mesh_diagnostic', status: 'succeeded', result: { path: ['aa:bb:cc:dd:ee:ff', TARGET] } }]);
+        assert.equal(remote.status, 'succeeded');
+        assert.deepEqual(remote.result.path, ['aa:bb:cc:dd:ee:ff', TARGET]);
+
+        assert.deepEqual(diagnostics.list('node-b'), [remote]);
+        assert.equal(store.data.length, 2);
+        assert.ok(CommandQueue.isValidType('mesh_diagnostic'));
+    });
+
+    it('should fail coordinator runs interrupted by a restart', async function() {
+        const store = memoryStore([
+            { id: 'a', nodeId: 'coordinator', type: 'ping', target: TARGET, status: 'running' },
+            { id: 'b', nodeId: 'node-b', type: 'ping', target: TARGET, status: 'pending' }
+        ]);
+        const { diagnostics } = createDiagnostics(new FakeCommandRunner(), store);
+
+        await diagnostics.load();
+        assert.equal(diagnostics.get('a').status, 'failed');
+        assert.equal(diagnostics.get('b').status, 'pending');
+    });
+});
@@ -0,0 +1,214 @@
+const assert = require('assert');
+const NetworkManager = require('../src/services/NetworkManager');
+const MeshKeyRing = require('../src/services/MeshKeyRing');
+const WpaSupplicant = require('../src/services/WpaSupplicant');
+const sealedPayload = require('../src/utils/sealedPayload');
+const { FakeCommandRunner } = require('../src/runner');
+const memoryStore = require('./helpers/memoryStore');
+
+const MINUTE = 60 * 1000;
+
+describe('Mesh key ring', function() {
+    const env = { ...process.env };
+
+    afterEach(function() {
+        process.env = { ...env };
+    });
+
+    it('should bootstrap from MESH_PASSPHRASE', async function() {
+        process.env.MESH_PASSPHRASE = 'correct horse battery';
+        const ring = new MeshKeyRing({ store: memoryStore(), isCoordinator: true });
+        await ring.load();
+
+        assert.equal(ring.version, 1);
+        assert.equal(ring.active().passphrase, 'correct horse battery');
+    });
+
+    it('should keep both keys usable across the overlap window', async function() {
+        process.env.MESH_PASSPHRASE = 'correct horse battery';
+        const ring = new MeshKeyRing({ store: memoryStore(), isCoordinator: true, overlapMinutes: 10 });
+        await ring.load();
+
+        const now = Date.now();
+        const next = await ring.rotate({ now, passphrase: 'staple tuning fork' });
+        assert.equal(next.state, 'next');
+        await assert.rejects(ring.rotate({ now }), /already in progress/);
+
+        // Before the switch: old key active, new key pending
+        assert.deepEqual(ring.usable(now + 5 * MINUTE).map(k => k.id), ['initial']);
+        // After the switch: new key first, old one kept as fallback
+        assert.deepEqual(ring.usable(now + 15 * MINUTE).map(k => k.id), [next.id, 'initial']);
+        // After the second window the old key is gone
+        assert.deepEqual(ring.usable(now + 25 * MINUTE).map(k => k.id), [next.id]);
+
+        await ring.prune(now + 25 * MINUTE);
+        assert.equal(ring.keys.length, 1);
+        assert.ok(ring.describe().keys.every(k => !('passphrase' in k)));
+    });
+
+    it('should hand nodes relative activation times', async function() {
+        process.env.MESH_PASSPHRASE = 'correct horse battery';
+        const ring = new MeshKeyRing({ store: memoryStore(), isCoordinator: true, overlapMinutes: 10 });
+        await ring.load();
+        const now = Date.now();
+        await ring.rotate({ now, passphrase: 'staple tuning fork' });
+
+        const node = new MeshKeyRing({ store: memoryStore(), isCoordinator: false });
+        // The node's clock is an hour behind
+        await node.replace(ring.forDistribution(now), now - 60 * MINUTE);
+
+        assert.equal(node.version, ring.version);
+        assert.equal(node.active(now - 60 * MINUTE).id, 'initial');
+        assert.equal(node.active(now - 45 * MINUTE).passphrase, 'staple tuning fork');
+    });
+
+    it('should reject passphrases wpa_supplicant cannot use', async function() {
+        const ring = new MeshKeyRing({ store: memoryStore(), isCoordinator: true });
+        await assert.rejects(ring.rotate({ passphrase: 'short' }), /8-63 printable ASCII/);
+        await assert.rejects(ring.rotate({ passphrase: 'quote"d passphrase' }), /without " or \\/);
+    });
+
+    it('should detect rotations that are due', async function() {
+        process.env.MESH_PASSPHRASE = 'correct horse battery';
+        const ring = new MeshKeyRing({ store: memoryStore(), isCoordinator: true });
+        await ring.load();
+        const now = Date.now();
+
+        assert.equal(ring.isDue(30, now), false);
+        assert.equal(ring.isDue(30, now + 31 * 24 * 60 * MINUTE), true);
+        assert.equal(ring.isDue(0, now + 31 * 24 * 60 * MINUTE), false);
+    });
+});
+
+describe('Sealed payloads', function() {
+    it('should only open with the node secret and purpose it was sealed for', function() {
+        const sealed = sealedPayload.seal('node-secret', 'mesh-keys', { version: 2 });
+
+        assert.deepEqual(sealedPayload.open('node-secret', 'mesh-keys', sealed), { version: 2 });
+        assert.throws(() => sealedPayload.open('other-secret', 'mesh-keys', sealed));
+        assert.throws(() => sealedPayload.open('node-secret', 'other', sealed));
+        assert.throws(() => sealedPayload.open('node-secret', 'mesh-keys', { ...sealed, data: Buffer.from('tampered').toString('base64') }));
+    });
+});
+
+describe('WpaSupplicant', function() {
+    const meshPoint = { name: 'wlan1', mode: 'mesh-point', type: 'wireless', frequency: '2437' };
+    const key = { id: 'initial', passphrase: 'correct horse battery' };
+
+    it('should generate SAE config for mesh point and RSN config for IBSS', function() {
+        const sae = WpaSupplicant.buildConfig(meshPoint, key.passphrase, 'batman-mesh');
+        assert.match(sae, /mode=5/);
+        assert.match(sae, /key_mgmt=SAE/);
+        assert.match(sae, /frequency=2437/);
+        assert.doesNotMatch(sae, /ap_scan/);
+
+        const rsn = WpaSupplicant.buildConfig({ ...meshPoint, mode: 'ibss' }, key.passphrase, 'batman-mesh');
+        assert.match(rsn, /ap_scan=2/);
+        assert.match(rsn, /mode=1/);
+        assert.match(rsn, /key_mgmt=WPA-PSK/);
+        assert.match(rsn, /psk="correct horse battery"/);
+        // batman-mesh
+        assert.match(rsn, /ssid=6261746d616e2d6d657368\n/);
+
+        assert.throws(() => WpaSupplicant.buildConfig(meshPoint, 'pass"\n}\nnetwork={', 'batman-mesh'), /without " or \\/);
+    });
+
+    it('should write the config privately and keep the passphrase out of the audit log', async function() {
+        const runner = new FakeCommandRunner();
+        const wpa = new WpaSupplicant({ runner, configDir: '/etc/wpa_supplicant' });
+        await wpa.start(meshPoint, key);
+
+        assert.match(runner.files.get('/etc/wpa_supplicant/batman-wlan1.conf'), /correct horse battery/);
+        assert.ok(runner.getHistory().every(entry => !entry.command.includes('correct horse')));
+        assert.deepEqual(runner.commands().slice(-1), ['wpa_supplicant -i wlan1 -c /etc/wpa_supplicant/batman-wlan1.conf -D nl80211']);
+        await wpa.stopAll();
+    });
+
+    it('should restart a crashed wpa_supplicant with backoff', async function() {
+        const runner = new FakeCommandRunner();
+        const wpa = new WpaSupplicant({ runner, configDir: '/tmp', minRestartDelay: 5, maxRestartDelay: 20 });
+        await wpa.start(meshPoint, key);
+
+        runner.processes[0].emit('exit', 1, null);
+        assert.equal(wpa.getStatus()[0].running, false);
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        const [status] = wpa.getStatus();
+        assert.equal(runner.processes.length, 2);
+        assert.equal(status.running, true);
+        assert.equal(status.restarts, 1);
+        assert.equal(status.lastExit.code, 1);
+
+        await wpa.stopAll();
+        assert.equal(runner.processes[1].killed, true);
+        assert.deepEqual(wpa.getStatus(), []);
+    });
+});
+
+describe('NetworkManager encrypted mesh links', function() {
+    const env = { ...process.env };
+    const radio = { name: 'wlan1', type: 'wireless', frequency: '2437' };
+
+    beforeEach(function() {
+        process.env.MESH_SSID = 'batman-mesh';
+        process.env.MESH_ENCRYPTION = 'sae';
+        process.env.MESH_PASSPHRASE = 'correct horse battery';
+    });
+
+    afterEach(function() {
+        process.env = { ...env };
+    });
+
+    function createManager(runner) {
+        const meshKeys = new MeshKeyRing({ store: memoryStore(), isCoordinator: true, overlapMinutes: 10 });
+        const wpaSupplicant = new WpaSupplicant({ runner, configDir: '/etc/wpa_supplicant' });
+        return new NetworkManager({ runner, meshKeys, wpaSupplicant });
+    }
+
+    it('should join through wpa_supplicant instead of iw', async function() {
+        const runner = new FakeCommandRunner();
+        const networkManager = createManager(runner);
+        await networkManager.joinMesh({ ...radio, mode: 'mesh-point' });
+
+        assert.deepEqual(runner.commands().filter(c => !c.startsWith('write')), [
+            'ip link set wlan1 down',
+            'iw wlan1 set type mp',
+            'ip link set wlan1 up',
+            'wpa_supplicant -i wlan1 -c /etc/wpa_supplicant/batman-wlan1.conf -D nl80211',
+            'iw wlan1 set mesh_param mesh_fwding 0'
+        ]);
+        await networkManager.wpaSupplicant.stopAll();
+    });
+
+    it('should reject unknown encryption modes', function() {
+        process.env.MESH_ENCRYPTION = 'wep';
+        assert.throws(() => new NetworkManager({ runner: new FakeCommandRunner() }), /Unknown MESH_ENCRYPTION "wep"/);
+    });
+
+    it('should switch radios to the new key when it activates and fall back when isolated', async function() {
+        process.env.MESH_INTERFACES = 'wlan1:ibss';
+        const runner = new FakeCommandRunner();
+        const networkManager = createManager(runner);
+        await networkManager.joinMesh(networkManager.hardInterfaces[0]);
+
+        const now = Date.now();
+        const next = await networkManager.meshKeys.rotate({ now, passphrase: 'staple tuning fork' });
+        const neighbors = [{ address: 'b8:27:eb:45:93:30', interface: 'wlan1' }];
+
+        // Still inside the first window: nothing changes
+        await networkManager.applyMeshKeys(neighbors, now + 5 * MINUTE);
+        assert.equal(networkManager.wpaSupplicant.getStatus()[0].keyId, 'initial');
+
+        await networkManager.applyMeshKeys(neighbors, now + 11 * MINUTE);
+        assert.equal(networkManager.wpaSupplicant.getStatus()[0].keyId, next.id);
+
+        // No neighbors on the new key: try the previous one
+        networkManager.wpaSupplicant.instances.get('wlan1').keySince = now;
+        await networkManager.applyMeshKeys([], now + 14 * MINUTE);
+        const [status] = networkManager.wpaSupplicant.getStatus();
+        assert.equal(status.keyId, 'initial');
+        assert.equal(status.fallback, true);
+
+        await networkManager.wpaSupplicant.stopAll();
+    });
+});
@@ -0,0 +1,172 @@
+const assert = require('assert');
+const path = require('path');
+const { MeshSimulator, SimulatedCommandRunner } = require('../src/simulation');
+const NetworkManager = require('../src/services/NetworkManager');
+const ZeroTierManager = require('../src/services/ZeroTierManager');
+const DHCPManager = require('../src/services/DHCPManager');
+
+// coordinator - a - b, plus a weak direct coordinator - b link
+function lineMesh(clock) {
+    return new MeshSimulator({
+        nodes: [
+            { id: 'coordinator', coordinator: true },
+            { id: 'a', hostname: 'node-a' },
+            { id: 'b', hostname: 'node-b' }
+        ],
+        links: [
+            { from: 'coordinator', to: 'a', tq: 240, latencyMs: 4 },
+            { from: 'a', to: 'b', tq: 240, latencyMs: 4 },
+            { from: 'coordinator', to: 'b', tq: 40, latencyMs: 30 }
+        ]
+    }, { clock });
+}
+
+describe('MeshSimulator', function() {
+    it('should prefer the best multi-hop path over a weak direct link', function() {
+        const mesh = lineMesh(() => 0);
+        const routes = mesh.routes('coordinator');
+
+        assert.equal(routes.get('a').nextHop, 'a');
+        assert.equal(routes.get('b').nextHop, 'a');
+        assert.equal(routes.get('b').hops, 2);
+
+        mesh.setLink('a', 'b', { down: true });
+        assert.equal(mesh.routes('coordinator').get('b').nextHop, 'b');
+
+        mesh.setNodeDown('b');
+        assert.equal(mesh.isReachable('coordinator', 'b'), false);
+    });
+
+    it('should take flapping links down for half of each period', function() {
+        let now = 0;
+        const mesh = lineMesh(() => now);
+        mesh.setLink('coordinator', 'a', { flapSeconds: 60 });
+
+        assert.ok(mesh.neighbors('coordinator').some(n => n.id === 'a'));
+        now = 45 * 1000;
+        assert.ok(!mesh.neighbors('coordinator').some(n => n.id === 'a'));
+    });
+
+    it('should generate the same mesh for the same seed', function() {
+        const first = MeshSimulator.generate(6, { seed: 7 });
+        const second = MeshSimulator.generate(6, { seed: 7 });
+
+        assert.equal(first.getNodes().length, 7);
+        assert.deepEqual(first.links, second.links);
+        assert.deepEqual(first.getNodes().map(n => n.mac), second.getNodes().map(n => n.mac));
+    });
+
+    it('should load the example configuration', function() {
+        const mesh = MeshSimulator.fromFile(path.join(__dirname, '..', 'config', 'simulation.example.json'));
+        assert.equal(mesh.getCoordinator().id, 'coordinator');
+        assert.equal(mesh.isNodeUp('node-4'), false);
+    });
+});
+
+describe('SimulatedCommandRunner', function() {
+    let mesh;
+
+    beforeEach(function() {
+        mesh = lineMesh(() => 1000);
+    });
+
+    it('should produce batctl output the NetworkManager parsers understand', async function() {
+        const runner = new SimulatedCommandRunner(mesh);
+        const networkManager = new NetworkManager({ runner });
+        await runner.run('batctl', ['meshif', 'bat0', 'interface', 'add', 'wlan1']);
+
+        const neighbors = await networkManager.getBatmanNeighbors();
+        assert.deepEqual(neighbors.map(n => n.address).sort(), [mesh.getNode('a').mac, mesh.getNode('b').mac].sort());
+
+        const routes = await networkManager.getBatmanRoutes();
+        const toB = routes.find(r => r.originator === mesh.getNode('b').mac);
+        assert.equal(toB.nextHop, mesh.getNode('a').mac);
+        assert.ok(toB.tq > 40 && toB.tq < 240);
+
+        const status = await networkManager.getBatmanStatus();
+        assert.equal(status.active, true);
+        assert.equal(status.neighborCount, 2);
+    });
+
+    it('should report throughput once BATMAN_V is selected', async function() {
+        const runner = new SimulatedCommandRunner(mesh);
+        const networkManager = new NetworkManager({ runner });
+        await runner.run('batctl', ['ra', 'BATMAN_V']);
+        await runner.run('batctl', ['meshif', 'bat0', 'interface', 'add', 'wlan1']);
+
+        const routes = await networkManager.getBatmanRoutes();
+        assert.ok(routes.length > 0);
+        assert.ok(routes.every(r => r.metric === 'throughput' && r.throughputMbps > 0 && r.tq === null));
+
+        const status = await networkManager.getBatmanStatus();
+        assert.equal(status.algorithm, 'BATMAN_V');
+    });
+
+    it('should report weaker radio links for lower TQ', async function() {
+        const runner = new SimulatedCommandRunner(mesh);
+        const networkManager = new NetworkManager({ runner });
+        await runner.run('batctl', ['meshif', 'bat0', 'interface', 'add', 'wlan1']);
+
+        const links = await networkManager.getLinkMetrics();
+        const toA = links.find(l => l.mac === mesh.getNode('a').mac);
+        const toB = links.find(l => l.mac === mesh.getNode('b').mac);
+        assert.ok(links.every(l => l.batmanNeighbor && l.localMac === mesh.getNode('coordinator').mac));
+        assert.equal(toA.quality, 'good');
+        assert.equal(toB.quality, 'poor');
+        assert.ok(toB.signal < toA.signal);
+    });
+
+    it('should answer pings for reachable nodes only', async function() {
+        const networkManager = new NetworkManager({ runner: new SimulatedCommandRunner(mesh) });
+
+        assert.equal(await networkManager.pingNode(mesh.getNode('b').mac), true);
+        assert.equal(await networkManager.pingNode(mesh.getNode('b').ip), true);
+
+        mesh.setNodeDown('b');
+        assert.equal(await networkManager.pingNode(mesh.getNode('b').ip), false);
+    });
+
+    it('should fail batctl before the batman interface exists', async function() {
+        const runner = new SimulatedCommandRunner(mesh);
+        await assert.rejects(runner.run('batctl', ['meshif', 'bat0', 'neighbors'], { quiet: true }), /not present/);
+    });
+
+    it('should hand out DHCP leases only when the coordinator is reachable', async function() {
+        const runner = new SimulatedCommandRunner(mesh, { nodeId: 'b' });
+        const networkManager = new NetworkManager({ runner });
+        await runner.run('batctl', ['meshif', 'bat0', 'interface', 'add', 'wlan1']);
+
+        mesh.setNodeDown('a');
+        mesh.setLink('coordinator', 'b', { down: true });
+        await assert.rejects(runner.run('dhclient', ['bat0'], { quiet: true }));
+
+        mesh.setNodeDown('a', false);
+        await runner.run('dhclient', ['bat0']);
+        assert.equal(await networkManager.getBatmanInterfaceIP(), mesh.getNode('b').ip);
+
+        const leases = await new DHCPManager({ runner: new SimulatedCommandRunner(mesh) }).getLeases();
+        assert.deepEqual(leases.map(l => l.hostname), ['node-a', 'node-b']);
+    });
+
+    it('should simulate ZeroTier joining through the mesh', async function() {
+        const runner = new SimulatedCommandRunner(mesh, { nodeId: 'a' });
+        const zeroTierManager = new ZeroTierManager({ runner });
+        zeroTierManager.networkId = mesh.networkId;
+
+        assert.equal((await zeroTierManager.getStatus()).online, false);
+
+        await zeroTierManager.joinZeroTierNetwork();
+        const status = await zeroTierManager.getStatus();
+        assert.equal(status.online, true);
+        assert.equal(status.networks[0].assignedAddresses[0], `${mesh.getNode('a').ztIp}/24`);
+
+        const peers = await zeroTierManager.getPeers();
+        const leaves = peers.filter(p => p.role === 'LEAF');
+        assert.deepEqual(leaves.map(p => p.address).sort(), [mesh.getNode('coordinator').ztAddress, mesh.getNode('b').ztAddress].sort());
+    });
+
+    it('should let tests override simulated commands', async function() {
+        const runner = new SimulatedCommandRunner(mesh).on('batctl -v', 'batctl 2019.0');
+        assert.equal(await runner.run('batctl', ['-v']), 'batctl 2019.0');
+    });
+});
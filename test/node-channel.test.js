@@ -0,0 +1,100 @@
+const assert = require('assert');
+const http = require('http');
+const socketIo = require('socket.io');
+const NodeChannel = require('../src/services/NodeChannel');
+const CoordinatorChannel = require('../src/services/CoordinatorChannel');
+const NodeEnrollment = require('../src/services/NodeEnrollment');
+const CommandQueue = require('../src/services/CommandQueue');
+const memoryStore = require('./helpers/memoryStore');
+
+function waitFor(condition, timeout = 3000) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const check = () => {
+            if (condition()) return resolve();
+            if (Date.now() - started > timeout) return reject(new Error('Timed out'));
+            setTimeout(check, 20);
+        };
+        check();
+    });
+}
+
+describe('Node push channel', function() {
+    let server, io, enrollment, queue, channel, client, url, updates;
+
+    beforeEach(async function() {
+        server = http.createServer();
+        io = socketIo(server);
+
+        enrollment = new NodeEnrollment({ enabled: true, store: memoryStore() });
+        await enrollment.initialize();
+        queue = new CommandQueue({ store: memoryStore() });
+        await queue.load();
+
+        updates = [];
+        channel = new NodeChannel(io);
+        channel.initialize({
+            nodeEnrollment: enrollment,
+            commandQueue: queue,
+            nodes: new Map(),
+            wsHandler: { broadcastCommandUpdate: (command) => updates.push(command.status) }
+        });
+
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+        client = new CoordinatorChannel({ minDelay: 50, maxDelay: 200 });
+    });
+
+    afterEach(async function() {
+        client.disconnect();
+        io.close();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    async function enrollNode(nodeId) {
+        const { token } = await enrollment.createJoinToken(nodeId);
+        const { secret } = await enrollment.enroll({ nodeId, joinToken: token });
+        return secret;
+    }
+
+    it('should refuse nodes until their enrollment is approved', async function() {
+        const secret = await enrollNode('abc123');
+        client.connect(url, 'abc123', secret);
+
+        await new Promise(resolve => setTimeout(resolve, 150));
+        assert.equal(client.isConnected(), false);
+
+        // The client keeps retrying with backoff and gets in once approved
+        await enrollment.approve('abc123', 'admin');
+        await waitFor(() => channel.isConnected('abc123'));
+    });
+
+    it('should refuse handshakes signed with the wrong secret', async function() {
+        await enrollNode('abc123');
+        await enrollment.approve('abc123', 'admin');
+
+        client.connect(url, 'abc123', 'forged-secret');
+        await new Promise(resolve => setTimeout(resolve, 150));
+        assert.equal(channel.isConnected('abc123'), false);
+    });
+
+    it('should push queued commands and receive streamed results', async function() {
+        const secret = await enrollNode('abc123');
+        await enrollment.approve('abc123', 'admin');
+
+        const received = [];
+        client.connect(url, 'abc123', secret, {
+            onCommands: (commands) => received.push(...commands)
+        });
+        await waitFor(() => channel.isConnected('abc123'));
+
+        const command = queue.enqueue('abc123', 'run_diagnostics');
+        assert.equal(channel.deliverPending('abc123'), 1);
+        await waitFor(() => received.length === 1);
+        assert.equal(received[0].id, command.id);
+
+        await client.sendResults([{ id: command.id, status: 'succeeded', result: { internet: true } }]);
+        assert.equal(command.status, 'succeeded');
+        assert.deepEqual(updates, ['succeeded']);
+    });
+});
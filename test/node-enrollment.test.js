@@ -0,0 +1,116 @@
+const assert = require('assert');
+const NodeEnrollment = require('../src/services/NodeEnrollment');
+const { signRequest } = require('../src/utils/nodeSignature');
+const memoryStore = require('./helpers/memoryStore');
+
+describe('NodeEnrollment', function() {
+    let enrollment;
+
+    beforeEach(async function() {
+        enrollment = new NodeEnrollment({ enabled: true, store: memoryStore() });
+        await enrollment.initialize();
+    });
+
+    function signed(nodeId, secret, path, data) {
+        const body = JSON.stringify(data);
+        const headers = signRequest(nodeId, secret, 'POST', path, body);
+        return {
+            nodeId,
+            timestamp: headers['X-Node-Timestamp'],
+            signature: headers['X-Node-Signature'],
+            method: 'POST',
+            path,
+            body
+        };
+    }
+
+    it('should refuse the node IDs the coordinator uses for itself', async function() {
+        const { token } = await enrollment.createJoinToken('pi-1');
+        await assert.rejects(enrollment.enroll({ nodeId: 'Coordinator', joinToken: token }), /Node ID "Coordinator" is reserved/);
+        assert.equal(enrollment.listJoinTokens().length, 1);
+    });
+
+    it('should only enroll nodes with a valid join token, once', async function() {
+        const { token } = await enrollment.createJoinToken('pi-1');
+
+        assert.equal(await enrollment.enroll({ nodeId: 'abc123', joinToken: 'bmj_bogus' }, '192.168.100.10'), null);
+
+        const result = await enrollment.enroll({ nodeId: 'abc123', joinToken: token }, '192.168.100.10');
+        assert.equal(result.status, 'pending');
+        assert(result.secret);
+
+        // Join tokens are single use
+        assert.equal(await enrollment.enroll({ nodeId: 'def456', joinToken: token }, '192.168.100.11'), null);
+        assert.equal(enrollment.listJoinTokens().length, 0);
+    });
+
+    it('should refuse expired join tokens', async function() {
+        const { id, token } = await enrollment.createJoinToken('stale');
+        enrollment.joinTokens.get(id).expiresAt = new Date(Date.now() - 1000);
+
+        assert.equal(await enrollment.enroll({ nodeId: 'abc123', joinToken: token }), null);
+    });
+
+    it('should accept signed requests only after approval', async function() {
+        const { token } = await enrollment.createJoinToken('pi-1');
+        const { secret } = await enrollment.enroll({ nodeId: 'abc123', joinToken: token });
+        const path = '/api/nodes/abc123/heartbeat';
+
+        const pending = enrollment.verify(signed('abc123', secret, path, { status: 'online' }));
+        assert.equal(pending.status, 403);
+        assert.equal(pending.enrollmentStatus, 'pending');
+
+        await enrollment.approve('abc123', 'admin');
+        assert(enrollment.verify(signed('abc123', secret, path, { status: 'online' })).ok);
+
+        await enrollment.reject('abc123', 'admin');
+        assert.equal(enrollment.verify(signed('abc123', secret, path, { status: 'online' })).status, 403);
+    });
+
+    it('should reject spoofed, tampered and unenrolled requests', async function() {
+        const { token } = await enrollment.createJoinToken('pi-1');
+        const { secret } = await enrollment.enroll({ nodeId: 'abc123', joinToken: token });
+        await enrollment.approve('abc123', 'admin');
+        const path = '/api/nodes/abc123/status';
+
+        const wrongSecret = enrollment.verify(signed('abc123', 'not-the-secret', path, {}));
+        assert.equal(wrongSecret.status, 401);
+
+        const tampered = signed('abc123', secret, path, { status: 'online' });
+        tampered.body = JSON.stringify({ status: 'offline' });
+        assert.equal(enrollment.verify(tampered).status, 401);
+
+        const stale = signed('abc123', secret, path, {});
+        stale.timestamp = String(Date.now() - 60 * 60 * 1000);
+        assert.equal(enrollment.verify(stale).status, 401);
+
+        assert.equal(enrollment.verify(signed('unknown', secret, path, {})).error, 'Node is not enrolled');
+    });
+
+    it('should not let a join token take over an enrolled node', async function() {
+        const first = await enrollment.createJoinToken('pi-1');
+        const { secret } = await enrollment.enroll({ nodeId: 'abc123', joinToken: first.token });
+        await enrollment.approve('abc123', 'admin');
+
+        const second = await enrollment.createJoinToken('pi-2');
+        await assert.rejects(enrollment.enroll({ nodeId: 'abc123', joinToken: second.token }), /already enrolled/);
+        assert.equal(enrollment.getSecret('abc123'), secret);
+        // The token is not spent on the refusal
+        assert.equal(enrollment.listJoinTokens().length, 1);
+
+        // Removed by an admin, the node can enroll again
+        await enrollment.remove('abc123');
+        const again = await enrollment.enroll({ nodeId: 'abc123', joinToken: second.token });
+        assert.equal(again.status, 'pending');
+        assert.notEqual(again.secret, secret);
+    });
+
+    it('should never expose node secrets in listings', async function() {
+        const { token } = await enrollment.createJoinToken('pi-1');
+        await enrollment.enroll({ nodeId: 'abc123', joinToken: token, hostname: 'pi-1' });
+
+        const [listed] = enrollment.listEnrollments();
+        assert.equal(listed.hostname, 'pi-1');
+        assert.equal(listed.secret, undefined);
+    });
+});
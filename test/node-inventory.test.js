@@ -0,0 +1,91 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NodeInventory = require('../src/services/NodeInventory');
+const NodeRegistry = require('../src/services/NodeRegistry');
+const JsonFileStore = require('../src/utils/JsonFileStore');
+
+describe('NodeInventory', function() {
+    let tmpDir;
+
+    beforeEach(function() {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batman-inventory-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    function createRegistry() {
+        return new NodeRegistry({ store: new JsonFileStore(path.join(tmpDir, 'nodes.json'), []) });
+    }
+
+    it('should validate and normalize metadata', function() {
+        const metadata = NodeInventory.validate({
+            name: '  Garage Pi ',
+            tags: 'Critical, solar,critical',
+            position: '52.5163, 13.3777',
+            owner: '',
+            notes: null
+        });
+        assert.deepEqual(metadata, {
+            name: 'Garage Pi',
+            tags: ['critical', 'solar'],
+            position: { latitude: 52.5163, longitude: 13.3777 },
+            owner: null,
+            notes: null
+        });
+        assert.deepEqual(NodeInventory.validate({ tags: ['a', 'b'], position: { latitude: 1, longitude: 2 } }),
+            { tags: ['a', 'b'], position: { latitude: 1, longitude: 2 } });
+
+        assert.throws(() => NodeInventory.validate({ status: 'online' }), /Unknown node field "status"/);
+        assert.throws(() => NodeInventory.validate({ tags: 'has space' }), /Invalid tag "has space"/);
+        assert.throws(() => NodeInventory.validate({ position: '91,0' }), /Invalid position "91,0"/);
+        assert.throws(() => NodeInventory.validate({ name: 'x'.repeat(65) }), /at most 64 characters/);
+    });
+
+    it('should parse filters from query parameters and strings', function() {
+        assert.deepEqual(NodeInventory.parseFilter({ group: 'Backbone', tag: 'critical,solar' }),
+            { group: 'backbone', tags: ['critical', 'solar'] });
+        assert.throws(() => NodeInventory.parseFilter({ grop: 'backbone' }), /Unknown node filter field "grop"/);
+        assert.deepEqual(NodeInventory.parseFilter('group:backbone, tag:critical, tag:solar'),
+            { group: 'backbone', tags: ['critical', 'solar'] });
+        assert.deepEqual(NodeInventory.parseFilter('all'), {});
+        assert.throws(() => NodeInventory.parseFilter('colour:red'), /Unknown node filter field "colour"/);
+        assert.throws(() => NodeInventory.parseFilter('backbone'), /Invalid node filter "backbone"/);
+    });
+
+    it('should store metadata with the registry and filter by it', async function() {
+        const registry = createRegistry();
+        registry.upsert('node-a', { hostname: 'raspberrypi', address: '192.168.100.2', status: 'online' });
+        registry.upsert('node-b', { hostname: 'raspberrypi', address: '192.168.100.3', status: 'offline' });
+        registry.upsert('node-c', { status: 'online' });
+
+        registry.updateMetadata('node-a', { name: 'Roof', group: 'Backbone', site: 'HQ', tags: 'critical,solar' });
+        registry.updateMetadata('node-b', { name: 'Garage', group: 'backbone', tags: 'solar', notes: 'Behind the freezer' });
+        assert.throws(() => registry.updateMetadata('nope', { name: 'x' }), /Node nope not found/);
+
+        const ids = (filter) => registry.filter(filter).map(node => node.id);
+        assert.deepEqual(ids({ group: 'backbone' }), ['node-a', 'node-b']);
+        assert.deepEqual(ids({ tag: 'solar', status: 'online' }), ['node-a']);
+        assert.deepEqual(ids('tag:critical,tag:solar'), ['node-a']);
+        assert.deepEqual(ids({ q: 'freezer' }), ['node-b']);
+        assert.deepEqual(ids({ q: '100.3' }), ['node-b']);
+        assert.deepEqual(ids({}), ['node-a', 'node-b', 'node-c']);
+
+        // Clearing a field, and heartbeat updates leave the rest alone
+        registry.updateMetadata('node-a', { site: '' });
+        registry.upsert('node-a', { status: 'warning', lastSeen: new Date() });
+        await registry.close();
+
+        const restored = createRegistry();
+        await restored.load();
+        const node = restored.get('node-a');
+        assert.equal(node.name, 'Roof');
+        assert.equal(node.site, null);
+        assert.deepEqual(node.tags, ['critical', 'solar']);
+        assert.equal(NodeInventory.label(node), 'Roof');
+        assert.equal(NodeInventory.label(restored.get('node-c')), 'node-c');
+    });
+});
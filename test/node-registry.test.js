@@ -0,0 +1,208 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NodeRegistry = require('../src/services/NodeRegistry');
+const NodeIdentity = require('../src/services/NodeIdentity');
+const ZeroTierManager = require('../src/services/ZeroTierManager');
+const JsonFileStore = require('../src/utils/JsonFileStore');
+const { FakeCommandRunner } = require('../src/runner');
+
+describe('NodeRegistry', function() {
+    let tmpDir;
+
+    beforeEach(function() {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batman-registry-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    function createRegistry(options = {}) {
+        return new NodeRegistry({
+            store: new JsonFileStore(path.join(tmpDir, 'nodes.json'), []),
+            ...options
+        });
+    }
+
+    it('should persist nodes across instances', async function() {
+        const registry = createRegistry();
+        registry.upsert('abc123', { hostname: 'pi-1', status: 'online', lastSeen: new Date() });
+        await registry.close();
+
+        const restored = createRegistry();
+        await restored.load();
+
+        const node = restored.get('abc123');
+        assert(node);
+        assert.equal(node.hostname, 'pi-1');
+        assert.equal(node.status, 'unknown');
+        assert(node.firstSeen instanceof Date);
+        assert(node.lastSeen instanceof Date);
+    });
+
+    it('should keep firstSeen and record status history', async function() {
+        const registry = createRegistry();
+        const first = registry.upsert('abc123', { status: 'online' });
+        const updated = registry.upsert('abc123', { status: 'offline' });
+        registry.upsert('abc123', { status: 'offline' });
+
+        assert.equal(updated.firstSeen, first.firstSeen);
+        assert.deepEqual(registry.get('abc123').history.map(h => h.status), ['online', 'offline']);
+        await registry.close();
+    });
+
+    it('should only write heartbeat data on the flush interval', async function() {
+        let saves = 0;
+        const store = { load: async () => [], save: async () => { saves++; } };
+        const registry = new NodeRegistry({ store, saveDelay: 10, flushMinutes: 60 });
+        const wait = () => new Promise(resolve => setTimeout(resolve, 30));
+
+        registry.upsert('abc123', { hostname: 'pi-1', status: 'online', lastSeen: new Date() });
+        await wait();
+        assert.equal(saves, 1);
+
+        registry.upsert('abc123', { status: 'online', lastSeen: new Date(), stats: { uptime: 60 } });
+        registry.addAliases('abc123', [NodeIdentity.identifier('nodeId', 'abc123')], 'heartbeat');
+        registry.addAliases('abc123', [NodeIdentity.identifier('nodeId', 'abc123')], 'heartbeat');
+        await wait();
+        assert.equal(saves, 2, 'a new alias is written right away');
+
+        registry.upsert('abc123', { status: 'online', lastSeen: new Date(), stats: { uptime: 70 } });
+        registry.addAliases('abc123', [NodeIdentity.identifier('nodeId', 'abc123')], 'heartbeat');
+        await wait();
+        assert.equal(saves, 2);
+
+        registry.upsert('abc123', { status: 'offline' });
+        await wait();
+        assert.equal(saves, 3);
+
+        registry.upsert('abc123', { lastSeen: new Date() });
+        await registry.close();
+        assert.equal(saves, 4);
+    });
+
+    it('should prune stale nodes according to retention policy', async function() {
+        const registry = createRegistry({ discoveredRetentionHours: 1, registeredRetentionHours: 0 });
+        const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+        registry.upsert('aa:bb:cc:dd:ee:ff', { lastSeen: old });
+        registry.upsert('abc123', { lastSeen: old, registeredAt: old });
+        registry.upsert('fresh', { lastSeen: new Date() });
+
+        const removed = registry.pruneStale();
+        assert.deepEqual(removed, ['aa:bb:cc:dd:ee:ff']);
+        assert(registry.has('abc123'));
+        assert(registry.has('fresh'));
+        await registry.close();
+    });
+
+    describe('identity', function() {
+        const ORIGINATOR = 'b8:27:eb:45:93:30';
+
+        const registration = {
+            hostname: 'pi-garage',
+            network: [
+                { name: 'wlan1', mac: 'B8:27:EB:45:93:30', ip4: '' },
+                { name: 'eth0', mac: 'b8:27:eb:00:11:22', ip4: '192.168.1.20' },
+                { name: 'bat0', mac: '5a:11:9c:00:00:02', ip4: '192.168.100.57' }
+            ]
+        };
+
+        const heartbeat = {
+            gateway: { originator: ORIGINATOR },
+            batman: { macAddress: '5a:11:9c:00:00:02', hardInterfaces: [{ name: 'wlan1', mac: ORIGINATOR }] },
+            zerotier: { address: 'a1b2c3d4e5' }
+        };
+
+        it('should collect identifiers from registration and heartbeat', function() {
+            const identifiers = NodeIdentity.fromRegistration('abc123', registration);
+            assert.deepEqual(identifiers.map(id => `${id.type} ${id.value}`), [
+                'nodeId abc123',
+                'hostname pi-garage',
+                `mac ${ORIGINATOR}`,
+                'mac b8:27:eb:00:11:22',
+                'mac 5a:11:9c:00:00:02',
+                // Only the mesh IP, not the LAN address behind eth0
+                'ip 192.168.100.57'
+            ]);
+            assert.equal(NodeIdentity.meshAddress(identifiers), '192.168.100.57');
+
+            assert.deepEqual(NodeIdentity.fromHeartbeat('abc123', heartbeat).map(id => id.value),
+                ['abc123', ORIGINATOR, '5a:11:9c:00:00:02', ORIGINATOR, 'a1b2c3d4e5']);
+        });
+
+        it('should merge a discovered node into the registered one', async function() {
+            const registry = createRegistry();
+            registry.upsert(ORIGINATOR, { address: ORIGINATOR, status: 'online', batmanInfo: { tq: 240 } });
+            registry.addAliases(ORIGINATOR, [NodeIdentity.identifier('mac', ORIGINATOR)], 'batman');
+            registry.upsert('abc123', { status: 'online', registeredAt: new Date() });
+
+            const nodeId = registry.identify(NodeIdentity.fromHeartbeat('abc123', heartbeat), 'abc123', 'heartbeat');
+
+            assert.equal(nodeId, 'abc123');
+            assert.equal(registry.size, 1);
+            assert.equal(registry.get('abc123').batmanInfo.tq, 240);
+            for (const alias of [ORIGINATOR, '5A:11:9C:00:00:02', 'a1b2c3d4e5']) {
+                assert.equal(registry.resolve(alias), 'abc123', alias);
+            }
+            assert.equal(registry.resolve('a1b2c3d4e5', 'mac'), null);
+
+            // A later neighbor sighting of the same MAC lands on the merged node
+            assert.equal(registry.identify([NodeIdentity.identifier('mac', ORIGINATOR)], null, 'batman'), 'abc123');
+            await registry.close();
+
+            const restored = createRegistry();
+            await restored.load();
+            assert.ok(restored.get('abc123').aliases.every(alias => alias.lastSeen instanceof Date));
+        });
+
+        it('should keep two registered nodes apart when they share an identifier', async function() {
+            const registry = createRegistry();
+            registry.upsert('node-a', { status: 'online', registeredAt: new Date() });
+            registry.upsert('node-b', { status: 'online', registeredAt: new Date() });
+            // Both Pis were cloned from one SD image and share the ZeroTier identity
+            const zerotier = NodeIdentity.identifier('zerotier', 'a1b2c3d4e5');
+
+            registry.identify([NodeIdentity.identifier('nodeId', 'node-a'), zerotier], 'node-a', 'heartbeat');
+            const nodeId = registry.identify([NodeIdentity.identifier('nodeId', 'node-b'), zerotier,
+                NodeIdentity.identifier('mac', ORIGINATOR)], 'node-b', 'heartbeat');
+
+            assert.equal(nodeId, 'node-b');
+            assert.equal(registry.size, 2);
+            // The first holder keeps the shared address, node-b keeps its own identifiers
+            assert.equal(registry.resolve('a1b2c3d4e5'), 'node-a');
+            assert.deepEqual(registry.get('node-b').aliases.map(alias => alias.value), ['node-b', ORIGINATOR]);
+
+            // node-b reporting node-a's identifiers does not absorb it either
+            registry.identify([NodeIdentity.identifier('nodeId', 'node-a')], 'node-b', 'heartbeat');
+            assert.ok(registry.has('node-a'));
+            assert.deepEqual(Array.from(registry.conflicts), ['node-a node-b']);
+            await registry.close();
+        });
+
+        it('should not merge on shared hostnames or reused IPs', async function() {
+            const registry = createRegistry();
+            registry.upsert('node-a', { registeredAt: new Date() });
+            registry.upsert('node-b', { registeredAt: new Date() });
+            const ip = NodeIdentity.identifier('ip', '192.168.100.57');
+            const hostname = NodeIdentity.identifier('hostname', 'raspberrypi');
+
+            registry.identify([NodeIdentity.identifier('nodeId', 'node-a'), ip, hostname], 'node-a');
+            registry.identify([NodeIdentity.identifier('nodeId', 'node-b'), ip, hostname], 'node-b');
+
+            assert.equal(registry.size, 2);
+            // The lease moved to node-b, both keep the hostname
+            assert.equal(registry.resolve('192.168.100.57'), 'node-b');
+            assert.deepEqual(registry.get('node-a').aliases.map(alias => alias.type), ['nodeId', 'hostname']);
+            await registry.close();
+        });
+
+        it('should read the ZeroTier node address', async function() {
+            const runner = new FakeCommandRunner().on(/ info$/, '200 info a1b2c3d4e5 1.12.2 ONLINE\n');
+            const status = await new ZeroTierManager({ runner }).getStatus();
+            assert.equal(status.address, 'a1b2c3d4e5');
+        });
+    });
+});
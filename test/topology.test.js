@@ -0,0 +1,139 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const NetworkManager = require('../src/services/NetworkManager');
+const TopologyBuilder = require('../src/services/TopologyBuilder');
+const { FakeCommandRunner } = require('../src/runner');
+
+const fixture = (...parts) => fs.readFileSync(path.join(__dirname, 'fixtures', ...parts), 'utf8');
+
+const COORDINATOR = 'dc:a6:32:aa:bb:cc';
+const NODE_B = 'b8:27:eb:45:93:30';
+const NODE_C = 'dc:a6:32:01:02:03';
+const STRAY = 'b8:27:eb:aa:bb:cc';
+
+// node-b hears the coordinator far worse than the other way round (54 Mbit/s)
+function heartbeat(throughputMbps = 12) {
+    return {
+        gateway: { originator: NODE_B },
+        batman: {
+            neighbors: [
+                { address: COORDINATOR, interface: 'wlan1', lastSeenMs: 210, algorithm: 'BATMAN_V', metric: 'throughput', tq: null, throughputMbps, quality: throughputMbps / 100 },
+                { address: NODE_C, interface: 'wlan1', lastSeenMs: 820, algorithm: 'BATMAN_V', metric: 'throughput', tq: null, throughputMbps: 30, quality: 0.3 }
+            ]
+        },
+        links: [{ interface: 'wlan1', mac: NODE_C, signal: -81, signalAvg: -80, quality: 'poor' }]
+    };
+}
+
+describe('TopologyBuilder', function() {
+    const env = { ...process.env };
+
+    beforeEach(function() {
+        process.env.MESH_INTERFACES = 'wlan1';
+    });
+
+    afterEach(function() {
+        process.env = { ...env };
+    });
+
+    function meshRunner() {
+        return new FakeCommandRunner()
+            .on('ip -o link show wlan1', `3: wlan1: <BROADCAST,MULTICAST,UP,LOWER_UP> mtu 1532\\    link/ether ${COORDINATOR} brd ff:ff:ff:ff:ff:ff`)
+            .on(/^batctl (meshif|-m) bat0 neighbors$/, fixture('batctl', '2023.0-v-neighbors.txt'))
+            .on('alfred -r 100', fixture('alfred', 'records.txt'))
+            .on('batadv-vis -i bat0 -f jsondoc', fixture('alfred', 'vis-jsondoc.json'));
+    }
+
+    function createBuilder(runner, options = {}) {
+        const nodes = new Map([
+            ['node-b', { id: 'node-b', name: 'Garage', tags: ['solar'], group: 'backbone', address: '192.168.100.2', status: 'online', gateway: { originator: NODE_B } }],
+            ['node-d', { id: 'node-d', address: '192.168.100.4', status: 'offline' }]
+        ]);
+        const builder = new TopologyBuilder({ networkManager: new NetworkManager({ runner }), nodes, ...options });
+        const deltas = [];
+        builder.on('change', delta => deltas.push(delta));
+        return { builder, deltas };
+    }
+
+    it('should merge every node\'s neighbor table into one graph', async function() {
+        const { builder } = createBuilder(meshRunner());
+        builder.reportHeartbeat('node-b', heartbeat());
+
+        const graph = await builder.update();
+        const node = (id) => graph.nodes.find(n => n.id === id);
+        const link = (a, b) => graph.links.find(l => l.id === [a, b].sort().join('-'));
+
+        assert.equal(node(COORDINATOR).type, 'coordinator');
+        assert.equal(node(NODE_B).nodeId, 'node-b');
+        assert.equal(node(NODE_B).hostname, 'pi-garage');
+        // Inventory metadata, for filtering the view
+        assert.equal(node(NODE_B).name, 'Garage');
+        assert.deepEqual(node(NODE_B).tags, ['solar']);
+        assert.equal(node(NODE_B).group, 'backbone');
+        // Registered but never reported an originator: listed without links
+        assert.equal(node('node-d').originator, null);
+        // Only batadv-vis knows the third node, alfred gives its table
+        assert.equal(node(NODE_C).reportedBy, 'alfred');
+
+        const main = link(COORDINATOR, NODE_B);
+        assert.equal(main.source, NODE_B);
+        assert.equal(main.forward.throughputMbps, 12);
+        assert.equal(main.reverse.throughputMbps, 54);
+        assert.equal(main.reverse.source, 'coordinator');
+        assert.equal(main.quality, 0.12);
+        assert.equal(main.asymmetric, true);
+
+        // batadv-vis reports node-c's side through node-b's secondary interface
+        const remote = link(NODE_B, NODE_C);
+        assert.equal(remote.type, 'direct');
+        assert.equal(remote.forward.station.signal, -81);
+        assert.equal(remote.reverse.source, 'alfred');
+        assert.equal(remote.reverse.tq, 200);
+        assert.equal(remote.weak, true);
+        assert.equal(remote.asymmetric, true);
+
+        // A neighbor that reports nothing itself is not asymmetric
+        assert.equal(link(COORDINATOR, STRAY).asymmetric, false);
+        assert.equal(graph.metadata.asymmetricLinks, 2);
+        assert.equal(graph.version, 1);
+    });
+
+    it('should emit only what changed', async function() {
+        const { builder, deltas } = createBuilder(meshRunner());
+        builder.reportHeartbeat('node-b', heartbeat());
+        await builder.update();
+
+        await builder.update();
+        assert.equal(deltas.length, 0);
+
+        builder.reportHeartbeat('node-b', heartbeat(50));
+        const graph = await builder.update();
+
+        assert.equal(deltas.length, 1);
+        assert.equal(deltas[0].previousVersion, 1);
+        assert.equal(deltas[0].version, 2);
+        assert.deepEqual(deltas[0].links.upsert.map(l => l.id), [`${NODE_B}-${COORDINATOR}`]);
+        assert.deepEqual(deltas[0].nodes, { upsert: [], remove: [] });
+        assert.equal(graph.links.find(l => l.source === NODE_B && l.target === COORDINATOR).asymmetric, false);
+
+        const history = builder.getLink(`${NODE_B}-${COORDINATOR}`).history;
+        assert.deepEqual(history.map(sample => sample.forward), [0.12, 0.12, 0.5]);
+        assert.equal(builder.getLink('nope'), null);
+    });
+
+    it('should drop reports that stopped coming', async function() {
+        const { builder, deltas } = createBuilder(meshRunner().on('batadv-vis -i bat0 -f jsondoc', ''), { reportTimeoutSeconds: 60 });
+        builder.reportHeartbeat('node-b', heartbeat());
+        await builder.update();
+        assert.ok(builder.graph.nodes.some(n => n.id === NODE_C));
+
+        builder.reports.get(NODE_B).at = new Date(Date.now() - 2 * 60 * 1000);
+        await builder.update();
+
+        assert.deepEqual(deltas[0].nodes.remove, [NODE_C]);
+        assert.deepEqual(deltas[0].links.remove, [`${NODE_B}-${NODE_C}`]);
+        // The coordinator still hears node-b, one way now
+        assert.equal(builder.graph.links.find(l => l.source === NODE_B).forward, null);
+    });
+});
@@ -0,0 +1,128 @@
+const assert = require('assert');
+const NetworkManager = require('../src/services/NetworkManager');
+const UplinkManager = require('../src/services/UplinkManager');
+const { FakeCommandRunner } = require('../src/runner');
+const memoryStore = require('./helpers/memoryStore');
+
+const PING_OK = 'PING 1.1.1.1\n64 bytes from 1.1.1.1: icmp_seq=1 ttl=57 time=31.4 ms\n';
+const PING_FAIL = { stdout: '1 packets transmitted, 0 received, 100% packet loss', exitCode: 1 };
+
+describe('UplinkManager', function() {
+    const env = { ...process.env };
+
+    beforeEach(function() {
+        process.env.UPLINKS = 'eth0,wwan0:lte';
+        process.env.UPLINK_BANDWIDTH = 'wwan0:20mbit/5mbit';
+        for (const name of ['UPLINK_PROBES', 'UPLINK_GATEWAY', 'UPLINK_DOWN_ACTION', 'GATEWAY_UPLINK_INTERFACE', 'ETHERNET_INTERFACE', 'BATMAN_GW_MODE', 'BATMAN_GW_BANDWIDTH']) {
+            delete process.env[name];
+        }
+    });
+
+    afterEach(function() {
+        process.env = { ...env };
+    });
+
+    // A coordinator serving as gateway out of eth0
+    async function createManagers(runner, options = {}) {
+        const networkManager = new NetworkManager({ runner, isCoordinator: true, gatewayStore: memoryStore({}) });
+        await networkManager.applyGatewayMode();
+        const uplinkManager = new UplinkManager({ runner, networkManager, failThreshold: 2, recoverThreshold: 2, ...options });
+        const alerts = [];
+        uplinkManager.on('alert', alert => alerts.push(alert));
+        uplinkManager.initialize();
+        runner.calls = [];
+        return { networkManager, uplinkManager, alerts };
+    }
+
+    it('should parse uplinks and probes', function() {
+        assert.deepEqual(UplinkManager.parseUplinks('eth0, wwan0:lte,wlan0:wifi'), [
+            { name: 'eth0', type: 'ethernet', priority: 0 },
+            { name: 'wwan0', type: 'lte', priority: 1 },
+            { name: 'wlan0', type: 'wifi', priority: 2 }
+        ]);
+        assert.deepEqual(UplinkManager.parseProbes('ping:1.1.1.1,http:http://example.com/generate_204'), [
+            { type: 'ping', target: '1.1.1.1' },
+            { type: 'http', target: 'http://example.com/generate_204' }
+        ]);
+        assert.throws(() => UplinkManager.parseUplinks('usb0:modem'), /Unknown uplink type "modem"/);
+        assert.throws(() => UplinkManager.parseProbes('dns:example.com'), /Invalid uplink probe "dns:example.com"/);
+    });
+
+    it('should fail over to the backup uplink and back', async function() {
+        const runner = new FakeCommandRunner()
+            .on(/^ping .* -I eth0 /, PING_FAIL)
+            .on(/^ping .* -I wwan0 /, PING_OK)
+            .on('ip -4 route show default dev wwan0', 'default via 10.64.64.64 dev wwan0 proto dhcp metric 700');
+        const { networkManager, uplinkManager, alerts } = await createManagers(runner);
+
+        // One failed round is not enough
+        await uplinkManager.check();
+        assert.equal(uplinkManager.getStatus().active, 'eth0');
+
+        const status = await uplinkManager.check();
+        assert.equal(status.active, 'wwan0');
+        assert.equal(status.uplinks[1].latencyMs, 31.4);
+        assert.match(status.uplinks[0].lastError, /^ping 8\.8\.8\.8/);
+        const commands = runner.commands();
+        for (const expected of [
+            'ip route replace default via 10.64.64.64 dev wwan0 metric 10',
+            'iptables -t nat -D POSTROUTING -s 192.168.100.0/24 -o eth0 -j MASQUERADE',
+            'iptables -t nat -A POSTROUTING -s 192.168.100.0/24 -o wwan0 -j MASQUERADE',
+            'batctl meshif bat0 gw_mode server 20mbit/5mbit'
+        ]) {
+            assert.ok(commands.includes(expected), expected);
+        }
+        assert.equal(networkManager.uplinkInterface, 'wwan0');
+        assert.deepEqual(alerts.map(a => [a.level, a.uplink]), [['warning', 'eth0'], ['warning', 'wwan0']]);
+
+        // eth0 comes back and is preferred again
+        runner.on(/^ping .* -I eth0 /, PING_OK).on('ip -4 route show default dev eth0', 'default via 192.168.1.1 dev eth0 proto dhcp metric 100');
+        runner.calls = [];
+        await uplinkManager.check();
+        await uplinkManager.check();
+        assert.equal(uplinkManager.getStatus().active, 'eth0');
+        assert.ok(runner.commands().includes('ip route replace default via 192.168.1.1 dev eth0 metric 10'));
+        assert.ok(runner.commands().includes('batctl meshif bat0 gw_mode server 10000/2000'));
+        assert.match(alerts[2].message, /eth0 \(ethernet\) recovered/);
+    });
+
+    it('should withdraw the gateway announcement while no uplink works', async function() {
+        const runner = new FakeCommandRunner().on(/^ping /, PING_FAIL);
+        const { uplinkManager, alerts } = await createManagers(runner);
+
+        await uplinkManager.check();
+        await uplinkManager.check();
+        assert.equal(uplinkManager.getStatus().announcement, 'withdrawn');
+        assert.ok(runner.commands().includes('batctl meshif bat0 gw_mode client'));
+        assert.ok(!runner.commands().some(c => c.startsWith('ip route replace')));
+        assert.deepEqual(alerts.map(a => a.level), ['warning', 'warning', 'critical']);
+
+        // Not repeated on every round
+        runner.calls = [];
+        await uplinkManager.check();
+        assert.ok(!runner.commands().includes('batctl meshif bat0 gw_mode client'));
+
+        runner.on(/^ping .* -I eth0 /, PING_OK);
+        await uplinkManager.check();
+        await uplinkManager.check();
+        assert.equal(uplinkManager.getStatus().announcement, 'normal');
+        assert.ok(runner.commands().includes('batctl meshif bat0 gw_mode server 10000/2000'));
+    });
+
+    it('should lower the bandwidth instead when configured and probe over HTTP', async function() {
+        process.env.UPLINKS = 'eth0';
+        process.env.UPLINK_PROBES = 'http:http://connectivitycheck.gstatic.com/generate_204';
+        process.env.UPLINK_DOWN_ACTION = 'lower';
+        const runner = new FakeCommandRunner().on(/^curl .*--interface eth0/, '000');
+        const { uplinkManager } = await createManagers(runner, { failThreshold: 1 });
+
+        const status = await uplinkManager.check();
+        assert.equal(status.announcement, 'lowered');
+        assert.match(status.uplinks[0].lastError, /HTTP 000/);
+        assert.ok(runner.commands().includes('batctl meshif bat0 gw_mode server 1mbit/512kbit'));
+
+        runner.on(/^curl .*--interface eth0/, '204');
+        await uplinkManager.check();
+        assert.equal(uplinkManager.getStatus().uplinks[0].lastError, null);
+    });
+});
@@ -0,0 +1,137 @@
+const assert = require('assert');
+const NetworkManager = require('../src/services/NetworkManager');
+const WirelessManager = require('../src/services/WirelessManager');
+const { FakeCommandRunner } = require('../src/runner');
+
+const NM_CONF = '/etc/NetworkManager/conf.d/99-ignore-mesh.conf';
+
+describe('WirelessManager', function() {
+    const env = { ...process.env };
+
+    beforeEach(function() {
+        process.env.MESH_SSID = 'batman-mesh';
+        process.env.MESH_FREQUENCY = '2437';
+        delete process.env.MESH_INTERFACE;
+        delete process.env.MESH_ENCRYPTION;
+    });
+
+    afterEach(function() {
+        process.env = { ...env };
+    });
+
+    function createManagers(runner, options = {}) {
+        const networkManager = new NetworkManager({ runner });
+        const channelStore = { async load() { return {}; }, async save() {} };
+        const wirelessManager = new WirelessManager({ runner, networkManager, channelStore, settleDelay: 0, joinDelay: 0, ...options });
+        return { networkManager, wirelessManager };
+    }
+
+    it('should list every mesh interface in one NetworkManager rule', async function() {
+        process.env.MESH_INTERFACES = 'wlan1,eth1:wired';
+        const runner = new FakeCommandRunner();
+        const { wirelessManager } = createManagers(runner);
+
+        await wirelessManager.configureAll();
+
+        assert.equal(runner.files.get(NM_CONF), '[keyfile]\nunmanaged-devices=interface-name:wlan1;interface-name:eth1\n');
+        const commands = runner.commands();
+        assert.ok(commands.includes('wpa_cli -i wlan1 terminate'));
+        assert.ok(commands.includes('dhcpcd -k eth1'));
+        // No radio commands for wired backhaul
+        assert.ok(!commands.some(c => c.startsWith('iw eth1')));
+    });
+
+    it('should apply regulatory domain, channel width and TX power', async function() {
+        process.env.MESH_INTERFACES = 'wlan1';
+        process.env.WIRELESS_COUNTRY = 'de';
+        process.env.MESH_CHANNEL_WIDTH = 'HT40+';
+        process.env.MESH_TXPOWER = '15';
+        const runner = new FakeCommandRunner().on('iw reg get', 'global\ncountry 00: DFS-UNSET\n');
+        const { wirelessManager } = createManagers(runner);
+
+        await wirelessManager.configureAll();
+
+        const commands = runner.commands();
+        assert.ok(commands.includes('iw reg set DE'));
+        assert.ok(commands.includes('iw wlan1 ibss join batman-mesh 2437 HT40+'));
+        assert.ok(commands.includes('iw dev wlan1 set txpower fixed 1500'));
+    });
+
+    it('should reject unknown channel widths', function() {
+        process.env.MESH_CHANNEL_WIDTH = 'wlan1:HT80';
+        assert.throws(() => createManagers(new FakeCommandRunner()), /Unknown channel width "HT80"/);
+    });
+
+    it('should recover from "operation already in progress" and retry', async function() {
+        process.env.MESH_INTERFACES = 'wlan1';
+        const runner = new FakeCommandRunner()
+            .on('iw wlan1 ibss join batman-mesh 2437', { stderr: 'command failed: Operation already in progress (-114)', exitCode: 242 });
+        const { networkManager, wirelessManager } = createManagers(runner);
+
+        // Succeed on the second attempt
+        const joinMesh = networkManager.joinMesh.bind(networkManager);
+        let attempts = 0;
+        networkManager.joinMesh = async (...args) => {
+            attempts++;
+            if (attempts === 2) runner.on('iw wlan1 ibss join batman-mesh 2437', '');
+            return joinMesh(...args);
+        };
+
+        await wirelessManager.configure(networkManager.hardInterfaces[0]);
+
+        assert.equal(attempts, 2);
+        const commands = runner.commands();
+        const failedJoin = commands.indexOf('iw wlan1 ibss join batman-mesh 2437');
+        assert.deepEqual(commands.slice(failedJoin + 1, failedJoin + 6), [
+            'iw wlan1 disconnect',
+            'iw wlan1 ibss leave',
+            'wpa_cli -i wlan1 terminate',
+            'ip link set wlan1 down',
+            'rfkill unblock wifi'
+        ]);
+        assert.equal(WirelessManager.joinErrorKind(new Error('command failed: Connection timed out (-110)')), 'timeout');
+    });
+
+    it('should give up after the configured attempts', async function() {
+        process.env.MESH_INTERFACES = 'wlan1';
+        const runner = new FakeCommandRunner()
+            .on('iw wlan1 ibss join batman-mesh 2437', { stderr: 'command failed: Connection timed out (-110)', exitCode: 146 });
+        const { wirelessManager } = createManagers(runner, { joinAttempts: 2 });
+
+        await assert.rejects(wirelessManager.configureAll(), /Failed to configure mesh interfaces: wlan1/);
+        assert.equal(runner.commands().filter(c => c === 'iw wlan1 ibss join batman-mesh 2437').length, 2);
+    });
+
+    it('should restore the original interface state on stop', async function() {
+        process.env.MESH_INTERFACES = 'wlan1';
+        process.env.WIRELESS_COUNTRY = 'DE';
+        const runner = new FakeCommandRunner()
+            .on('ip -o link show wlan1', '3: wlan1: <BROADCAST,MULTICAST,UP,LOWER_UP> mtu 1500 state UP')
+            .on('ip -o -4 addr show dev wlan1', '3: wlan1    inet 192.168.1.23/24 brd 192.168.1.255 scope global wlan1')
+            .on('iw wlan1 info', 'Interface wlan1\n\ttype managed\n')
+            .on('systemctl is-enabled wpa_supplicant@wlan1', 'enabled')
+            .on('iw reg get', 'global\ncountry US: DFS-FCC\n');
+        runner.files.set(NM_CONF, '[keyfile]\nunmanaged-devices=interface-name:usb0\n');
+        runner.files.set('/etc/systemd/network/10-wlan1.network', '[Match]\nName=wlan1\n');
+        const { wirelessManager } = createManagers(runner);
+
+        await wirelessManager.configureAll();
+        assert.ok(runner.commands().includes('rm -f /etc/systemd/network/10-wlan1.network'));
+
+        runner.calls = [];
+        await wirelessManager.stop();
+
+        const commands = runner.commands();
+        for (const expected of [
+            'iw wlan1 set type managed',
+            'ip addr add 192.168.1.23/24 dev wlan1',
+            'ip link set wlan1 up',
+            'systemctl enable --now wpa_supplicant@wlan1',
+            'iw reg set US'
+        ]) {
+            assert.ok(commands.includes(expected), expected);
+        }
+        assert.equal(runner.files.get(NM_CONF), '[keyfile]\nunmanaged-devices=interface-name:usb0\n');
+        assert.equal(runner.files.get('/etc/systemd/network/10-wlan1.network'), '[Match]\nName=wlan1\n');
+    });
+});